@@ -15,7 +15,7 @@ const PerformanceReportService = require("./services/PerformanceReportService");
 
 // Import routes
 const authRoutes = require("./routes/auth.routes");
-const performanceRoutes = require("./routes/api/performance.routes");
+const apiRoutes = require("./routes");
 
 // Create Express app
 const app = express();
@@ -68,7 +68,7 @@ app.use("/api/v1/auth", authLimiter); // Stricter limiting for auth routes
 
 // API versioning and routes
 app.use("/api/v1/auth", authRoutes);
-app.use("/api/v1/performance", performanceRoutes);
+app.use("/api", apiRoutes);
 
 // Basic health check endpoint with performance metrics
 app.get("/health", (req, res) => {
@@ -120,6 +120,31 @@ app.on("ready", () => {
   if (process.env.ENABLE_AUTOMATED_PERFORMANCE_REPORTS === 'true') {
     PerformanceReportService.startAutomatedReporting();
   }
+
+  // Start background jobs (occurrence generation, etc.) if enabled
+  if (process.env.ENABLE_BACKGROUND_JOBS === "true") {
+    const SchedulerService = require("./services/SchedulerService");
+    const RecurrenceService = require("./services/RecurrenceService");
+    const EscalationService = require("./services/EscalationService");
+    const EventService = require("./services/EventService");
+
+    SchedulerService.register(
+      "recurrence",
+      parseInt(process.env.RECURRENCE_JOB_INTERVAL) || 60 * 60 * 1000,
+      (now) => RecurrenceService.generateAll({ now })
+    );
+    SchedulerService.register(
+      "escalation",
+      parseInt(process.env.ESCALATION_JOB_INTERVAL) || 5 * 60 * 1000,
+      (now) => EscalationService.escalateOverdue({ now })
+    );
+    SchedulerService.register(
+      "trash-purge",
+      parseInt(process.env.TRASH_PURGE_JOB_INTERVAL) || 24 * 60 * 60 * 1000,
+      (now) => EventService.purgeTrash({ now })
+    );
+    SchedulerService.start();
+  }
   
   logger.info("Application started", {
     env: process.env.NODE_ENV,
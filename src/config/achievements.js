@@ -0,0 +1,73 @@
+// src/config/achievements.js
+const fs = require("fs");
+
+/**
+ * Streak and badge rules.
+ *
+ * A streak counts a user's consecutive completed occurrences of one event,
+ * so a daily chore's streak is in days. Skipped occurrences break it, and so
+ * do occurrences still open `graceDays` after their end date; until then an
+ * open occurrence leaves the streak as it is.
+ *
+ * Badges are awarded once the criteria are met:
+ * - streak: a streak of at least `count` on any event
+ * - completions: at least `count` completed occurrences overall
+ * - on_time_month: at least `minimum` completions in a calendar month and
+ *   none of them late; awarded once per month, after the month ends
+ *
+ * Set ACHIEVEMENTS_CONFIG_PATH to a JSON file with the same shape to replace
+ * it. Badge keys are stored with awards, so keep them stable.
+ */
+const defaultConfig = {
+  streaks: { graceDays: 1 },
+  badges: [
+    {
+      key: "streak_7",
+      name: "7-day streak",
+      description: "Completed a chore 7 times in a row",
+      criteria: { type: "streak", count: 7 },
+    },
+    {
+      key: "streak_30",
+      name: "30-day streak",
+      description: "Completed a chore 30 times in a row",
+      criteria: { type: "streak", count: 30 },
+    },
+    {
+      key: "chores_10",
+      name: "10 chores",
+      description: "Completed 10 chores",
+      criteria: { type: "completions", count: 10 },
+    },
+    {
+      key: "chores_100",
+      name: "100 chores",
+      description: "Completed 100 chores",
+      criteria: { type: "completions", count: 100 },
+    },
+    {
+      key: "never_late_month",
+      name: "Never late this month",
+      description: "Completed every chore on time for a whole month",
+      criteria: { type: "on_time_month", minimum: 10 },
+    },
+  ],
+};
+
+const loadConfig = () => {
+  if (!process.env.ACHIEVEMENTS_CONFIG_PATH) {
+    return defaultConfig;
+  }
+
+  return {
+    ...defaultConfig,
+    ...JSON.parse(
+      fs.readFileSync(process.env.ACHIEVEMENTS_CONFIG_PATH, "utf8")
+    ),
+  };
+};
+
+module.exports = {
+  defaultConfig,
+  config: loadConfig(),
+};
@@ -0,0 +1,46 @@
+// src/config/eventStatus.js
+const fs = require("fs");
+
+/**
+ * Event status state machine. `transitions` lists the statuses each status
+ * may move to directly; a status with none is final. `actions` are named
+ * transitions that are only taken on request, such as reopening a completed
+ * event. `aliases` map legacy values to a state, e.g. the "active" column
+ * default.
+ *
+ * Set EVENT_STATUS_MACHINE_PATH to a JSON file with the same shape to
+ * replace it.
+ */
+const defaultMachine = {
+  initial: "scheduled",
+  transitions: {
+    scheduled: ["in-progress", "completed", "cancelled"],
+    "in-progress": ["scheduled", "completed", "cancelled"],
+    completed: [],
+    cancelled: [],
+  },
+  actions: {
+    reopen: { from: ["completed", "cancelled"], to: "scheduled" },
+  },
+  aliases: {
+    active: "scheduled",
+  },
+};
+
+const loadMachine = () => {
+  if (!process.env.EVENT_STATUS_MACHINE_PATH) {
+    return defaultMachine;
+  }
+
+  return {
+    ...defaultMachine,
+    ...JSON.parse(
+      fs.readFileSync(process.env.EVENT_STATUS_MACHINE_PATH, "utf8")
+    ),
+  };
+};
+
+module.exports = {
+  defaultMachine,
+  machine: loadMachine(),
+};
@@ -0,0 +1,36 @@
+// src/config/points.js
+const fs = require("fs");
+
+/**
+ * Points rules. Completing an occurrence credits the event's points_value
+ * to whoever completed it, once approved for events that require approval.
+ * Bonuses and penalties are percentages of points_value, rounded:
+ * - earlyBonus: added to completions at least `minutesBeforeDue` early
+ * - latePenalty: taken off completions recorded as late
+ * - skipPenalty: charged to the assignee of a skipped occurrence
+ * Weekly leaderboards start on `weekStartsOn` (0 = Sunday, 1 = Monday).
+ *
+ * Set POINTS_RULES_PATH to a JSON file with the same shape to replace it.
+ */
+const defaultRules = {
+  earlyBonus: { percent: 20, minutesBeforeDue: 60 },
+  latePenalty: { percent: 50 },
+  skipPenalty: { percent: 100 },
+  weekStartsOn: 1,
+};
+
+const loadRules = () => {
+  if (!process.env.POINTS_RULES_PATH) {
+    return defaultRules;
+  }
+
+  return {
+    ...defaultRules,
+    ...JSON.parse(fs.readFileSync(process.env.POINTS_RULES_PATH, "utf8")),
+  };
+};
+
+module.exports = {
+  defaultRules,
+  rules: loadRules(),
+};
@@ -0,0 +1,47 @@
+// src/config/risk.js
+const fs = require("fs");
+
+/**
+ * Risk scoring model. Assessments rate each factor's likelihood and impact
+ * from 1 to 5; a factor scores likelihood x impact x weight and the event's
+ * risk_score is the sum, capped at 100. Factors missing from `weights` use
+ * `defaultWeight`. The level is the highest band whose `min` the score
+ * reaches.
+ *
+ * Set RISK_MODEL_PATH to a JSON file with the same shape to replace it.
+ */
+const defaultModel = {
+  weights: {
+    height: 3,
+    electrical: 3,
+    chemicals: 2,
+    sharp_tools: 2,
+    heavy_lifting: 2,
+    unsupervised: 2,
+    weather: 1,
+  },
+  defaultWeight: 1,
+  maxScore: 100,
+  bands: [
+    { level: "low", min: 0 },
+    { level: "medium", min: 20 },
+    { level: "high", min: 45 },
+    { level: "critical", min: 70 },
+  ],
+};
+
+const loadModel = () => {
+  if (!process.env.RISK_MODEL_PATH) {
+    return defaultModel;
+  }
+
+  return {
+    ...defaultModel,
+    ...JSON.parse(fs.readFileSync(process.env.RISK_MODEL_PATH, "utf8")),
+  };
+};
+
+module.exports = {
+  defaultModel,
+  model: loadModel(),
+};
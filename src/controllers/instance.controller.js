@@ -1,6 +1,7 @@
 // src/controllers/instance.controller.js
 const InstanceService = require("../services/InstanceService");
 const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
 
 class InstanceController {
   constructor() {
@@ -59,15 +60,19 @@ class InstanceController {
         throw new AppError(404, "INSTANCE_NOT_FOUND", "Instance not found");
       }
 
-      if (instance.createdBy !== userId) {
+      if (String(instance.created_by) !== String(userId)) {
         throw new AppError(
-          403,
-          "FORBIDDEN",
-          "Not authorized to update this instance"
+          ErrorTypes.INSUFFICIENT_PERMISSIONS,
+          "InstanceController",
+          "update",
+          {
+            message: "Not authorized to update this instance",
+            instanceId: id,
+          }
         );
       }
 
-      return await this.instanceService.update(id, instanceData);
+      return await this.instanceService.update(id, instanceData, userId);
     } catch (error) {
       if (error instanceof AppError) throw error;
       throw new AppError(
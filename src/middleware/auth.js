@@ -1,16 +1,31 @@
 const jwtService = require("../services/JWTService");
-const { AppError } = require("../utils/AppError");
-const { config } = require("../config/auth");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const config = require("../config/auth");
 
 const extractToken = (req) => {
   const authHeader = req.headers[config.tokens.accessTokenHeader.toLowerCase()];
   if (!authHeader) {
-    throw new AppError(401, "AUTH006", "No authorization header found");
+    throw new AppError(
+      ErrorTypes.UNAUTHORIZED,
+      "AuthMiddleware",
+      "authenticate",
+      {
+        reason: "No authorization header found",
+      }
+    );
   }
 
   const [bearer, token] = authHeader.split(" ");
   if (bearer !== config.tokens.bearerPrefix || !token) {
-    throw new AppError(401, "AUTH007", "Invalid authorization header format");
+    throw new AppError(
+      ErrorTypes.UNAUTHORIZED,
+      "AuthMiddleware",
+      "authenticate",
+      {
+        reason: "Invalid authorization header format",
+      }
+    );
   }
 
   return token;
@@ -66,12 +81,26 @@ const optionalAuth = async (req, res, next) => {
 const requireRoles = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
-      throw new AppError(401, "AUTH008", "Authentication required");
+      throw new AppError(
+        ErrorTypes.UNAUTHORIZED,
+        "AuthMiddleware",
+        "requireRoles",
+        {
+          reason: "Authentication required",
+        }
+      );
     }
 
     const hasRequiredRole = roles.some((role) => req.user.roles.includes(role));
     if (!hasRequiredRole) {
-      throw new AppError(403, "AUTH009", "Insufficient permissions");
+      throw new AppError(
+        ErrorTypes.FORBIDDEN,
+        "AuthMiddleware",
+        "requireRoles",
+        {
+          roles,
+        }
+      );
     }
 
     next();
@@ -81,7 +110,14 @@ const requireRoles = (roles) => {
 // Instance-based authentication middleware
 const requireInstance = (req, res, next) => {
   if (!req.user?.instanceId) {
-    throw new AppError(401, "AUTH010", "Instance access required");
+    throw new AppError(
+      ErrorTypes.UNAUTHORIZED,
+      "AuthMiddleware",
+      "requireInstance",
+      {
+        reason: "Instance access required",
+      }
+    );
   }
   next();
 };
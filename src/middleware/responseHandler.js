@@ -1,24 +1,19 @@
 // src/middleware/responseHandler.js
 
-const ResponseFormatter = require("../utils/responseFormatter");
-const LoggerService = require("../services/LoggerService");
+const ResponseFormatter = require("../utils/ResponseFormatter");
+const logger = require("../services/LoggerService");
 const responseConfig = require("../config/response.config");
 
 const responseHandler = (req, res, next) => {
   // Store the original res.json function
   const originalJson = res.json;
-  const logger = LoggerService.getInstance();
 
   // Override res.json to format all responses
   res.json = function (body) {
     let response;
 
     // If the response is already formatted, send it as is
-    if (
-      body &&
-      Object.prototype.hasOwnProperty.call(body, "success") &&
-      Object.prototype.hasOwnProperty.call(body, "metadata")
-    ) {
+    if (body && Object.prototype.hasOwnProperty.call(body, "success")) {
       response = body;
     } else {
       // Format successful responses with configured metadata options
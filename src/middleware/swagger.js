@@ -3,9 +3,7 @@
 const swaggerJsdoc = require("swagger-jsdoc");
 const swaggerUi = require("swagger-ui-express");
 const swaggerOptions = require("../config/swagger");
-const { LoggerService } = require("../services/LoggerService");
-
-const logger = LoggerService.getInstance();
+const logger = require("../services/LoggerService");
 
 /**
  * Configure Swagger documentation middleware
@@ -0,0 +1,48 @@
+const multer = require("multer");
+const { ErrorTypes } = require("../utils/errorTypes");
+const AppError = require("../utils/AppError");
+
+const MAX_FILE_SIZE =
+  parseInt(process.env.VERIFICATION_MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB
+
+// Files are kept in memory so services can hash them before writing to disk
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith("image/")) {
+      return cb(
+        new AppError(ErrorTypes.VALIDATION_ERROR, "Upload", "fileFilter", {
+          message: "Only image uploads are allowed",
+          field: file.fieldname,
+          mimeType: file.mimetype,
+        })
+      );
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Accept an optional single image upload from a multipart form field
+ * @param {string} field Form field name
+ * @returns {Function} Express middleware exposing the file as req.file
+ */
+const uploadImage = (field) => (req, res, next) => {
+  imageUpload.single(field)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(
+        new AppError(ErrorTypes.VALIDATION_ERROR, "Upload", "uploadImage", {
+          message: error.message,
+          field: error.field || field,
+          code: error.code,
+        })
+      );
+    }
+    next(error);
+  });
+};
+
+module.exports = {
+  uploadImage,
+};
@@ -0,0 +1,38 @@
+// src/middleware/validation/schemaValidator.js
+const AppError = require("../../utils/AppError");
+const { ErrorTypes } = require("../../utils/errorTypes");
+
+/**
+ * Validate part of the request against a Joi schema.
+ * Unknown keys are stripped and the validated value replaces the original.
+ * @param {Object} schema Joi schema
+ * @param {string} property Request property to validate (body, query, params)
+ * @returns {Function} Express middleware
+ */
+const validateSchema = (schema, property = "body") => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req[property], {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return next(
+        new AppError(ErrorTypes.VALIDATION_ERROR, "SchemaValidator", property, {
+          message: "Request validation failed",
+          errors: error.details.map((detail) => ({
+            field: detail.path.join("."),
+            message: detail.message,
+          })),
+        })
+      );
+    }
+
+    req[property] = value;
+    next();
+  };
+};
+
+module.exports = {
+  validateSchema,
+};
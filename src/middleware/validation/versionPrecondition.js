@@ -0,0 +1,51 @@
+// src/middleware/validation/versionPrecondition.js
+const AppError = require("../../utils/AppError");
+const { ErrorTypes } = require("../../utils/errorTypes");
+const { parseEtag } = require("../../utils/revisions");
+
+/**
+ * Require the version the client last read, from an If-Match ETag or a
+ * version body field, and put it on req.body.version for the service to
+ * check. Run after validateSchema so the body is already validated.
+ * @returns {Function} Express middleware
+ */
+const requireVersion = () => {
+  return (req, res, next) => {
+    const header = req.get("If-Match");
+    const headerVersion = parseEtag(header);
+    const bodyVersion = req.body.version;
+
+    const fail = (message) =>
+      next(
+        new AppError(
+          ErrorTypes.VALIDATION_ERROR,
+          "VersionPrecondition",
+          "requireVersion",
+          { message, field: "version" }
+        )
+      );
+
+    if (header !== undefined && headerVersion === null) {
+      return fail("If-Match must be the ETag of the version you last read");
+    }
+    if (
+      headerVersion !== null &&
+      bodyVersion !== undefined &&
+      headerVersion !== bodyVersion
+    ) {
+      return fail("If-Match and version disagree");
+    }
+    if (headerVersion === null && bodyVersion === undefined) {
+      return fail(
+        "Send the version you last read as an If-Match header or a version field"
+      );
+    }
+
+    req.body.version = headerVersion ?? bodyVersion;
+    next();
+  };
+};
+
+module.exports = {
+  requireVersion,
+};
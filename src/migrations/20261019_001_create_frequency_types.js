@@ -0,0 +1,36 @@
+/**
+ * Create the frequency_types lookup used by the recurrence engine and make
+ * occurrence generation idempotent per event and day
+ */
+exports.up = async function (knex) {
+  await knex.schema.createTable("frequency_types", (table) => {
+    table.increments("id").primary();
+    table.string("name").notNullable().unique();
+    table.string("interval_unit").notNullable(); // day, week, month, year
+    table.integer("interval_value").notNullable().defaultTo(1);
+    table.timestamps(true, true);
+  });
+
+  await knex("frequency_types").insert([
+    { id: 1, name: "daily", interval_unit: "day", interval_value: 1 },
+    { id: 2, name: "weekly", interval_unit: "week", interval_value: 1 },
+    { id: 3, name: "monthly", interval_unit: "month", interval_value: 1 },
+    { id: 4, name: "quarterly", interval_unit: "month", interval_value: 3 },
+    { id: 5, name: "yearly", interval_unit: "year", interval_value: 1 },
+  ]);
+
+  return knex.schema.alterTable("event_instances", (table) => {
+    table.unique(["event_id", "start_date"]);
+  });
+};
+
+/**
+ * Remove the frequency_types lookup
+ */
+exports.down = async function (knex) {
+  await knex.schema.alterTable("event_instances", (table) => {
+    table.dropUnique(["event_id", "start_date"]);
+  });
+
+  return knex.schema.dropTableIfExists("frequency_types");
+};
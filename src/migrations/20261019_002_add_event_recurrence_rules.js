@@ -0,0 +1,19 @@
+/**
+ * Add RFC 5545 recurrence rules (RRULE) and excluded dates (EXDATE) to events
+ */
+exports.up = function (knex) {
+  return knex.schema.alterTable("events", (table) => {
+    table.string("recurrence_rule", 500);
+    table.json("recurrence_exdates");
+  });
+};
+
+/**
+ * Remove recurrence rule columns from events
+ */
+exports.down = function (knex) {
+  return knex.schema.alterTable("events", (table) => {
+    table.dropColumn("recurrence_rule");
+    table.dropColumn("recurrence_exdates");
+  });
+};
@@ -0,0 +1,50 @@
+/**
+ * Add per-level approver lists to events and create the groups that
+ * events.approver_group_id already references
+ */
+exports.up = async function (knex) {
+  await knex.schema.createTable("groups", (table) => {
+    table.increments("id").primary();
+    table.uuid("instance_id").references("id").inTable("instances");
+    table.string("name").notNullable();
+    table.text("description");
+    table.timestamps(true, true);
+
+    table.unique(["instance_id", "name"]);
+  });
+
+  await knex.schema.createTable("group_members", (table) => {
+    table.increments("id").primary();
+    table
+      .integer("group_id")
+      .references("id")
+      .inTable("groups")
+      .onDelete("CASCADE")
+      .notNullable();
+    table
+      .integer("user_id")
+      .references("id")
+      .inTable("users")
+      .onDelete("CASCADE")
+      .notNullable();
+    table.timestamps(true, true);
+
+    table.unique(["group_id", "user_id"]);
+  });
+
+  // Array of levels, each an array of approver user ids: [[1], [2, 3]]
+  await knex.schema.alterTable("events", (table) => {
+    table.json("approval_chain");
+  });
+};
+
+/**
+ * Remove approval workflow columns and group tables
+ */
+exports.down = async function (knex) {
+  await knex.schema.alterTable("events", (table) => {
+    table.dropColumn("approval_chain");
+  });
+  await knex.schema.dropTableIfExists("group_members");
+  await knex.schema.dropTableIfExists("groups");
+};
@@ -0,0 +1,33 @@
+/**
+ * Track who submitted verification evidence and when it was reviewed, and
+ * create the locations that events.location_id already references so their
+ * geofence can be checked
+ */
+exports.up = async function (knex) {
+  await knex.schema.createTable("locations", (table) => {
+    table.increments("id").primary();
+    table.uuid("instance_id").references("id").inTable("instances");
+    table.string("name").notNullable();
+    table.decimal("latitude", 10, 7);
+    table.decimal("longitude", 10, 7);
+    table.integer("radius_meters").defaultTo(100);
+    table.timestamps(true, true);
+  });
+
+  await knex.schema.alterTable("event_verifications", (table) => {
+    table.integer("submitted_by").references("id").inTable("users");
+    table.timestamp("verified_at");
+    table.integer("verified_by").nullable().alter();
+  });
+};
+
+/**
+ * Remove verification review columns and the locations table
+ */
+exports.down = async function (knex) {
+  await knex.schema.alterTable("event_verifications", (table) => {
+    table.dropColumn("submitted_by");
+    table.dropColumn("verified_at");
+  });
+  await knex.schema.dropTableIfExists("locations");
+};
@@ -0,0 +1,34 @@
+/**
+ * Per-occurrence tick-off state for checklist items. Items live in
+ * event_checklists.checklist_items and are referenced by their id.
+ */
+exports.up = function (knex) {
+  return knex.schema.createTable("instance_checklist_items", (table) => {
+    table.increments("id").primary();
+    table
+      .integer("instance_id")
+      .references("id")
+      .inTable("event_instances")
+      .onDelete("CASCADE")
+      .notNullable();
+    table
+      .integer("checklist_id")
+      .references("id")
+      .inTable("event_checklists")
+      .onDelete("CASCADE")
+      .notNullable();
+    table.string("item_id").notNullable();
+    table.integer("completed_by").references("id").inTable("users");
+    table.timestamp("completed_at");
+    table.timestamps(true, true);
+
+    table.unique(["instance_id", "checklist_id", "item_id"]);
+  });
+};
+
+/**
+ * Remove per-occurrence checklist state
+ */
+exports.down = function (knex) {
+  return knex.schema.dropTableIfExists("instance_checklist_items");
+};
@@ -0,0 +1,28 @@
+/**
+ * Add rotation assignment: events in "rotation" mode cycle their assignee
+ * role assignments across occurrences, recorded per occurrence.
+ */
+exports.up = async function (knex) {
+  await knex.schema.alterTable("events", (table) => {
+    table.string("assignment_mode").defaultTo("fixed"); // fixed | rotation
+  });
+
+  await knex.schema.alterTable("event_instances", (table) => {
+    table.integer("assigned_to").references("id").inTable("users");
+    table.index(["assigned_to"]);
+  });
+};
+
+/**
+ * Remove rotation assignment columns
+ */
+exports.down = async function (knex) {
+  await knex.schema.alterTable("event_instances", (table) => {
+    table.dropIndex(["assigned_to"]);
+    table.dropColumn("assigned_to");
+  });
+
+  await knex.schema.alterTable("events", (table) => {
+    table.dropColumn("assignment_mode");
+  });
+};
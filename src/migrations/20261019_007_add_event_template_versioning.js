@@ -0,0 +1,35 @@
+/**
+ * Add template versioning and sharing: templates count their versions,
+ * shared templates stay within their creator's instance and events remember
+ * the version they were created from.
+ */
+exports.up = async function (knex) {
+  await knex.schema.alterTable("event_templates", (table) => {
+    table.integer("version").defaultTo(1);
+    table.boolean("is_shared").defaultTo(false);
+    table.uuid("instance_id").references("id").inTable("instances");
+    table.integer("source_event_id").references("id").inTable("events");
+  });
+
+  await knex.schema.alterTable("events", (table) => {
+    table.integer("template_version");
+    table.index(["template_id"]);
+  });
+};
+
+/**
+ * Remove template versioning columns
+ */
+exports.down = async function (knex) {
+  await knex.schema.alterTable("events", (table) => {
+    table.dropIndex(["template_id"]);
+    table.dropColumn("template_version");
+  });
+
+  await knex.schema.alterTable("event_templates", (table) => {
+    table.dropColumn("source_event_id");
+    table.dropColumn("instance_id");
+    table.dropColumn("is_shared");
+    table.dropColumn("version");
+  });
+};
@@ -0,0 +1,30 @@
+/**
+ * Date budget transactions for range rollups and flag expenses recorded
+ * over budget.
+ */
+exports.up = async function (knex) {
+  await knex.schema.alterTable("event_budget_tracking", (table) => {
+    table.date("transaction_date");
+    table.boolean("is_over_budget").defaultTo(false);
+    table.index(["transaction_date"]);
+  });
+
+  await knex.schema.alterTable("events", (table) => {
+    table.index(["cost_center"]);
+  });
+};
+
+/**
+ * Remove budget transaction dates and flags
+ */
+exports.down = async function (knex) {
+  await knex.schema.alterTable("events", (table) => {
+    table.dropIndex(["cost_center"]);
+  });
+
+  await knex.schema.alterTable("event_budget_tracking", (table) => {
+    table.dropIndex(["transaction_date"]);
+    table.dropColumn("is_over_budget");
+    table.dropColumn("transaction_date");
+  });
+};
@@ -0,0 +1,20 @@
+/**
+ * Version instances for optimistic concurrency, as events and occurrences
+ * already are.
+ */
+exports.up = async function (knex) {
+  await knex.schema.alterTable("instances", (table) => {
+    table.integer("version").defaultTo(1);
+    table.jsonb("revision_history").defaultTo("[]");
+  });
+};
+
+/**
+ * Remove instance versioning
+ */
+exports.down = async function (knex) {
+  await knex.schema.alterTable("instances", (table) => {
+    table.dropColumn("revision_history");
+    table.dropColumn("version");
+  });
+};
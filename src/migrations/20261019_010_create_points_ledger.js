@@ -0,0 +1,41 @@
+/**
+ * Points ledger. Every credit, bonus, penalty, adjustment and reversal is a
+ * signed entry; a user's balance is the sum of their entries.
+ */
+exports.up = function (knex) {
+  return knex.schema.createTable("points_ledger", (table) => {
+    table.increments("id").primary();
+    table
+      .integer("user_id")
+      .references("id")
+      .inTable("users")
+      .onDelete("CASCADE")
+      .notNullable();
+    table
+      .integer("event_id")
+      .references("id")
+      .inTable("events")
+      .onDelete("SET NULL");
+    table
+      .integer("event_instance_id")
+      .references("id")
+      .inTable("event_instances")
+      .onDelete("SET NULL");
+    table.string("entry_type", 50).notNullable();
+    table.integer("points").notNullable();
+    table.text("reason");
+    table.integer("created_by").references("id").inTable("users");
+    table.timestamp("created_at").defaultTo(knex.fn.now());
+
+    table.index(["user_id", "created_at"]);
+    table.index(["event_instance_id"]);
+    table.index(["created_at"]);
+  });
+};
+
+/**
+ * Remove the points ledger
+ */
+exports.down = function (knex) {
+  return knex.schema.dropTableIfExists("points_ledger");
+};
@@ -0,0 +1,66 @@
+/**
+ * Rewards catalog per instance and the redemptions that spend points on it.
+ * A redemption debits the points ledger when requested; a rejection refunds
+ * it with a second entry.
+ */
+exports.up = async function (knex) {
+  await knex.schema.createTable("rewards", (table) => {
+    table.increments("id").primary();
+    table.uuid("instance_id").references("id").inTable("instances");
+    table.string("name").notNullable();
+    table.text("description");
+    table.integer("cost").notNullable();
+    table.integer("stock"); // Null for unlimited
+    table.boolean("requires_approval").notNullable().defaultTo(false);
+    table.boolean("is_active").notNullable().defaultTo(true);
+    table.integer("created_by").references("id").inTable("users");
+    table.timestamps(true, true);
+
+    table.index(["instance_id", "is_active"]);
+  });
+
+  await knex.schema.createTable("reward_redemptions", (table) => {
+    table.increments("id").primary();
+    table
+      .integer("reward_id")
+      .references("id")
+      .inTable("rewards")
+      .onDelete("CASCADE")
+      .notNullable();
+    table
+      .integer("user_id")
+      .references("id")
+      .inTable("users")
+      .onDelete("CASCADE")
+      .notNullable();
+    table.integer("cost").notNullable();
+    table.string("status", 20).notNullable().defaultTo("pending");
+    table.text("notes");
+    table
+      .integer("ledger_entry_id")
+      .references("id")
+      .inTable("points_ledger")
+      .onDelete("SET NULL");
+    table
+      .integer("refund_entry_id")
+      .references("id")
+      .inTable("points_ledger")
+      .onDelete("SET NULL");
+    table.integer("reviewed_by").references("id").inTable("users");
+    table.timestamp("reviewed_at");
+    table.text("review_notes");
+    table.timestamps(true, true);
+
+    table.index(["reward_id", "status"]);
+    table.index(["user_id", "created_at"]);
+    table.index(["status"]);
+  });
+};
+
+/**
+ * Remove the rewards catalog and redemptions
+ */
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists("reward_redemptions");
+  await knex.schema.dropTableIfExists("rewards");
+};
@@ -0,0 +1,34 @@
+/**
+ * Badges awarded to users. Definitions live in src/config/achievements.js;
+ * awards keep the badge key, and the month for badges earned once a month.
+ */
+exports.up = function (knex) {
+  return knex.schema.createTable("user_badges", (table) => {
+    table.increments("id").primary();
+    table
+      .integer("user_id")
+      .references("id")
+      .inTable("users")
+      .onDelete("CASCADE")
+      .notNullable();
+    table.string("badge_key", 100).notNullable();
+    table.string("period", 7).notNullable().defaultTo(""); // YYYY-MM, or empty for one-off badges
+    table
+      .integer("event_id")
+      .references("id")
+      .inTable("events")
+      .onDelete("SET NULL");
+    table.json("details");
+    table.timestamp("awarded_at").defaultTo(knex.fn.now());
+
+    table.unique(["user_id", "badge_key", "period"]);
+    table.index(["user_id", "awarded_at"]);
+  });
+};
+
+/**
+ * Remove awarded badges
+ */
+exports.down = function (knex) {
+  return knex.schema.dropTableIfExists("user_badges");
+};
@@ -0,0 +1,39 @@
+/**
+ * Let locations nest (House → Upstairs → Bathroom) and create the categories
+ * that events.category_id already references, nesting the same way
+ */
+exports.up = async function (knex) {
+  await knex.schema.alterTable("locations", (table) => {
+    table.integer("parent_id").references("id").inTable("locations");
+    table.text("description");
+    table.integer("created_by").references("id").inTable("users");
+
+    table.index(["instance_id", "parent_id"]);
+  });
+
+  await knex.schema.createTable("categories", (table) => {
+    table.increments("id").primary();
+    table.uuid("instance_id").references("id").inTable("instances");
+    table.integer("parent_id").references("id").inTable("categories");
+    table.string("name").notNullable();
+    table.text("description");
+    table.string("color", 20);
+    table.integer("created_by").references("id").inTable("users");
+    table.timestamps(true, true);
+
+    table.index(["instance_id", "parent_id"]);
+  });
+};
+
+/**
+ * Remove categories and location nesting
+ */
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists("categories");
+  await knex.schema.alterTable("locations", (table) => {
+    table.dropIndex(["instance_id", "parent_id"]);
+    table.dropColumn("parent_id");
+    table.dropColumn("description");
+    table.dropColumn("created_by");
+  });
+};
@@ -0,0 +1,27 @@
+/**
+ * Let events be assigned to a group, any member of which may do the work
+ */
+exports.up = async function (knex) {
+  await knex.schema.alterTable("groups", (table) => {
+    table.integer("created_by").references("id").inTable("users");
+  });
+
+  await knex.schema.alterTable("events", (table) => {
+    table.integer("assigned_group_id").references("id").inTable("groups");
+
+    table.index("assigned_group_id");
+  });
+};
+
+/**
+ * Remove group assignment
+ */
+exports.down = async function (knex) {
+  await knex.schema.alterTable("events", (table) => {
+    table.dropIndex("assigned_group_id");
+    table.dropColumn("assigned_group_id");
+  });
+  await knex.schema.alterTable("groups", (table) => {
+    table.dropColumn("created_by");
+  });
+};
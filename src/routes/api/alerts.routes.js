@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const AlertNotificationService = require("../services/AlertNotificationService");
+const AlertNotificationService = require("../../services/AlertNotificationService");
 
 /**
  * @swagger
@@ -0,0 +1,90 @@
+// src/routes/api/budget.routes.js
+
+const express = require("express");
+const router = express.Router();
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const budgetSchemas = require("../../schemas/budget.schema");
+const BudgetService = require("../../services/BudgetService");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Budget
+ *   description: Spending across events
+ */
+
+/**
+ * @swagger
+ * /api/v1/budget/cost-centers:
+ *   get:
+ *     summary: Budget totals per cost center
+ *     description: Sums transactions dated within the range. Events without a cost center are grouped under null.
+ *     tags: [Budget]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: costCenter
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rollup retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       cost_center:
+ *                         type: string
+ *                         nullable: true
+ *                       allocated:
+ *                         type: number
+ *                       spent:
+ *                         type: number
+ *                       adjusted:
+ *                         type: number
+ *                       net_cost:
+ *                         type: number
+ *                         description: Spent plus adjustments
+ *                       over_budget_expenses:
+ *                         type: integer
+ *                       event_count:
+ *                         type: integer
+ */
+router.get(
+  "/cost-centers",
+  validateSchema(budgetSchemas.costCenterRollup, "query"),
+  async (req, res, next) => {
+    try {
+      const rollup = await BudgetService.getCostCenterRollup(req.query);
+      res.json({
+        success: true,
+        data: rollup,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
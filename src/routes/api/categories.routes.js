@@ -0,0 +1,348 @@
+// src/routes/api/categories.routes.js
+
+const express = require("express");
+const router = express.Router();
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const categorySchemas = require("../../schemas/category.schema");
+const CategoryService = require("../../services/CategoryService");
+const { getRequestContext } = require("../../utils/requestContext");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Categories
+ *   description: Kinds of chores, nested like Cleaning, Floors
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Category:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         instance_id:
+ *           type: string
+ *         parent_id:
+ *           type: integer
+ *           nullable: true
+ *         name:
+ *           type: string
+ *           example: Cleaning
+ *         description:
+ *           type: string
+ *         color:
+ *           type: string
+ *           example: "#4caf50"
+ *         created_by:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     CategoryTree:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Category'
+ *         - type: object
+ *           properties:
+ *             children:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CategoryTree'
+ */
+
+/**
+ * @swagger
+ * /api/v1/categories:
+ *   get:
+ *     summary: List your instance's categories by name
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: parentId
+ *         schema:
+ *           type: integer
+ *         description: Only the children of this category
+ *       - in: query
+ *         name: tree
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Return top-level categories with their descendants nested in children
+ *     responses:
+ *       200:
+ *         description: Categories retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CategoryTree'
+ */
+router.get(
+  "/",
+  validateSchema(categorySchemas.listCategories, "query"),
+  async (req, res, next) => {
+    try {
+      const categories = await CategoryService.list(
+        req.user?.instanceId,
+        req.query
+      );
+      res.json({
+        success: true,
+        data: categories,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/categories:
+ *   post:
+ *     summary: Create a category in your instance
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: Cleaning
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *               parentId:
+ *                 type: integer
+ *                 description: Category to nest it under
+ *               color:
+ *                 type: string
+ *                 pattern: ^#[0-9a-fA-F]{6}$
+ *                 example: "#4caf50"
+ *     responses:
+ *       201:
+ *         description: Category created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Parent category not found
+ */
+router.post(
+  "/",
+  validateSchema(categorySchemas.createCategory),
+  async (req, res, next) => {
+    try {
+      const category = await CategoryService.create(
+        req.user?.instanceId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.status(201).json({
+        success: true,
+        data: category,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/categories/{id}:
+ *   get:
+ *     summary: Get a category with the path of its ancestors
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Category retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Category'
+ *                     - type: object
+ *                       properties:
+ *                         path:
+ *                           type: array
+ *                           description: Ancestors, top-level first
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: integer
+ *                               name:
+ *                                 type: string
+ *       404:
+ *         description: Category not found
+ */
+router.get("/:id", async (req, res, next) => {
+  try {
+    const category = await CategoryService.getById(
+      req.params.id,
+      req.user?.instanceId
+    );
+    res.json({
+      success: true,
+      data: category,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/categories/{id}:
+ *   put:
+ *     summary: Update a category
+ *     description: Changing parentId moves the category with its descendants. Moving it under itself or one of its descendants is rejected.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 255
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 nullable: true
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: New parent, or null for the top level
+ *               color:
+ *                 type: string
+ *                 pattern: ^#[0-9a-fA-F]{6}$
+ *                 example: "#4caf50"
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Invalid input, or a move into its own subtree (BUS001, rule HIERARCHY_CYCLE)
+ *       404:
+ *         description: Category or parent not found
+ */
+router.put(
+  "/:id",
+  validateSchema(categorySchemas.updateCategory),
+  async (req, res, next) => {
+    try {
+      const category = await CategoryService.update(
+        req.params.id,
+        req.user?.instanceId,
+        req.body
+      );
+      res.json({
+        success: true,
+        data: category,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/categories/{id}:
+ *   delete:
+ *     summary: Delete a category
+ *     description: Only categories without children and without events can be deleted; deleted events lose the reference
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       400:
+ *         description: The category has children (BUS001, rule HAS_CHILDREN) or events (BUS001, rule IN_USE)
+ *       404:
+ *         description: Category not found
+ */
+router.delete("/:id", async (req, res, next) => {
+  try {
+    await CategoryService.delete(req.params.id, req.user?.instanceId);
+    res.json({
+      success: true,
+      data: null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,347 @@
+// src/routes/api/eventAssignments.routes.js
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const assignmentSchemas = require("../../schemas/assignment.schema");
+const AssignmentService = require("../../services/AssignmentService");
+const { getRequestContext } = require("../../utils/requestContext");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventAssignment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         event_id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *         assigned_by:
+ *           type: integer
+ *         role:
+ *           type: string
+ *           enum: [assignee, reviewer, observer]
+ *         order:
+ *           type: integer
+ *           description: Position in the rotation
+ *         is_mandatory:
+ *           type: boolean
+ *         can_reassign:
+ *           type: boolean
+ *         can_delegate:
+ *           type: boolean
+ *         permissions:
+ *           type: object
+ *         status:
+ *           type: string
+ *         history:
+ *           type: array
+ *           items:
+ *             type: object
+ *     AssignmentInput:
+ *       type: object
+ *       properties:
+ *         role:
+ *           type: string
+ *           enum: [assignee, reviewer, observer]
+ *           default: assignee
+ *         order:
+ *           type: integer
+ *         isMandatory:
+ *           type: boolean
+ *         canReassign:
+ *           type: boolean
+ *         canDelegate:
+ *           type: boolean
+ *         permissions:
+ *           type: object
+ *     AssignmentResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         data:
+ *           $ref: '#/components/schemas/EventAssignment'
+ */
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/assignments:
+ *   get:
+ *     summary: List the assignments of an event in rotation order
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Assignments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EventAssignment'
+ *       404:
+ *         description: Event not found
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const assignments = await AssignmentService.getAssignments(req.params.id);
+    res.json({
+      success: true,
+      data: assignments,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/assignments/current:
+ *   get:
+ *     summary: Get who is on duty for an event on a date
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *     responses:
+ *       200:
+ *         description: Current assignee retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       format: date
+ *                     assignment_mode:
+ *                       type: string
+ *                       enum: [fixed, rotation]
+ *                     user_id:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: User on duty, after delegations
+ *                     assigned_user_id:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: User on duty before delegations
+ *                     instance_id:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Rotation occurrence the duty comes from
+ *                     delegation_id:
+ *                       type: integer
+ *                       nullable: true
+ *       404:
+ *         description: Event not found
+ */
+router.get(
+  "/current",
+  validateSchema(assignmentSchemas.currentAssignee, "query"),
+  async (req, res, next) => {
+    try {
+      const assignee = await AssignmentService.getCurrentAssignee(
+        req.params.id,
+        req.query.date
+      );
+      res.json({
+        success: true,
+        data: assignee,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/assignments:
+ *   post:
+ *     summary: Assign a user to an event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AssignmentInput'
+ *               - type: object
+ *                 required:
+ *                   - userId
+ *                 properties:
+ *                   userId:
+ *                     type: integer
+ *     responses:
+ *       201:
+ *         description: Assignment created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AssignmentResponse'
+ *       400:
+ *         description: User is already assigned
+ *       404:
+ *         description: Event or user not found
+ */
+router.post(
+  "/",
+  validateSchema(assignmentSchemas.addAssignment),
+  async (req, res, next) => {
+    try {
+      const assignment = await AssignmentService.addAssignment(
+        req.params.id,
+        req.body,
+        getRequestContext(req)
+      );
+      res.status(201).json({
+        success: true,
+        data: assignment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/assignments/{assignmentId}:
+ *   put:
+ *     summary: Update an assignment
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssignmentInput'
+ *     responses:
+ *       200:
+ *         description: Assignment updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AssignmentResponse'
+ *       404:
+ *         description: Event or assignment not found
+ */
+router.put(
+  "/:assignmentId",
+  validateSchema(assignmentSchemas.updateAssignment),
+  async (req, res, next) => {
+    try {
+      const assignment = await AssignmentService.updateAssignment(
+        req.params.id,
+        req.params.assignmentId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: assignment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/assignments/{assignmentId}:
+ *   delete:
+ *     summary: Remove a user from an event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Assignment removed
+ *       404:
+ *         description: Event or assignment not found
+ */
+router.delete("/:assignmentId", async (req, res, next) => {
+  try {
+    await AssignmentService.removeAssignment(
+      req.params.id,
+      req.params.assignmentId
+    );
+    res.json({
+      success: true,
+      data: null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,288 @@
+// src/routes/api/eventAudit.routes.js
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const {
+  requireVersion,
+} = require("../../middleware/validation/versionPrecondition");
+const eventAuditSchemas = require("../../schemas/eventAudit.schema");
+const EventService = require("../../services/EventService");
+const { getRequestContext } = require("../../utils/requestContext");
+const { toEtag } = require("../../utils/revisions");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         event_id:
+ *           type: integer
+ *         action:
+ *           type: string
+ *           enum: [CREATE, UPDATE, DELETE, REVERT, RESTORE]
+ *         old_data:
+ *           type: object
+ *           description: The event before the change
+ *         new_data:
+ *           type: object
+ *           description: The event after the change
+ *         user_id:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/audit:
+ *   get:
+ *     summary: List an event's audit entries, newest first
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const entries = await EventService.getEventAuditHistory(req.params.id);
+    res.json({
+      success: true,
+      data: entries,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/audit/diff:
+ *   get:
+ *     summary: Compare the event as two audit entries left it
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Audit entry id
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Audit entry id
+ *     responses:
+ *       200:
+ *         description: Diff retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     event_id:
+ *                       type: integer
+ *                     from:
+ *                       type: object
+ *                     to:
+ *                       type: object
+ *                     changes:
+ *                       type: object
+ *                       description: "Changed fields as { field: { from, to } }"
+ *       404:
+ *         description: Audit entry not found for this event
+ */
+router.get(
+  "/diff",
+  validateSchema(eventAuditSchemas.auditDiff, "query"),
+  async (req, res, next) => {
+    try {
+      const diff = await EventService.getAuditDiff(
+        req.params.id,
+        req.query.from,
+        req.query.to
+      );
+      res.json({
+        success: true,
+        data: diff,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/audit/snapshot:
+ *   get:
+ *     summary: Reconstruct the event as it was at a point in time
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: at
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Snapshot retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     event:
+ *                       $ref: '#/components/schemas/Event'
+ *                     as_of:
+ *                       type: string
+ *                       format: date-time
+ *                     audit_entry:
+ *                       type: object
+ *                       description: Entry the snapshot comes from
+ *       404:
+ *         description: Event did not exist at that time
+ */
+router.get(
+  "/snapshot",
+  validateSchema(eventAuditSchemas.eventAt, "query"),
+  async (req, res, next) => {
+    try {
+      const snapshot = await EventService.getEventAt(
+        req.params.id,
+        req.query.at
+      );
+      res.json({
+        success: true,
+        data: snapshot,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/audit/{auditId}/revert:
+ *   post:
+ *     summary: Revert the event to how an audit entry left it
+ *     description: The revert is audited and can be reverted in turn. Status is not reverted; change it through /events/{id}/status.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: auditId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag of the version you last read; required unless the body has a version
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               version:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Event reverted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventResponse'
+ *       400:
+ *         description: No version sent, or the entry is a deletion
+ *       404:
+ *         description: Audit entry not found for this event
+ *       409:
+ *         description: Event changed since the version sent
+ */
+router.post(
+  "/:auditId/revert",
+  validateSchema(eventAuditSchemas.revertEvent),
+  requireVersion(),
+  async (req, res, next) => {
+    try {
+      const event = await EventService.revertEvent(
+        req.params.id,
+        req.params.auditId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.set("ETag", toEtag(event.version));
+      res.json({
+        success: true,
+        data: event,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,227 @@
+// src/routes/api/eventBudget.routes.js
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const budgetSchemas = require("../../schemas/budget.schema");
+const BudgetService = require("../../services/BudgetService");
+const { getRequestContext } = require("../../utils/requestContext");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BudgetTransaction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         event_id:
+ *           type: integer
+ *         transaction_type:
+ *           type: string
+ *           enum: [allocation, expense, adjustment]
+ *         amount:
+ *           type: number
+ *         currency:
+ *           type: string
+ *         exchange_rate:
+ *           type: number
+ *         transaction_date:
+ *           type: string
+ *           format: date
+ *         category:
+ *           type: string
+ *         description:
+ *           type: string
+ *         receipt_data:
+ *           type: object
+ *         is_over_budget:
+ *           type: boolean
+ *           description: Expense recorded past the budget with allowOverBudget
+ *         recorded_by:
+ *           type: integer
+ *     BudgetSummary:
+ *       type: object
+ *       properties:
+ *         event_id:
+ *           type: integer
+ *         cost_center:
+ *           type: string
+ *         budget_allocated:
+ *           type: number
+ *         cost_estimate:
+ *           type: number
+ *         actual_cost:
+ *           type: number
+ *           description: Expenses plus adjustments in the base currency
+ *         remaining:
+ *           type: number
+ *         is_over_budget:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/budget:
+ *   get:
+ *     summary: Get an event's budget and ledger
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [allocation, expense, adjustment]
+ *     responses:
+ *       200:
+ *         description: Budget retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/BudgetSummary'
+ *                     - type: object
+ *                       properties:
+ *                         transactions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/BudgetTransaction'
+ *       404:
+ *         description: Event not found
+ */
+router.get(
+  "/",
+  validateSchema(budgetSchemas.listTransactions, "query"),
+  async (req, res, next) => {
+    try {
+      const budget = await BudgetService.getBudget(req.params.id, req.query);
+      res.json({
+        success: true,
+        data: budget,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/budget/transactions:
+ *   post:
+ *     summary: Record an allocation, expense or adjustment
+ *     description: Allocations raise the budget; expenses and adjustments update actual_cost. Expenses past a non-zero budget are rejected unless allowOverBudget is set, which records them flagged.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - amount
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [allocation, expense, adjustment]
+ *               amount:
+ *                 type: number
+ *                 description: Positive, adjustments may be negative
+ *               currency:
+ *                 type: string
+ *                 example: USD
+ *               exchangeRate:
+ *                 type: number
+ *                 default: 1
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *               category:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *               receipt:
+ *                 type: object
+ *                 description: Receipt details, e.g. vendor, number, url
+ *               allowOverBudget:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Transaction recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/BudgetTransaction'
+ *                     - type: object
+ *                       properties:
+ *                         budget:
+ *                           $ref: '#/components/schemas/BudgetSummary'
+ *       400:
+ *         description: Invalid input or expense exceeds the budget
+ *       404:
+ *         description: Event not found
+ */
+router.post(
+  "/transactions",
+  validateSchema(budgetSchemas.recordTransaction),
+  async (req, res, next) => {
+    try {
+      const transaction = await BudgetService.recordTransaction(
+        req.params.id,
+        req.body,
+        getRequestContext(req)
+      );
+      res.status(201).json({
+        success: true,
+        data: transaction,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,297 @@
+// src/routes/api/eventChecklists.routes.js
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const checklistSchemas = require("../../schemas/checklist.schema");
+const ChecklistService = require("../../services/ChecklistService");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Checklist:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         event_id:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         is_required:
+ *           type: boolean
+ *           description: Required checklists must be done before an occurrence can be completed
+ *         order:
+ *           type: integer
+ *         checklist_items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ChecklistItem'
+ *     ChecklistItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         title:
+ *           type: string
+ *     ChecklistInput:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           maxLength: 255
+ *         isRequired:
+ *           type: boolean
+ *           default: true
+ *         order:
+ *           type: integer
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ChecklistItem'
+ *     ChecklistResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         data:
+ *           $ref: '#/components/schemas/Checklist'
+ */
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/checklists:
+ *   get:
+ *     summary: List the checklists of an event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checklists retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Checklist'
+ *       404:
+ *         description: Event not found
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const checklists = await ChecklistService.getChecklists(req.params.id);
+    res.json({
+      success: true,
+      data: checklists,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/checklists/{checklistId}:
+ *   get:
+ *     summary: Get a checklist of an event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: checklistId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checklist retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChecklistResponse'
+ *       404:
+ *         description: Event or checklist not found
+ */
+router.get("/:checklistId", async (req, res, next) => {
+  try {
+    const checklist = await ChecklistService.getChecklistById(
+      req.params.id,
+      req.params.checklistId
+    );
+    res.json({
+      success: true,
+      data: checklist,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/checklists:
+ *   post:
+ *     summary: Add a checklist to an event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChecklistInput'
+ *     responses:
+ *       201:
+ *         description: Checklist created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChecklistResponse'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Event not found
+ */
+router.post(
+  "/",
+  validateSchema(checklistSchemas.createChecklist),
+  async (req, res, next) => {
+    try {
+      const checklist = await ChecklistService.createChecklist(
+        req.params.id,
+        req.body
+      );
+      res.status(201).json({
+        success: true,
+        data: checklist,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/checklists/{checklistId}:
+ *   put:
+ *     summary: Update a checklist
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: checklistId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChecklistInput'
+ *     responses:
+ *       200:
+ *         description: Checklist updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChecklistResponse'
+ *       404:
+ *         description: Event or checklist not found
+ */
+router.put(
+  "/:checklistId",
+  validateSchema(checklistSchemas.updateChecklist),
+  async (req, res, next) => {
+    try {
+      const checklist = await ChecklistService.updateChecklist(
+        req.params.id,
+        req.params.checklistId,
+        req.body
+      );
+      res.json({
+        success: true,
+        data: checklist,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/checklists/{checklistId}:
+ *   delete:
+ *     summary: Delete a checklist
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: checklistId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checklist deleted
+ *       404:
+ *         description: Event or checklist not found
+ */
+router.delete("/:checklistId", async (req, res, next) => {
+  try {
+    await ChecklistService.deleteChecklist(
+      req.params.id,
+      req.params.checklistId
+    );
+    res.json({
+      success: true,
+      data: null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,236 @@
+// src/routes/api/eventDelegations.routes.js
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const delegationSchemas = require("../../schemas/delegation.schema");
+const DelegationService = require("../../services/DelegationService");
+const { getRequestContext } = require("../../utils/requestContext");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventDelegation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         event_id:
+ *           type: integer
+ *         original_user_id:
+ *           type: integer
+ *         delegated_to:
+ *           type: integer
+ *         delegated_by:
+ *           type: integer
+ *         start_date:
+ *           type: string
+ *           format: date
+ *         end_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         is_permanent:
+ *           type: boolean
+ *           description: Permanent delegations reassign the assignment
+ *         reason:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [active, revoked]
+ *         delegation_history:
+ *           type: array
+ *           items:
+ *             type: object
+ *     DelegationResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         data:
+ *           $ref: '#/components/schemas/EventDelegation'
+ */
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/delegations:
+ *   get:
+ *     summary: List the delegations of an event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delegations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EventDelegation'
+ *       404:
+ *         description: Event not found
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const delegations = await DelegationService.getDelegations(req.params.id);
+    res.json({
+      success: true,
+      data: delegations,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/delegations:
+ *   post:
+ *     summary: Delegate your assignment on an event to another user
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - delegatedTo
+ *             properties:
+ *               delegatedTo:
+ *                 type: integer
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Required for temporary delegations
+ *               isPermanent:
+ *                 type: boolean
+ *                 default: false
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Delegation created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DelegationResponse'
+ *       400:
+ *         description: Invalid input or overlapping delegation
+ *       403:
+ *         description: Assignment does not allow delegation or reassignment
+ *       404:
+ *         description: Event or user not found
+ */
+router.post(
+  "/",
+  validateSchema(delegationSchemas.createDelegation),
+  async (req, res, next) => {
+    try {
+      const delegation = await DelegationService.createDelegation(
+        req.params.id,
+        req.body,
+        getRequestContext(req)
+      );
+      res.status(201).json({
+        success: true,
+        data: delegation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/delegations/{delegationId}/revoke:
+ *   post:
+ *     summary: Revoke a temporary delegation
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: delegationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Delegation revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DelegationResponse'
+ *       400:
+ *         description: Delegation is permanent or no longer active
+ *       403:
+ *         description: Only the delegating user can revoke
+ *       404:
+ *         description: Delegation not found
+ */
+router.post(
+  "/:delegationId/revoke",
+  validateSchema(delegationSchemas.revokeDelegation),
+  async (req, res, next) => {
+    try {
+      const delegation = await DelegationService.revokeDelegation(
+        req.params.id,
+        req.params.delegationId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: delegation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
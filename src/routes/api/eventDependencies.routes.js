@@ -0,0 +1,213 @@
+// src/routes/api/eventDependencies.routes.js
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const dependencySchemas = require("../../schemas/dependency.schema");
+const DependencyService = require("../../services/DependencyService");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventDependency:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         event_id:
+ *           type: integer
+ *           description: Upstream event that must be done first
+ *         dependent_event_id:
+ *           type: integer
+ *           description: Downstream event that waits on event_id
+ *         dependency_type:
+ *           type: string
+ *           enum: [blocks, related]
+ *         is_mandatory:
+ *           type: boolean
+ *         dependency_rules:
+ *           type: object
+ *     DependencyGraphEntry:
+ *       allOf:
+ *         - $ref: '#/components/schemas/EventDependency'
+ *         - type: object
+ *           properties:
+ *             depth:
+ *               type: integer
+ *               description: Distance from the requested event
+ *             event:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 title:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/dependencies:
+ *   get:
+ *     summary: Get the upstream and downstream dependency graph of an event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dependency graph retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     upstream:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DependencyGraphEntry'
+ *                     downstream:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DependencyGraphEntry'
+ *       404:
+ *         description: Event not found
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const graph = await DependencyService.getDependencyGraph(req.params.id);
+    res.json({
+      success: true,
+      data: graph,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/dependencies:
+ *   post:
+ *     summary: Make an event depend on another event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Dependent (downstream) event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dependsOnEventId
+ *             properties:
+ *               dependsOnEventId:
+ *                 type: integer
+ *               dependencyType:
+ *                 type: string
+ *                 enum: [blocks, related]
+ *                 default: blocks
+ *               isMandatory:
+ *                 type: boolean
+ *                 default: true
+ *               rules:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: Dependency created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/EventDependency'
+ *       400:
+ *         description: Dependency already exists or would create a cycle
+ *       404:
+ *         description: Event not found
+ */
+router.post(
+  "/",
+  validateSchema(dependencySchemas.addDependency),
+  async (req, res, next) => {
+    try {
+      const dependency = await DependencyService.addDependency(
+        req.params.id,
+        req.body
+      );
+      res.status(201).json({
+        success: true,
+        data: dependency,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/dependencies/{dependencyId}:
+ *   delete:
+ *     summary: Remove a dependency
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: dependencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dependency removed
+ *       404:
+ *         description: Dependency not found
+ */
+router.delete("/:dependencyId", async (req, res, next) => {
+  try {
+    await DependencyService.removeDependency(
+      req.params.id,
+      req.params.dependencyId
+    );
+    res.json({
+      success: true,
+      data: null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+// src/routes/api/eventEscalations.routes.js
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const escalationSchemas = require("../../schemas/escalation.schema");
+const EscalationService = require("../../services/EscalationService");
+const { getRequestContext } = require("../../utils/requestContext");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventEscalation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         event_id:
+ *           type: integer
+ *         escalated_from:
+ *           type: integer
+ *           description: Assignee when the escalation happened
+ *         escalated_to:
+ *           type: integer
+ *           nullable: true
+ *           description: User the event was escalated to (null when admins were notified)
+ *         reason:
+ *           type: string
+ *           example: overdue
+ *         escalation_metadata:
+ *           type: object
+ *           properties:
+ *             level:
+ *               type: integer
+ *             action:
+ *               type: string
+ *               enum: [notify_assignee, reassign, notify_admin]
+ *             instance_id:
+ *               type: integer
+ *             recipients:
+ *               type: array
+ *               items:
+ *                 type: integer
+ *         resolved_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         resolution_notes:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/escalations:
+ *   get:
+ *     summary: List the escalations of an event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: open
+ *         schema:
+ *           type: boolean
+ *         description: Only unresolved escalations
+ *     responses:
+ *       200:
+ *         description: Escalations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EventEscalation'
+ *       404:
+ *         description: Event not found
+ */
+router.get(
+  "/",
+  validateSchema(escalationSchemas.listEscalations, "query"),
+  async (req, res, next) => {
+    try {
+      const escalations = await EscalationService.getEscalations(
+        req.params.id,
+        req.query
+      );
+      res.json({
+        success: true,
+        data: escalations,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/escalations/{escalationId}/resolve:
+ *   post:
+ *     summary: Resolve an escalation
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: escalationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Escalation resolved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/EventEscalation'
+ *       400:
+ *         description: Escalation is already resolved
+ *       404:
+ *         description: Event or escalation not found
+ */
+router.post(
+  "/:escalationId/resolve",
+  validateSchema(escalationSchemas.resolveEscalation),
+  async (req, res, next) => {
+    try {
+      const escalation = await EscalationService.resolveEscalation(
+        req.params.id,
+        req.params.escalationId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: escalation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
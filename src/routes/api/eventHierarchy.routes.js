@@ -0,0 +1,324 @@
+// src/routes/api/eventHierarchy.routes.js
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const {
+  requireVersion,
+} = require("../../middleware/validation/versionPrecondition");
+const eventHierarchySchemas = require("../../schemas/eventHierarchy.schema");
+const EventService = require("../../services/EventService");
+const { getRequestContext } = require("../../utils/requestContext");
+const { toEtag } = require("../../utils/revisions");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventTree:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Event'
+ *         - type: object
+ *           properties:
+ *             depth:
+ *               type: integer
+ *               description: Levels below the requested event
+ *             children:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EventTree'
+ */
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/hierarchy:
+ *   get:
+ *     summary: Get an event with its descendants as a tree
+ *     description: Deleted events and their descendants are left out
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: depth
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 50
+ *           default: 10
+ *         description: Levels of descendants to include
+ *     responses:
+ *       200:
+ *         description: Hierarchy retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/EventTree'
+ *       404:
+ *         description: Event not found
+ */
+router.get(
+  "/",
+  validateSchema(eventHierarchySchemas.getHierarchy, "query"),
+  async (req, res, next) => {
+    try {
+      const hierarchy = await EventService.getEventHierarchy(
+        req.params.id,
+        req.query
+      );
+      res.json({
+        success: true,
+        data: hierarchy,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/hierarchy/move:
+ *   post:
+ *     summary: Move an event under another parent
+ *     description: Descendants move along. Moving an event under itself or one of its descendants is rejected.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag of the version you last read; required unless the body has a version
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - parentId
+ *             properties:
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: New parent, or null for the top level
+ *               version:
+ *                 type: integer
+ *                 description: Version you last read, instead of If-Match
+ *     responses:
+ *       200:
+ *         description: Event moved; the ETag header holds the new version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventResponse'
+ *       400:
+ *         description: Invalid input, no version sent, or a move into the event's own subtree (BUS001, rule HIERARCHY_CYCLE)
+ *       404:
+ *         description: Event or parent not found
+ *       409:
+ *         description: Event changed since the version sent (BUS004)
+ */
+router.post(
+  "/move",
+  validateSchema(eventHierarchySchemas.moveEvent),
+  requireVersion(),
+  async (req, res, next) => {
+    try {
+      const event = await EventService.moveEvent(
+        req.params.id,
+        req.body,
+        getRequestContext(req)
+      );
+      res.set("ETag", toEtag(event.version));
+      res.json({
+        success: true,
+        data: event,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/hierarchy/copy:
+ *   post:
+ *     summary: Copy an event and its descendants
+ *     description: Copies start in the initial status with a fresh history. Deleted descendants are not copied.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Parent of the copy; the event's own parent by default
+ *               title:
+ *                 type: string
+ *                 maxLength: 255
+ *                 description: Title of the copy; the event's by default
+ *               includeDescendants:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Event copied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     event:
+ *                       $ref: '#/components/schemas/Event'
+ *                     copied:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           source_id:
+ *                             type: integer
+ *                           id:
+ *                             type: integer
+ *       404:
+ *         description: Event or parent not found
+ */
+router.post(
+  "/copy",
+  validateSchema(eventHierarchySchemas.copyEvent),
+  async (req, res, next) => {
+    try {
+      const result = await EventService.copyEvent(
+        req.params.id,
+        req.body,
+        getRequestContext(req)
+      );
+      res.status(201).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/hierarchy/status:
+ *   post:
+ *     summary: Change the status of an event and its descendants
+ *     description: Each event goes through the state machine; events already in the status or that the transition does not apply to are skipped and listed with the reason
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 example: cancelled
+ *               action:
+ *                 type: string
+ *                 example: reopen
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Statuses changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                     skipped:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           status:
+ *                             type: string
+ *                           reason:
+ *                             type: string
+ *       404:
+ *         description: Event not found
+ */
+router.post(
+  "/status",
+  validateSchema(eventHierarchySchemas.updateSubtreeStatus),
+  async (req, res, next) => {
+    try {
+      const result = await EventService.updateSubtreeStatus(
+        req.params.id,
+        req.body,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
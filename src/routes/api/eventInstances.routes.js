@@ -0,0 +1,927 @@
+// src/routes/api/eventInstances.routes.js
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const eventInstanceSchemas = require("../../schemas/eventInstance.schema");
+const EventInstanceService = require("../../services/EventInstanceService");
+const ApprovalService = require("../../services/ApprovalService");
+const VerificationService = require("../../services/VerificationService");
+const ChecklistService = require("../../services/ChecklistService");
+const checklistSchemas = require("../../schemas/checklist.schema");
+const { uploadImage } = require("../../middleware/upload");
+const { getRequestContext } = require("../../utils/requestContext");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventInstance:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         event_id:
+ *           type: integer
+ *         start_date:
+ *           type: string
+ *           format: date
+ *         start_time:
+ *           type: string
+ *           example: "12:00:00"
+ *         status:
+ *           type: string
+ *           example: active
+ *         completion_status:
+ *           type: string
+ *           enum: [pending, pending_approval, completed, late, skipped]
+ *         completed_by:
+ *           type: integer
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *         completion_notes:
+ *           type: string
+ *         actual_duration:
+ *           type: integer
+ *           description: Minutes spent on the occurrence
+ *         skipped:
+ *           type: boolean
+ *         skip_reason:
+ *           type: string
+ *         modified_history:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               action:
+ *                 type: string
+ *                 example: completed
+ *               by:
+ *                 type: integer
+ *     EventApproval:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         instance_id:
+ *           type: integer
+ *         approver_id:
+ *           type: integer
+ *         level:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *         notes:
+ *           type: string
+ *         responded_at:
+ *           type: string
+ *           format: date-time
+ *     EventVerification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         instance_id:
+ *           type: integer
+ *         submitted_by:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, rejected]
+ *         notes:
+ *           type: string
+ *         photo_data:
+ *           type: object
+ *           properties:
+ *             file_name:
+ *               type: string
+ *             sha256:
+ *               type: string
+ *             exif_timestamp:
+ *               type: string
+ *               format: date-time
+ *         location_data:
+ *           type: object
+ *           properties:
+ *             coordinates:
+ *               type: object
+ *             distance_meters:
+ *               type: integer
+ *             within_geofence:
+ *               type: boolean
+ *         verified_by:
+ *           type: integer
+ *         verified_at:
+ *           type: string
+ *           format: date-time
+ *     VerificationResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         data:
+ *           $ref: '#/components/schemas/EventVerification'
+ *     ApprovalResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         data:
+ *           type: object
+ *           properties:
+ *             approval:
+ *               $ref: '#/components/schemas/EventApproval'
+ *             instance:
+ *               $ref: '#/components/schemas/EventInstance'
+ *     EventInstanceResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         data:
+ *           $ref: '#/components/schemas/EventInstance'
+ */
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/instances:
+ *   get:
+ *     summary: List occurrences of an event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: completionStatus
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Occurrences retrieved successfully
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/",
+  validateSchema(eventInstanceSchemas.listInstances, "query"),
+  async (req, res, next) => {
+    try {
+      const instances = await EventInstanceService.getInstances(
+        req.params.id,
+        req.query
+      );
+      res.json({
+        success: true,
+        data: instances.data,
+        metadata: {
+          pagination: instances.pagination,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/instances/{instanceId}:
+ *   get:
+ *     summary: Get an occurrence of an event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: instanceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Occurrence retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventInstanceResponse'
+ *       404:
+ *         description: Event or occurrence not found
+ */
+router.get("/:instanceId", async (req, res, next) => {
+  try {
+    const instance = await EventInstanceService.getInstanceById(
+      req.params.id,
+      req.params.instanceId
+    );
+    res.json({
+      success: true,
+      data: instance,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/instances/{instanceId}/complete:
+ *   post:
+ *     summary: Mark an occurrence as completed
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: instanceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *               actualDuration:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Minutes spent
+ *     responses:
+ *       200:
+ *         description: Occurrence completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventInstanceResponse'
+ *       400:
+ *         description: Occurrence already completed or skipped
+ *       404:
+ *         description: Event or occurrence not found
+ */
+router.post(
+  "/:instanceId/complete",
+  validateSchema(eventInstanceSchemas.completeInstance),
+  async (req, res, next) => {
+    try {
+      const instance = await EventInstanceService.completeInstance(
+        req.params.id,
+        req.params.instanceId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: instance,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/instances/{instanceId}/skip:
+ *   post:
+ *     summary: Skip an occurrence
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: instanceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Occurrence skipped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventInstanceResponse'
+ *       400:
+ *         description: Occurrence already completed or skipped
+ *       404:
+ *         description: Event or occurrence not found
+ */
+router.post(
+  "/:instanceId/skip",
+  validateSchema(eventInstanceSchemas.skipInstance),
+  async (req, res, next) => {
+    try {
+      const instance = await EventInstanceService.skipInstance(
+        req.params.id,
+        req.params.instanceId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: instance,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/instances/{instanceId}/undo:
+ *   post:
+ *     summary: Undo the completion of an occurrence
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: instanceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Occurrence reverted to pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventInstanceResponse'
+ *       400:
+ *         description: Occurrence is not completed
+ *       404:
+ *         description: Event or occurrence not found
+ */
+router.post("/:instanceId/undo", async (req, res, next) => {
+  try {
+    const instance = await EventInstanceService.undoCompletion(
+      req.params.id,
+      req.params.instanceId,
+      getRequestContext(req)
+    );
+    res.json({
+      success: true,
+      data: instance,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/instances/{instanceId}/approvals:
+ *   get:
+ *     summary: List approval requests of an occurrence
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: instanceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Approval requests retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EventApproval'
+ *       404:
+ *         description: Event or occurrence not found
+ */
+router.get("/:instanceId/approvals", async (req, res, next) => {
+  try {
+    const approvals = await ApprovalService.getApprovals(
+      req.params.id,
+      req.params.instanceId
+    );
+    res.json({
+      success: true,
+      data: approvals,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/instances/{instanceId}/approve:
+ *   post:
+ *     summary: Approve a completed occurrence
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: instanceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Approval recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApprovalResponse'
+ *       400:
+ *         description: Occurrence is not awaiting approval
+ *       403:
+ *         description: User has no pending approval for this occurrence
+ */
+router.post(
+  "/:instanceId/approve",
+  validateSchema(eventInstanceSchemas.approveInstance),
+  async (req, res, next) => {
+    try {
+      const result = await ApprovalService.approve(
+        req.params.id,
+        req.params.instanceId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/instances/{instanceId}/reject:
+ *   post:
+ *     summary: Reject a completed occurrence
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: instanceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notes
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Rejection recorded, occurrence reverted to pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApprovalResponse'
+ *       400:
+ *         description: Occurrence is not awaiting approval
+ *       403:
+ *         description: User has no pending approval for this occurrence
+ */
+router.post(
+  "/:instanceId/reject",
+  validateSchema(eventInstanceSchemas.rejectInstance),
+  async (req, res, next) => {
+    try {
+      const result = await ApprovalService.reject(
+        req.params.id,
+        req.params.instanceId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/instances/{instanceId}/verifications:
+ *   get:
+ *     summary: List verification submissions of an occurrence
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: instanceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Verifications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EventVerification'
+ *       404:
+ *         description: Event or occurrence not found
+ */
+router.get("/:instanceId/verifications", async (req, res, next) => {
+  try {
+    const verifications = await VerificationService.getVerifications(
+      req.params.id,
+      req.params.instanceId
+    );
+    res.json({
+      success: true,
+      data: verifications,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/instances/{instanceId}/verifications:
+ *   post:
+ *     summary: Submit photo and location evidence for an occurrence
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: instanceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               accuracy:
+ *                 type: number
+ *                 description: GPS accuracy in meters
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Verification submitted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VerificationResponse'
+ *       400:
+ *         description: Missing evidence or coordinates outside the geofence
+ *       404:
+ *         description: Event or occurrence not found
+ */
+router.post(
+  "/:instanceId/verifications",
+  uploadImage("photo"),
+  validateSchema(eventInstanceSchemas.submitVerification),
+  async (req, res, next) => {
+    try {
+      const verification = await VerificationService.submitVerification(
+        req.params.id,
+        req.params.instanceId,
+        req.body,
+        req.file,
+        getRequestContext(req)
+      );
+      res.status(201).json({
+        success: true,
+        data: verification,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/instances/{instanceId}/verifications/{verificationId}/{decision}:
+ *   post:
+ *     summary: Accept or reject a verification submission
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: instanceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: verificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: decision
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [accept, reject]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Verification reviewed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VerificationResponse'
+ *       400:
+ *         description: Verification already reviewed
+ *       403:
+ *         description: Users cannot review their own verification
+ */
+router.post(
+  "/:instanceId/verifications/:verificationId/:decision(accept|reject)",
+  validateSchema(eventInstanceSchemas.reviewVerification),
+  async (req, res, next) => {
+    try {
+      const verification = await VerificationService.reviewVerification(
+        req.params.id,
+        req.params.instanceId,
+        req.params.verificationId,
+        req.params.decision === "accept" ? "accepted" : "rejected",
+        req.body,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: verification,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/instances/{instanceId}/checklists:
+ *   get:
+ *     summary: Get an occurrence's checklists with tick-off state
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: instanceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checklists with the completion of every item
+ *       404:
+ *         description: Event or occurrence not found
+ */
+router.get("/:instanceId/checklists", async (req, res, next) => {
+  try {
+    const checklists = await ChecklistService.getInstanceChecklists(
+      req.params.id,
+      req.params.instanceId
+    );
+    res.json({
+      success: true,
+      data: checklists,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/instances/{instanceId}/checklists/{checklistId}/items/{itemId}:
+ *   put:
+ *     summary: Tick off or clear a checklist item for an occurrence
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: instanceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: checklistId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - completed
+ *             properties:
+ *               completed:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Checklist with its updated state
+ *       400:
+ *         description: Occurrence is no longer pending
+ *       404:
+ *         description: Event, occurrence, checklist or item not found
+ */
+router.put(
+  "/:instanceId/checklists/:checklistId/items/:itemId",
+  validateSchema(checklistSchemas.setItemState),
+  async (req, res, next) => {
+    try {
+      const checklist = await ChecklistService.setItemState(
+        req.params.id,
+        req.params.instanceId,
+        req.params.checklistId,
+        req.params.itemId,
+        req.body.completed,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: checklist,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,210 @@
+// src/routes/api/eventRisk.routes.js
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const riskSchemas = require("../../schemas/risk.schema");
+const RiskService = require("../../services/RiskService");
+const { getRequestContext } = require("../../utils/requestContext");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RiskFactor:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: height
+ *         likelihood:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         impact:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         notes:
+ *           type: string
+ *         weight:
+ *           type: number
+ *           readOnly: true
+ *         score:
+ *           type: number
+ *           readOnly: true
+ *           description: likelihood x impact x weight
+ *     RiskAssessment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         event_id:
+ *           type: integer
+ *         risk_level:
+ *           type: string
+ *           enum: [low, medium, high, critical]
+ *         risk_score:
+ *           type: integer
+ *         risk_factors:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/RiskFactor'
+ *         assessed_by:
+ *           type: integer
+ *         assessed_at:
+ *           type: string
+ *           format: date-time
+ *         assessment_notes:
+ *           type: string
+ *         mitigation_updates:
+ *           type: object
+ */
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/risk:
+ *   get:
+ *     summary: Get an event's risk assessment and history
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Risk assessment retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     event_id:
+ *                       type: integer
+ *                     risk_level:
+ *                       type: string
+ *                     risk_score:
+ *                       type: integer
+ *                     risk_factors:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RiskFactor'
+ *                     risk_mitigation_plan:
+ *                       type: string
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RiskAssessment'
+ *       404:
+ *         description: Event not found
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const assessment = await RiskService.getRiskAssessment(req.params.id);
+    res.json({
+      success: true,
+      data: assessment,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/risk:
+ *   post:
+ *     summary: Submit a risk assessment
+ *     description: Scores the factors with the configured risk model and sets the event's risk_score and risk_level
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - factors
+ *             properties:
+ *               factors:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required: [name, likelihood, impact]
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     likelihood:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 5
+ *                     impact:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 5
+ *                     notes:
+ *                       type: string
+ *               mitigationPlan:
+ *                 type: string
+ *                 maxLength: 5000
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Assessment recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/RiskAssessment'
+ *       400:
+ *         description: Invalid or duplicate factors
+ *       404:
+ *         description: Event not found
+ */
+router.post(
+  "/",
+  validateSchema(riskSchemas.assessRisk),
+  async (req, res, next) => {
+    try {
+      const assessment = await RiskService.assessRisk(
+        req.params.id,
+        req.body,
+        getRequestContext(req)
+      );
+      res.status(201).json({
+        success: true,
+        data: assessment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,165 @@
+// src/routes/api/eventStatus.routes.js
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const eventStatusSchemas = require("../../schemas/eventStatus.schema");
+const EventStatusService = require("../../services/EventStatusService");
+const { getRequestContext } = require("../../utils/requestContext");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StatusTransition:
+ *       type: object
+ *       properties:
+ *         from:
+ *           type: string
+ *         to:
+ *           type: string
+ *         action:
+ *           type: string
+ *           description: Named action used, e.g. reopen
+ *         reason:
+ *           type: string
+ *         changed_by:
+ *           type: integer
+ *         changed_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/status:
+ *   get:
+ *     summary: Get an event's status, available transitions and history
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     event_id:
+ *                       type: integer
+ *                     status:
+ *                       type: string
+ *                     previous_status:
+ *                       type: string
+ *                     status_changed_at:
+ *                       type: string
+ *                       format: date-time
+ *                     status_changed_by:
+ *                       type: integer
+ *                     available_transitions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           status:
+ *                             type: string
+ *                           action:
+ *                             type: string
+ *                             nullable: true
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/StatusTransition'
+ *       404:
+ *         description: Event not found
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const status = await EventStatusService.getStatus(req.params.id);
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/status:
+ *   post:
+ *     summary: Change an event's status
+ *     description: Moves to a status the state machine allows, or takes a named action such as reopen for completed and cancelled events
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 example: in-progress
+ *               action:
+ *                 type: string
+ *                 example: reopen
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventResponse'
+ *       400:
+ *         description: Transition not allowed (VAL004)
+ *       404:
+ *         description: Event not found
+ */
+router.post(
+  "/",
+  validateSchema(eventStatusSchemas.transitionStatus),
+  async (req, res, next) => {
+    try {
+      const event = await EventStatusService.transitionStatus(
+        req.params.id,
+        req.body,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: event,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
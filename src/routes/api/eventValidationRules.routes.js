@@ -0,0 +1,288 @@
+// src/routes/api/eventValidationRules.routes.js
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const validationRuleSchemas = require("../../schemas/validationRule.schema");
+const ValidationRuleService = require("../../services/ValidationRuleService");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ValidationRule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         event_id:
+ *           type: integer
+ *         rule_type:
+ *           type: string
+ *           enum: [required_field, numeric_range, date_window, regex, expression]
+ *         rule_name:
+ *           type: string
+ *         rule_configuration:
+ *           type: object
+ *           description: Type-specific settings, plus an optional "on" list of phases (create, update, complete)
+ *           example:
+ *             field: instance.actual_duration
+ *             max: 60
+ *             on: [complete]
+ *         error_message:
+ *           type: string
+ *         validation_order:
+ *           type: integer
+ *         is_active:
+ *           type: boolean
+ *     ValidationRuleRequest:
+ *       type: object
+ *       properties:
+ *         ruleType:
+ *           type: string
+ *           enum: [required_field, numeric_range, date_window, regex, expression]
+ *         ruleName:
+ *           type: string
+ *           maxLength: 255
+ *         configuration:
+ *           type: object
+ *         errorMessage:
+ *           type: string
+ *           maxLength: 1000
+ *         order:
+ *           type: integer
+ *           minimum: 0
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/validation-rules:
+ *   get:
+ *     summary: List an event's validation rules in evaluation order
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ValidationRule'
+ *       404:
+ *         description: Event not found
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const rules = await ValidationRuleService.getRules(req.params.id);
+    res.json({
+      success: true,
+      data: rules,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/validation-rules/results:
+ *   get:
+ *     summary: List recorded rule results for an event's instances, newest first
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: instanceId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Results retrieved successfully
+ *       404:
+ *         description: Event not found
+ */
+router.get(
+  "/results",
+  validateSchema(validationRuleSchemas.listResults, "query"),
+  async (req, res, next) => {
+    try {
+      const results = await ValidationRuleService.getResults(
+        req.params.id,
+        req.query
+      );
+      res.json({
+        success: true,
+        data: results,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/validation-rules:
+ *   post:
+ *     summary: Add a validation rule
+ *     description: Rules run when the event is created or updated and when an occurrence is completed
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ValidationRuleRequest'
+ *               - required: [ruleType, ruleName, configuration]
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *       400:
+ *         description: Invalid rule definition
+ *       404:
+ *         description: Event not found
+ */
+router.post(
+  "/",
+  validateSchema(validationRuleSchemas.createRule),
+  async (req, res, next) => {
+    try {
+      const rule = await ValidationRuleService.createRule(
+        req.params.id,
+        req.body
+      );
+      res.status(201).json({
+        success: true,
+        data: rule,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/validation-rules/{ruleId}:
+ *   put:
+ *     summary: Update a validation rule
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ValidationRuleRequest'
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *       400:
+ *         description: Invalid rule definition
+ *       404:
+ *         description: Event or rule not found
+ */
+router.put(
+  "/:ruleId",
+  validateSchema(validationRuleSchemas.updateRule),
+  async (req, res, next) => {
+    try {
+      const rule = await ValidationRuleService.updateRule(
+        req.params.id,
+        req.params.ruleId,
+        req.body
+      );
+      res.json({
+        success: true,
+        data: rule,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/validation-rules/{ruleId}:
+ *   delete:
+ *     summary: Delete a validation rule
+ *     description: Results already recorded for the rule are kept
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       404:
+ *         description: Event or rule not found
+ */
+router.delete("/:ruleId", async (req, res, next) => {
+  try {
+    await ValidationRuleService.deleteRule(req.params.id, req.params.ruleId);
+    res.json({
+      success: true,
+      data: null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -5,11 +5,28 @@ const router = express.Router();
 const {
   validateSchema,
 } = require("../../middleware/validation/schemaValidator");
+const {
+  requireVersion,
+} = require("../../middleware/validation/versionPrecondition");
 const eventSchemas = require("../../schemas/event.schema");
-const EventController = require("../../controllers/event.controller");
-
-// Initialize controller
-const eventController = new EventController();
+const eventInstanceSchemas = require("../../schemas/eventInstance.schema");
+const EventInstanceService = require("../../services/EventInstanceService");
+const EventService = require("../../services/EventService");
+const TemplateService = require("../../services/TemplateService");
+const { toEtag } = require("../../utils/revisions");
+const { getRequestContext } = require("../../utils/requestContext");
+const eventInstanceRoutes = require("./eventInstances.routes");
+const eventChecklistRoutes = require("./eventChecklists.routes");
+const eventDependencyRoutes = require("./eventDependencies.routes");
+const eventEscalationRoutes = require("./eventEscalations.routes");
+const eventDelegationRoutes = require("./eventDelegations.routes");
+const eventAssignmentRoutes = require("./eventAssignments.routes");
+const eventBudgetRoutes = require("./eventBudget.routes");
+const eventRiskRoutes = require("./eventRisk.routes");
+const eventValidationRuleRoutes = require("./eventValidationRules.routes");
+const eventStatusRoutes = require("./eventStatus.routes");
+const eventAuditRoutes = require("./eventAudit.routes");
+const eventHierarchyRoutes = require("./eventHierarchy.routes");
 
 /**
  * @swagger
@@ -50,10 +67,132 @@ const eventController = new EventController();
  *           type: string
  *           enum: [scheduled, in-progress, completed, cancelled]
  *           default: scheduled
- *           description: Current status of the event
+ *           description: Current status of the event; changes must follow the status state machine (see /events/{id}/status)
+ *         previous_status:
+ *           type: string
+ *           readOnly: true
+ *         status_changed_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         status_changed_by:
+ *           type: integer
+ *           readOnly: true
+ *         version:
+ *           type: integer
+ *           readOnly: true
+ *           description: Bumped by every update; also sent as the ETag header
+ *         revision_history:
+ *           type: array
+ *           readOnly: true
+ *           description: Recent revisions with the fields each changed
+ *           items:
+ *             type: object
  *         metadata:
  *           type: object
  *           description: Additional event data
+ *         recurrenceRule:
+ *           type: string
+ *           maxLength: 500
+ *           example: FREQ=WEEKLY;INTERVAL=2;BYDAY=SA;BYMONTH=4,5,6,7,8,9,10
+ *           description: RFC 5545 RRULE (FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH, BYSETPOS, WKST)
+ *         recurrenceExdates:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: date
+ *           description: Dates excluded from the recurrence (EXDATE)
+ *         allowEarlyCompletion:
+ *           type: boolean
+ *           default: true
+ *         allowLateCompletion:
+ *           type: boolean
+ *           default: true
+ *         gracePeriod:
+ *           type: integer
+ *           description: Minutes after the due time an occurrence may still be completed
+ *         minDuration:
+ *           type: integer
+ *           description: Minimum minutes a completion must report
+ *         maxDuration:
+ *           type: integer
+ *           description: Maximum minutes a completion may report
+ *         requiresApproval:
+ *           type: boolean
+ *           default: false
+ *         approvalLevel:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           description: Number of approval levels
+ *         approvalType:
+ *           type: string
+ *           enum: [single, all, any-of-group]
+ *         approverGroupId:
+ *           type: integer
+ *         approvalChain:
+ *           type: array
+ *           items:
+ *             type: array
+ *             items:
+ *               type: integer
+ *           description: Approver user ids per level
+ *         assignedGroupId:
+ *           type: integer
+ *           description: Group any member of which may do the work
+ *         assignmentMode:
+ *           type: string
+ *           enum: [fixed, rotation]
+ *           default: fixed
+ *           description: Rotation cycles the assignee role assignments across generated occurrences
+ *         escalationThresholdMinutes:
+ *           type: integer
+ *           description: Minutes an occurrence may be overdue before each escalation step
+ *         escalationRules:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [notify_assignee, reassign, notify_admin]
+ *               userId:
+ *                 type: integer
+ *                 description: Reassignment target (defaults to the assigner)
+ *           description: Escalation chain, defaults to notify assignee, reassign, notify admins
+ *         costCenter:
+ *           type: string
+ *           description: Spending area the event's budget rolls up to
+ *         costEstimate:
+ *           type: number
+ *         validationRules:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               rule_type:
+ *                 type: string
+ *                 enum: [required_field, numeric_range, date_window, regex, expression]
+ *               rule_name:
+ *                 type: string
+ *               rule_configuration:
+ *                 type: object
+ *               error_message:
+ *                 type: string
+ *           description: Inline rules checked with the event's validation rules
+ *         acceptanceCriteria:
+ *           type: array
+ *           items:
+ *             type: object
+ *           description: Rules an occurrence must meet to be completed, shaped like validationRules
+ *         budgetAllocated:
+ *           type: number
+ *           readOnly: true
+ *           description: Sum of budget allocations
+ *         actualCost:
+ *           type: number
+ *           readOnly: true
+ *           description: Expenses plus adjustments from the budget ledger
  *         userId:
  *           type: string
  *           description: ID of the user who created the event
@@ -132,6 +271,27 @@ const eventController = new EventController();
  *           type: string
  *           enum: [scheduled, in-progress, completed, cancelled]
  *         description: Filter by event status
+ *       - in: query
+ *         name: riskLevel
+ *         schema:
+ *           type: string
+ *           example: high,critical
+ *         description: Filter by risk level (comma-separated for several)
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *         description: Filter by location, including locations nested in it
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: integer
+ *         description: Filter by category, including categories nested in it
+ *       - in: query
+ *         name: assignedGroupId
+ *         schema:
+ *           type: integer
+ *         description: Filter by the group events are assigned to
  *     responses:
  *       200:
  *         description: List of events retrieved successfully
@@ -146,25 +306,191 @@ const eventController = new EventController();
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/", async (req, res, next) => {
-  try {
-    const { page = 1, limit = 10, ...filters } = req.query;
-    const events = await eventController.list(
-      parseInt(page),
-      parseInt(limit),
-      filters
-    );
-    res.json({
-      success: true,
-      data: events.data,
-      metadata: {
-        pagination: events.pagination,
-      },
-    });
-  } catch (error) {
-    next(error);
+router.get(
+  "/",
+  validateSchema(eventSchemas.listEvents, "query"),
+  async (req, res, next) => {
+    try {
+      const events = await EventService.getEvents(req.query);
+      res.json({
+        success: true,
+        data: events.data,
+        metadata: {
+          pagination: events.pagination,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
+
+/**
+ * @swagger
+ * /api/v1/events/occurrences:
+ *   get:
+ *     summary: List occurrences a user is responsible for across events
+ *     description: Includes events assigned to the user's groups and work delegated to the user during the delegation window, and leaves out work they have delegated away.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: Defaults to the current user
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: completionStatus
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Occurrences retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/EventInstance'
+ *                       - type: object
+ *                         properties:
+ *                           delegated_from:
+ *                             type: integer
+ *                             nullable: true
+ *                             description: Original assignee when the occurrence is delegated work
+ *                 metadata:
+ *                   type: object
+ *                   properties:
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ */
+router.get(
+  "/occurrences",
+  validateSchema(eventInstanceSchemas.listAssignedInstances, "query"),
+  async (req, res, next) => {
+    try {
+      const { userId = req.user?.userId, ...options } = req.query;
+      const instances = await EventInstanceService.getAssignedInstances(
+        userId,
+        options
+      );
+      res.json({
+        success: true,
+        data: instances.data,
+        metadata: {
+          pagination: instances.pagination,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/trash:
+ *   get:
+ *     summary: List deleted events
+ *     description: Events deleted directly, newest first. Descendants deleted along with an event are counted, not listed, and come back when it is restored. Trashed events are purged once their retention period has passed, unless under legal hold.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Trash retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Event'
+ *                       - type: object
+ *                         properties:
+ *                           deleted_at:
+ *                             type: string
+ *                             format: date-time
+ *                           deleted_by:
+ *                             type: integer
+ *                             nullable: true
+ *                           purge_at:
+ *                             type: string
+ *                             format: date-time
+ *                             description: When the event is permanently deleted, unless under legal hold
+ *                           descendant_count:
+ *                             type: integer
+ *                             description: Descendants deleted along with the event
+ *                 metadata:
+ *                   type: object
+ *                   properties:
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ */
+router.get(
+  "/trash",
+  validateSchema(eventSchemas.listTrash, "query"),
+  async (req, res, next) => {
+    try {
+      const trash = await EventService.getTrash(req.query);
+      res.json({
+        success: true,
+        data: trash.data,
+        metadata: {
+          pagination: trash.pagination,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 /**
  * @swagger
@@ -197,7 +523,8 @@ router.get("/", async (req, res, next) => {
  */
 router.get("/:id", async (req, res, next) => {
   try {
-    const event = await eventController.getById(req.params.id);
+    const event = await EventService.getEventById(req.params.id);
+    res.set("ETag", toEtag(event.version));
     res.json({
       success: true,
       data: event,
@@ -271,7 +598,10 @@ router.post(
   validateSchema(eventSchemas.createEvent),
   async (req, res, next) => {
     try {
-      const event = await eventController.create(req.body);
+      const event = await EventService.createEvent({
+        ...req.body,
+        user_id: getRequestContext(req).userId,
+      });
       res.status(201).json({
         success: true,
         data: event,
@@ -287,6 +617,7 @@ router.post(
  * /api/v1/events/{id}:
  *   put:
  *     summary: Update an event
+ *     description: Send the version you last read. Updates to an event changed since are rejected with 409 and what changed.
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
@@ -297,6 +628,11 @@ router.post(
  *         schema:
  *           type: string
  *         description: Event ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag of the version you last read; required unless the body has a version
  *     requestBody:
  *       required: true
  *       content:
@@ -327,26 +663,38 @@ router.post(
  *                 type: object
  *               instanceId:
  *                 type: string
+ *               version:
+ *                 type: integer
+ *                 description: Version you last read, instead of If-Match
  *     responses:
  *       200:
- *         description: Event updated successfully
+ *         description: Event updated successfully; the ETag header holds the new version
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/EventResponse'
+ *       400:
+ *         description: Invalid input or no version sent
  *       404:
  *         description: Event not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Event changed since the version sent (BUS004); details list what changed
  */
 router.put(
   "/:id",
   validateSchema(eventSchemas.updateEvent),
+  requireVersion(),
   async (req, res, next) => {
     try {
-      const event = await eventController.update(req.params.id, req.body);
+      const event = await EventService.updateEvent(req.params.id, {
+        ...req.body,
+        user_id: getRequestContext(req).userId,
+      });
+      res.set("ETag", toEtag(event.version));
       res.json({
         success: true,
         data: event,
@@ -362,6 +710,7 @@ router.put(
  * /api/v1/events/{id}:
  *   delete:
  *     summary: Delete an event
+ *     description: Moves the event and its descendants to the trash, from where they can be restored until purged. With permanent=true they are deleted for good, which also works on trashed events and is refused while any of them is under legal hold.
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
@@ -372,6 +721,12 @@ router.put(
  *         schema:
  *           type: string
  *         description: Event ID
+ *       - in: query
+ *         name: permanent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Delete for good instead of moving to the trash
  *     responses:
  *       200:
  *         description: Event deleted successfully
@@ -384,24 +739,165 @@ router.put(
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   type: null
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     permanent:
+ *                       type: boolean
+ *                     deleted:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       description: Ids of the event and the descendants deleted with it
  *       404:
  *         description: Event not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       400:
+ *         description: Permanent deletion of events under legal hold (BUS001, rule LEGAL_HOLD)
+ */
+router.delete(
+  "/:id",
+  validateSchema(eventSchemas.deleteEvent, "query"),
+  async (req, res, next) => {
+    try {
+      const result = await EventService.deleteEvent(
+        req.params.id,
+        req.query,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/events/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted event
+ *     description: Takes the event out of the trash with the descendants deleted along with it. The parent, if any, must be restored first.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Event restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventResponse'
+ *       404:
+ *         description: Event not in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       400:
+ *         description: Parent event is deleted (BUS001, rule PARENT_DELETED)
  */
-router.delete("/:id", async (req, res, next) => {
+router.post("/:id/restore", async (req, res, next) => {
   try {
-    await eventController.delete(req.params.id);
+    const event = await EventService.restoreEvent(
+      req.params.id,
+      getRequestContext(req)
+    );
+    res.set("ETag", toEtag(event.version));
     res.json({
       success: true,
-      data: null,
+      data: event,
     });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/events/{id}/template:
+ *   get:
+ *     summary: Get the template an event was created from
+ *     description: Reports whether the template has a newer version than the event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Template status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     event_id:
+ *                       type: integer
+ *                     template_id:
+ *                       type: integer
+ *                     template_name:
+ *                       type: string
+ *                     template_active:
+ *                       type: boolean
+ *                     template_version:
+ *                       type: integer
+ *                       description: Version the event was created from
+ *                     latest_version:
+ *                       type: integer
+ *                     is_outdated:
+ *                       type: boolean
+ *       404:
+ *         description: Event not found or not created from a template
+ */
+router.get("/:id/template", async (req, res, next) => {
+  try {
+    const status = await TemplateService.getEventTemplateStatus(req.params.id);
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Event sub-resources
+router.use("/:id/instances", eventInstanceRoutes);
+router.use("/:id/checklists", eventChecklistRoutes);
+router.use("/:id/dependencies", eventDependencyRoutes);
+router.use("/:id/escalations", eventEscalationRoutes);
+router.use("/:id/delegations", eventDelegationRoutes);
+router.use("/:id/assignments", eventAssignmentRoutes);
+router.use("/:id/budget", eventBudgetRoutes);
+router.use("/:id/risk", eventRiskRoutes);
+router.use("/:id/validation-rules", eventValidationRuleRoutes);
+router.use("/:id/status", eventStatusRoutes);
+router.use("/:id/audit", eventAuditRoutes);
+router.use("/:id/hierarchy", eventHierarchyRoutes);
+
 module.exports = router;
@@ -0,0 +1,520 @@
+// src/routes/api/groups.routes.js
+
+const express = require("express");
+const router = express.Router();
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const groupSchemas = require("../../schemas/group.schema");
+const GroupService = require("../../services/GroupService");
+const EventInstanceService = require("../../services/EventInstanceService");
+const { getRequestContext } = require("../../utils/requestContext");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Groups
+ *   description: Groups of an instance's users, such as Parents and Kids, that events can be assigned to and approved by
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Group:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         instance_id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Kids
+ *         description:
+ *           type: string
+ *         created_by:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     GroupWithMembers:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Group'
+ *         - type: object
+ *           properties:
+ *             members:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   email:
+ *                     type: string
+ *                   joined_at:
+ *                     type: string
+ *                     format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/groups:
+ *   get:
+ *     summary: List your instance's groups by name
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Groups retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Group'
+ *                       - type: object
+ *                         properties:
+ *                           member_count:
+ *                             type: integer
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const groups = await GroupService.getGroups(req.user?.instanceId);
+    res.json({
+      success: true,
+      data: groups,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/groups:
+ *   post:
+ *     summary: Create a group in your instance (managers only)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: Kids
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *               memberIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Users of the instance to add
+ *     responses:
+ *       201:
+ *         description: Group created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/GroupWithMembers'
+ *       400:
+ *         description: Invalid input, or the name is taken (VAL003)
+ *       403:
+ *         description: Not a manager of the instance
+ *       404:
+ *         description: A member is not a user of the instance
+ */
+router.post(
+  "/",
+  validateSchema(groupSchemas.createGroup),
+  async (req, res, next) => {
+    try {
+      const group = await GroupService.createGroup(
+        req.user?.instanceId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.status(201).json({
+        success: true,
+        data: group,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}:
+ *   get:
+ *     summary: Get a group with its members
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Group retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/GroupWithMembers'
+ *       404:
+ *         description: Group not found
+ */
+router.get("/:id", async (req, res, next) => {
+  try {
+    const group = await GroupService.getGroupById(
+      req.params.id,
+      req.user?.instanceId
+    );
+    res.json({
+      success: true,
+      data: group,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}:
+ *   put:
+ *     summary: Rename or describe a group (managers only)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 255
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Group updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Group'
+ *       400:
+ *         description: Invalid input, or the name is taken (VAL003)
+ *       403:
+ *         description: Not a manager of the instance
+ *       404:
+ *         description: Group not found
+ */
+router.put(
+  "/:id",
+  validateSchema(groupSchemas.updateGroup),
+  async (req, res, next) => {
+    try {
+      const group = await GroupService.updateGroup(
+        req.params.id,
+        req.user?.instanceId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: group,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}:
+ *   delete:
+ *     summary: Delete a group (managers only)
+ *     description: Only groups no event is assigned to or approved by can be deleted; deleted events lose the reference
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Group deleted
+ *       400:
+ *         description: Events use the group (BUS001, rule IN_USE)
+ *       403:
+ *         description: Not a manager of the instance
+ *       404:
+ *         description: Group not found
+ */
+router.delete("/:id", async (req, res, next) => {
+  try {
+    await GroupService.deleteGroup(
+      req.params.id,
+      req.user?.instanceId,
+      getRequestContext(req)
+    );
+    res.json({
+      success: true,
+      data: null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}/members:
+ *   post:
+ *     summary: Add users of your instance to a group (managers only)
+ *     description: Users already in the group are left as they are
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userIds
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Members added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/GroupWithMembers'
+ *       403:
+ *         description: Not a manager of the instance
+ *       404:
+ *         description: Group not found, or a user is not in the instance
+ */
+router.post(
+  "/:id/members",
+  validateSchema(groupSchemas.addMembers),
+  async (req, res, next) => {
+    try {
+      const group = await GroupService.addMembers(
+        req.params.id,
+        req.user?.instanceId,
+        req.body.userIds,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: group,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a user from a group (managers only)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Not a manager of the instance
+ *       404:
+ *         description: Group not found, or the user is not a member
+ */
+router.delete("/:id/members/:userId", async (req, res, next) => {
+  try {
+    await GroupService.removeMember(
+      req.params.id,
+      req.user?.instanceId,
+      req.params.userId,
+      getRequestContext(req)
+    );
+    res.json({
+      success: true,
+      data: null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}/occurrences:
+ *   get:
+ *     summary: List occurrences a group is responsible for across events
+ *     description: Occurrences of events assigned to the group or to one of its members, plus rotation occurrences assigned to a member. Use completionStatus=pending for the group's open chores.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: completionStatus
+ *         schema:
+ *           type: string
+ *           enum: [pending, pending_approval, completed, late, skipped]
+ *     responses:
+ *       200:
+ *         description: Occurrences retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EventInstance'
+ *                 metadata:
+ *                   type: object
+ *                   properties:
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       404:
+ *         description: Group not found
+ */
+router.get(
+  "/:id/occurrences",
+  validateSchema(groupSchemas.listGroupInstances, "query"),
+  async (req, res, next) => {
+    try {
+      const instances = await EventInstanceService.getGroupInstances(
+        req.params.id,
+        req.user?.instanceId,
+        req.query
+      );
+      res.json({
+        success: true,
+        data: instances.data,
+        metadata: {
+          pagination: instances.pagination,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -5,8 +5,13 @@ const router = express.Router();
 const {
   validateSchema,
 } = require("../../middleware/validation/schemaValidator");
+const {
+  requireVersion,
+} = require("../../middleware/validation/versionPrecondition");
 const instanceSchemas = require("../../schemas/instance.schema");
 const InstanceController = require("../../controllers/instance.controller");
+const { toEtag } = require("../../utils/revisions");
+const { getRequestContext } = require("../../utils/requestContext");
 
 // Initialize controller
 const instanceController = new InstanceController();
@@ -214,6 +219,7 @@ router.get("/", async (req, res, next) => {
 router.get("/:id", async (req, res, next) => {
   try {
     const instance = await instanceController.getById(req.params.id);
+    res.set("ETag", toEtag(instance.version));
     res.json({
       success: true,
       data: instance,
@@ -310,6 +316,7 @@ router.post(
  * /api/v1/instances/{id}:
  *   put:
  *     summary: Update an instance
+ *     description: Send the version you last read. Updates to an instance changed since are rejected with 409 and what changed.
  *     tags: [Instances]
  *     security:
  *       - bearerAuth: []
@@ -321,6 +328,11 @@ router.post(
  *           type: string
  *           format: uuid
  *         description: Instance ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag of the version you last read; required unless the body has a version
  *     requestBody:
  *       required: true
  *       content:
@@ -357,9 +369,12 @@ router.post(
  *                 type: array
  *                 items:
  *                   type: string
+ *               version:
+ *                 type: integer
+ *                 description: Version you last read, instead of If-Match
  *     responses:
  *       200:
- *         description: Instance updated successfully
+ *         description: Instance updated successfully; the ETag header holds the new version
  *         content:
  *           application/json:
  *             schema:
@@ -370,17 +385,21 @@ router.post(
  *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Instance changed since the version sent (BUS004); details list what changed
  */
 router.put(
   "/:id",
   validateSchema(instanceSchemas.updateInstance),
+  requireVersion(),
   async (req, res, next) => {
     try {
       const instance = await instanceController.update(
         req.params.id,
         req.body,
-        req.user.id
+        getRequestContext(req).userId
       );
+      res.set("ETag", toEtag(instance.version));
       res.json({
         success: true,
         data: instance,
@@ -0,0 +1,370 @@
+// src/routes/api/locations.routes.js
+
+const express = require("express");
+const router = express.Router();
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const locationSchemas = require("../../schemas/location.schema");
+const LocationService = require("../../services/LocationService");
+const { getRequestContext } = require("../../utils/requestContext");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Locations
+ *   description: Places in the home that events happen in, nested like House, Upstairs, Bathroom
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Location:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         instance_id:
+ *           type: string
+ *         parent_id:
+ *           type: integer
+ *           nullable: true
+ *         name:
+ *           type: string
+ *           example: Bathroom
+ *         description:
+ *           type: string
+ *         latitude:
+ *           type: number
+ *           nullable: true
+ *         longitude:
+ *           type: number
+ *           nullable: true
+ *         radius_meters:
+ *           type: integer
+ *           description: Geofence checked against verification evidence
+ *         created_by:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     LocationTree:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Location'
+ *         - type: object
+ *           properties:
+ *             children:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LocationTree'
+ */
+
+/**
+ * @swagger
+ * /api/v1/locations:
+ *   get:
+ *     summary: List your instance's locations by name
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: parentId
+ *         schema:
+ *           type: integer
+ *         description: Only the children of this location
+ *       - in: query
+ *         name: tree
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Return top-level locations with their descendants nested in children
+ *     responses:
+ *       200:
+ *         description: Locations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LocationTree'
+ */
+router.get(
+  "/",
+  validateSchema(locationSchemas.listLocations, "query"),
+  async (req, res, next) => {
+    try {
+      const locations = await LocationService.list(
+        req.user?.instanceId,
+        req.query
+      );
+      res.json({
+        success: true,
+        data: locations,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/locations:
+ *   post:
+ *     summary: Create a location in your instance
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: Bathroom
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *               parentId:
+ *                 type: integer
+ *                 description: Location to nest it under
+ *               latitude:
+ *                 type: number
+ *                 minimum: -90
+ *                 maximum: 90
+ *               longitude:
+ *                 type: number
+ *                 minimum: -180
+ *                 maximum: 180
+ *               radiusMeters:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Geofence checked against verification evidence
+ *     responses:
+ *       201:
+ *         description: Location created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Location'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Parent location not found
+ */
+router.post(
+  "/",
+  validateSchema(locationSchemas.createLocation),
+  async (req, res, next) => {
+    try {
+      const location = await LocationService.create(
+        req.user?.instanceId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.status(201).json({
+        success: true,
+        data: location,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/locations/{id}:
+ *   get:
+ *     summary: Get a location with the path of its ancestors
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Location retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Location'
+ *                     - type: object
+ *                       properties:
+ *                         path:
+ *                           type: array
+ *                           description: Ancestors, top-level first
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: integer
+ *                               name:
+ *                                 type: string
+ *       404:
+ *         description: Location not found
+ */
+router.get("/:id", async (req, res, next) => {
+  try {
+    const location = await LocationService.getById(
+      req.params.id,
+      req.user?.instanceId
+    );
+    res.json({
+      success: true,
+      data: location,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/locations/{id}:
+ *   put:
+ *     summary: Update a location
+ *     description: Changing parentId moves the location with its descendants. Moving it under itself or one of its descendants is rejected.
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 255
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 nullable: true
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: New parent, or null for the top level
+ *               latitude:
+ *                 type: number
+ *                 minimum: -90
+ *                 maximum: 90
+ *               longitude:
+ *                 type: number
+ *                 minimum: -180
+ *                 maximum: 180
+ *               radiusMeters:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Geofence checked against verification evidence
+ *     responses:
+ *       200:
+ *         description: Location updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Location'
+ *       400:
+ *         description: Invalid input, or a move into its own subtree (BUS001, rule HIERARCHY_CYCLE)
+ *       404:
+ *         description: Location or parent not found
+ */
+router.put(
+  "/:id",
+  validateSchema(locationSchemas.updateLocation),
+  async (req, res, next) => {
+    try {
+      const location = await LocationService.update(
+        req.params.id,
+        req.user?.instanceId,
+        req.body
+      );
+      res.json({
+        success: true,
+        data: location,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/locations/{id}:
+ *   delete:
+ *     summary: Delete a location
+ *     description: Only locations without children and without events can be deleted; deleted events lose the reference
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Location deleted
+ *       400:
+ *         description: The location has children (BUS001, rule HAS_CHILDREN) or events (BUS001, rule IN_USE)
+ *       404:
+ *         description: Location not found
+ */
+router.delete("/:id", async (req, res, next) => {
+  try {
+    await LocationService.delete(req.params.id, req.user?.instanceId);
+    res.json({
+      success: true,
+      data: null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,344 @@
+// src/routes/api/points.routes.js
+
+const express = require("express");
+const router = express.Router();
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const pointsSchemas = require("../../schemas/points.schema");
+const AchievementService = require("../../services/AchievementService");
+const PointsService = require("../../services/PointsService");
+const { getRequestContext } = require("../../utils/requestContext");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Points
+ *   description: Points earned for chores, balances and leaderboards
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PointsEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *         event_id:
+ *           type: integer
+ *           nullable: true
+ *         event_instance_id:
+ *           type: integer
+ *           nullable: true
+ *         entry_type:
+ *           type: string
+ *           enum: [completion, early_bonus, late_penalty, skip_penalty, adjustment, reversal, redemption, refund]
+ *         points:
+ *           type: integer
+ *           description: Signed; penalties and debits are negative
+ *         reason:
+ *           type: string
+ *         created_by:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/points/leaderboard:
+ *   get:
+ *     summary: Rank an instance's users by points gained in a week or month
+ *     tags: [Points]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: instanceId
+ *         schema:
+ *           type: integer
+ *         description: Defaults to your instance
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [week, month]
+ *           default: week
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Any day in the period; today by default
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Leaderboard retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     instance_id:
+ *                       type: integer
+ *                     period:
+ *                       type: string
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           rank:
+ *                             type: integer
+ *                             description: Tied users share a rank
+ *                           user_id:
+ *                             type: integer
+ *                           email:
+ *                             type: string
+ *                           points:
+ *                             type: integer
+ */
+router.get(
+  "/leaderboard",
+  validateSchema(pointsSchemas.leaderboard, "query"),
+  async (req, res, next) => {
+    try {
+      const { instanceId = req.user?.instanceId, ...options } = req.query;
+      const leaderboard = await PointsService.getLeaderboard({
+        ...options,
+        instanceId,
+      });
+      res.json({
+        success: true,
+        data: leaderboard,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/points/users/{userId}:
+ *   get:
+ *     summary: Get a user's points balance and ledger entries
+ *     tags: [Points]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Balance retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user_id:
+ *                       type: integer
+ *                     balance:
+ *                       type: integer
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PointsEntry'
+ *                 metadata:
+ *                   type: object
+ *                   properties:
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       404:
+ *         description: User not found
+ */
+router.get(
+  "/users/:userId",
+  validateSchema(pointsSchemas.getBalance, "query"),
+  async (req, res, next) => {
+    try {
+      const { pagination, ...balance } = await PointsService.getBalance(
+        req.params.userId,
+        req.query
+      );
+      res.json({
+        success: true,
+        data: balance,
+        metadata: {
+          pagination,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/points/users/{userId}/achievements:
+ *   get:
+ *     summary: Get a user's completion streaks and badges
+ *     tags: [Points]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Streaks per event, longest current streak first, and badges, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user_id:
+ *                       type: integer
+ *                     streaks:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Streak'
+ *                     badges:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Badge'
+ *       404:
+ *         description: User not found
+ */
+router.get("/users/:userId/achievements", async (req, res, next) => {
+  try {
+    const achievements = await AchievementService.getAchievements(
+      req.params.userId
+    );
+    res.json({
+      success: true,
+      data: achievements,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/points/users/{userId}/adjustments:
+ *   post:
+ *     summary: Manually credit or debit a user's points
+ *     tags: [Points]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - points
+ *               - reason
+ *             properties:
+ *               points:
+ *                 type: integer
+ *                 description: Points to add; negative to take off
+ *                 example: -20
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: Spent on a cinema trip
+ *     responses:
+ *       201:
+ *         description: Adjustment recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PointsEntry'
+ *       400:
+ *         description: Invalid input or no reason given
+ *       404:
+ *         description: User not found
+ */
+router.post(
+  "/users/:userId/adjustments",
+  validateSchema(pointsSchemas.adjustPoints),
+  async (req, res, next) => {
+    try {
+      const entry = await PointsService.adjustPoints(
+        req.params.userId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.status(201).json({
+        success: true,
+        data: entry,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
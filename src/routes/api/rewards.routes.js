@@ -0,0 +1,558 @@
+// src/routes/api/rewards.routes.js
+
+const express = require("express");
+const router = express.Router();
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const rewardSchemas = require("../../schemas/reward.schema");
+const RewardService = require("../../services/RewardService");
+const { getRequestContext } = require("../../utils/requestContext");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Rewards
+ *   description: Rewards catalog and points redemptions
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Reward:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         instance_id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         cost:
+ *           type: integer
+ *           description: Points it takes
+ *         stock:
+ *           type: integer
+ *           nullable: true
+ *           description: How many are left; null for unlimited
+ *         requires_approval:
+ *           type: boolean
+ *         is_active:
+ *           type: boolean
+ *         created_by:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     Redemption:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         reward_id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *         cost:
+ *           type: integer
+ *           description: Points spent
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         notes:
+ *           type: string
+ *         ledger_entry_id:
+ *           type: integer
+ *           description: Points ledger debit
+ *         refund_entry_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Points ledger refund, once rejected
+ *         reviewed_by:
+ *           type: integer
+ *           nullable: true
+ *         reviewed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         review_notes:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/rewards:
+ *   get:
+ *     summary: List your instance's rewards, cheapest first
+ *     tags: [Rewards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include retired rewards
+ *     responses:
+ *       200:
+ *         description: Rewards retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Reward'
+ */
+router.get(
+  "/",
+  validateSchema(rewardSchemas.listRewards, "query"),
+  async (req, res, next) => {
+    try {
+      const rewards = await RewardService.getRewards(
+        req.user?.instanceId,
+        req.query
+      );
+      res.json({
+        success: true,
+        data: rewards,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/rewards:
+ *   post:
+ *     summary: Add a reward to your instance's catalog
+ *     description: Managers only
+ *     tags: [Rewards]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - cost
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: Cinema trip
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *               cost:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 200
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: How many can be redeemed; unlimited if omitted
+ *               requiresApproval:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Reward created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Reward'
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Not a manager (BUS002)
+ */
+router.post(
+  "/",
+  validateSchema(rewardSchemas.createReward),
+  async (req, res, next) => {
+    try {
+      const reward = await RewardService.createReward(
+        req.body,
+        getRequestContext(req)
+      );
+      res.status(201).json({
+        success: true,
+        data: reward,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/rewards/redemptions:
+ *   get:
+ *     summary: List redemptions of your instance's rewards, newest first
+ *     tags: [Rewards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Redemptions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Redemption'
+ *                       - type: object
+ *                         properties:
+ *                           reward_name:
+ *                             type: string
+ *                 metadata:
+ *                   type: object
+ *                   properties:
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ */
+router.get(
+  "/redemptions",
+  validateSchema(rewardSchemas.listRedemptions, "query"),
+  async (req, res, next) => {
+    try {
+      const { redemptions, pagination } = await RewardService.getRedemptions(
+        req.user?.instanceId,
+        req.query
+      );
+      res.json({
+        success: true,
+        data: redemptions,
+        metadata: {
+          pagination,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/rewards/redemptions/{redemptionId}/approve:
+ *   post:
+ *     summary: Approve a pending redemption
+ *     description: Managers only, and not for their own redemptions
+ *     tags: [Rewards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: redemptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Redemption approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Redemption'
+ *       400:
+ *         description: Redemption is not pending (VAL004)
+ *       403:
+ *         description: Not a manager, or your own redemption (BUS002)
+ *       404:
+ *         description: Redemption not found
+ */
+router.post(
+  "/redemptions/:redemptionId/approve",
+  validateSchema(rewardSchemas.reviewRedemption),
+  async (req, res, next) => {
+    try {
+      const redemption = await RewardService.approveRedemption(
+        req.params.redemptionId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: redemption,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/rewards/redemptions/{redemptionId}/reject:
+ *   post:
+ *     summary: Reject a pending redemption
+ *     description: Refunds the points and puts the reward back in stock. Managers only, and not for their own redemptions.
+ *     tags: [Rewards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: redemptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Why it was rejected
+ *     responses:
+ *       200:
+ *         description: Redemption rejected and refunded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Redemption'
+ *       400:
+ *         description: Redemption is not pending (VAL004)
+ *       403:
+ *         description: Not a manager, or your own redemption (BUS002)
+ *       404:
+ *         description: Redemption not found
+ */
+router.post(
+  "/redemptions/:redemptionId/reject",
+  validateSchema(rewardSchemas.reviewRedemption),
+  async (req, res, next) => {
+    try {
+      const redemption = await RewardService.rejectRedemption(
+        req.params.redemptionId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: redemption,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/rewards/{rewardId}:
+ *   put:
+ *     summary: Update a reward
+ *     description: Managers of the reward's instance only. Set isActive to false to retire it.
+ *     tags: [Rewards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: rewardId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 255
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 nullable: true
+ *               cost:
+ *                 type: integer
+ *                 minimum: 1
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *               requiresApproval:
+ *                 type: boolean
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Reward updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Reward'
+ *       403:
+ *         description: Not a manager of the reward's instance (BUS002)
+ *       404:
+ *         description: Reward not found
+ */
+router.put(
+  "/:rewardId",
+  validateSchema(rewardSchemas.updateReward),
+  async (req, res, next) => {
+    try {
+      const reward = await RewardService.updateReward(
+        req.params.rewardId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: reward,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/rewards/{rewardId}/redemptions:
+ *   post:
+ *     summary: Spend your points on a reward
+ *     description: The points are debited straight away. Rewards that require approval stay pending until a manager approves them; a rejection refunds the points.
+ *     tags: [Rewards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: rewardId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Note for whoever reviews the redemption
+ *     responses:
+ *       201:
+ *         description: Reward redeemed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Redemption'
+ *       400:
+ *         description: Not enough points (BUS001, rule INSUFFICIENT_POINTS, with balance and required) or out of stock (BUS001, rule OUT_OF_STOCK)
+ *       404:
+ *         description: Reward not found, retired or from another instance
+ */
+router.post(
+  "/:rewardId/redemptions",
+  validateSchema(rewardSchemas.redeemReward),
+  async (req, res, next) => {
+    try {
+      const redemption = await RewardService.redeemReward(
+        req.params.rewardId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.status(201).json({
+        success: true,
+        data: redemption,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
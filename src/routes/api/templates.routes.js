@@ -0,0 +1,455 @@
+// src/routes/api/templates.routes.js
+
+const express = require("express");
+const router = express.Router();
+const {
+  validateSchema,
+} = require("../../middleware/validation/schemaValidator");
+const templateSchemas = require("../../schemas/template.schema");
+const TemplateService = require("../../services/TemplateService");
+const { getRequestContext } = require("../../utils/requestContext");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         version:
+ *           type: integer
+ *           description: Bumped each time a new snapshot is saved
+ *         is_shared:
+ *           type: boolean
+ *           description: Shared templates can be used by every user
+ *         is_active:
+ *           type: boolean
+ *         source_event_id:
+ *           type: integer
+ *           description: Event the current version was saved from
+ *         created_by:
+ *           type: integer
+ *         template_data:
+ *           type: object
+ *           properties:
+ *             event:
+ *               type: object
+ *               description: Event settings
+ *             checklists:
+ *               type: array
+ *               items:
+ *                 type: object
+ *             dependencies:
+ *               type: array
+ *               description: Prerequisite events
+ *               items:
+ *                 type: object
+ *             validation_rules:
+ *               type: array
+ *               items:
+ *                 type: object
+ *         metadata:
+ *           type: object
+ *           properties:
+ *             versions:
+ *               type: array
+ *               items:
+ *                 type: object
+ *     TemplateResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         data:
+ *           $ref: '#/components/schemas/EventTemplate'
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Templates
+ *   description: Reusable event templates
+ */
+
+/**
+ * @swagger
+ * /api/v1/templates:
+ *   get:
+ *     summary: List your templates and shared templates
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EventTemplate'
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const templates = await TemplateService.getTemplates(
+      getRequestContext(req)
+    );
+    res.json({
+      success: true,
+      data: templates,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/templates:
+ *   post:
+ *     summary: Save an event as a template
+ *     description: Copies the event's settings, checklists, prerequisites and validation rules
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - eventId
+ *               - name
+ *             properties:
+ *               eventId:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *                 maxLength: 255
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *               isShared:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Template created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TemplateResponse'
+ *       404:
+ *         description: Event not found
+ */
+router.post(
+  "/",
+  validateSchema(templateSchemas.createTemplate),
+  async (req, res, next) => {
+    try {
+      const template = await TemplateService.createTemplate(
+        req.body,
+        getRequestContext(req)
+      );
+      res.status(201).json({
+        success: true,
+        data: template,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/templates/{templateId}:
+ *   get:
+ *     summary: Get a template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TemplateResponse'
+ *       404:
+ *         description: Template not found
+ */
+router.get("/:templateId", async (req, res, next) => {
+  try {
+    const template = await TemplateService.getTemplateById(
+      req.params.templateId,
+      getRequestContext(req)
+    );
+    res.json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/templates/{templateId}:
+ *   put:
+ *     summary: Update a template
+ *     description: Passing an eventId saves a new snapshot and bumps the version
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 255
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 nullable: true
+ *               isShared:
+ *                 type: boolean
+ *               eventId:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TemplateResponse'
+ *       403:
+ *         description: Only the template's creator can change it
+ *       404:
+ *         description: Template or event not found
+ */
+router.put(
+  "/:templateId",
+  validateSchema(templateSchemas.updateTemplate),
+  async (req, res, next) => {
+    try {
+      const template = await TemplateService.updateTemplate(
+        req.params.templateId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.json({
+        success: true,
+        data: template,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/templates/{templateId}:
+ *   delete:
+ *     summary: Retire a template
+ *     description: Events created from the template are kept
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template retired
+ *       403:
+ *         description: Only the template's creator can change it
+ *       404:
+ *         description: Template not found
+ */
+router.delete("/:templateId", async (req, res, next) => {
+  try {
+    await TemplateService.deleteTemplate(
+      req.params.templateId,
+      getRequestContext(req)
+    );
+    res.json({
+      success: true,
+      data: null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/templates/{templateId}/events:
+ *   get:
+ *     summary: List the events created from a template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                       assigned_to:
+ *                         type: integer
+ *                       template_version:
+ *                         type: integer
+ *                       is_outdated:
+ *                         type: boolean
+ *                         description: The template has a newer version
+ *       404:
+ *         description: Template not found
+ */
+router.get("/:templateId/events", async (req, res, next) => {
+  try {
+    const events = await TemplateService.getTemplateEvents(
+      req.params.templateId,
+      getRequestContext(req)
+    );
+    res.json({
+      success: true,
+      data: events,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/templates/{templateId}/events:
+ *   post:
+ *     summary: Create an event from a template
+ *     description: Copies the template's checklists, prerequisites and validation rules. Recurring templates start today unless an effectiveDate is given.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 255
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *               assignedTo:
+ *                 type: integer
+ *               assignedGroupId:
+ *                 type: integer
+ *                 description: Group any member of which may do the work
+ *               effectiveDate:
+ *                 type: string
+ *                 format: date
+ *               expirationDate:
+ *                 type: string
+ *                 format: date
+ *               timePreference:
+ *                 type: string
+ *                 example: "07:30"
+ *               pointsValue:
+ *                 type: integer
+ *                 minimum: 0
+ *               isPrivate:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Event created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventResponse'
+ *       400:
+ *         description: Invalid overrides
+ *       404:
+ *         description: Template not found
+ */
+router.post(
+  "/:templateId/events",
+  validateSchema(templateSchemas.instantiateTemplate),
+  async (req, res, next) => {
+    try {
+      const event = await TemplateService.instantiateTemplate(
+        req.params.templateId,
+        req.body,
+        getRequestContext(req)
+      );
+      res.status(201).json({
+        success: true,
+        data: event,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const jwt = require("jsonwebtoken");
 const UserService = require("../services/UserService");
+const AchievementService = require("../services/AchievementService");
 const { authenticate } = require("../middleware/auth");
 const {
   validateLogin,
@@ -38,6 +39,51 @@ const userService = new UserService();
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *         badges:
+ *           type: array
+ *           description: Badges awarded to the user, newest first
+ *           items:
+ *             $ref: '#/components/schemas/Badge'
+ *     Badge:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         badge_key:
+ *           type: string
+ *           example: streak_30
+ *         name:
+ *           type: string
+ *           example: 30-day streak
+ *         description:
+ *           type: string
+ *         period:
+ *           type: string
+ *           description: Month (YYYY-MM) for monthly badges, empty otherwise
+ *         event_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Event a streak badge was earned on
+ *         details:
+ *           type: object
+ *         awarded_at:
+ *           type: string
+ *           format: date-time
+ *     Streak:
+ *       type: object
+ *       properties:
+ *         event_id:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         current:
+ *           type: integer
+ *           description: Completed occurrences in a row up to now
+ *         longest:
+ *           type: integer
+ *         last_completed_at:
+ *           type: string
+ *           format: date-time
  *     LoginCredentials:
  *       type: object
  *       required:
@@ -171,17 +217,19 @@ router.post("/login", validateLogin, async (req, res, next) => {
  */
 router.get("/me", authenticate, async (req, res, next) => {
   try {
-    console.log("Fetching current user profile:", req.user.id);
-    const user = await userService.getUserById(req.user.id);
+    console.log("Fetching current user profile:", req.user.userId);
+    const user = await userService.getUserById(req.user.userId);
 
     if (!user) {
-      console.log("User not found:", req.user.id);
+      console.log("User not found:", req.user.userId);
       return res.status(404).json({ error: "User not found" });
     }
 
     // Remove sensitive data
     delete user.password_hash;
 
+    user.badges = await AchievementService.getBadges(req.user.userId);
+
     console.log("User profile fetched successfully:", {
       userId: user.id,
       userName: user.name,
@@ -191,7 +239,7 @@ router.get("/me", authenticate, async (req, res, next) => {
     res.json(user);
   } catch (error) {
     console.error("Error fetching user profile:", {
-      userId: req.user?.id,
+      userId: req.user?.userId,
       error: error.message,
       stack: error.stack,
     });
@@ -231,17 +279,18 @@ router.get("/me", authenticate, async (req, res, next) => {
  */
 router.get("/profile", authenticate, async (req, res, next) => {
   try {
-    console.log("Fetching profile for user:", req.user.id);
-    const user = await userService.getUserById(req.user.id, true);
+    console.log("Fetching profile for user:", req.user.userId);
+    const user = await userService.getUserById(req.user.userId, true);
     if (!user) {
-      console.log("Profile not found for user:", req.user.id);
+      console.log("Profile not found for user:", req.user.userId);
       return res.status(404).json({ error: "User not found" });
     }
-    console.log("Profile fetched successfully for user:", req.user.id);
+    user.badges = await AchievementService.getBadges(req.user.userId);
+    console.log("Profile fetched successfully for user:", req.user.userId);
     res.json(user);
   } catch (error) {
     console.error("Profile fetch error:", {
-      userId: req.user?.id,
+      userId: req.user?.userId,
       error: error.message,
       stack: error.stack,
     });
@@ -249,6 +298,52 @@ router.get("/profile", authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /auth/profile/achievements:
+ *   get:
+ *     summary: Get user's completion streaks and badges
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Streaks per event, longest current streak first, and badges, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user_id:
+ *                   type: integer
+ *                 streaks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Streak'
+ *                 badges:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Badge'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/profile/achievements", authenticate, async (req, res, next) => {
+  try {
+    const achievements = await AchievementService.getAchievements(
+      req.user.userId
+    );
+    res.json(achievements);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /auth/profile:
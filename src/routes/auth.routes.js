@@ -5,7 +5,7 @@ const router = express.Router();
 const authController = require("../controllers/auth.controller");
 const { authenticate } = require("../middleware/auth");
 const { validate } = require("../middleware/validation");
-const schemas = require("../schemas/validation.schemas");
+const schemas = require("../schemas/user.schema");
 
 /**
  * @swagger
@@ -129,7 +129,7 @@ const schemas = require("../schemas/validation.schemas");
  */
 router.post(
   "/login",
-  validate(schemas.login),
+  validate(schemas.loginUser),
   authController.login.bind(authController)
 );
 
@@ -4,12 +4,18 @@ const router = express.Router();
 
 // Import route modules
 const eventRoutes = require("./api/events.routes");
-const userRoutes = require("./api/users.routes");
 const instanceRoutes = require("./api/instances.routes");
 const alertRoutes = require("./api/alerts.routes"); // Add this line
+const templateRoutes = require("./api/templates.routes");
+const budgetRoutes = require("./api/budget.routes");
+const pointsRoutes = require("./api/points.routes");
+const rewardRoutes = require("./api/rewards.routes");
+const locationRoutes = require("./api/locations.routes");
+const categoryRoutes = require("./api/categories.routes");
+const groupRoutes = require("./api/groups.routes");
 
 // Import middleware
-const authMiddleware = require("../middleware/auth");
+const { authenticate } = require("../middleware/auth");
 const errorHandler = require("../middleware/errorHandler");
 
 // API versioning function
@@ -23,10 +29,16 @@ const createVersionedRouter = (version) => {
   });
 
   // Mount routes
-  versionedRouter.use("/events", authMiddleware, eventRoutes);
-  versionedRouter.use("/users", userRoutes); // Some user routes may not require auth
-  versionedRouter.use("/instances", authMiddleware, instanceRoutes);
-  versionedRouter.use("/alerts", authMiddleware, alertRoutes); // Add this line
+  versionedRouter.use("/events", authenticate, eventRoutes);
+  versionedRouter.use("/instances", authenticate, instanceRoutes);
+  versionedRouter.use("/alerts", authenticate, alertRoutes); // Add this line
+  versionedRouter.use("/templates", authenticate, templateRoutes);
+  versionedRouter.use("/budget", authenticate, budgetRoutes);
+  versionedRouter.use("/points", authenticate, pointsRoutes);
+  versionedRouter.use("/rewards", authenticate, rewardRoutes);
+  versionedRouter.use("/locations", authenticate, locationRoutes);
+  versionedRouter.use("/categories", authenticate, categoryRoutes);
+  versionedRouter.use("/groups", authenticate, groupRoutes);
 
   return versionedRouter;
 };
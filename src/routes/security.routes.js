@@ -329,4 +329,5 @@
  *                       type: string
  *                       example: "abc123def456..."
  *       401:
- *         $ref: '#/components/responses/UnauthorizedError'**/
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
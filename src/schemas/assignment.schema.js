@@ -0,0 +1,31 @@
+// src/schemas/assignment.schema.js
+const Joi = require("joi");
+
+const assignmentSchemas = {
+  addAssignment: Joi.object({
+    userId: Joi.number().integer().required(),
+    role: Joi.string()
+      .valid("assignee", "reviewer", "observer")
+      .default("assignee"),
+    order: Joi.number().integer().min(0).optional(), // Position in the rotation
+    isMandatory: Joi.boolean().optional(),
+    canReassign: Joi.boolean().optional(),
+    canDelegate: Joi.boolean().optional(),
+    permissions: Joi.object().optional(),
+  }),
+
+  updateAssignment: Joi.object({
+    role: Joi.string().valid("assignee", "reviewer", "observer"),
+    order: Joi.number().integer().min(0),
+    isMandatory: Joi.boolean(),
+    canReassign: Joi.boolean(),
+    canDelegate: Joi.boolean(),
+    permissions: Joi.object().allow(null),
+  }).min(1),
+
+  currentAssignee: Joi.object({
+    date: Joi.date().iso().optional(), // Defaults to today
+  }),
+};
+
+module.exports = assignmentSchemas;
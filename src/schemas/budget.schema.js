@@ -0,0 +1,37 @@
+// src/schemas/budget.schema.js
+const Joi = require("joi");
+
+const budgetSchemas = {
+  listTransactions: Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    type: Joi.string().valid("allocation", "expense", "adjustment").optional(),
+  }),
+
+  recordTransaction: Joi.object({
+    type: Joi.string().valid("allocation", "expense", "adjustment").required(),
+    amount: Joi.number()
+      .precision(2)
+      .when("type", {
+        is: "adjustment",
+        then: Joi.invalid(0), // Adjustments may be negative
+        otherwise: Joi.number().positive(),
+      })
+      .required(),
+    currency: Joi.string().length(3).uppercase().optional(),
+    exchangeRate: Joi.number().positive().optional(), // To the base currency
+    date: Joi.date().iso().optional(), // Defaults to today
+    category: Joi.string().max(255).optional(),
+    description: Joi.string().max(1000).optional(),
+    receipt: Joi.object().optional(), // e.g. vendor, number, url
+    allowOverBudget: Joi.boolean().default(false), // Flag instead of reject
+  }),
+
+  costCenterRollup: Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    costCenter: Joi.string().max(255).optional(),
+  }),
+};
+
+module.exports = budgetSchemas;
@@ -0,0 +1,27 @@
+// src/schemas/category.schema.js
+const Joi = require("joi");
+
+const color = Joi.string().pattern(/^#[0-9a-fA-F]{6}$/); // #RRGGBB
+
+const categorySchemas = {
+  listCategories: Joi.object({
+    parentId: Joi.number().integer(), // Only its children
+    tree: Joi.boolean().default(false),
+  }),
+
+  createCategory: Joi.object({
+    name: Joi.string().required().min(1).max(255),
+    description: Joi.string().max(1000).optional(),
+    parentId: Joi.number().integer().optional(),
+    color: color.optional(),
+  }),
+
+  updateCategory: Joi.object({
+    name: Joi.string().min(1).max(255),
+    description: Joi.string().max(1000).allow(null),
+    parentId: Joi.number().integer().allow(null), // Null moves it to the top level
+    color: color.allow(null),
+  }).min(1),
+};
+
+module.exports = categorySchemas;
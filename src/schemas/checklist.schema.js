@@ -0,0 +1,29 @@
+// src/schemas/checklist.schema.js
+const Joi = require("joi");
+
+const checklistItem = Joi.object({
+  id: Joi.string().max(100).optional(), // Omit to add a new item
+  title: Joi.string().required().min(1).max(255),
+});
+
+const checklistSchemas = {
+  createChecklist: Joi.object({
+    title: Joi.string().required().min(1).max(255),
+    isRequired: Joi.boolean().default(true),
+    order: Joi.number().integer().min(0).optional(),
+    items: Joi.array().items(checklistItem).default([]),
+  }),
+
+  updateChecklist: Joi.object({
+    title: Joi.string().min(1).max(255),
+    isRequired: Joi.boolean(),
+    order: Joi.number().integer().min(0),
+    items: Joi.array().items(checklistItem),
+  }).min(1), // Require at least one field to be updated
+
+  setItemState: Joi.object({
+    completed: Joi.boolean().required(),
+  }),
+};
+
+module.exports = checklistSchemas;
@@ -0,0 +1,22 @@
+// src/schemas/delegation.schema.js
+const Joi = require("joi");
+
+const delegationSchemas = {
+  createDelegation: Joi.object({
+    delegatedTo: Joi.number().integer().required(),
+    startDate: Joi.date().iso().optional(), // Defaults to today
+    endDate: Joi.date().iso().when("isPermanent", {
+      is: true,
+      then: Joi.forbidden(),
+      otherwise: Joi.required(),
+    }),
+    isPermanent: Joi.boolean().default(false),
+    reason: Joi.string().max(1000).optional(),
+  }),
+
+  revokeDelegation: Joi.object({
+    reason: Joi.string().max(1000).optional(),
+  }),
+};
+
+module.exports = delegationSchemas;
@@ -0,0 +1,13 @@
+// src/schemas/dependency.schema.js
+const Joi = require("joi");
+
+const dependencySchemas = {
+  addDependency: Joi.object({
+    dependsOnEventId: Joi.number().integer().required(), // Upstream event
+    dependencyType: Joi.string().valid("blocks", "related").default("blocks"),
+    isMandatory: Joi.boolean().default(true),
+    rules: Joi.object().optional(),
+  }),
+};
+
+module.exports = dependencySchemas;
@@ -0,0 +1,14 @@
+// src/schemas/escalation.schema.js
+const Joi = require("joi");
+
+const escalationSchemas = {
+  listEscalations: Joi.object({
+    open: Joi.boolean().optional(), // Only unresolved escalations
+  }),
+
+  resolveEscalation: Joi.object({
+    notes: Joi.string().max(1000).optional(),
+  }),
+};
+
+module.exports = escalationSchemas;
@@ -1,5 +1,24 @@
 // src/schemas/event.schema.js
 const Joi = require("joi");
+const { machine: statusMachine } = require("../config/eventStatus");
+const { model: riskModel } = require("../config/risk");
+
+// Statuses of the configured state machine; transitions are checked by
+// EventStatusService
+const statuses = Object.keys(statusMachine.transitions);
+
+// Levels of the configured risk model's bands
+const riskLevels = riskModel.bands.map((band) => band.level);
+
+// Rule configurations are checked by ValidationRuleService
+const inlineRules = Joi.array().items(
+  Joi.object({
+    rule_type: Joi.string().required(),
+    rule_name: Joi.string().max(255),
+    rule_configuration: Joi.object().required(),
+    error_message: Joi.string().max(1000),
+  })
+);
 
 const eventSchemas = {
   createEvent: Joi.object({
@@ -9,9 +28,44 @@ const eventSchemas = {
     endDate: Joi.date().iso().min(Joi.ref("startDate")).optional(),
     type: Joi.string().required().valid("one-time", "recurring"),
     status: Joi.string()
-      .valid("scheduled", "in-progress", "completed", "cancelled")
-      .default("scheduled"),
+      .valid(...statuses)
+      .default(statusMachine.initial),
     metadata: Joi.object().optional(),
+    recurrenceRule: Joi.string().max(500).optional(), // RFC 5545 RRULE, e.g. FREQ=WEEKLY;BYDAY=SA
+    recurrenceExdates: Joi.array().items(Joi.date().iso()).optional(),
+    allowEarlyCompletion: Joi.boolean().optional(),
+    allowLateCompletion: Joi.boolean().optional(),
+    gracePeriod: Joi.number().integer().min(0).optional(), // Minutes
+    minDuration: Joi.number().integer().min(0).optional(), // Minutes
+    maxDuration: Joi.number().integer().min(0).optional(), // Minutes
+    requiresApproval: Joi.boolean().optional(),
+    approvalLevel: Joi.number().integer().min(1).max(5).optional(),
+    approvalType: Joi.string()
+      .valid("single", "all", "any-of-group")
+      .optional(),
+    approverGroupId: Joi.number().integer().optional(),
+    approvalChain: Joi.array()
+      .items(Joi.array().items(Joi.number().integer()).min(1))
+      .optional(), // Approver user ids per level
+    assignedGroupId: Joi.number().integer().optional(), // Any member may do the work
+    assignmentMode: Joi.string().valid("fixed", "rotation").optional(),
+    escalationThresholdMinutes: Joi.number().integer().min(1).optional(),
+    escalationRules: Joi.array()
+      .items(
+        Joi.object({
+          action: Joi.string()
+            .valid("notify_assignee", "reassign", "notify_admin")
+            .required(),
+          userId: Joi.number().integer().optional(), // Reassignment target
+        })
+      )
+      .optional(),
+    locationId: Joi.number().integer().optional(),
+    categoryId: Joi.number().integer().optional(),
+    costCenter: Joi.string().max(255).optional(),
+    costEstimate: Joi.number().precision(2).min(0).optional(),
+    validationRules: inlineRules.optional(),
+    acceptanceCriteria: inlineRules.optional(), // Checked when an occurrence completes
     userId: Joi.string().required(), // Reference to the user who created the event
     instanceId: Joi.string().optional(), // Optional reference to an instance
   }),
@@ -22,15 +76,74 @@ const eventSchemas = {
     startDate: Joi.date().iso(),
     endDate: Joi.date().iso().min(Joi.ref("startDate")),
     type: Joi.string().valid("one-time", "recurring"),
-    status: Joi.string().valid(
-      "scheduled",
-      "in-progress",
-      "completed",
-      "cancelled"
-    ),
+    status: Joi.string().valid(...statuses),
     metadata: Joi.object(),
+    recurrenceRule: Joi.string().max(500).allow(null),
+    recurrenceExdates: Joi.array().items(Joi.date().iso()).allow(null),
+    allowEarlyCompletion: Joi.boolean(),
+    allowLateCompletion: Joi.boolean(),
+    gracePeriod: Joi.number().integer().min(0),
+    minDuration: Joi.number().integer().min(0).allow(null),
+    maxDuration: Joi.number().integer().min(0).allow(null),
+    requiresApproval: Joi.boolean(),
+    approvalLevel: Joi.number().integer().min(1).max(5),
+    approvalType: Joi.string().valid("single", "all", "any-of-group"),
+    approverGroupId: Joi.number().integer().allow(null),
+    approvalChain: Joi.array()
+      .items(Joi.array().items(Joi.number().integer()).min(1))
+      .allow(null),
+    assignedGroupId: Joi.number().integer().allow(null),
+    assignmentMode: Joi.string().valid("fixed", "rotation"),
+    escalationThresholdMinutes: Joi.number().integer().min(1).allow(null),
+    escalationRules: Joi.array()
+      .items(
+        Joi.object({
+          action: Joi.string()
+            .valid("notify_assignee", "reassign", "notify_admin")
+            .required(),
+          userId: Joi.number().integer(),
+        })
+      )
+      .allow(null),
+    locationId: Joi.number().integer().allow(null),
+    categoryId: Joi.number().integer().allow(null),
+    costCenter: Joi.string().max(255).allow(null),
+    costEstimate: Joi.number().precision(2).min(0),
+    validationRules: inlineRules.allow(null),
+    acceptanceCriteria: inlineRules.allow(null),
     instanceId: Joi.string(),
+    version: Joi.number().integer().min(1), // Or an If-Match header
   }).min(1), // Require at least one field to be updated
+
+  listEvents: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    type: Joi.string().valid("one-time", "recurring").optional(),
+    status: Joi.string()
+      .valid(...statuses)
+      .optional(),
+    riskLevel: Joi.string()
+      .custom((value, helpers) =>
+        value.split(",").every((level) => riskLevels.includes(level))
+          ? value
+          : helpers.message(
+              `"riskLevel" must list levels of ${riskLevels.join(", ")}`
+            )
+      )
+      .optional(), // e.g. high,critical
+    locationId: Joi.number().integer().optional(), // Includes nested locations
+    categoryId: Joi.number().integer().optional(), // Includes nested categories
+    assignedGroupId: Joi.number().integer().optional(),
+  }),
+
+  deleteEvent: Joi.object({
+    permanent: Joi.boolean().default(false),
+  }),
+
+  listTrash: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+  }),
 };
 
 module.exports = eventSchemas;
@@ -0,0 +1,19 @@
+// src/schemas/eventAudit.schema.js
+const Joi = require("joi");
+
+const eventAuditSchemas = {
+  auditDiff: Joi.object({
+    from: Joi.number().integer().required(), // Audit entry ids
+    to: Joi.number().integer().required(),
+  }),
+
+  eventAt: Joi.object({
+    at: Joi.date().iso().required(),
+  }),
+
+  revertEvent: Joi.object({
+    version: Joi.number().integer().min(1), // Or an If-Match header
+  }),
+};
+
+module.exports = eventAuditSchemas;
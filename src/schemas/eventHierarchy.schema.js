@@ -0,0 +1,28 @@
+// src/schemas/eventHierarchy.schema.js
+const Joi = require("joi");
+
+const eventHierarchySchemas = {
+  getHierarchy: Joi.object({
+    depth: Joi.number().integer().min(0).max(50).default(10),
+  }),
+
+  moveEvent: Joi.object({
+    parentId: Joi.number().integer().allow(null).required(), // null for top level
+    version: Joi.number().integer().min(1), // Or an If-Match header
+  }),
+
+  copyEvent: Joi.object({
+    parentId: Joi.number().integer().allow(null),
+    title: Joi.string().max(255),
+    includeDescendants: Joi.boolean().default(true),
+  }),
+
+  // Checked against the state machine by EventStatusService
+  updateSubtreeStatus: Joi.object({
+    status: Joi.string().max(50),
+    action: Joi.string().max(50),
+    reason: Joi.string().max(1000).optional(),
+  }).or("status", "action"),
+};
+
+module.exports = eventHierarchySchemas;
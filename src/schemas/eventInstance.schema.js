@@ -0,0 +1,55 @@
+// src/schemas/eventInstance.schema.js
+const Joi = require("joi");
+
+const eventInstanceSchemas = {
+  listInstances: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref("from")).optional(),
+    completionStatus: Joi.string()
+      .valid("pending", "pending_approval", "completed", "late", "skipped")
+      .optional(),
+  }),
+
+  listAssignedInstances: Joi.object({
+    userId: Joi.number().integer().optional(), // Defaults to the current user
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref("from")).optional(),
+    completionStatus: Joi.string()
+      .valid("pending", "pending_approval", "completed", "late", "skipped")
+      .optional(),
+  }),
+
+  completeInstance: Joi.object({
+    notes: Joi.string().max(1000).optional(),
+    actualDuration: Joi.number().integer().min(0).optional(), // Minutes
+  }),
+
+  approveInstance: Joi.object({
+    notes: Joi.string().max(1000).optional(),
+  }),
+
+  rejectInstance: Joi.object({
+    notes: Joi.string().required().min(1).max(1000),
+  }),
+
+  submitVerification: Joi.object({
+    latitude: Joi.number().min(-90).max(90).optional(),
+    longitude: Joi.number().min(-180).max(180).optional(),
+    accuracy: Joi.number().min(0).optional(), // Meters
+    notes: Joi.string().max(1000).optional(),
+  }).and("latitude", "longitude"),
+
+  reviewVerification: Joi.object({
+    notes: Joi.string().max(1000).optional(),
+  }),
+
+  skipInstance: Joi.object({
+    reason: Joi.string().required().min(1).max(1000),
+  }),
+};
+
+module.exports = eventInstanceSchemas;
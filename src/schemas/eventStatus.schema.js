@@ -0,0 +1,14 @@
+// src/schemas/eventStatus.schema.js
+const Joi = require("joi");
+
+// Statuses and actions are checked against the state machine by
+// EventStatusService
+const eventStatusSchemas = {
+  transitionStatus: Joi.object({
+    status: Joi.string().max(50),
+    action: Joi.string().max(50),
+    reason: Joi.string().max(1000).optional(),
+  }).or("status", "action"),
+};
+
+module.exports = eventStatusSchemas;
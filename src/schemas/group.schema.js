@@ -0,0 +1,35 @@
+// src/schemas/group.schema.js
+const Joi = require("joi");
+
+const groupSchemas = {
+  createGroup: Joi.object({
+    name: Joi.string().required().min(1).max(255), // Unique within the instance
+    description: Joi.string().max(1000).optional(),
+    memberIds: Joi.array().items(Joi.number().integer()).unique().optional(),
+  }),
+
+  updateGroup: Joi.object({
+    name: Joi.string().min(1).max(255),
+    description: Joi.string().max(1000).allow(null),
+  }).min(1),
+
+  addMembers: Joi.object({
+    userIds: Joi.array()
+      .items(Joi.number().integer())
+      .min(1)
+      .unique()
+      .required(),
+  }),
+
+  listGroupInstances: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref("from")).optional(),
+    completionStatus: Joi.string()
+      .valid("pending", "pending_approval", "completed", "late", "skipped")
+      .optional(),
+  }),
+};
+
+module.exports = groupSchemas;
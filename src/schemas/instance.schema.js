@@ -28,6 +28,7 @@ const instanceSchemas = {
     endDate: Joi.date().iso().min(Joi.ref("startDate")),
     parentId: Joi.string(),
     tags: Joi.array().items(Joi.string()),
+    version: Joi.number().integer().min(1), // Or an If-Match header
   }).min(1), // Require at least one field to be updated
 };
 
@@ -0,0 +1,29 @@
+// src/schemas/location.schema.js
+const Joi = require("joi");
+
+const locationSchemas = {
+  listLocations: Joi.object({
+    parentId: Joi.number().integer(), // Only its children
+    tree: Joi.boolean().default(false),
+  }),
+
+  createLocation: Joi.object({
+    name: Joi.string().required().min(1).max(255),
+    description: Joi.string().max(1000).optional(),
+    parentId: Joi.number().integer().optional(),
+    latitude: Joi.number().min(-90).max(90).optional(),
+    longitude: Joi.number().min(-180).max(180).optional(),
+    radiusMeters: Joi.number().integer().min(1).optional(), // Geofence
+  }),
+
+  updateLocation: Joi.object({
+    name: Joi.string().min(1).max(255),
+    description: Joi.string().max(1000).allow(null),
+    parentId: Joi.number().integer().allow(null), // Null moves it to the top level
+    latitude: Joi.number().min(-90).max(90).allow(null),
+    longitude: Joi.number().min(-180).max(180).allow(null),
+    radiusMeters: Joi.number().integer().min(1),
+  }).min(1),
+};
+
+module.exports = locationSchemas;
@@ -0,0 +1,23 @@
+// src/schemas/points.schema.js
+const Joi = require("joi");
+
+const pointsSchemas = {
+  getBalance: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+  }),
+
+  adjustPoints: Joi.object({
+    points: Joi.number().integer().invalid(0).required(), // Negative to take off
+    reason: Joi.string().trim().min(1).max(1000).required(),
+  }),
+
+  leaderboard: Joi.object({
+    instanceId: Joi.number().integer(), // Defaults to the caller's instance
+    period: Joi.string().valid("week", "month").default("week"),
+    date: Joi.date().iso(), // Any day in the period
+    limit: Joi.number().integer().min(1).max(100).default(10),
+  }),
+};
+
+module.exports = pointsSchemas;
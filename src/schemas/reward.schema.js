@@ -0,0 +1,42 @@
+// src/schemas/reward.schema.js
+const Joi = require("joi");
+
+const rewardSchemas = {
+  listRewards: Joi.object({
+    includeInactive: Joi.boolean().default(false),
+  }),
+
+  createReward: Joi.object({
+    name: Joi.string().required().min(1).max(255),
+    description: Joi.string().max(1000).optional(),
+    cost: Joi.number().integer().min(1).required(), // Points
+    stock: Joi.number().integer().min(0).allow(null).optional(), // Null for unlimited
+    requiresApproval: Joi.boolean().default(false),
+  }),
+
+  updateReward: Joi.object({
+    name: Joi.string().min(1).max(255),
+    description: Joi.string().max(1000).allow(null),
+    cost: Joi.number().integer().min(1),
+    stock: Joi.number().integer().min(0).allow(null),
+    requiresApproval: Joi.boolean(),
+    isActive: Joi.boolean(), // False retires the reward
+  }).min(1),
+
+  redeemReward: Joi.object({
+    notes: Joi.string().max(1000).optional(),
+  }),
+
+  listRedemptions: Joi.object({
+    status: Joi.string().valid("pending", "approved", "rejected"),
+    userId: Joi.number().integer(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+  }),
+
+  reviewRedemption: Joi.object({
+    notes: Joi.string().max(1000).optional(),
+  }),
+};
+
+module.exports = rewardSchemas;
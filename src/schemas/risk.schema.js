@@ -0,0 +1,19 @@
+// src/schemas/risk.schema.js
+const Joi = require("joi");
+
+const riskFactor = Joi.object({
+  name: Joi.string().max(100).required(), // e.g. height, chemicals
+  likelihood: Joi.number().integer().min(1).max(5).required(),
+  impact: Joi.number().integer().min(1).max(5).required(),
+  notes: Joi.string().max(500).optional(),
+});
+
+const riskSchemas = {
+  assessRisk: Joi.object({
+    factors: Joi.array().items(riskFactor).min(1).required(),
+    mitigationPlan: Joi.string().max(5000).allow(null).optional(),
+    notes: Joi.string().max(1000).optional(),
+  }),
+};
+
+module.exports = riskSchemas;
@@ -0,0 +1,34 @@
+// src/schemas/template.schema.js
+const Joi = require("joi");
+
+const timeOfDay = Joi.string().pattern(/^\d{2}:\d{2}(:\d{2})?$/); // HH:mm[:ss]
+
+const templateSchemas = {
+  createTemplate: Joi.object({
+    eventId: Joi.number().integer().required(), // Event to save as a template
+    name: Joi.string().required().min(1).max(255),
+    description: Joi.string().max(1000).optional(),
+    isShared: Joi.boolean().default(false),
+  }),
+
+  updateTemplate: Joi.object({
+    name: Joi.string().min(1).max(255),
+    description: Joi.string().max(1000).allow(null),
+    isShared: Joi.boolean(),
+    eventId: Joi.number().integer(), // Save a new version from this event
+  }).min(1),
+
+  instantiateTemplate: Joi.object({
+    title: Joi.string().min(1).max(255).optional(),
+    description: Joi.string().max(1000).optional(),
+    assignedTo: Joi.number().integer().optional(),
+    assignedGroupId: Joi.number().integer().optional(),
+    effectiveDate: Joi.date().iso().optional(),
+    expirationDate: Joi.date().iso().optional(),
+    timePreference: timeOfDay.optional(),
+    pointsValue: Joi.number().integer().min(0).optional(),
+    isPrivate: Joi.boolean().optional(),
+  }),
+};
+
+module.exports = templateSchemas;
@@ -49,6 +49,14 @@ const userSchemas = {
     }),
   }),
 
+  changePassword: Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: Joi.string().pattern(passwordRegex).required().messages({
+      "string.pattern.base":
+        "Password must contain at least 8 characters, one uppercase letter, one lowercase letter, one number and one special character",
+    }),
+  }),
+
   resendVerification: Joi.object({
     email: Joi.string().email().required(),
   }),
@@ -0,0 +1,53 @@
+// src/schemas/validationRule.schema.js
+const Joi = require("joi");
+
+const ruleTypes = [
+  "required_field",
+  "numeric_range",
+  "date_window",
+  "regex",
+  "expression",
+];
+
+// Type-specific keys are checked by ValidationRuleService
+const ruleConfiguration = Joi.object({
+  field: Joi.string().max(255), // Dotted path, e.g. instance.completion_notes
+  min: Joi.number(),
+  max: Joi.number(),
+  after: Joi.string().max(255), // Date, "now" or "$path"
+  before: Joi.string().max(255),
+  pattern: Joi.string().max(500),
+  flags: Joi.string().pattern(/^[imsu]*$/),
+  expression: Joi.string().max(1000),
+  on: Joi.array()
+    .items(Joi.string().valid("create", "update", "complete"))
+    .min(1),
+});
+
+const validationRuleSchemas = {
+  createRule: Joi.object({
+    ruleType: Joi.string()
+      .valid(...ruleTypes)
+      .required(),
+    ruleName: Joi.string().required().min(1).max(255),
+    configuration: ruleConfiguration.required(),
+    errorMessage: Joi.string().max(1000).optional(),
+    order: Joi.number().integer().min(0).optional(),
+    isActive: Joi.boolean().default(true),
+  }),
+
+  updateRule: Joi.object({
+    ruleType: Joi.string().valid(...ruleTypes),
+    ruleName: Joi.string().min(1).max(255),
+    configuration: ruleConfiguration,
+    errorMessage: Joi.string().max(1000).allow(null),
+    order: Joi.number().integer().min(0),
+    isActive: Joi.boolean(),
+  }).min(1), // Require at least one field to be updated
+
+  listResults: Joi.object({
+    instanceId: Joi.number().integer().optional(),
+  }),
+};
+
+module.exports = validationRuleSchemas;
@@ -1,27 +1,27 @@
-const { getChores, createChoreInstances } = require("../utils/dataAccess");
+require("dotenv").config();
+const databaseService = require("../services/DatabaseService");
 
 async function generateAllInstances() {
   try {
     console.log("Starting instance generation...");
 
-    // Get all chores
-    const chores = await getChores();
-    console.log(`Found ${chores.length} chores`);
+    await databaseService.initialize();
 
-    // Generate instances for each chore
-    for (const chore of chores) {
-      console.log(`Generating instances for chore: ${chore.name}`);
-      await createChoreInstances(
-        chore.id,
-        chore.start_date,
-        chore.end_date,
-        chore.frequency_id
-      );
-    }
+    // Required after initialization because services bind the Knex instance on load
+    const recurrenceService = require("../services/RecurrenceService");
 
+    const windowDays = parseInt(process.argv[2]) || undefined;
+    const summary = await recurrenceService.generateAll({ windowDays });
+
+    console.log(
+      `Processed ${summary.events} events: ${summary.generated} instances created, ${summary.failed} failed`
+    );
     console.log("Instance generation complete!");
   } catch (error) {
     console.error("Error generating instances:", error);
+    process.exitCode = 1;
+  } finally {
+    await databaseService.close();
   }
 }
 
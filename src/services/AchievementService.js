@@ -0,0 +1,365 @@
+const databaseService = require("./DatabaseService");
+const achievementsConfig = require("../config/achievements");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { parseJsonColumn } = require("../utils/jsonColumn");
+const { toDateString } = require("../utils/dateHelpers");
+const {
+  addDays,
+  subMonths,
+  startOfMonth,
+  endOfMonth,
+  format,
+} = require("date-fns");
+
+// Completion statuses that count as done
+const COMPLETED_STATUSES = ["completed", "late"];
+
+/**
+ * Completion streaks, computed from event_instances, and the badges awarded
+ * for them. Rules come from src/config/achievements.js. Awards are kept once
+ * made, even if the completions behind them are later undone.
+ */
+class AchievementService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "user_badges";
+    this.serviceName = "AchievementService";
+    this.config = achievementsConfig.config;
+  }
+
+  /**
+   * Get a user's streaks and badges
+   * @param {string|number} userId
+   * @returns {Promise<{user_id: number, streaks: Array<Object>, badges: Array<Object>}>}
+   */
+  async getAchievements(userId) {
+    try {
+      const user = await this._getUser(this.db, userId, "getAchievements");
+      const [streaks, badges] = await Promise.all([
+        this._computeStreaks(this.db, user.id),
+        this._getAwards(this.db, user.id),
+      ]);
+
+      return { user_id: user.id, streaks, badges };
+    } catch (error) {
+      throw this._handleError(error, "getAchievements", { userId });
+    }
+  }
+
+  /**
+   * Get a user's current and longest streak for each event they take part
+   * in, longest current streak first
+   * @param {string|number} userId
+   * @param {Object} [options]
+   * @param {number} [options.eventId] Only this event
+   * @returns {Promise<Array<{event_id: number, title: string, current: number, longest: number, last_completed_at: Date}>>}
+   */
+  async getStreaks(userId, options = {}) {
+    try {
+      const user = await this._getUser(this.db, userId, "getStreaks");
+      return await this._computeStreaks(this.db, user.id, options);
+    } catch (error) {
+      throw this._handleError(error, "getStreaks", { userId });
+    }
+  }
+
+  /**
+   * Get the badges awarded to a user, newest first
+   * @param {string|number} userId
+   * @returns {Promise<Array<Object>>}
+   */
+  async getBadges(userId) {
+    try {
+      const user = await this._getUser(this.db, userId, "getBadges");
+      return await this._getAwards(this.db, user.id);
+    } catch (error) {
+      throw this._handleError(error, "getBadges", { userId });
+    }
+  }
+
+  /**
+   * Award the badges a user has newly earned. Called once a completion is
+   * final, inside its transaction.
+   * @param {Object} trx Transaction object
+   * @param {number} userId User who completed the occurrence
+   * @param {Object} [options]
+   * @param {number} [options.eventId] Event completed; streak badges only look at it
+   * @param {Date} [options.now] Evaluation time, for monthly badges
+   * @returns {Promise<Array<Object>>} Badges awarded
+   */
+  async evaluateBadges(trx, userId, options = {}) {
+    const { eventId, now = new Date() } = options;
+
+    if (!userId) {
+      return [];
+    }
+
+    const awarded = await trx(this.tableName)
+      .where({ user_id: userId })
+      .select("badge_key", "period");
+    const has = (badge, period = "") =>
+      awarded.some(
+        (award) => award.badge_key === badge.key && award.period === period
+      );
+
+    const awards = [];
+    let streaks;
+    let completions;
+
+    for (const badge of this.config.badges || []) {
+      const criteria = badge.criteria || {};
+
+      if (criteria.type === "streak" && !has(badge)) {
+        streaks =
+          streaks || (await this._computeStreaks(trx, userId, { eventId }));
+        const best = streaks.find((streak) => streak.longest >= criteria.count);
+
+        if (best) {
+          awards.push(
+            await this._award(trx, userId, badge, "", best.event_id, {
+              streak: best.longest,
+            })
+          );
+        }
+      } else if (criteria.type === "completions" && !has(badge)) {
+        completions =
+          completions || (await this._countCompletions(trx, userId));
+
+        if (completions.total >= criteria.count) {
+          awards.push(
+            await this._award(trx, userId, badge, "", null, {
+              completions: completions.total,
+            })
+          );
+        }
+      } else if (criteria.type === "on_time_month") {
+        // Only a month that has ended can be judged
+        const month = subMonths(now, 1);
+        const period = format(month, "yyyy-MM");
+
+        if (has(badge, period)) {
+          continue;
+        }
+
+        const { total, late } = await this._countCompletions(trx, userId, {
+          from: startOfMonth(month),
+          to: endOfMonth(month),
+        });
+
+        if (total >= (criteria.minimum || 1) && late === 0) {
+          awards.push(
+            await this._award(trx, userId, badge, period, null, {
+              completions: total,
+            })
+          );
+        }
+      }
+    }
+
+    return awards;
+  }
+
+  /**
+   * Replace the streak and badge rules (used by tests)
+   * @param {Object} [config] Rules shaped like src/config/achievements.js, the configured ones by default
+   */
+  setConfig(config) {
+    this.config = config || achievementsConfig.config;
+  }
+
+  /**
+   * Walk each event's occurrences in order. Occurrences the user took part
+   * in but someone else completed leave the streak as it is.
+   * @private
+   */
+  async _computeStreaks(db, userId, options = {}) {
+    const graceDays = (this.config.streaks || {}).graceDays || 0;
+    const cutoff = toDateString(addDays(new Date(), -graceDays));
+
+    const query = db("event_instances as ei")
+      .join("events as e", "e.id", "ei.event_id")
+      .whereNull("e.deleted_at")
+      .whereNull("ei.deleted_at")
+      .where((queryBuilder) =>
+        queryBuilder
+          .where("ei.completed_by", userId)
+          .orWhere("ei.assigned_to", userId)
+          .orWhere((assignee) =>
+            assignee.whereNull("ei.assigned_to").where("e.assigned_to", userId)
+          )
+      )
+      .select(
+        "ei.event_id",
+        "e.title",
+        "ei.end_date",
+        "ei.completion_status",
+        "ei.completed_by",
+        "ei.completed_at"
+      )
+      .orderBy([
+        { column: "ei.event_id", order: "asc" },
+        { column: "ei.start_date", order: "asc" },
+        { column: "ei.id", order: "asc" },
+      ]);
+
+    if (options.eventId) {
+      query.where("ei.event_id", options.eventId);
+    }
+
+    const streaks = new Map();
+
+    for (const row of await query) {
+      if (!streaks.has(row.event_id)) {
+        streaks.set(row.event_id, {
+          event_id: row.event_id,
+          title: row.title,
+          current: 0,
+          longest: 0,
+          last_completed_at: null,
+        });
+      }
+      const streak = streaks.get(row.event_id);
+
+      if (COMPLETED_STATUSES.includes(row.completion_status)) {
+        if (Number(row.completed_by) === Number(userId)) {
+          streak.current += 1;
+          streak.longest = Math.max(streak.longest, streak.current);
+          streak.last_completed_at = row.completed_at;
+        }
+      } else if (
+        row.completion_status === "skipped" ||
+        (row.completion_status === "pending" &&
+          toDateString(row.end_date) < cutoff)
+      ) {
+        streak.current = 0;
+      }
+    }
+
+    return [...streaks.values()].sort(
+      (a, b) => b.current - a.current || b.longest - a.longest
+    );
+  }
+
+  /**
+   * Count a user's completions, and how many of them were late
+   * @private
+   */
+  async _countCompletions(db, userId, range = {}) {
+    const query = db("event_instances")
+      .where({ completed_by: userId })
+      .whereIn("completion_status", COMPLETED_STATUSES)
+      .whereNull("deleted_at");
+
+    if (range.from) {
+      query.whereBetween("completed_at", [range.from, range.to]);
+    }
+
+    const totals = await query
+      .count("id as total")
+      .select(
+        db.raw(
+          "SUM(CASE WHEN completion_status = 'late' THEN 1 ELSE 0 END) as late"
+        )
+      )
+      .first();
+
+    return {
+      total: parseInt(totals.total) || 0,
+      late: parseInt(totals.late) || 0,
+    };
+  }
+
+  /**
+   * Record an award
+   * @private
+   */
+  async _award(db, userId, badge, period, eventId, details) {
+    const [award] = await db(this.tableName)
+      .insert({
+        user_id: userId,
+        badge_key: badge.key,
+        period,
+        event_id: eventId,
+        details: JSON.stringify(details),
+        awarded_at: new Date(),
+      })
+      .returning("*");
+
+    return this._format(award);
+  }
+
+  /**
+   * Load a user's awards, newest first
+   * @private
+   */
+  async _getAwards(db, userId) {
+    const awards = await db(this.tableName)
+      .where({ user_id: userId })
+      .orderBy([
+        { column: "awarded_at", order: "desc" },
+        { column: "id", order: "desc" },
+      ]);
+
+    return awards.map((award) => this._format(award));
+  }
+
+  /**
+   * Add the badge's name and description to an award. Awards for badges no
+   * longer configured keep only their key.
+   * @private
+   */
+  _format(award) {
+    const badge =
+      (this.config.badges || []).find((item) => item.key === award.badge_key) ||
+      {};
+
+    return {
+      ...award,
+      name: badge.name || award.badge_key,
+      description: badge.description || null,
+      details: parseJsonColumn(award.details, {}),
+    };
+  }
+
+  /**
+   * Load a user or throw NOT_FOUND
+   * @private
+   */
+  async _getUser(db, userId, method) {
+    const user = await db("users").where({ id: userId }).first("id");
+
+    if (!user) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "User",
+        id: userId,
+      });
+    }
+
+    return user;
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const achievementService = new AchievementService();
+module.exports = achievementService;
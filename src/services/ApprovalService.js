@@ -0,0 +1,498 @@
+const databaseService = require("./DatabaseService");
+const AchievementService = require("./AchievementService");
+const PointsService = require("./PointsService");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { parseJsonColumn, appendJsonColumn } = require("../utils/jsonColumn");
+
+/**
+ * Approval types supported by events.approval_type
+ * - single: the first approval from a level's approvers passes the level
+ * - all: every approver of a level must approve
+ * - any-of-group: any member of events.approver_group_id may approve
+ */
+const APPROVAL_TYPES = ["single", "all", "any-of-group"];
+
+class ApprovalService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "event_approvals";
+    this.serviceName = "ApprovalService";
+  }
+
+  /**
+   * Open approval requests for one level of an occurrence's approval chain
+   * @param {Object} trx Transaction object
+   * @param {Object} event Parent event row
+   * @param {Object} instance Occurrence awaiting approval
+   * @param {number} level Approval level to open (1-based)
+   * @returns {Promise<Array<Object>>} Created approval requests
+   */
+  async openApprovals(trx, event, instance, level) {
+    try {
+      const approverIds = await this._getApproverIds(
+        trx,
+        event,
+        level,
+        instance.completed_by
+      );
+
+      if (approverIds.length === 0) {
+        throw new AppError(
+          ErrorTypes.BUSINESS_RULE_VIOLATION,
+          this.serviceName,
+          "openApprovals",
+          {
+            rule: "APPROVER_REQUIRED",
+            message: `No approvers available for approval level ${level}`,
+            eventId: event.id,
+            level,
+          }
+        );
+      }
+
+      return await trx(this.tableName)
+        .insert(
+          approverIds.map((approverId) => ({
+            instance_id: instance.id,
+            approver_id: approverId,
+            level,
+            status: "pending",
+            approval_metadata: JSON.stringify({
+              approval_type: event.approval_type || "single",
+            }),
+          }))
+        )
+        .returning("*");
+    } catch (error) {
+      throw this._handleError(error, "openApprovals", {
+        eventId: event.id,
+        instanceId: instance.id,
+        level,
+      });
+    }
+  }
+
+  /**
+   * List approval requests of an occurrence
+   * @param {string|number} eventId
+   * @param {string|number} instanceId
+   * @returns {Promise<Array<Object>>} Approval requests ordered by level
+   */
+  async getApprovals(eventId, instanceId) {
+    try {
+      await this._getInstance(this.db, eventId, instanceId, "getApprovals");
+
+      const approvals = await this.db(this.tableName)
+        .where({ instance_id: instanceId })
+        .orderBy([
+          { column: "level", order: "asc" },
+          { column: "id", order: "asc" },
+        ]);
+
+      return approvals.map((approval) => this._format(approval));
+    } catch (error) {
+      throw this._handleError(error, "getApprovals", { eventId, instanceId });
+    }
+  }
+
+  /**
+   * Approve an occurrence at the approver's pending level. The occurrence is
+   * completed, its points credited and its badges awarded, once the final
+   * level passes.
+   * @param {string|number} eventId
+   * @param {string|number} instanceId
+   * @param {Object} data
+   * @param {string} [data.notes] Approver comments
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<{approval: Object, instance: Object}>}
+   */
+  async approve(eventId, instanceId, data = {}, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const { event, instance, approval } = await this._getPendingApproval(
+        trx,
+        eventId,
+        instanceId,
+        context.userId,
+        "approve"
+      );
+
+      const now = new Date();
+      const [updatedApproval] = await this._respond(
+        trx,
+        approval,
+        "approved",
+        data,
+        context,
+        now
+      );
+
+      const remaining = await trx(this.tableName)
+        .where({
+          instance_id: instance.id,
+          level: approval.level,
+          status: "pending",
+        })
+        .count("id as total")
+        .first();
+
+      const levelPassed =
+        event.approval_type !== "all" || parseInt(remaining.total) === 0;
+
+      let changes = {};
+
+      if (levelPassed) {
+        // The first approval is enough for single and any-of-group levels
+        await this._cancelPending(trx, instance.id, now);
+
+        if (approval.level < (event.approval_level || 1)) {
+          await this.openApprovals(trx, event, instance, approval.level + 1);
+        } else {
+          const metadata = parseJsonColumn(instance.metadata, {});
+          changes = {
+            status: "completed",
+            completion_status:
+              metadata.approval?.completion_status || "completed",
+            approved_by: context.userId,
+            approved_at: now,
+          };
+        }
+      }
+
+      const updatedInstance = await this._updateInstance(
+        trx,
+        instance,
+        changes,
+        {
+          date: now.toISOString(),
+          action: "approved",
+          by: context.userId,
+          level: approval.level,
+          notes: data.notes,
+        }
+      );
+
+      if (changes.status === "completed") {
+        await PointsService.creditCompletion(
+          trx,
+          event,
+          updatedInstance,
+          context.userId
+        );
+        await AchievementService.evaluateBadges(
+          trx,
+          updatedInstance.completed_by,
+          { eventId: event.id }
+        );
+      }
+
+      await trx.commit();
+      return {
+        approval: this._format(updatedApproval),
+        instance: updatedInstance,
+      };
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "approve", { eventId, instanceId });
+    }
+  }
+
+  /**
+   * Reject an occurrence. Open requests are cancelled and the occurrence goes
+   * back to pending so it can be redone.
+   * @param {string|number} eventId
+   * @param {string|number} instanceId
+   * @param {Object} data
+   * @param {string} data.notes Why the completion was rejected
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<{approval: Object, instance: Object}>}
+   */
+  async reject(eventId, instanceId, data = {}, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const { instance, approval } = await this._getPendingApproval(
+        trx,
+        eventId,
+        instanceId,
+        context.userId,
+        "reject"
+      );
+
+      const now = new Date();
+      const [updatedApproval] = await this._respond(
+        trx,
+        approval,
+        "rejected",
+        data,
+        context,
+        now
+      );
+
+      await this._cancelPending(trx, instance.id, now);
+
+      const metadata = parseJsonColumn(instance.metadata, {});
+      delete metadata.approval;
+
+      const updatedInstance = await this._updateInstance(
+        trx,
+        instance,
+        {
+          status: "active",
+          completion_status: "pending",
+          completed_by: null,
+          completed_at: null,
+          metadata: JSON.stringify(metadata),
+        },
+        {
+          date: now.toISOString(),
+          action: "rejected",
+          by: context.userId,
+          level: approval.level,
+          notes: data.notes,
+          previous: {
+            completed_by: instance.completed_by,
+            completed_at: instance.completed_at,
+          },
+        }
+      );
+
+      await trx.commit();
+      return {
+        approval: this._format(updatedApproval),
+        instance: updatedInstance,
+      };
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "reject", { eventId, instanceId });
+    }
+  }
+
+  /**
+   * Resolve the approvers of a level. The person who completed the
+   * occurrence can never approve it.
+   * @private
+   * @param {Object} db Knex instance or transaction
+   * @param {Object} event
+   * @param {number} level
+   * @param {string|number} completedBy
+   * @returns {Promise<Array<number>>} Approver user ids
+   */
+  async _getApproverIds(db, event, level, completedBy) {
+    const approvalType = event.approval_type || "single";
+
+    if (!APPROVAL_TYPES.includes(approvalType)) {
+      throw new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        "_getApproverIds",
+        {
+          message: `Unknown approval type: ${approvalType}`,
+          field: "approval_type",
+        }
+      );
+    }
+
+    let approverIds;
+
+    if (approvalType === "any-of-group") {
+      approverIds = await db("group_members")
+        .where({ group_id: event.approver_group_id })
+        .pluck("user_id");
+    } else {
+      const chain = parseJsonColumn(event.approval_chain, []);
+      approverIds = chain[level - 1]?.length
+        ? chain[level - 1]
+        : [event.assigned_by];
+    }
+
+    return [...new Set(approverIds)].filter(
+      (id) => id && String(id) !== String(completedBy)
+    );
+  }
+
+  /**
+   * Load an occurrence awaiting approval and the caller's pending request.
+   * The occurrence row is locked so concurrent approvers of an "all" level
+   * see each other's responses when counting what is still pending.
+   * @private
+   */
+  async _getPendingApproval(trx, eventId, instanceId, userId, method) {
+    const instance = await this._getInstance(
+      trx,
+      eventId,
+      instanceId,
+      method,
+      true
+    );
+
+    if (instance.completion_status !== "pending_approval") {
+      throw new AppError(
+        ErrorTypes.INVALID_STATUS_TRANSITION,
+        this.serviceName,
+        method,
+        {
+          message: "Occurrence is not awaiting approval",
+          instanceId,
+          completionStatus: instance.completion_status,
+        }
+      );
+    }
+
+    const approval = await trx(this.tableName)
+      .where({
+        instance_id: instance.id,
+        approver_id: userId,
+        status: "pending",
+      })
+      .first();
+
+    if (!approval) {
+      throw new AppError(
+        ErrorTypes.INSUFFICIENT_PERMISSIONS,
+        this.serviceName,
+        method,
+        {
+          message: "User has no pending approval for this occurrence",
+          instanceId,
+          userId,
+        }
+      );
+    }
+
+    const event = await trx("events").where({ id: eventId }).first();
+
+    return { event, instance, approval };
+  }
+
+  /**
+   * Load an occurrence belonging to an event or throw NOT_FOUND, optionally
+   * locking it
+   * @private
+   */
+  async _getInstance(db, eventId, instanceId, method, lock = false) {
+    const query = db("event_instances")
+      .where({ id: instanceId, event_id: eventId })
+      .whereNull("deleted_at");
+
+    if (lock) {
+      query.forUpdate();
+    }
+
+    const instance = await query.first();
+
+    if (!instance) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Event Instance",
+        id: instanceId,
+        eventId,
+      });
+    }
+
+    return instance;
+  }
+
+  /**
+   * Record an approver's response
+   * @private
+   */
+  _respond(trx, approval, status, data, context, now) {
+    return trx(this.tableName)
+      .where({ id: approval.id })
+      .update({
+        status,
+        notes: data.notes || null,
+        responded_at: now,
+        ip_address: context.ipAddress || null,
+        user_agent: context.userAgent || null,
+        updated_at: now,
+      })
+      .returning("*");
+  }
+
+  /**
+   * Cancel the remaining open requests of an occurrence
+   * @private
+   */
+  _cancelPending(trx, instanceId, now) {
+    return trx(this.tableName)
+      .where({ instance_id: instanceId, status: "pending" })
+      .update({ status: "cancelled", updated_at: now });
+  }
+
+  /**
+   * Update an occurrence and append an entry to its modified_history
+   * @private
+   */
+  async _updateInstance(trx, instance, changes, historyEntry) {
+    const [updated] = await trx("event_instances")
+      .where({ id: instance.id })
+      .update({
+        ...changes,
+        modified_history: appendJsonColumn(
+          instance.modified_history,
+          historyEntry
+        ),
+        updated_at: new Date(),
+      })
+      .returning("*");
+
+    return {
+      ...updated,
+      skipped: Boolean(updated.skipped),
+      modified_history: parseJsonColumn(updated.modified_history, []),
+      metadata: parseJsonColumn(updated.metadata),
+    };
+  }
+
+  /**
+   * Parse JSON columns for API responses
+   * @private
+   */
+  _format(approval) {
+    return {
+      ...approval,
+      approval_metadata: parseJsonColumn(approval.approval_metadata),
+    };
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    if (error.code === "23503") {
+      return new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        method,
+        {
+          message: "Referenced record does not exist",
+          error: error.detail,
+          constraint: error.constraint,
+          ...details,
+        }
+      );
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const approvalService = new ApprovalService();
+module.exports = approvalService;
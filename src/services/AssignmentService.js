@@ -0,0 +1,487 @@
+const databaseService = require("./DatabaseService");
+const DelegationService = require("./DelegationService");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { toDateString } = require("../utils/dateHelpers");
+const { parseJsonColumn, appendJsonColumn } = require("../utils/jsonColumn");
+const { updateWithRevision } = require("../utils/revisions");
+
+/**
+ * Roles an event assignment can have. Only "assignee" assignments do the
+ * work and take part in rotations; reviewers and observers follow along.
+ */
+const ASSIGNMENT_ROLES = ["assignee", "reviewer", "observer"];
+
+class AssignmentService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "event_assignments";
+    this.serviceName = "AssignmentService";
+  }
+
+  /**
+   * List the assignments of an event in rotation order
+   * @param {string|number} eventId
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAssignments(eventId) {
+    try {
+      await this._getEvent(this.db, eventId, "getAssignments");
+
+      const assignments = await this.db(this.tableName)
+        .where({ event_id: eventId })
+        .orderBy([
+          { column: "order", order: "asc" },
+          { column: "id", order: "asc" },
+        ]);
+
+      return assignments.map((assignment) => this._format(assignment));
+    } catch (error) {
+      throw this._handleError(error, "getAssignments", { eventId });
+    }
+  }
+
+  /**
+   * Assign a user to an event
+   * @param {string|number} eventId
+   * @param {Object} data
+   * @param {number} data.userId
+   * @param {string} [data.role] assignee, reviewer or observer
+   * @param {number} [data.order] Position in the rotation
+   * @param {boolean} [data.isMandatory]
+   * @param {boolean} [data.canReassign]
+   * @param {boolean} [data.canDelegate]
+   * @param {Object} [data.permissions]
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Created assignment
+   */
+  async addAssignment(eventId, data, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const event = await this._getEvent(trx, eventId, "addAssignment");
+      const user = await trx("users")
+        .where({ id: data.userId, is_active: true })
+        .first();
+
+      if (!user) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "addAssignment",
+          { resource: "User", id: data.userId }
+        );
+      }
+
+      const existing = await trx(this.tableName)
+        .where({ event_id: event.id, user_id: user.id })
+        .first();
+
+      if (existing) {
+        throw new AppError(
+          ErrorTypes.DUPLICATE_ENTRY,
+          this.serviceName,
+          "addAssignment",
+          {
+            message: "User is already assigned to this event",
+            assignmentId: existing.id,
+          }
+        );
+      }
+
+      const role = data.role || "assignee";
+      this._assertRole(role, "addAssignment");
+
+      const now = new Date();
+      const [assignment] = await trx(this.tableName)
+        .insert({
+          event_id: event.id,
+          user_id: user.id,
+          assigned_by: context.userId,
+          role,
+          order: data.order ?? (await this._nextOrder(trx, event.id)),
+          is_mandatory: data.isMandatory ?? true,
+          can_reassign: data.canReassign ?? false,
+          can_delegate: data.canDelegate ?? false,
+          permissions: data.permissions
+            ? JSON.stringify(data.permissions)
+            : null,
+          status: "active",
+          history: JSON.stringify([
+            {
+              date: now.toISOString(),
+              action: "assigned",
+              by: context.userId,
+              role,
+            },
+          ]),
+        })
+        .returning("*");
+
+      if (role === "assignee" && !event.assigned_to) {
+        await updateWithRevision(
+          trx,
+          "events",
+          event.id,
+          { assigned_to: user.id, updated_at: now },
+          context.userId
+        );
+      }
+
+      await trx.commit();
+      return this._format(assignment);
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "addAssignment", {
+        eventId,
+        userId: data.userId,
+      });
+    }
+  }
+
+  /**
+   * Update an assignment's role, order or permissions
+   * @param {string|number} eventId
+   * @param {string|number} assignmentId
+   * @param {Object} data Fields to update (role, order, isMandatory, canReassign, canDelegate, permissions)
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Updated assignment
+   */
+  async updateAssignment(eventId, assignmentId, data, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const event = await this._getEvent(trx, eventId, "updateAssignment");
+      const assignment = await this._getAssignment(
+        trx,
+        event.id,
+        assignmentId,
+        "updateAssignment"
+      );
+
+      if (data.role !== undefined) {
+        this._assertRole(data.role, "updateAssignment");
+      }
+
+      const fields = {
+        role: "role",
+        order: "order",
+        isMandatory: "is_mandatory",
+        canReassign: "can_reassign",
+        canDelegate: "can_delegate",
+      };
+      const changes = {};
+      for (const [key, column] of Object.entries(fields)) {
+        if (data[key] !== undefined) {
+          changes[column] = data[key];
+        }
+      }
+      if (data.permissions !== undefined) {
+        changes.permissions = data.permissions
+          ? JSON.stringify(data.permissions)
+          : null;
+      }
+
+      const now = new Date();
+      const [updated] = await trx(this.tableName)
+        .where({ id: assignment.id })
+        .update({
+          ...changes,
+          history: appendJsonColumn(assignment.history, {
+            date: now.toISOString(),
+            action: "updated",
+            by: context.userId,
+            changes: Object.keys(changes),
+          }),
+          updated_at: now,
+        })
+        .returning("*");
+
+      if (updated.role !== "assignee") {
+        await this._releaseAssignedTo(
+          trx,
+          event,
+          assignment.user_id,
+          now,
+          context.userId
+        );
+      }
+
+      await trx.commit();
+      return this._format(updated);
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "updateAssignment", {
+        eventId,
+        assignmentId,
+      });
+    }
+  }
+
+  /**
+   * Remove a user from an event
+   * @param {string|number} eventId
+   * @param {string|number} assignmentId
+   * @returns {Promise<boolean>}
+   */
+  async removeAssignment(eventId, assignmentId) {
+    const trx = await this.db.transaction();
+
+    try {
+      const event = await this._getEvent(trx, eventId, "removeAssignment");
+      const assignment = await this._getAssignment(
+        trx,
+        event.id,
+        assignmentId,
+        "removeAssignment"
+      );
+
+      await trx(this.tableName).where({ id: assignment.id }).del();
+      await this._releaseAssignedTo(trx, event, assignment.user_id, new Date());
+
+      await trx.commit();
+      return true;
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "removeAssignment", {
+        eventId,
+        assignmentId,
+      });
+    }
+  }
+
+  /**
+   * Who is on duty for an event on a date. Rotation events use the latest
+   * occurrence on or before the date; fixed events use events.assigned_to.
+   * A temporary delegation covering the date hands the duty to the delegate.
+   * @param {string|number} eventId
+   * @param {Date|string} [date] Defaults to today
+   * @returns {Promise<Object>} { date, assignment_mode, user_id, assigned_user_id, instance_id, delegation_id }
+   */
+  async getCurrentAssignee(eventId, date = new Date()) {
+    try {
+      const event = await this._getEvent(
+        this.db,
+        eventId,
+        "getCurrentAssignee"
+      );
+      const day = toDateString(date);
+      const mode = event.assignment_mode || "fixed";
+      let assignedUserId = event.assigned_to;
+      let instance = null;
+
+      if (mode === "rotation") {
+        instance = await this.db("event_instances")
+          .where({ event_id: event.id })
+          .where("start_date", "<=", day)
+          .whereNotNull("assigned_to")
+          .whereNull("deleted_at")
+          .orderBy("start_date", "desc")
+          .first();
+
+        const [first] = await this.getRotation(this.db, event.id);
+        assignedUserId = instance ? instance.assigned_to : first || null;
+      }
+
+      const delegations = assignedUserId
+        ? await DelegationService.getTemporaryDelegations(this.db, {
+            event_id: event.id,
+            original_user_id: assignedUserId,
+          })
+        : [];
+      const delegation = delegations.find(
+        (candidate) =>
+          toDateString(candidate.start_date) <= day &&
+          toDateString(candidate.end_date) >= day
+      );
+
+      return {
+        date: day,
+        assignment_mode: mode,
+        user_id: delegation ? delegation.delegated_to : assignedUserId,
+        assigned_user_id: assignedUserId,
+        instance_id: instance ? instance.id : null,
+        delegation_id: delegation ? delegation.id : null,
+      };
+    } catch (error) {
+      throw this._handleError(error, "getCurrentAssignee", { eventId, date });
+    }
+  }
+
+  /**
+   * User ids taking part in an event's rotation, in order
+   * @param {Object} db Knex instance or transaction
+   * @param {string|number} eventId
+   * @returns {Promise<Array<number>>}
+   */
+  async getRotation(db, eventId) {
+    return db(this.tableName)
+      .where({ event_id: eventId, role: "assignee", status: "active" })
+      .orderBy([
+        { column: "order", order: "asc" },
+        { column: "id", order: "asc" },
+      ])
+      .pluck("user_id");
+  }
+
+  /**
+   * The member after the previous assignee, wrapping around. Starts at the
+   * top when there is no previous assignee or they left the rotation.
+   * @param {Array<number>} rotation User ids in order
+   * @param {number|null} previousUserId
+   * @returns {number|null}
+   */
+  nextInRotation(rotation, previousUserId) {
+    if (rotation.length === 0) {
+      return null;
+    }
+
+    const index = rotation.indexOf(previousUserId);
+    return rotation[(index + 1) % rotation.length];
+  }
+
+  /**
+   * Hand events.assigned_to to the next assignee when its user stops being one
+   * @private
+   */
+  async _releaseAssignedTo(trx, event, userId, now, changedBy) {
+    if (event.assigned_to !== userId) {
+      return;
+    }
+
+    const [next] = (await this.getRotation(trx, event.id)).filter(
+      (id) => id !== userId
+    );
+
+    await updateWithRevision(
+      trx,
+      "events",
+      event.id,
+      { assigned_to: next || null, updated_at: now },
+      changedBy
+    );
+  }
+
+  /**
+   * Reject roles other than assignee, reviewer and observer
+   * @private
+   */
+  _assertRole(role, method) {
+    if (!ASSIGNMENT_ROLES.includes(role)) {
+      throw new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        method,
+        {
+          message: `Unknown assignment role: ${role}`,
+          field: "role",
+        }
+      );
+    }
+  }
+
+  /**
+   * Order for a new assignment: after the current last one
+   * @private
+   */
+  async _nextOrder(trx, eventId) {
+    const { max } = await trx(this.tableName)
+      .where({ event_id: eventId })
+      .max("order as max")
+      .first();
+
+    return max === null ? 0 : max + 1;
+  }
+
+  /**
+   * Load an event or throw NOT_FOUND
+   * @private
+   */
+  async _getEvent(db, eventId, method) {
+    const event = await db("events")
+      .where({ id: eventId })
+      .whereNull("deleted_at")
+      .first();
+
+    if (!event) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Event",
+        id: eventId,
+      });
+    }
+
+    return event;
+  }
+
+  /**
+   * Load an assignment belonging to an event or throw NOT_FOUND
+   * @private
+   */
+  async _getAssignment(db, eventId, assignmentId, method) {
+    const assignment = await db(this.tableName)
+      .where({ id: assignmentId, event_id: eventId })
+      .first();
+
+    if (!assignment) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Assignment",
+        id: assignmentId,
+        eventId,
+      });
+    }
+
+    return assignment;
+  }
+
+  /**
+   * Parse JSON columns for API responses
+   * @private
+   */
+  _format(assignment) {
+    return {
+      ...assignment,
+      is_mandatory: Boolean(assignment.is_mandatory),
+      can_reassign: Boolean(assignment.can_reassign),
+      can_delegate: Boolean(assignment.can_delegate),
+      permissions: parseJsonColumn(assignment.permissions),
+      history: parseJsonColumn(assignment.history, []),
+    };
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    if (error.code === "23505") {
+      return new AppError(
+        ErrorTypes.DUPLICATE_ENTRY,
+        this.serviceName,
+        method,
+        {
+          error: error.detail,
+          constraint: error.constraint,
+          ...details,
+        }
+      );
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const assignmentService = new AssignmentService();
+module.exports = assignmentService;
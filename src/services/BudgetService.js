@@ -0,0 +1,390 @@
+const databaseService = require("./DatabaseService");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { toDateString } = require("../utils/dateHelpers");
+const { parseJsonColumn } = require("../utils/jsonColumn");
+const { updateWithRevision } = require("../utils/revisions");
+
+const TRANSACTION_TYPES = ["allocation", "expense", "adjustment"];
+
+// Round to cents; DECIMAL columns come back as strings from PostgreSQL
+const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+/**
+ * Budget ledger on event_budget_tracking. Allocations raise an event's
+ * budget_allocated; expenses and adjustments make up actual_cost, which is
+ * recomputed from the ledger on every entry. Amounts are converted with the
+ * entry's exchange_rate, so totals are in the base currency.
+ */
+class BudgetService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "event_budget_tracking";
+    this.serviceName = "BudgetService";
+  }
+
+  /**
+   * Get an event's budget summary and ledger entries, oldest first
+   * @param {string|number} eventId
+   * @param {Object} [filters]
+   * @param {Date|string} [filters.from] First transaction date
+   * @param {Date|string} [filters.to] Last transaction date
+   * @param {string} [filters.type] allocation, expense or adjustment
+   * @returns {Promise<Object>} Summary with a transactions list
+   */
+  async getBudget(eventId, filters = {}) {
+    try {
+      const event = await this._getEvent(this.db, eventId, "getBudget");
+
+      const transactions = await this.db(this.tableName)
+        .where({ event_id: event.id })
+        .modify((queryBuilder) => {
+          this._applyDateRange(queryBuilder, "transaction_date", filters);
+          if (filters.type) {
+            queryBuilder.where({ transaction_type: filters.type });
+          }
+        })
+        .orderBy([
+          { column: "transaction_date", order: "asc" },
+          { column: "id", order: "asc" },
+        ]);
+
+      return {
+        ...this._summarize(event),
+        transactions: transactions.map((transaction) =>
+          this._format(transaction)
+        ),
+      };
+    } catch (error) {
+      throw this._handleError(error, "getBudget", { eventId });
+    }
+  }
+
+  /**
+   * Record an allocation, expense or adjustment. Expenses that would take
+   * actual_cost past a non-zero budget are rejected unless allowOverBudget is
+   * set, in which case they are recorded and flagged.
+   * @param {string|number} eventId
+   * @param {Object} data
+   * @param {string} data.type allocation, expense or adjustment
+   * @param {number} data.amount Positive, except for adjustments which may be negative
+   * @param {string} [data.currency]
+   * @param {number} [data.exchangeRate] To the base currency, 1 by default
+   * @param {Date|string} [data.date] Transaction date, today by default
+   * @param {string} [data.category]
+   * @param {string} [data.description]
+   * @param {Object} [data.receipt] Receipt details, e.g. vendor, number, url
+   * @param {boolean} [data.allowOverBudget] Flag instead of rejecting overspending
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Recorded transaction with the updated summary
+   */
+  async recordTransaction(eventId, data, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      // Lock the event so concurrent transactions sum each other's expenses
+      const event = await this._getEvent(
+        trx,
+        eventId,
+        "recordTransaction",
+        true
+      );
+      const amount = toAmount(data.amount);
+      const exchangeRate = Number(data.exchangeRate ?? 1);
+      const baseAmount = toAmount(amount * exchangeRate);
+
+      this._assertAmount(data.type, amount);
+
+      let isOverBudget = false;
+      if (data.type === "expense") {
+        const budget = toAmount(event.budget_allocated);
+        const actualCost = await this._sumActualCost(trx, event.id);
+        isOverBudget = budget > 0 && toAmount(actualCost + baseAmount) > budget;
+
+        if (isOverBudget && !data.allowOverBudget) {
+          throw new AppError(
+            ErrorTypes.BUSINESS_RULE_VIOLATION,
+            this.serviceName,
+            "recordTransaction",
+            {
+              rule: "BUDGET_EXCEEDED",
+              message: "Expense would exceed the event's budget",
+              budgetAllocated: budget,
+              actualCost,
+              amount: baseAmount,
+              overBy: toAmount(actualCost + baseAmount - budget),
+            }
+          );
+        }
+      }
+
+      const now = new Date();
+      const [transaction] = await trx(this.tableName)
+        .insert({
+          event_id: event.id,
+          amount,
+          transaction_type: data.type,
+          category: data.category || null,
+          description: data.description || null,
+          recorded_by: context.userId,
+          receipt_data: data.receipt ? JSON.stringify(data.receipt) : null,
+          currency: data.currency || "USD",
+          exchange_rate: exchangeRate,
+          transaction_date: toDateString(data.date || now),
+          is_over_budget: isOverBudget,
+        })
+        .returning("*");
+
+      const changes = {
+        actual_cost: await this._sumActualCost(trx, event.id),
+        updated_at: now,
+      };
+      if (data.type === "allocation") {
+        changes.budget_allocated = toAmount(
+          toAmount(event.budget_allocated) + baseAmount
+        );
+      }
+
+      const updated = await updateWithRevision(
+        trx,
+        "events",
+        event.id,
+        changes,
+        context.userId
+      );
+
+      await trx.commit();
+      return {
+        ...this._format(transaction),
+        budget: this._summarize(updated),
+      };
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "recordTransaction", {
+        eventId,
+        type: data.type,
+      });
+    }
+  }
+
+  /**
+   * Totals per cost center for transactions dated within a range
+   * @param {Object} [filters]
+   * @param {Date|string} [filters.from]
+   * @param {Date|string} [filters.to]
+   * @param {string} [filters.costCenter] Only this cost center
+   * @returns {Promise<Array<Object>>} One row per cost center; events without one are grouped under null
+   */
+  async getCostCenterRollup(filters = {}) {
+    try {
+      const rows = await this.db(`${this.tableName} as t`)
+        .join("events as e", "e.id", "t.event_id")
+        .whereNull("e.deleted_at")
+        .modify((queryBuilder) => {
+          this._applyDateRange(queryBuilder, "t.transaction_date", filters);
+          if (filters.costCenter) {
+            queryBuilder.where("e.cost_center", filters.costCenter);
+          }
+        })
+        .select(
+          "e.cost_center",
+          "t.event_id",
+          "t.transaction_type",
+          "t.amount",
+          "t.exchange_rate",
+          "t.is_over_budget"
+        );
+
+      const rollups = new Map();
+      for (const row of rows) {
+        const key = row.cost_center ?? null;
+        if (!rollups.has(key)) {
+          rollups.set(key, {
+            cost_center: key,
+            events: new Set(),
+            allocated: 0,
+            spent: 0,
+            adjusted: 0,
+            over_budget_expenses: 0,
+          });
+        }
+
+        const rollup = rollups.get(key);
+        const amount = toAmount(row.amount * Number(row.exchange_rate ?? 1));
+        rollup.events.add(row.event_id);
+        if (row.transaction_type === "allocation") {
+          rollup.allocated += amount;
+        } else if (row.transaction_type === "expense") {
+          rollup.spent += amount;
+        } else {
+          rollup.adjusted += amount;
+        }
+        if (row.is_over_budget) {
+          rollup.over_budget_expenses += 1;
+        }
+      }
+
+      return [...rollups.values()]
+        .map(({ events, ...rollup }) => ({
+          ...rollup,
+          allocated: toAmount(rollup.allocated),
+          spent: toAmount(rollup.spent),
+          adjusted: toAmount(rollup.adjusted),
+          net_cost: toAmount(rollup.spent + rollup.adjusted),
+          event_count: events.size,
+        }))
+        .sort((a, b) =>
+          a.cost_center === null
+            ? 1
+            : b.cost_center === null
+              ? -1
+              : a.cost_center.localeCompare(b.cost_center)
+        );
+    } catch (error) {
+      throw this._handleError(error, "getCostCenterRollup", filters);
+    }
+  }
+
+  /**
+   * Expenses plus adjustments in the base currency
+   * @private
+   */
+  async _sumActualCost(trx, eventId) {
+    const entries = await trx(this.tableName)
+      .where({ event_id: eventId })
+      .whereIn("transaction_type", ["expense", "adjustment"])
+      .select("amount", "exchange_rate");
+
+    return toAmount(
+      entries.reduce(
+        (total, entry) =>
+          total + toAmount(entry.amount * Number(entry.exchange_rate ?? 1)),
+        0
+      )
+    );
+  }
+
+  /**
+   * Allocations and expenses must be positive, adjustments non-zero
+   * @private
+   */
+  _assertAmount(type, amount) {
+    if (!TRANSACTION_TYPES.includes(type)) {
+      throw new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        "recordTransaction",
+        { message: `Unknown transaction type: ${type}`, field: "type" }
+      );
+    }
+
+    if (type === "adjustment" ? amount === 0 : amount <= 0) {
+      throw new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        "recordTransaction",
+        {
+          message:
+            type === "adjustment"
+              ? "Adjustments must not be zero"
+              : `${type === "expense" ? "Expenses" : "Allocations"} must be positive`,
+          field: "amount",
+        }
+      );
+    }
+  }
+
+  /**
+   * Limit a query to a date column between from and to, inclusive
+   * @private
+   */
+  _applyDateRange(queryBuilder, column, filters) {
+    if (filters.from) {
+      queryBuilder.where(column, ">=", toDateString(filters.from));
+    }
+    if (filters.to) {
+      queryBuilder.where(column, "<=", toDateString(filters.to));
+    }
+  }
+
+  /**
+   * Budget figures of an event
+   * @private
+   */
+  _summarize(event) {
+    const budgetAllocated = toAmount(event.budget_allocated);
+    const actualCost = toAmount(event.actual_cost);
+
+    return {
+      event_id: event.id,
+      cost_center: event.cost_center,
+      budget_allocated: budgetAllocated,
+      cost_estimate: toAmount(event.cost_estimate),
+      actual_cost: actualCost,
+      remaining: toAmount(budgetAllocated - actualCost),
+      is_over_budget: budgetAllocated > 0 && actualCost > budgetAllocated,
+    };
+  }
+
+  /**
+   * Load an event or throw NOT_FOUND, optionally locking it
+   * @private
+   */
+  async _getEvent(db, eventId, method, lock = false) {
+    const query = db("events").where({ id: eventId }).whereNull("deleted_at");
+
+    if (lock) {
+      query.forUpdate();
+    }
+
+    const event = await query.first();
+
+    if (!event) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Event",
+        id: eventId,
+      });
+    }
+
+    return event;
+  }
+
+  /**
+   * Parse JSON columns for API responses
+   * @private
+   */
+  _format(transaction) {
+    return {
+      ...transaction,
+      amount: toAmount(transaction.amount),
+      exchange_rate: Number(transaction.exchange_rate ?? 1),
+      transaction_date: toDateString(transaction.transaction_date),
+      is_over_budget: Boolean(transaction.is_over_budget),
+      receipt_data: parseJsonColumn(transaction.receipt_data),
+    };
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const budgetService = new BudgetService();
+module.exports = budgetService;
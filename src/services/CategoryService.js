@@ -0,0 +1,13 @@
+const NestedResourceService = require("./NestedResourceService");
+
+// Export a singleton instance
+const categoryService = new NestedResourceService({
+  tableName: "categories",
+  serviceName: "CategoryService",
+  resource: "Category",
+  eventColumn: "category_id",
+  fields: {
+    color: "color",
+  },
+});
+module.exports = categoryService;
@@ -0,0 +1,493 @@
+const { v4: uuidv4 } = require("uuid");
+const databaseService = require("./DatabaseService");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { parseJsonColumn } = require("../utils/jsonColumn");
+const { updateWithRevision } = require("../utils/revisions");
+
+class ChecklistService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "event_checklists";
+    this.stateTableName = "instance_checklist_items";
+    this.serviceName = "ChecklistService";
+  }
+
+  /**
+   * List the checklists of an event
+   * @param {string|number} eventId
+   * @returns {Promise<Array<Object>>} Checklists in display order
+   */
+  async getChecklists(eventId) {
+    try {
+      await this._getEvent(this.db, eventId, "getChecklists");
+
+      const checklists = await this.db(this.tableName)
+        .where({ event_id: eventId })
+        .orderBy([
+          { column: "order", order: "asc" },
+          { column: "id", order: "asc" },
+        ]);
+
+      return checklists.map((checklist) => this._format(checklist));
+    } catch (error) {
+      throw this._handleError(error, "getChecklists", { eventId });
+    }
+  }
+
+  /**
+   * Get a single checklist of an event
+   * @param {string|number} eventId
+   * @param {string|number} checklistId
+   * @returns {Promise<Object>} Checklist
+   */
+  async getChecklistById(eventId, checklistId) {
+    try {
+      const checklist = await this._getChecklist(
+        this.db,
+        eventId,
+        checklistId,
+        "getChecklistById"
+      );
+      return this._format(checklist);
+    } catch (error) {
+      throw this._handleError(error, "getChecklistById", {
+        eventId,
+        checklistId,
+      });
+    }
+  }
+
+  /**
+   * Attach a checklist to an event
+   * @param {string|number} eventId
+   * @param {Object} data
+   * @param {string} data.title
+   * @param {boolean} [data.isRequired] Whether it blocks completion
+   * @param {number} [data.order]
+   * @param {Array<{id: string, title: string}>} [data.items] Checklist items
+   * @returns {Promise<Object>} Created checklist
+   */
+  async createChecklist(eventId, data) {
+    const trx = await this.db.transaction();
+
+    try {
+      await this._getEvent(trx, eventId, "createChecklist");
+
+      const [checklist] = await trx(this.tableName)
+        .insert({
+          event_id: eventId,
+          title: data.title,
+          is_required: data.isRequired ?? true,
+          order: data.order ?? 0,
+          checklist_items: JSON.stringify(this._prepareItems(data.items)),
+        })
+        .returning("*");
+
+      await this._syncRequiresChecklist(trx, eventId);
+
+      await trx.commit();
+      return this._format(checklist);
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "createChecklist", { eventId });
+    }
+  }
+
+  /**
+   * Update a checklist. Items keep their id so existing tick-off state
+   * survives edits; items without an id are added.
+   * @param {string|number} eventId
+   * @param {string|number} checklistId
+   * @param {Object} data Fields to update (title, isRequired, order, items)
+   * @returns {Promise<Object>} Updated checklist
+   */
+  async updateChecklist(eventId, checklistId, data) {
+    const trx = await this.db.transaction();
+
+    try {
+      await this._getChecklist(trx, eventId, checklistId, "updateChecklist");
+
+      const changes = { updated_at: new Date() };
+      if (data.title !== undefined) {
+        changes.title = data.title;
+      }
+      if (data.isRequired !== undefined) {
+        changes.is_required = data.isRequired;
+      }
+      if (data.order !== undefined) {
+        changes.order = data.order;
+      }
+      if (data.items !== undefined) {
+        changes.checklist_items = JSON.stringify(
+          this._prepareItems(data.items)
+        );
+      }
+
+      const [checklist] = await trx(this.tableName)
+        .where({ id: checklistId })
+        .update(changes)
+        .returning("*");
+
+      await this._syncRequiresChecklist(trx, eventId);
+
+      await trx.commit();
+      return this._format(checklist);
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "updateChecklist", {
+        eventId,
+        checklistId,
+      });
+    }
+  }
+
+  /**
+   * Delete a checklist and its tick-off state
+   * @param {string|number} eventId
+   * @param {string|number} checklistId
+   * @returns {Promise<boolean>}
+   */
+  async deleteChecklist(eventId, checklistId) {
+    const trx = await this.db.transaction();
+
+    try {
+      await this._getChecklist(trx, eventId, checklistId, "deleteChecklist");
+
+      await trx(this.stateTableName).where({ checklist_id: checklistId }).del();
+      await trx(this.tableName).where({ id: checklistId }).del();
+      await this._syncRequiresChecklist(trx, eventId);
+
+      await trx.commit();
+      return true;
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "deleteChecklist", {
+        eventId,
+        checklistId,
+      });
+    }
+  }
+
+  /**
+   * Get an occurrence's checklists with the tick-off state of every item
+   * @param {string|number} eventId
+   * @param {string|number} instanceId
+   * @returns {Promise<Array<Object>>} Checklists with `completed` flags
+   */
+  async getInstanceChecklists(eventId, instanceId) {
+    try {
+      await this._getInstance(
+        this.db,
+        eventId,
+        instanceId,
+        "getInstanceChecklists"
+      );
+      return await this._getChecklistState(this.db, eventId, instanceId);
+    } catch (error) {
+      throw this._handleError(error, "getInstanceChecklists", {
+        eventId,
+        instanceId,
+      });
+    }
+  }
+
+  /**
+   * Tick off or clear a checklist item for an occurrence
+   * @param {string|number} eventId
+   * @param {string|number} instanceId
+   * @param {string|number} checklistId
+   * @param {string} itemId
+   * @param {boolean} completed
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Checklist with its updated state
+   */
+  async setItemState(
+    eventId,
+    instanceId,
+    checklistId,
+    itemId,
+    completed,
+    context = {}
+  ) {
+    const trx = await this.db.transaction();
+
+    try {
+      const instance = await this._getInstance(
+        trx,
+        eventId,
+        instanceId,
+        "setItemState"
+      );
+
+      if (instance.completion_status !== "pending") {
+        throw new AppError(
+          ErrorTypes.INVALID_STATUS_TRANSITION,
+          this.serviceName,
+          "setItemState",
+          {
+            message: `Occurrence is already ${instance.completion_status}`,
+            instanceId,
+          }
+        );
+      }
+
+      const checklist = await this._getChecklist(
+        trx,
+        eventId,
+        checklistId,
+        "setItemState"
+      );
+      const items = parseJsonColumn(checklist.checklist_items, []);
+
+      if (!items.some((item) => item.id === itemId)) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "setItemState",
+          { resource: "Checklist Item", id: itemId, checklistId }
+        );
+      }
+
+      const key = {
+        instance_id: instance.id,
+        checklist_id: checklist.id,
+        item_id: itemId,
+      };
+
+      if (completed) {
+        await trx(this.stateTableName)
+          .insert({
+            ...key,
+            completed_by: context.userId,
+            completed_at: new Date(),
+          })
+          .onConflict(["instance_id", "checklist_id", "item_id"])
+          .ignore();
+      } else {
+        await trx(this.stateTableName).where(key).del();
+      }
+
+      const [state] = await this._getChecklistState(
+        trx,
+        eventId,
+        instance.id,
+        checklist.id
+      );
+
+      await trx.commit();
+      return state;
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "setItemState", {
+        eventId,
+        instanceId,
+        checklistId,
+        itemId,
+      });
+    }
+  }
+
+  /**
+   * Required checklists of an occurrence that still have unticked items
+   * @param {Object} db Knex instance or transaction
+   * @param {string|number} eventId
+   * @param {string|number} instanceId
+   * @returns {Promise<Array<{id: number, title: string, remaining: number}>>}
+   */
+  async getIncompleteChecklists(db, eventId, instanceId) {
+    const checklists = await this._getChecklistState(db, eventId, instanceId);
+
+    return checklists
+      .filter((checklist) => checklist.is_required && !checklist.completed)
+      .map((checklist) => ({
+        id: checklist.id,
+        title: checklist.title,
+        remaining: checklist.items.filter((item) => !item.completed).length,
+      }));
+  }
+
+  /**
+   * Merge checklist items with an occurrence's tick-off state
+   * @private
+   */
+  async _getChecklistState(db, eventId, instanceId, checklistId = null) {
+    const checklists = await db(this.tableName)
+      .where({ event_id: eventId })
+      .modify((queryBuilder) => {
+        if (checklistId) {
+          queryBuilder.where({ id: checklistId });
+        }
+      })
+      .orderBy([
+        { column: "order", order: "asc" },
+        { column: "id", order: "asc" },
+      ]);
+
+    const states = await db(this.stateTableName).where({
+      instance_id: instanceId,
+    });
+
+    return checklists.map(({ checklist_items: rawItems, ...checklist }) => {
+      const items = parseJsonColumn(rawItems, []).map((item) => {
+        const state = states.find(
+          (row) => row.checklist_id === checklist.id && row.item_id === item.id
+        );
+        return {
+          ...item,
+          completed: Boolean(state),
+          completed_by: state ? state.completed_by : null,
+          completed_at: state ? state.completed_at : null,
+        };
+      });
+
+      return {
+        ...checklist,
+        is_required: Boolean(checklist.is_required),
+        items,
+        completed: items.every((item) => item.completed),
+      };
+    });
+  }
+
+  /**
+   * Assign ids to new checklist items
+   * @private
+   */
+  _prepareItems(items = []) {
+    return items.map((item) => ({
+      id: item.id || uuidv4(),
+      title: item.title,
+    }));
+  }
+
+  /**
+   * Keep events.requires_checklist in line with its required checklists
+   * @private
+   */
+  async _syncRequiresChecklist(trx, eventId) {
+    const required = await trx(this.tableName)
+      .where({ event_id: eventId, is_required: true })
+      .first();
+    const event = await trx("events")
+      .where({ id: eventId })
+      .first("requires_checklist");
+
+    if (Boolean(event.requires_checklist) !== Boolean(required)) {
+      await updateWithRevision(trx, "events", eventId, {
+        requires_checklist: Boolean(required),
+      });
+    }
+  }
+
+  /**
+   * Load an event or throw NOT_FOUND
+   * @private
+   */
+  async _getEvent(db, eventId, method) {
+    const event = await db("events")
+      .where({ id: eventId })
+      .whereNull("deleted_at")
+      .first();
+
+    if (!event) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Event",
+        id: eventId,
+      });
+    }
+
+    return event;
+  }
+
+  /**
+   * Load a checklist belonging to an event or throw NOT_FOUND
+   * @private
+   */
+  async _getChecklist(db, eventId, checklistId, method) {
+    const checklist = await db(this.tableName)
+      .where({ id: checklistId, event_id: eventId })
+      .first();
+
+    if (!checklist) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Checklist",
+        id: checklistId,
+        eventId,
+      });
+    }
+
+    return checklist;
+  }
+
+  /**
+   * Load an occurrence belonging to an event or throw NOT_FOUND
+   * @private
+   */
+  async _getInstance(db, eventId, instanceId, method) {
+    const instance = await db("event_instances")
+      .where({ id: instanceId, event_id: eventId })
+      .whereNull("deleted_at")
+      .first();
+
+    if (!instance) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Event Instance",
+        id: instanceId,
+        eventId,
+      });
+    }
+
+    return instance;
+  }
+
+  /**
+   * Parse JSON columns for API responses
+   * @private
+   */
+  _format(checklist) {
+    return {
+      ...checklist,
+      is_required: Boolean(checklist.is_required),
+      checklist_items: parseJsonColumn(checklist.checklist_items, []),
+    };
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    if (error.code === "23503") {
+      return new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        method,
+        {
+          message: "Referenced record does not exist",
+          error: error.detail,
+          constraint: error.constraint,
+          ...details,
+        }
+      );
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const checklistService = new ChecklistService();
+module.exports = checklistService;
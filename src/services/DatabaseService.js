@@ -1,14 +1,14 @@
 // src/services/DatabaseService.js
 const knex = require("knex");
 const dbConfig = require("../config/database");
-const LoggerService = require("./LoggerService");
+const logger = require("./LoggerService");
 
 class DatabaseService {
   constructor() {
     this.knex = null;
     this.config = null;
     this._connected = false;
-    this.logger = LoggerService.getInstance();
+    this.logger = logger;
   }
 
   /**
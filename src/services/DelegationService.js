@@ -0,0 +1,470 @@
+const databaseService = require("./DatabaseService");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { toDateString } = require("../utils/dateHelpers");
+const { parseJsonColumn, appendJsonColumn } = require("../utils/jsonColumn");
+const { updateWithRevision } = require("../utils/revisions");
+
+/**
+ * Temporary delegations hand an assignee's work on an event to another user
+ * between start_date and end_date and require the assignment's can_delegate.
+ * Permanent delegations are reassignments: the assignment itself moves to the
+ * delegate, which requires can_reassign.
+ */
+class DelegationService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "event_delegations";
+    this.assignmentTableName = "event_assignments";
+    this.serviceName = "DelegationService";
+  }
+
+  /**
+   * List the delegations of an event, newest first
+   * @param {string|number} eventId
+   * @returns {Promise<Array<Object>>}
+   */
+  async getDelegations(eventId) {
+    try {
+      await this._getEvent(this.db, eventId, "getDelegations");
+
+      const delegations = await this.db(this.tableName)
+        .where({ event_id: eventId })
+        .orderBy("id", "desc");
+
+      return delegations.map((delegation) => this._format(delegation));
+    } catch (error) {
+      throw this._handleError(error, "getDelegations", { eventId });
+    }
+  }
+
+  /**
+   * Delegate the current user's assignment on an event to another user
+   * @param {string|number} eventId
+   * @param {Object} data
+   * @param {number} data.delegatedTo Delegate user id
+   * @param {Date|string} [data.startDate] First day of the delegation (today by default)
+   * @param {Date|string} [data.endDate] Last day, required unless permanent
+   * @param {boolean} [data.isPermanent] Reassign the assignment for good
+   * @param {string} [data.reason]
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Created delegation
+   */
+  async createDelegation(eventId, data, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const event = await this._getEvent(trx, eventId, "createDelegation");
+      const isPermanent = Boolean(data.isPermanent);
+      const assignment = await this._getDelegatingAssignment(
+        trx,
+        event.id,
+        context.userId,
+        isPermanent
+      );
+
+      if (Number(data.delegatedTo) === Number(context.userId)) {
+        throw new AppError(
+          ErrorTypes.VALIDATION_ERROR,
+          this.serviceName,
+          "createDelegation",
+          { message: "Cannot delegate to yourself", field: "delegatedTo" }
+        );
+      }
+
+      const delegate = await trx("users")
+        .where({ id: data.delegatedTo, is_active: true })
+        .first();
+
+      if (!delegate) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "createDelegation",
+          { resource: "User", id: data.delegatedTo }
+        );
+      }
+
+      const now = new Date();
+      const startDate = toDateString(data.startDate || now);
+      const endDate = isPermanent ? null : toDateString(data.endDate);
+
+      if (!isPermanent && !(endDate >= startDate)) {
+        throw new AppError(
+          ErrorTypes.VALIDATION_ERROR,
+          this.serviceName,
+          "createDelegation",
+          {
+            message: "Delegation must end on or after its start date",
+            field: "endDate",
+          }
+        );
+      }
+
+      if (!isPermanent) {
+        await this._assertNoOverlap(
+          trx,
+          event.id,
+          context.userId,
+          startDate,
+          endDate
+        );
+      }
+
+      const [delegation] = await trx(this.tableName)
+        .insert({
+          event_id: event.id,
+          original_user_id: context.userId,
+          delegated_to: delegate.id,
+          delegated_by: context.userId,
+          start_date: startDate,
+          end_date: endDate,
+          is_permanent: isPermanent,
+          reason: data.reason || null,
+          status: "active",
+          delegation_history: JSON.stringify([
+            {
+              date: now.toISOString(),
+              action: "created",
+              by: context.userId,
+            },
+          ]),
+        })
+        .returning("*");
+
+      await trx(this.assignmentTableName)
+        .where({ id: assignment.id })
+        .update({
+          status: isPermanent ? "reassigned" : assignment.status,
+          history: appendJsonColumn(assignment.history, {
+            date: now.toISOString(),
+            action: isPermanent ? "reassigned" : "delegated",
+            by: context.userId,
+            delegation_id: delegation.id,
+            delegated_to: delegate.id,
+            start_date: startDate,
+            end_date: endDate,
+          }),
+          updated_at: now,
+        });
+
+      if (isPermanent) {
+        await this._transferAssignment(
+          trx,
+          event,
+          assignment,
+          delegate.id,
+          delegation,
+          context,
+          now
+        );
+      }
+
+      await trx.commit();
+      return this._format(delegation);
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "createDelegation", {
+        eventId,
+        delegatedTo: data.delegatedTo,
+      });
+    }
+  }
+
+  /**
+   * Revoke a temporary delegation before it ends
+   * @param {string|number} eventId
+   * @param {string|number} delegationId
+   * @param {Object} data
+   * @param {string} [data.reason]
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Revoked delegation
+   */
+  async revokeDelegation(eventId, delegationId, data = {}, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const delegation = await trx(this.tableName)
+        .where({ id: delegationId, event_id: eventId })
+        .first();
+
+      if (!delegation) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "revokeDelegation",
+          { resource: "Delegation", id: delegationId, eventId }
+        );
+      }
+
+      if (
+        ![delegation.original_user_id, delegation.delegated_by].includes(
+          Number(context.userId)
+        )
+      ) {
+        throw new AppError(
+          ErrorTypes.INSUFFICIENT_PERMISSIONS,
+          this.serviceName,
+          "revokeDelegation",
+          {
+            message: "Only the delegating user can revoke a delegation",
+            delegationId,
+          }
+        );
+      }
+
+      if (delegation.status !== "active" || delegation.is_permanent) {
+        throw new AppError(
+          ErrorTypes.INVALID_STATUS_TRANSITION,
+          this.serviceName,
+          "revokeDelegation",
+          {
+            message: delegation.is_permanent
+              ? "Permanent delegations are reassignments and cannot be revoked"
+              : `Delegation is already ${delegation.status}`,
+            delegationId,
+          }
+        );
+      }
+
+      const now = new Date();
+      const [revoked] = await trx(this.tableName)
+        .where({ id: delegation.id })
+        .update({
+          status: "revoked",
+          delegation_history: appendJsonColumn(delegation.delegation_history, {
+            date: now.toISOString(),
+            action: "revoked",
+            by: context.userId,
+            reason: data.reason,
+          }),
+          updated_at: now,
+        })
+        .returning("*");
+
+      await trx.commit();
+      return this._format(revoked);
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "revokeDelegation", {
+        eventId,
+        delegationId,
+      });
+    }
+  }
+
+  /**
+   * Active temporary delegations matching a filter, e.g. { delegated_to }
+   * or { original_user_id }
+   * @param {Object} db Knex instance or transaction
+   * @param {Object} where Column filter
+   * @returns {Promise<Array<Object>>}
+   */
+  async getTemporaryDelegations(db, where) {
+    return db(this.tableName)
+      .where({ ...where, status: "active", is_permanent: false })
+      .select(
+        "id",
+        "event_id",
+        "original_user_id",
+        "delegated_to",
+        "start_date",
+        "end_date"
+      );
+  }
+
+  /**
+   * Load the user's active assignment and check it allows the delegation
+   * @private
+   */
+  async _getDelegatingAssignment(trx, eventId, userId, isPermanent) {
+    const assignment = await trx(this.assignmentTableName)
+      .where({ event_id: eventId, user_id: userId, status: "active" })
+      .first();
+    const permission = isPermanent ? "can_reassign" : "can_delegate";
+
+    if (!assignment || !assignment[permission]) {
+      throw new AppError(
+        ErrorTypes.INSUFFICIENT_PERMISSIONS,
+        this.serviceName,
+        "createDelegation",
+        {
+          message: assignment
+            ? `Assignment does not allow ${
+                isPermanent ? "reassignment" : "delegation"
+              }`
+            : "User has no active assignment on this event",
+          permission,
+        }
+      );
+    }
+
+    return assignment;
+  }
+
+  /**
+   * Reject temporary delegations overlapping an existing one of the same user
+   * @private
+   */
+  async _assertNoOverlap(trx, eventId, userId, startDate, endDate) {
+    const overlapping = await trx(this.tableName)
+      .where({
+        event_id: eventId,
+        original_user_id: userId,
+        status: "active",
+        is_permanent: false,
+      })
+      .where("start_date", "<=", endDate)
+      .where("end_date", ">=", startDate)
+      .first();
+
+    if (overlapping) {
+      throw new AppError(
+        ErrorTypes.BUSINESS_RULE_VIOLATION,
+        this.serviceName,
+        "createDelegation",
+        {
+          rule: "DELEGATION_OVERLAP",
+          message: "An active delegation already covers these dates",
+          delegationId: overlapping.id,
+        }
+      );
+    }
+  }
+
+  /**
+   * Move an assignment to the delegate for a permanent delegation. A delegate
+   * already on the event (e.g. as an observer) takes over the assignment's
+   * role and permissions.
+   * @private
+   */
+  async _transferAssignment(
+    trx,
+    event,
+    assignment,
+    delegateId,
+    delegation,
+    context,
+    now
+  ) {
+    const historyEntry = {
+      date: now.toISOString(),
+      action: "reassigned_from",
+      by: context.userId,
+      delegation_id: delegation.id,
+      from: assignment.user_id,
+    };
+    const existing = await trx(this.assignmentTableName)
+      .where({ event_id: event.id, user_id: delegateId })
+      .first();
+
+    if (existing) {
+      await trx(this.assignmentTableName)
+        .where({ id: existing.id })
+        .update({
+          role: assignment.role,
+          permissions: assignment.permissions,
+          is_mandatory: assignment.is_mandatory,
+          status: "active",
+          history: appendJsonColumn(existing.history, historyEntry),
+          updated_at: now,
+        });
+    } else {
+      await trx(this.assignmentTableName).insert({
+        event_id: event.id,
+        user_id: delegateId,
+        assigned_by: context.userId,
+        role: assignment.role,
+        permissions: assignment.permissions,
+        is_mandatory: assignment.is_mandatory,
+        order: assignment.order,
+        can_reassign: assignment.can_reassign,
+        can_delegate: assignment.can_delegate,
+        status: "active",
+        history: JSON.stringify([historyEntry]),
+      });
+    }
+
+    if (event.assigned_to === assignment.user_id) {
+      await updateWithRevision(
+        trx,
+        "events",
+        event.id,
+        { assigned_to: delegateId, updated_at: now },
+        context.userId
+      );
+    }
+  }
+
+  /**
+   * Load an event or throw NOT_FOUND
+   * @private
+   */
+  async _getEvent(db, eventId, method) {
+    const event = await db("events")
+      .where({ id: eventId })
+      .whereNull("deleted_at")
+      .first();
+
+    if (!event) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Event",
+        id: eventId,
+      });
+    }
+
+    return event;
+  }
+
+  /**
+   * Parse JSON columns for API responses
+   * @private
+   */
+  _format(delegation) {
+    return {
+      ...delegation,
+      start_date: toDateString(delegation.start_date),
+      end_date: toDateString(delegation.end_date),
+      is_permanent: Boolean(delegation.is_permanent),
+      delegation_history: parseJsonColumn(delegation.delegation_history, []),
+    };
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    if (error.code === "23503") {
+      return new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        method,
+        {
+          message: "Referenced record does not exist",
+          error: error.detail,
+          constraint: error.constraint,
+          ...details,
+        }
+      );
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const delegationService = new DelegationService();
+module.exports = delegationService;
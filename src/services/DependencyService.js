@@ -0,0 +1,355 @@
+const databaseService = require("./DatabaseService");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { toDateString } = require("../utils/dateHelpers");
+const { parseJsonColumn } = require("../utils/jsonColumn");
+
+// Occurrence statuses that resolve a blocking dependency
+const RESOLVED_STATUSES = ["completed", "late", "skipped"];
+
+/**
+ * Rows of event_dependencies read as "event_id blocks dependent_event_id":
+ * event_id is upstream and must be done before dependent_event_id.
+ */
+class DependencyService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "event_dependencies";
+    this.serviceName = "DependencyService";
+  }
+
+  /**
+   * Get the upstream (prerequisites) and downstream (dependents) graph of an
+   * event, following dependencies transitively
+   * @param {string|number} eventId
+   * @returns {Promise<{upstream: Array<Object>, downstream: Array<Object>}>}
+   */
+  async getDependencyGraph(eventId) {
+    try {
+      await this._getEvent(this.db, eventId, "getDependencyGraph");
+
+      const edges = await this.db(this.tableName);
+
+      return {
+        upstream: await this._walk(edges, eventId, "upstream"),
+        downstream: await this._walk(edges, eventId, "downstream"),
+      };
+    } catch (error) {
+      throw this._handleError(error, "getDependencyGraph", { eventId });
+    }
+  }
+
+  /**
+   * Make an event depend on another one
+   * @param {string|number} eventId Dependent (downstream) event
+   * @param {Object} data
+   * @param {number} data.dependsOnEventId Upstream event
+   * @param {string} [data.dependencyType] "blocks" (enforced) or "related"
+   * @param {boolean} [data.isMandatory]
+   * @param {Object} [data.rules] Free-form dependency_rules
+   * @returns {Promise<Object>} Created dependency
+   */
+  async addDependency(eventId, data) {
+    const trx = await this.db.transaction();
+
+    try {
+      await this._getEvent(trx, eventId, "addDependency");
+      await this._getEvent(trx, data.dependsOnEventId, "addDependency");
+
+      const edges = await trx(this.tableName).select(
+        "event_id",
+        "dependent_event_id"
+      );
+
+      if (
+        edges.some(
+          (edge) =>
+            edge.event_id === Number(data.dependsOnEventId) &&
+            edge.dependent_event_id === Number(eventId)
+        )
+      ) {
+        throw new AppError(
+          ErrorTypes.DUPLICATE_ENTRY,
+          this.serviceName,
+          "addDependency",
+          { message: "Dependency already exists" }
+        );
+      }
+
+      const cycle = this._findPath(
+        edges,
+        Number(eventId),
+        Number(data.dependsOnEventId)
+      );
+
+      if (cycle) {
+        throw new AppError(
+          ErrorTypes.BUSINESS_RULE_VIOLATION,
+          this.serviceName,
+          "addDependency",
+          {
+            rule: "DEPENDENCY_CYCLE",
+            message: "Dependency would create a cycle",
+            cycle: [...cycle, Number(eventId)],
+          }
+        );
+      }
+
+      const [dependency] = await trx(this.tableName)
+        .insert({
+          event_id: data.dependsOnEventId,
+          dependent_event_id: eventId,
+          dependency_type: data.dependencyType || "blocks",
+          is_mandatory: data.isMandatory ?? true,
+          dependency_rules: data.rules ? JSON.stringify(data.rules) : null,
+        })
+        .returning("*");
+
+      await trx.commit();
+      return this._format(dependency);
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "addDependency", {
+        eventId,
+        dependsOnEventId: data.dependsOnEventId,
+      });
+    }
+  }
+
+  /**
+   * Remove a dependency of an event
+   * @param {string|number} eventId Either side of the dependency
+   * @param {string|number} dependencyId
+   * @returns {Promise<boolean>}
+   */
+  async removeDependency(eventId, dependencyId) {
+    try {
+      const deleted = await this.db(this.tableName)
+        .where({ id: dependencyId })
+        .andWhere((queryBuilder) =>
+          queryBuilder
+            .where({ event_id: eventId })
+            .orWhere({ dependent_event_id: eventId })
+        )
+        .del();
+
+      if (!deleted) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "removeDependency",
+          { resource: "Dependency", id: dependencyId, eventId }
+        );
+      }
+
+      return true;
+    } catch (error) {
+      throw this._handleError(error, "removeDependency", {
+        eventId,
+        dependencyId,
+      });
+    }
+  }
+
+  /**
+   * Mandatory blocking dependencies that are not yet done for an occurrence.
+   * An upstream event is done when its latest occurrence on or before the
+   * occurrence's start date has been completed or skipped. Deleted upstream
+   * events don't block.
+   * @param {Object} db Knex instance or transaction
+   * @param {string|number} eventId Dependent event
+   * @param {Object} instance Occurrence being completed
+   * @returns {Promise<Array<Object>>} Unresolved upstream events
+   */
+  async getBlockingDependencies(db, eventId, instance) {
+    const dependencies = await db(this.tableName)
+      .join("events", "events.id", "=", `${this.tableName}.event_id`)
+      .where({
+        [`${this.tableName}.dependent_event_id`]: eventId,
+        [`${this.tableName}.dependency_type`]: "blocks",
+        [`${this.tableName}.is_mandatory`]: true,
+      })
+      .whereNull("events.deleted_at")
+      .select(
+        `${this.tableName}.id as dependency_id`,
+        "events.id as event_id",
+        "events.title"
+      );
+
+    const blocking = [];
+
+    for (const dependency of dependencies) {
+      const occurrence = await db("event_instances")
+        .where({ event_id: dependency.event_id })
+        .where("start_date", "<=", toDateString(instance.start_date))
+        .whereNull("deleted_at")
+        .orderBy("start_date", "desc")
+        .first();
+
+      if (
+        !occurrence ||
+        !RESOLVED_STATUSES.includes(occurrence.completion_status)
+      ) {
+        blocking.push({
+          ...dependency,
+          occurrence: occurrence
+            ? {
+                id: occurrence.id,
+                start_date: occurrence.start_date,
+                completion_status: occurrence.completion_status,
+              }
+            : null,
+        });
+      }
+    }
+
+    return blocking;
+  }
+
+  /**
+   * Breadth-first walk of the dependency graph in one direction. Deleted
+   * events and the dependencies through them are left out.
+   * @private
+   * @param {Array<Object>} edges All dependency rows
+   * @param {string|number} eventId Starting event
+   * @param {string} direction "upstream" or "downstream"
+   * @returns {Promise<Array<Object>>} Dependencies with the related event and depth
+   */
+  async _walk(edges, eventId, direction) {
+    const [from, to] =
+      direction === "upstream"
+        ? ["dependent_event_id", "event_id"]
+        : ["event_id", "dependent_event_id"];
+    const events = await this.db("events")
+      .whereIn("id", this.db(this.tableName).select(to))
+      .whereNull("deleted_at")
+      .select("id", "title", "status");
+    const visited = new Set([Number(eventId)]);
+    const result = [];
+    let frontier = [Number(eventId)];
+
+    for (let depth = 1; frontier.length > 0; depth++) {
+      const next = [];
+
+      for (const edge of edges) {
+        const event = events.find((candidate) => candidate.id === edge[to]);
+
+        if (event && frontier.includes(edge[from])) {
+          result.push({ ...this._format(edge), depth, event });
+
+          if (!visited.has(edge[to])) {
+            visited.add(edge[to]);
+            next.push(edge[to]);
+          }
+        }
+      }
+
+      frontier = next;
+    }
+
+    return result;
+  }
+
+  /**
+   * Find a path between two events following dependencies downstream
+   * @private
+   * @returns {Array<number>|null} Event ids on the path, or null
+   */
+  _findPath(edges, fromId, toId) {
+    const previous = new Map([[fromId, null]]);
+    const queue = [fromId];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+
+      if (current === toId) {
+        const path = [];
+        for (let node = toId; node !== null; node = previous.get(node)) {
+          path.unshift(node);
+        }
+        return path;
+      }
+
+      for (const edge of edges) {
+        if (
+          edge.event_id === current &&
+          !previous.has(edge.dependent_event_id)
+        ) {
+          previous.set(edge.dependent_event_id, current);
+          queue.push(edge.dependent_event_id);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Load an event or throw NOT_FOUND
+   * @private
+   */
+  async _getEvent(db, eventId, method) {
+    const event = await db("events")
+      .where({ id: eventId })
+      .whereNull("deleted_at")
+      .first();
+
+    if (!event) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Event",
+        id: eventId,
+      });
+    }
+
+    return event;
+  }
+
+  /**
+   * Parse JSON columns for API responses
+   * @private
+   */
+  _format(dependency) {
+    return {
+      ...dependency,
+      is_mandatory: Boolean(dependency.is_mandatory),
+      dependency_rules: parseJsonColumn(dependency.dependency_rules),
+    };
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    if (error.code === "23505") {
+      return new AppError(
+        ErrorTypes.DUPLICATE_ENTRY,
+        this.serviceName,
+        method,
+        {
+          error: error.detail,
+          constraint: error.constraint,
+          ...details,
+        }
+      );
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const dependencyService = new DependencyService();
+module.exports = dependencyService;
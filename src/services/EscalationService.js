@@ -0,0 +1,446 @@
+const databaseService = require("./DatabaseService");
+const EmailQueueService = require("./EmailQueueService");
+const logger = require("./LoggerService");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { addMinutes } = require("date-fns");
+const { toDate, getOccurrenceWindow } = require("../utils/dateHelpers");
+const { parseJsonColumn } = require("../utils/jsonColumn");
+const { updateWithRevision } = require("../utils/revisions");
+
+/**
+ * Chain used when an event has a threshold but no escalation_rules.
+ * Supported step actions:
+ * - notify_assignee: remind the current assignee
+ * - reassign: hand the event to the step's userId, falling back to whoever
+ *   assigned it
+ * - notify_admin: alert every active admin
+ */
+const DEFAULT_ESCALATION_RULES = [
+  { action: "notify_assignee" },
+  { action: "reassign" },
+  { action: "notify_admin" },
+];
+
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Event titles are user input and go into email HTML
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+class EscalationService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "event_escalations";
+    this.serviceName = "EscalationService";
+  }
+
+  /**
+   * Escalate overdue occurrences. An occurrence is overdue once its due time
+   * plus the event's escalation_threshold_minutes has passed; each further
+   * threshold applies the next step of the rule chain. Open escalations of
+   * occurrences that are no longer overdue are resolved automatically.
+   * @param {Object} [options]
+   * @param {Date} [options.now] Current time (injected by the scheduler)
+   * @returns {Promise<Object>} Summary of events checked, escalated and resolved
+   */
+  async escalateOverdue(options = {}) {
+    const now = options.now || new Date();
+    const summary = { events: 0, escalated: 0, resolved: 0, failed: 0 };
+
+    try {
+      const events = await this.db("events")
+        .where({ is_active: true })
+        .whereNull("deleted_at")
+        .whereNotNull("escalation_threshold_minutes");
+
+      for (const event of events) {
+        summary.events += 1;
+
+        try {
+          const result = await this._escalateEvent(event, now);
+          summary.escalated += result.escalated;
+          summary.resolved += result.resolved;
+        } catch (error) {
+          summary.failed += 1;
+          logger.error("Escalation failed", {
+            eventId: event.id,
+            error: error.message,
+          });
+        }
+      }
+
+      logger.info("Escalation run complete", summary);
+      return summary;
+    } catch (error) {
+      throw this._handleError(error, "escalateOverdue");
+    }
+  }
+
+  /**
+   * List the escalations of an event, newest first
+   * @param {string|number} eventId
+   * @param {Object} [filters]
+   * @param {boolean} [filters.open] Only unresolved escalations
+   * @returns {Promise<Array<Object>>}
+   */
+  async getEscalations(eventId, filters = {}) {
+    try {
+      await this._getEvent(this.db, eventId, "getEscalations");
+
+      const escalations = await this.db(this.tableName)
+        .where({ event_id: eventId })
+        .modify((queryBuilder) => {
+          if (filters.open) {
+            queryBuilder.whereNull("resolved_at");
+          }
+        })
+        .orderBy([
+          { column: "created_at", order: "desc" },
+          { column: "id", order: "desc" },
+        ]);
+
+      return escalations.map((escalation) => this._format(escalation));
+    } catch (error) {
+      throw this._handleError(error, "getEscalations", { eventId });
+    }
+  }
+
+  /**
+   * Resolve an escalation. Once an event has no open escalations its
+   * escalation level is reset, so an occurrence that is still overdue starts
+   * the chain again one threshold later.
+   * @param {string|number} eventId
+   * @param {string|number} escalationId
+   * @param {Object} data
+   * @param {string} [data.notes] Resolution notes
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Resolved escalation
+   */
+  async resolveEscalation(eventId, escalationId, data = {}, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const event = await this._getEvent(trx, eventId, "resolveEscalation");
+      const escalation = await trx(this.tableName)
+        .where({ id: escalationId, event_id: eventId })
+        .first();
+
+      if (!escalation) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "resolveEscalation",
+          { resource: "Escalation", id: escalationId, eventId }
+        );
+      }
+
+      if (escalation.resolved_at) {
+        throw new AppError(
+          ErrorTypes.INVALID_STATUS_TRANSITION,
+          this.serviceName,
+          "resolveEscalation",
+          { message: "Escalation is already resolved", escalationId }
+        );
+      }
+
+      const now = new Date();
+      const [resolved] = await trx(this.tableName)
+        .where({ id: escalation.id })
+        .update({
+          resolved_at: now,
+          resolution_notes: data.notes || null,
+          escalation_metadata: JSON.stringify({
+            ...parseJsonColumn(escalation.escalation_metadata, {}),
+            resolved_by: context.userId || null,
+          }),
+          updated_at: now,
+        })
+        .returning("*");
+
+      const open = await trx(this.tableName)
+        .where({ event_id: event.id })
+        .whereNull("resolved_at")
+        .first();
+
+      if (!open) {
+        await updateWithRevision(
+          trx,
+          "events",
+          event.id,
+          {
+            escalation_level: 0,
+            escalated_to: null,
+            last_escalated_at: now,
+          },
+          context.userId
+        );
+      }
+
+      await trx.commit();
+      return this._format(resolved);
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "resolveEscalation", {
+        eventId,
+        escalationId,
+      });
+    }
+  }
+
+  /**
+   * Apply at most one escalation step to an event
+   * @private
+   * @returns {Promise<{escalated: number, resolved: number}>}
+   */
+  async _escalateEvent(event, now) {
+    const threshold = event.escalation_threshold_minutes;
+    const result = { escalated: 0, resolved: 0 };
+    const trx = await this.db.transaction();
+    let notification = null;
+
+    try {
+      const pending = await trx("event_instances")
+        .where({ event_id: event.id, completion_status: "pending" })
+        .whereNull("deleted_at")
+        .orderBy("start_date", "asc");
+
+      const overdue = pending.find(
+        (instance) =>
+          addMinutes(getOccurrenceWindow(event, instance).dueAt, threshold) <=
+          now
+      );
+
+      const open = await trx(this.tableName)
+        .where({ event_id: event.id })
+        .whereNull("resolved_at");
+      const stale = open.filter(
+        (escalation) =>
+          !overdue ||
+          parseJsonColumn(escalation.escalation_metadata, {}).instance_id !==
+            overdue.id
+      );
+
+      let level = event.escalation_level || 0;
+      let lastEscalatedAt = toDate(event.last_escalated_at);
+
+      if (stale.length > 0) {
+        await trx(this.tableName)
+          .whereIn(
+            "id",
+            stale.map((escalation) => escalation.id)
+          )
+          .update({
+            resolved_at: now,
+            resolution_notes: "Occurrence is no longer overdue",
+            updated_at: now,
+          });
+        result.resolved = stale.length;
+      }
+
+      if (stale.length > 0 && stale.length === open.length) {
+        level = 0;
+        lastEscalatedAt = null;
+        await updateWithRevision(trx, "events", event.id, {
+          escalation_level: 0,
+          escalated_to: null,
+        });
+      }
+
+      const rules = parseJsonColumn(event.escalation_rules, null) || [
+        ...DEFAULT_ESCALATION_RULES,
+      ];
+      const due =
+        overdue &&
+        level < rules.length &&
+        (!lastEscalatedAt || addMinutes(lastEscalatedAt, threshold) <= now);
+
+      if (due) {
+        notification = {
+          level: level + 1,
+          recipients: await this._applyStep(
+            trx,
+            event,
+            overdue,
+            rules[level],
+            level + 1,
+            now
+          ),
+        };
+        result.escalated = 1;
+      }
+
+      await trx.commit();
+    } catch (error) {
+      await trx.rollback();
+      throw error;
+    }
+
+    // Only tell people about escalations that were saved
+    if (notification) {
+      await this._notify(event, notification.recipients, notification.level);
+    }
+    return result;
+  }
+
+  /**
+   * Carry out one step of the rule chain and record it
+   * @private
+   * @returns {Promise<Array<{id: number, email: string}>>} Users to notify
+   */
+  async _applyStep(trx, event, instance, step, level, now) {
+    const changes = {
+      escalation_level: level,
+      last_escalated_at: now,
+      updated_at: now,
+    };
+    let escalatedTo = event.assigned_to;
+    let recipients = [];
+
+    switch (step.action) {
+      case "notify_assignee":
+        recipients = await trx("users")
+          .where({ id: event.assigned_to })
+          .select("id", "email");
+        break;
+
+      case "reassign":
+        escalatedTo = step.userId || event.assigned_by;
+        changes.assigned_to = escalatedTo;
+        recipients = await trx("users")
+          .where({ id: escalatedTo })
+          .select("id", "email");
+        break;
+
+      case "notify_admin":
+        escalatedTo = null;
+        recipients = (
+          await trx("users")
+            .where({ is_active: true })
+            .select("id", "email", "roles")
+        )
+          .filter((user) => parseJsonColumn(user.roles, []).includes("admin"))
+          .map(({ id, email }) => ({ id, email }));
+        break;
+
+      default:
+        throw new AppError(
+          ErrorTypes.VALIDATION_ERROR,
+          this.serviceName,
+          "_applyStep",
+          {
+            message: `Unsupported escalation action: ${step.action}`,
+            eventId: event.id,
+          }
+        );
+    }
+
+    if (recipients.length > 0) {
+      changes.last_notification_sent = now;
+    }
+    changes.escalated_to = escalatedTo;
+
+    await updateWithRevision(trx, "events", event.id, changes);
+    await trx(this.tableName).insert({
+      event_id: event.id,
+      escalated_from: event.assigned_to,
+      escalated_to: escalatedTo,
+      reason: "overdue",
+      escalation_metadata: JSON.stringify({
+        level,
+        action: step.action,
+        instance_id: instance.id,
+        start_date: instance.start_date,
+        recipients: recipients.map((user) => user.id),
+      }),
+      created_at: now,
+      updated_at: now,
+    });
+
+    return recipients;
+  }
+
+  /**
+   * Queue the overdue emails of an escalation. A failed email is logged; the
+   * escalation itself stands.
+   * @private
+   */
+  async _notify(event, recipients, level) {
+    for (const recipient of recipients) {
+      try {
+        await EmailQueueService.queueEmail({
+          to: recipient.email,
+          subject: `Overdue: ${event.title}`,
+          html: `<p>"${escapeHtml(event.title)}" is overdue and has been escalated to level ${level}.</p>`,
+        });
+      } catch (error) {
+        logger.error("Escalation email failed", {
+          eventId: event.id,
+          userId: recipient.id,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Load an event or throw NOT_FOUND
+   * @private
+   */
+  async _getEvent(db, eventId, method) {
+    const event = await db("events")
+      .where({ id: eventId })
+      .whereNull("deleted_at")
+      .first();
+
+    if (!event) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Event",
+        id: eventId,
+      });
+    }
+
+    return event;
+  }
+
+  /**
+   * Parse JSON columns for API responses
+   * @private
+   */
+  _format(escalation) {
+    return {
+      ...escalation,
+      escalation_metadata: parseJsonColumn(escalation.escalation_metadata, {}),
+    };
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const escalationService = new EscalationService();
+module.exports = escalationService;
@@ -0,0 +1,839 @@
+const databaseService = require("./DatabaseService");
+const AchievementService = require("./AchievementService");
+const ApprovalService = require("./ApprovalService");
+const ChecklistService = require("./ChecklistService");
+const DelegationService = require("./DelegationService");
+const DependencyService = require("./DependencyService");
+const GroupService = require("./GroupService");
+const PointsService = require("./PointsService");
+const ValidationRuleService = require("./ValidationRuleService");
+const logger = require("./LoggerService");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { addMinutes, differenceInMinutes } = require("date-fns");
+const { toDateString, getOccurrenceWindow } = require("../utils/dateHelpers");
+const { parseJsonColumn, appendJsonColumn } = require("../utils/jsonColumn");
+
+// Completion statuses that count as done
+const COMPLETED_STATUSES = ["completed", "late"];
+
+class EventInstanceService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "event_instances";
+    this.serviceName = "EventInstanceService";
+  }
+
+  /**
+   * List occurrences of an event with pagination and filters
+   * @param {string|number} eventId
+   * @param {Object} options Query options
+   * @param {number} [options.page]
+   * @param {number} [options.limit]
+   * @param {Date|string} [options.from] Earliest start_date
+   * @param {Date|string} [options.to] Latest start_date
+   * @param {string} [options.completionStatus]
+   * @returns {Promise<{data: Array<Object>, pagination: Object}>}
+   */
+  async getInstances(eventId, options = {}) {
+    const { page = 1, limit = 10, from, to, completionStatus } = options;
+
+    try {
+      await this._getEvent(this.db, eventId, "getInstances");
+
+      const query = this.db(this.tableName)
+        .where({ event_id: eventId })
+        .whereNull("deleted_at")
+        .modify((queryBuilder) => {
+          if (from) {
+            queryBuilder.where("start_date", ">=", toDateString(from));
+          }
+          if (to) {
+            queryBuilder.where("start_date", "<=", toDateString(to));
+          }
+          if (completionStatus) {
+            queryBuilder.where({ completion_status: completionStatus });
+          }
+        });
+
+      const offset = (page - 1) * limit;
+
+      const [count, instances] = await Promise.all([
+        query.clone().count("id as total").first(),
+        query.clone().orderBy("start_date", "asc").limit(limit).offset(offset),
+      ]);
+
+      return {
+        data: instances.map((instance) => this._format(instance)),
+        pagination: {
+          page,
+          limit,
+          total: parseInt(count.total),
+          totalPages: Math.ceil(count.total / limit),
+        },
+      };
+    } catch (error) {
+      throw this._handleError(error, "getInstances", { eventId, options });
+    }
+  }
+
+  /**
+   * List the occurrences a user is responsible for across events: events
+   * assigned to them or to a group they belong to (or, for rotations,
+   * occurrences assigned to them) plus work delegated to them, minus work
+   * they have delegated away. Temporary delegations only cover occurrences
+   * starting inside their window.
+   * @param {string|number} userId
+   * @param {Object} options Query options (page, limit, from, to, completionStatus)
+   * @returns {Promise<{data: Array<Object>, pagination: Object}>}
+   */
+  async getAssignedInstances(userId, options = {}) {
+    const { page = 1, limit = 10, from, to, completionStatus } = options;
+
+    try {
+      const [events, assignments, incoming, outgoing] = await Promise.all([
+        this.db("events")
+          .where((queryBuilder) =>
+            queryBuilder
+              .where({ assigned_to: userId })
+              .orWhereIn(
+                "assigned_group_id",
+                this.db("group_members")
+                  .where({ user_id: userId })
+                  .select("group_id")
+              )
+          )
+          .whereNull("deleted_at")
+          .select("id"),
+        this.db("event_assignments")
+          .where({ user_id: userId, role: "assignee", status: "active" })
+          .select("event_id"),
+        DelegationService.getTemporaryDelegations(this.db, {
+          delegated_to: userId,
+        }),
+        DelegationService.getTemporaryDelegations(this.db, {
+          original_user_id: userId,
+        }),
+      ]);
+      const eventIds = [
+        ...new Set([
+          ...events.map((event) => event.id),
+          ...assignments.map((assignment) => assignment.event_id),
+        ]),
+      ];
+      // A delegation covers the delegator's occurrences in its window: those
+      // assigned to them, or not assigned individually on fixed events
+      const inWindow = (queryBuilder, delegation) =>
+        queryBuilder
+          .where({ event_id: delegation.event_id })
+          .where("start_date", ">=", toDateString(delegation.start_date))
+          .where("start_date", "<=", toDateString(delegation.end_date))
+          .where((assignee) =>
+            assignee
+              .where({ assigned_to: delegation.original_user_id })
+              .orWhereNull("assigned_to")
+          );
+
+      const query = this.db(this.tableName)
+        .whereNull("deleted_at")
+        .where((queryBuilder) => {
+          queryBuilder.where((own) => {
+            own.where((assigned) =>
+              assigned
+                .where((fixed) =>
+                  fixed.whereIn("event_id", eventIds).whereNull("assigned_to")
+                )
+                .orWhere({ assigned_to: userId })
+            );
+            for (const delegation of outgoing) {
+              own.whereNot((window) => inWindow(window, delegation));
+            }
+          });
+          for (const delegation of incoming) {
+            queryBuilder.orWhere((window) => inWindow(window, delegation));
+          }
+        })
+        .modify((queryBuilder) => {
+          if (from) {
+            queryBuilder.where("start_date", ">=", toDateString(from));
+          }
+          if (to) {
+            queryBuilder.where("start_date", "<=", toDateString(to));
+          }
+          if (completionStatus) {
+            queryBuilder.where({ completion_status: completionStatus });
+          }
+        });
+
+      const offset = (page - 1) * limit;
+
+      const [count, instances] = await Promise.all([
+        query.clone().count("id as total").first(),
+        query
+          .clone()
+          .orderBy([
+            { column: "start_date", order: "asc" },
+            { column: "id", order: "asc" },
+          ])
+          .limit(limit)
+          .offset(offset),
+      ]);
+
+      return {
+        data: instances.map((instance) => {
+          const delegation = incoming.find(
+            (candidate) =>
+              candidate.event_id === instance.event_id &&
+              [candidate.original_user_id, null].includes(
+                instance.assigned_to
+              ) &&
+              toDateString(candidate.start_date) <=
+                toDateString(instance.start_date) &&
+              toDateString(candidate.end_date) >=
+                toDateString(instance.start_date)
+          );
+
+          return {
+            ...this._format(instance),
+            delegated_from: delegation ? delegation.original_user_id : null,
+          };
+        }),
+        pagination: {
+          page,
+          limit,
+          total: parseInt(count.total),
+          totalPages: Math.ceil(count.total / limit),
+        },
+      };
+    } catch (error) {
+      throw this._handleError(error, "getAssignedInstances", {
+        userId,
+        options,
+      });
+    }
+  }
+
+  /**
+   * List the occurrences a group is responsible for across events: those of
+   * events assigned to the group or to one of its members, plus rotation
+   * occurrences assigned to a member. Filter on completionStatus "pending"
+   * for the group's open chores.
+   * @param {string|number} groupId
+   * @param {string|number} instanceId Instance the group must belong to
+   * @param {Object} options Query options (page, limit, from, to, completionStatus)
+   * @returns {Promise<{data: Array<Object>, pagination: Object}>}
+   */
+  async getGroupInstances(groupId, instanceId, options = {}) {
+    const { page = 1, limit = 10, from, to, completionStatus } = options;
+
+    try {
+      const memberIds = await GroupService.getMemberIds(
+        this.db,
+        groupId,
+        instanceId
+      );
+      const eventIds = await this.db("events")
+        .where((queryBuilder) =>
+          queryBuilder
+            .where({ assigned_group_id: groupId })
+            .orWhereIn("assigned_to", memberIds)
+        )
+        .whereNull("deleted_at")
+        .pluck("id");
+
+      const query = this.db(this.tableName)
+        .whereNull("deleted_at")
+        .where((queryBuilder) =>
+          queryBuilder
+            .where((fixed) =>
+              fixed.whereIn("event_id", eventIds).whereNull("assigned_to")
+            )
+            .orWhereIn("assigned_to", memberIds)
+        )
+        .modify((queryBuilder) => {
+          if (from) {
+            queryBuilder.where("start_date", ">=", toDateString(from));
+          }
+          if (to) {
+            queryBuilder.where("start_date", "<=", toDateString(to));
+          }
+          if (completionStatus) {
+            queryBuilder.where({ completion_status: completionStatus });
+          }
+        });
+
+      const offset = (page - 1) * limit;
+
+      const [count, instances] = await Promise.all([
+        query.clone().count("id as total").first(),
+        query
+          .clone()
+          .orderBy([
+            { column: "start_date", order: "asc" },
+            { column: "id", order: "asc" },
+          ])
+          .limit(limit)
+          .offset(offset),
+      ]);
+
+      return {
+        data: instances.map((instance) => this._format(instance)),
+        pagination: {
+          page,
+          limit,
+          total: parseInt(count.total),
+          totalPages: Math.ceil(count.total / limit),
+        },
+      };
+    } catch (error) {
+      throw this._handleError(error, "getGroupInstances", {
+        groupId,
+        options,
+      });
+    }
+  }
+
+  /**
+   * Get a single occurrence of an event
+   * @param {string|number} eventId
+   * @param {string|number} instanceId
+   * @returns {Promise<Object>} Event instance
+   */
+  async getInstanceById(eventId, instanceId) {
+    try {
+      const instance = await this._getInstance(
+        this.db,
+        eventId,
+        instanceId,
+        "getInstanceById"
+      );
+      return this._format(instance);
+    } catch (error) {
+      throw this._handleError(error, "getInstanceById", {
+        eventId,
+        instanceId,
+      });
+    }
+  }
+
+  /**
+   * Mark an occurrence as completed, enforcing the event's completion rules,
+   * required checklists, blocking dependencies and validation rules. Rule
+   * results are recorded in event_acceptance_results, failed or not.
+   * Completions after the due time that are still allowed are recorded
+   * with a completion_status of "late". Events that require approval stay
+   * "pending_approval" until their final approval level passes; others are
+   * credited to the points ledger, and earn any badges due, right away.
+   * @param {string|number} eventId
+   * @param {string|number} instanceId
+   * @param {Object} data
+   * @param {string} [data.notes] Completion notes
+   * @param {number} [data.actualDuration] Minutes spent
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Updated event instance
+   */
+  async completeInstance(eventId, instanceId, data = {}, context = {}) {
+    const trx = await this.db.transaction();
+    let failedRuleResults = null;
+
+    try {
+      const instance = await this._getInstance(
+        trx,
+        eventId,
+        instanceId,
+        "completeInstance"
+      );
+
+      this._assertPending(instance, "completed", "completeInstance");
+
+      const event = await this._getEvent(trx, eventId, "completeInstance");
+      const now = new Date();
+      const { violations, minutesLate } = this._checkCompletionRules(
+        event,
+        instance,
+        data,
+        now
+      );
+
+      if (event.requires_checklist) {
+        const incomplete = await ChecklistService.getIncompleteChecklists(
+          trx,
+          eventId,
+          instance.id
+        );
+
+        if (incomplete.length > 0) {
+          violations.push({
+            rule: "requires_checklist",
+            message: "Required checklists are not complete",
+            checklists: incomplete,
+          });
+        }
+      }
+
+      const blocking = await DependencyService.getBlockingDependencies(
+        trx,
+        eventId,
+        instance
+      );
+
+      if (blocking.length > 0) {
+        violations.push({
+          rule: "dependencies",
+          message: "Blocking dependencies are not complete",
+          dependencies: blocking,
+        });
+      }
+
+      const ruleResults = await ValidationRuleService.evaluate(
+        trx,
+        event,
+        "complete",
+        {
+          ...instance,
+          completed_by: context.userId,
+          completed_at: now.toISOString(),
+          completion_notes: data.notes || null,
+          actual_duration: data.actualDuration ?? null,
+        }
+      );
+      const ruleFailures = ruleResults.filter((result) => !result.passed);
+
+      if (ruleFailures.length > 0) {
+        violations.push({
+          rule: "validation_rules",
+          message: "Validation rules or acceptance criteria are not met",
+          failures: ruleFailures,
+        });
+      }
+
+      if (violations.length > 0) {
+        failedRuleResults = ruleResults;
+        throw new AppError(
+          ErrorTypes.VALIDATION_ERROR,
+          this.serviceName,
+          "completeInstance",
+          {
+            message: "Completion violates the event's completion rules",
+            instanceId,
+            violations,
+          }
+        );
+      }
+
+      const completionStatus = minutesLate > 0 ? "late" : "completed";
+      const requiresApproval = Boolean(event.requires_approval);
+      const updated = await this._applyChange(
+        trx,
+        instance,
+        {
+          status: requiresApproval ? "pending_approval" : "completed",
+          completion_status: requiresApproval
+            ? "pending_approval"
+            : completionStatus,
+          metadata: requiresApproval
+            ? JSON.stringify({
+                ...parseJsonColumn(instance.metadata, {}),
+                approval: { completion_status: completionStatus },
+              })
+            : instance.metadata,
+          completed_by: context.userId,
+          completed_at: now,
+          completion_notes: data.notes || null,
+          actual_duration: data.actualDuration ?? null,
+          ip_address: context.ipAddress || null,
+          user_agent: context.userAgent || null,
+        },
+        {
+          date: now.toISOString(),
+          action: "completed",
+          by: context.userId,
+          notes: data.notes,
+          actual_duration: data.actualDuration,
+          minutes_late: minutesLate || undefined,
+        }
+      );
+
+      if (requiresApproval) {
+        await ApprovalService.openApprovals(trx, event, updated, 1);
+      } else {
+        await PointsService.creditCompletion(
+          trx,
+          event,
+          updated,
+          context.userId
+        );
+        await AchievementService.evaluateBadges(trx, updated.completed_by, {
+          eventId: event.id,
+        });
+      }
+
+      await ValidationRuleService.recordResults(
+        trx,
+        instance.id,
+        ruleResults,
+        context.userId
+      );
+
+      await trx.commit();
+      return updated;
+    } catch (error) {
+      await trx.rollback();
+
+      // Keep the outcome of a rejected attempt, without hiding why it was
+      // rejected if that fails too
+      if (failedRuleResults) {
+        try {
+          await ValidationRuleService.recordResults(
+            this.db,
+            instanceId,
+            failedRuleResults,
+            context.userId
+          );
+        } catch (recordError) {
+          logger.error("Failed to record validation results", {
+            eventId,
+            instanceId,
+            error: recordError.message,
+          });
+        }
+      }
+
+      throw this._handleError(error, "completeInstance", {
+        eventId,
+        instanceId,
+      });
+    }
+  }
+
+  /**
+   * Skip an occurrence, charging the assignee the skip penalty
+   * @param {string|number} eventId
+   * @param {string|number} instanceId
+   * @param {Object} data
+   * @param {string} data.reason Why the occurrence is skipped
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Updated event instance
+   */
+  async skipInstance(eventId, instanceId, data = {}, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const instance = await this._getInstance(
+        trx,
+        eventId,
+        instanceId,
+        "skipInstance"
+      );
+
+      this._assertPending(instance, "skipped", "skipInstance");
+
+      const event = await this._getEvent(trx, eventId, "skipInstance");
+      const now = new Date();
+      const updated = await this._applyChange(
+        trx,
+        instance,
+        {
+          status: "skipped",
+          completion_status: "skipped",
+          skipped: true,
+          skip_reason: data.reason,
+        },
+        {
+          date: now.toISOString(),
+          action: "skipped",
+          by: context.userId,
+          reason: data.reason,
+        }
+      );
+
+      await PointsService.chargeSkip(trx, event, updated, context.userId);
+
+      await trx.commit();
+      return updated;
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "skipInstance", { eventId, instanceId });
+    }
+  }
+
+  /**
+   * Revert a completed occurrence back to pending and reverse the points it
+   * earned
+   * @param {string|number} eventId
+   * @param {string|number} instanceId
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Updated event instance
+   */
+  async undoCompletion(eventId, instanceId, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const instance = await this._getInstance(
+        trx,
+        eventId,
+        instanceId,
+        "undoCompletion"
+      );
+
+      if (!COMPLETED_STATUSES.includes(instance.completion_status)) {
+        throw new AppError(
+          ErrorTypes.INVALID_STATUS_TRANSITION,
+          this.serviceName,
+          "undoCompletion",
+          {
+            message: "Only completed occurrences can be undone",
+            instanceId,
+            completionStatus: instance.completion_status,
+          }
+        );
+      }
+
+      const now = new Date();
+      const updated = await this._applyChange(
+        trx,
+        instance,
+        {
+          status: "active",
+          completion_status: "pending",
+          completed_by: null,
+          completed_at: null,
+          completion_notes: null,
+          actual_duration: null,
+        },
+        {
+          date: now.toISOString(),
+          action: "completion_undone",
+          by: context.userId,
+          previous: {
+            completed_by: instance.completed_by,
+            completed_at: instance.completed_at,
+          },
+        }
+      );
+
+      await PointsService.reverseOccurrence(trx, instance, context.userId);
+
+      await trx.commit();
+      return updated;
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "undoCompletion", {
+        eventId,
+        instanceId,
+      });
+    }
+  }
+
+  /**
+   * Load an event or throw NOT_FOUND
+   * @private
+   */
+  async _getEvent(db, eventId, method) {
+    const event = await db("events")
+      .where({ id: eventId })
+      .whereNull("deleted_at")
+      .first();
+
+    if (!event) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Event",
+        id: eventId,
+      });
+    }
+
+    return event;
+  }
+
+  /**
+   * Load an occurrence belonging to an event or throw NOT_FOUND
+   * @private
+   */
+  async _getInstance(db, eventId, instanceId, method) {
+    const instance = await db(this.tableName)
+      .where({ id: instanceId, event_id: eventId })
+      .whereNull("deleted_at")
+      .first();
+
+    if (!instance) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Event Instance",
+        id: instanceId,
+        eventId,
+      });
+    }
+
+    return instance;
+  }
+
+  /**
+   * Ensure an occurrence has not already been completed or skipped
+   * @private
+   */
+  _assertPending(instance, targetStatus, method) {
+    if (instance.completion_status !== "pending") {
+      throw new AppError(
+        ErrorTypes.INVALID_STATUS_TRANSITION,
+        this.serviceName,
+        method,
+        {
+          message: `Occurrence is already ${instance.completion_status}`,
+          instanceId: instance.id,
+          from: instance.completion_status,
+          to: targetStatus,
+        }
+      );
+    }
+  }
+
+  /**
+   * Check a completion against the event's early/late, grace period,
+   * duration and verification rules. See getOccurrenceWindow for when an
+   * occurrence opens and is due.
+   * @private
+   * @param {Object} event Parent event row
+   * @param {Object} instance Occurrence row
+   * @param {Object} data Completion data
+   * @param {Date} now Completion time
+   * @returns {{violations: Array<Object>, minutesLate: number}}
+   */
+  _checkCompletionRules(event, instance, data, now) {
+    const violations = [];
+    const { opensAt, dueAt } = getOccurrenceWindow(event, instance);
+    const gracePeriod = event.grace_period || 0;
+    const minutesLate = Math.max(differenceInMinutes(now, dueAt), 0);
+
+    if (!event.allow_early_completion && now < opensAt) {
+      violations.push({
+        rule: "allow_early_completion",
+        message: "Occurrence cannot be completed before it starts",
+        opensAt: opensAt.toISOString(),
+      });
+    }
+
+    if (!event.allow_late_completion && now > addMinutes(dueAt, gracePeriod)) {
+      violations.push({
+        rule: "allow_late_completion",
+        message: "Occurrence cannot be completed after its grace period",
+        dueAt: dueAt.toISOString(),
+        gracePeriod,
+        minutesLate,
+      });
+    }
+
+    const minDuration = event.min_duration;
+    const maxDuration = event.max_duration;
+    const duration = data.actualDuration;
+
+    if ((minDuration != null || maxDuration != null) && duration == null) {
+      violations.push({
+        rule: "actual_duration",
+        message: "Actual duration is required for this event",
+      });
+    } else if (minDuration != null && duration < minDuration) {
+      violations.push({
+        rule: "min_duration",
+        message: `Actual duration must be at least ${minDuration} minutes`,
+        minDuration,
+        actualDuration: duration,
+      });
+    } else if (maxDuration != null && duration > maxDuration) {
+      violations.push({
+        rule: "max_duration",
+        message: `Actual duration must be at most ${maxDuration} minutes`,
+        maxDuration,
+        actualDuration: duration,
+      });
+    }
+
+    const requiresVerification =
+      event.requires_verification ||
+      event.requires_photo_verification ||
+      event.requires_location_verification;
+
+    if (requiresVerification && !instance.verified_at) {
+      violations.push({
+        rule: "requires_verification",
+        message: "An accepted verification is required before completion",
+      });
+    }
+
+    return { violations, minutesLate };
+  }
+
+  /**
+   * Update an occurrence and append an entry to its modified_history
+   * @private
+   * @param {Object} trx Transaction object
+   * @param {Object} instance Current row
+   * @param {Object} changes Column updates
+   * @param {Object} historyEntry Entry in the legacy {date, action, by} shape
+   * @returns {Promise<Object>} Updated, formatted row
+   */
+  async _applyChange(trx, instance, changes, historyEntry) {
+    const [updated] = await trx(this.tableName)
+      .where({ id: instance.id })
+      .update({
+        ...changes,
+        modified_history: appendJsonColumn(
+          instance.modified_history,
+          historyEntry
+        ),
+        updated_at: new Date(),
+      })
+      .returning("*");
+
+    return this._format(updated);
+  }
+
+  /**
+   * Parse JSON columns for API responses
+   * @private
+   */
+  _format(instance) {
+    return {
+      ...instance,
+      skipped: Boolean(instance.skipped),
+      modified_history: parseJsonColumn(instance.modified_history, []),
+      metadata: parseJsonColumn(instance.metadata),
+    };
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    if (error.code === "23503") {
+      return new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        method,
+        {
+          message: "Referenced record does not exist",
+          error: error.detail,
+          constraint: error.constraint,
+          ...details,
+        }
+      );
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const eventInstanceService = new EventInstanceService();
+module.exports = eventInstanceService;
@@ -1,12 +1,89 @@
 const databaseService = require("./DatabaseService");
+const EventStatusService = require("./EventStatusService");
+const ValidationRuleService = require("./ValidationRuleService");
+const LocationService = require("./LocationService");
+const CategoryService = require("./CategoryService");
+const logger = require("./LoggerService");
 const AppError = require("../utils/AppError");
 const { ErrorTypes } = require("../utils/errorTypes");
+const { toDateString } = require("../utils/dateHelpers");
+const { parseJsonColumn } = require("../utils/jsonColumn");
+const {
+  diffFields,
+  versionConflict,
+  nextRevision,
+} = require("../utils/revisions");
+const { normalizeRRule } = require("../utils/rrule");
+const { addDays } = require("date-fns");
+
+// Columns a copy starts over with
+const COPY_EXCLUDED_FIELDS = [
+  "id",
+  "created_at",
+  "updated_at",
+  "deleted_at",
+  "deleted_by",
+  "version",
+  "revision_history",
+  "previous_status",
+  "status_changed_at",
+  "status_changed_by",
+  "state_transition_history",
+];
+
+// Columns a revert leaves alone: identity and bookkeeping, status, which
+// only changes through the state machine, and the event's place in the
+// hierarchy, which only changes through a move
+const REVERT_EXCLUDED_FIELDS = [
+  "id",
+  "parent_id",
+  "hierarchy_path",
+  "created_at",
+  "updated_at",
+  "deleted_at",
+  "version",
+  "revision_history",
+  "user_id",
+  "status",
+  "previous_status",
+  "status_changed_at",
+  "status_changed_by",
+  "state_transition_history",
+];
+
+// Request fields and the event columns they are written to
+const REQUEST_FIELDS = {
+  recurrenceRule: "recurrence_rule",
+  recurrenceExdates: "recurrence_exdates",
+  allowEarlyCompletion: "allow_early_completion",
+  allowLateCompletion: "allow_late_completion",
+  gracePeriod: "grace_period",
+  minDuration: "min_duration",
+  maxDuration: "max_duration",
+  requiresApproval: "requires_approval",
+  approvalLevel: "approval_level",
+  approvalType: "approval_type",
+  approverGroupId: "approver_group_id",
+  approvalChain: "approval_chain",
+  assignedGroupId: "assigned_group_id",
+  assignmentMode: "assignment_mode",
+  escalationThresholdMinutes: "escalation_threshold_minutes",
+  escalationRules: "escalation_rules",
+  locationId: "location_id",
+  categoryId: "category_id",
+  costCenter: "cost_center",
+  costEstimate: "cost_estimate",
+  validationRules: "validation_rules",
+  acceptanceCriteria: "acceptance_criteria",
+};
 
 class EventService {
   constructor() {
     this.db = databaseService.getKnex();
     this.tableName = "events";
     this.serviceName = "EventService";
+    this.trashRetentionDays =
+      parseInt(process.env.EVENT_TRASH_RETENTION_DAYS) || 30;
   }
 
   /**
@@ -18,37 +95,7 @@ class EventService {
     const trx = await this.db.transaction();
     
     try {
-      // If this is a child event, verify parent exists and calculate hierarchy
-      if (eventData.parent_id) {
-        const parent = await trx(this.tableName)
-          .where({ id: eventData.parent_id })
-          .first();
-
-        if (!parent) {
-          throw new AppError(
-            ErrorTypes.NOT_FOUND,
-            this.serviceName,
-            "createEvent",
-            {
-              resource: "Parent Event",
-              id: eventData.parent_id
-            }
-          );
-        }
-
-        // Calculate hierarchy path
-        const parentPath = parent.hierarchy_path ? JSON.parse(parent.hierarchy_path) : [];
-        eventData.hierarchy_path = JSON.stringify([...parentPath, parent.id]);
-      } else {
-        eventData.hierarchy_path = JSON.stringify([]);
-      }
-
-      const [event] = await trx(this.tableName)
-        .insert(eventData)
-        .returning("*");
-
-      // Create audit log entry
-      await this._createAuditLog(trx, event.id, "CREATE", null, event, eventData.user_id);
+      const event = await this.insertEvent(trx, eventData);
 
       await trx.commit();
       return event;
@@ -58,6 +105,66 @@ class EventService {
     }
   }
 
+  /**
+   * Validate and insert an event inside the caller's transaction, with its
+   * CREATE audit entry
+   * @param {Object} trx Transaction object
+   * @param {Object} eventData Normalized in place
+   * @param {string} [method] Calling method for error context
+   * @returns {Promise<Object>} Created event
+   */
+  async insertEvent(trx, eventData, method = "createEvent") {
+    this._toColumns(eventData);
+    this._prepareRecurrence(eventData, eventData, method);
+    this._prepareApproval(eventData, eventData, method);
+    this._prepareEscalation(eventData, method);
+    this._prepareValidationRules(eventData, method);
+    eventData.status = EventStatusService.initialStatus(
+      eventData.status,
+      method
+    );
+
+    // If this is a child event, verify parent exists and calculate hierarchy
+    if (eventData.parent_id) {
+      const parent = await trx(this.tableName)
+        .where({ id: eventData.parent_id })
+        .whereNull("deleted_at")
+        .first();
+
+      if (!parent) {
+        throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+          resource: "Parent Event",
+          id: eventData.parent_id,
+        });
+      }
+
+      // Calculate hierarchy path
+      const parentPath = parent.hierarchy_path
+        ? JSON.parse(parent.hierarchy_path)
+        : [];
+      eventData.hierarchy_path = JSON.stringify([...parentPath, parent.id]);
+    } else {
+      eventData.hierarchy_path = JSON.stringify([]);
+    }
+
+    await this._assertReferences(trx, eventData, method);
+    await ValidationRuleService.assertValid(trx, eventData, "create", method);
+
+    const [event] = await trx(this.tableName).insert(eventData).returning("*");
+
+    // Create audit log entry
+    await this._createAuditLog(
+      trx,
+      event.id,
+      "CREATE",
+      null,
+      event,
+      eventData.user_id
+    );
+
+    return event;
+  }
+
   /**
    * Create multiple events in a transaction
    * @param {Array<Object>} events
@@ -69,9 +176,15 @@ class EventService {
     try {
       const createdEvents = await Promise.all(
         events.map(async (event) => {
+          event.status = EventStatusService.initialStatus(
+            event.status,
+            "createManyEvents"
+          );
+
           if (event.parent_id) {
             const parent = await trx(this.tableName)
               .where({ id: event.parent_id })
+              .whereNull("deleted_at")
               .first();
 
             if (!parent) {
@@ -92,6 +205,8 @@ class EventService {
             event.hierarchy_path = JSON.stringify([]);
           }
 
+          await this._assertReferences(trx, event, "createManyEvents");
+
           const [createdEvent] = await trx(this.tableName)
             .insert(event)
             .returning("*");
@@ -119,7 +234,10 @@ class EventService {
    */
   async getEventById(id) {
     try {
-      const event = await this.db(this.tableName).where({ id }).first();
+      const event = await this.db(this.tableName)
+        .where({ id })
+        .whereNull("deleted_at")
+        .first();
 
       if (!event) {
         throw new AppError(
@@ -148,6 +266,7 @@ class EventService {
     try {
       return await this.db(this.tableName)
         .where({ parent_id: parentId })
+        .whereNull("deleted_at")
         .orderBy('created_at', 'asc');
     } catch (error) {
       throw this._handleError(error, "getEventChildren", { parentId });
@@ -155,26 +274,299 @@ class EventService {
   }
 
   /**
-   * Get complete event hierarchy
+   * Get an event with its descendants as a tree, read in a single query.
+   * Deleted events and their descendants are left out.
    * @param {string|number} eventId
-   * @returns {Promise<Object>} Event hierarchy
+   * @param {Object} [options]
+   * @param {number} [options.depth=10] Levels of descendants to include
+   * @returns {Promise<Object>} Event with nested children, each with its depth below the event
+   */
+  async getEventHierarchy(eventId, options = {}) {
+    const { depth = 10 } = options;
+
+    try {
+      const rows = await this.db
+        .withRecursive("subtree", (queryBuilder) =>
+          queryBuilder
+            .select("*", this.db.raw("0 as depth"))
+            .from(this.tableName)
+            .where({ id: eventId })
+            .whereNull("deleted_at")
+            .unionAll((union) =>
+              union
+                .select("e.*", this.db.raw("subtree.depth + 1"))
+                .from(`${this.tableName} as e`)
+                .join("subtree", "e.parent_id", "subtree.id")
+                .whereNull("e.deleted_at")
+                .where("subtree.depth", "<", depth)
+            )
+        )
+        .select("*")
+        .from("subtree")
+        .orderBy([
+          { column: "depth", order: "asc" },
+          { column: "created_at", order: "asc" },
+          { column: "id", order: "asc" },
+        ]);
+
+      if (rows.length === 0) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "getEventHierarchy",
+          {
+            resource: "Event",
+            id: eventId,
+          }
+        );
+      }
+
+      const nodes = new Map(
+        rows.map((row) => [row.id, { ...row, children: [] }])
+      );
+      for (const row of rows.slice(1)) {
+        nodes.get(row.parent_id).children.push(nodes.get(row.id));
+      }
+
+      return nodes.get(rows[0].id);
+    } catch (error) {
+      throw this._handleError(error, "getEventHierarchy", { eventId });
+    }
+  }
+
+  /**
+   * Move an event under another parent, or to the top level with a null
+   * parentId. Descendants move along and have their paths rewritten.
+   * @param {string|number} id
+   * @param {Object} data
+   * @param {number|null} data.parentId New parent
+   * @param {number} [data.version] Version the client last read
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Moved event
+   */
+  async moveEvent(id, data, context = {}) {
+    return this.updateEvent(id, {
+      parent_id: data.parentId,
+      version: data.version,
+      user_id: context.userId,
+    });
+  }
+
+  /**
+   * Copy an event and its descendants. Copies start over in the initial
+   * status with a fresh history; deleted descendants are not copied.
+   * @param {string|number} id
+   * @param {Object} [data]
+   * @param {number|null} [data.parentId] Parent of the copy, the event's own parent by default
+   * @param {string} [data.title] Title of the copy, the event's by default
+   * @param {boolean} [data.includeDescendants=true]
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<{event: Object, copied: Array<{source_id: number, id: number}>}>} Copy of the event and ids of every copy made
    */
-  async getEventHierarchy(eventId) {
+  async copyEvent(id, data = {}, context = {}) {
+    const trx = await this.db.transaction();
+
     try {
-      const event = await this.getEventById(eventId);
-      const hierarchyPath = JSON.parse(event.hierarchy_path || '[]');
-      
-      const children = await this.getEventChildren(eventId);
-      const childHierarchies = await Promise.all(
-        children.map(child => this.getEventHierarchy(child.id))
+      const source = await trx(this.tableName)
+        .where({ id })
+        .whereNull("deleted_at")
+        .first();
+
+      if (!source) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "copyEvent",
+          {
+            resource: "Event",
+            id,
+          }
+        );
+      }
+
+      const parentId =
+        data.parentId !== undefined ? data.parentId : source.parent_id;
+      const rootPath = await this._hierarchyPathUnder(
+        trx,
+        null,
+        parentId,
+        "copyEvent"
       );
+      const rows = [
+        source,
+        ...(data.includeDescendants === false
+          ? []
+          : await this._getDescendants(trx, source, (queryBuilder) =>
+              queryBuilder.whereNull("deleted_at")
+            )),
+      ];
+      const copies = new Map();
+      const now = new Date();
 
+      for (const row of rows) {
+        const parent = row === source ? null : copies.get(row.parent_id);
+        const fields = Object.entries(row).reduce((copy, [field, value]) => {
+          if (!COPY_EXCLUDED_FIELDS.includes(field)) {
+            // JSON columns come back parsed on PostgreSQL
+            copy[field] =
+              value !== null &&
+              typeof value === "object" &&
+              !(value instanceof Date)
+                ? JSON.stringify(value)
+                : value;
+          }
+          return copy;
+        }, {});
+
+        const [copy] = await trx(this.tableName)
+          .insert({
+            ...fields,
+            title: row === source && data.title ? data.title : row.title,
+            parent_id: parent ? parent.id : parentId,
+            hierarchy_path: parent
+              ? JSON.stringify([
+                  ...parseJsonColumn(parent.hierarchy_path, []),
+                  parent.id,
+                ])
+              : rootPath,
+            status: EventStatusService.initialStatus(undefined, "copyEvent"),
+            user_id: context.userId ?? row.user_id,
+            created_at: now,
+            updated_at: now,
+          })
+          .returning("*");
+
+        await this._createAuditLog(
+          trx,
+          copy.id,
+          "CREATE",
+          null,
+          copy,
+          context.userId
+        );
+        copies.set(row.id, copy);
+      }
+
+      await trx.commit();
       return {
-        ...event,
-        children: childHierarchies
+        event: copies.get(source.id),
+        copied: rows.map((row) => ({
+          source_id: row.id,
+          id: copies.get(row.id).id,
+        })),
       };
     } catch (error) {
-      throw this._handleError(error, "getEventHierarchy", { eventId });
+      await trx.rollback();
+      throw this._handleError(error, "copyEvent", { id });
+    }
+  }
+
+  /**
+   * Change the status of an event and its descendants through the state
+   * machine. Events the transition does not apply to are skipped.
+   * @param {string|number} id
+   * @param {Object} data
+   * @param {string} [data.status] Target status
+   * @param {string} [data.action] Named action, e.g. "reopen"
+   * @param {string} [data.reason] Kept in each transition history
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<{updated: Array<number>, skipped: Array<{id: number, status: string, reason: string}>}>}
+   */
+  async updateSubtreeStatus(id, data, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const root = await trx(this.tableName)
+        .where({ id })
+        .whereNull("deleted_at")
+        .first();
+
+      if (!root) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "updateSubtreeStatus",
+          {
+            resource: "Event",
+            id,
+          }
+        );
+      }
+
+      const rows = [
+        root,
+        ...(await this._getDescendants(trx, root, (queryBuilder) =>
+          queryBuilder.whereNull("deleted_at")
+        )),
+      ];
+      const result = { updated: [], skipped: [] };
+      const transitions = [];
+
+      for (const row of rows) {
+        if (
+          !data.action &&
+          EventStatusService.resolveStatus(row.status) === data.status
+        ) {
+          result.skipped.push({
+            id: row.id,
+            status: row.status,
+            reason: `Already ${data.status}`,
+          });
+          continue;
+        }
+
+        let plan;
+        try {
+          plan = EventStatusService.planTransition(
+            row,
+            data,
+            context.userId,
+            "updateSubtreeStatus"
+          );
+        } catch (error) {
+          if (error.code !== ErrorTypes.INVALID_STATUS_TRANSITION.code) {
+            throw error;
+          }
+          result.skipped.push({
+            id: row.id,
+            status: row.status,
+            reason: error.details.message,
+          });
+          continue;
+        }
+
+        const [event] = await trx(this.tableName)
+          .where({ id: row.id })
+          .update({
+            ...plan.changes,
+            ...nextRevision(row, plan.changes, context.userId),
+          })
+          .returning("*");
+
+        await this._createAuditLog(
+          trx,
+          row.id,
+          "UPDATE",
+          row,
+          event,
+          context.userId
+        );
+        result.updated.push(row.id);
+        transitions.push(plan.transition);
+      }
+
+      await trx.commit();
+      transitions.forEach((transition) =>
+        EventStatusService.notify(transition)
+      );
+      return result;
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "updateSubtreeStatus", {
+        id,
+        status: data.status,
+        action: data.action,
+      });
     }
   }
 
@@ -194,8 +586,212 @@ class EventService {
   }
 
   /**
-   * Get events with pagination and filters
+   * Field-level diff between the event as two audit entries left it
+   * @param {string|number} eventId
+   * @param {string|number} fromAuditId
+   * @param {string|number} toAuditId
+   * @returns {Promise<Object>} Both entries and { field: { from, to } } changes
+   */
+  async getAuditDiff(eventId, fromAuditId, toAuditId) {
+    try {
+      const from = await this._getAuditEntry(
+        eventId,
+        fromAuditId,
+        "getAuditDiff"
+      );
+      const to = await this._getAuditEntry(eventId, toAuditId, "getAuditDiff");
+
+      return {
+        event_id: from.event_id,
+        from: this._summarizeAuditEntry(from),
+        to: this._summarizeAuditEntry(to),
+        changes: diffFields(
+          this._auditSnapshot(from) || {},
+          this._auditSnapshot(to) || {}
+        ),
+      };
+    } catch (error) {
+      throw this._handleError(error, "getAuditDiff", {
+        eventId,
+        fromAuditId,
+        toAuditId,
+      });
+    }
+  }
+
+  /**
+   * Reconstruct an event as it was at a point in time from its audit log
+   * @param {string|number} eventId
+   * @param {Date|string} at
+   * @returns {Promise<Object>} The event as of then, with the audit entry it comes from
+   */
+  async getEventAt(eventId, at) {
+    try {
+      const entry = await this.db("event_audit_log")
+        .where({ event_id: eventId })
+        .where("created_at", "<=", new Date(at))
+        .orderBy([
+          { column: "created_at", order: "desc" },
+          { column: "id", order: "desc" },
+        ])
+        .first();
+      const snapshot = entry && this._auditSnapshot(entry);
+
+      if (!snapshot) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "getEventAt",
+          {
+            resource: "Event",
+            id: eventId,
+            message: "Event did not exist at that time",
+            at,
+          }
+        );
+      }
+
+      return {
+        event: snapshot,
+        as_of: at,
+        audit_entry: this._summarizeAuditEntry(entry),
+      };
+    } catch (error) {
+      throw this._handleError(error, "getEventAt", { eventId, at });
+    }
+  }
+
+  /**
+   * Revert an event to how an audit entry left it. The revert is itself
+   * audited, bumps the version and can be reverted in turn. Status is left
+   * alone; it only changes through the state machine.
+   * @param {string|number} eventId
+   * @param {string|number} auditId Audit entry to go back to
+   * @param {Object} [data]
+   * @param {number} [data.version] Version the client last read
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Reverted event
+   */
+  async revertEvent(eventId, auditId, data = {}, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const entry = await this._getAuditEntry(
+        eventId,
+        auditId,
+        "revertEvent",
+        trx
+      );
+      const oldEvent = await trx(this.tableName)
+        .where({ id: eventId })
+        .whereNull("deleted_at")
+        .first();
+      const snapshot = this._auditSnapshot(entry);
+
+      if (!oldEvent) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "revertEvent",
+          {
+            resource: "Event",
+            id: eventId,
+          }
+        );
+      }
+      if (!snapshot) {
+        throw new AppError(
+          ErrorTypes.VALIDATION_ERROR,
+          this.serviceName,
+          "revertEvent",
+          {
+            message: "Cannot revert to a deletion",
+            field: "auditId",
+            auditId,
+          }
+        );
+      }
+      if (data.version !== undefined) {
+        this._assertVersion(oldEvent, data.version, snapshot, "revertEvent");
+      }
+
+      const changes = Object.keys(diffFields(oldEvent, snapshot)).reduce(
+        (restored, field) => {
+          if (!REVERT_EXCLUDED_FIELDS.includes(field) && field in oldEvent) {
+            const value = snapshot[field];
+            // Snapshots hold JSON columns parsed on PostgreSQL
+            restored[field] =
+              value !== null && typeof value === "object"
+                ? JSON.stringify(value)
+                : value;
+          }
+          return restored;
+        },
+        {}
+      );
+
+      // The restored values are checked as if they were a new update
+      this._prepareRecurrence(
+        changes,
+        { ...oldEvent, ...changes },
+        "revertEvent"
+      );
+      this._prepareApproval(
+        changes,
+        { ...oldEvent, ...changes },
+        "revertEvent"
+      );
+      this._prepareEscalation(changes, "revertEvent");
+      this._prepareValidationRules(changes, "revertEvent");
+      await this._assertReferences(trx, changes, "revertEvent");
+      await ValidationRuleService.assertValid(
+        trx,
+        { ...oldEvent, ...changes },
+        "update",
+        "revertEvent"
+      );
+
+      Object.assign(changes, nextRevision(oldEvent, changes, context.userId), {
+        user_id: context.userId ?? oldEvent.user_id,
+        updated_at: new Date(),
+      });
+
+      const [event] = await trx(this.tableName)
+        .where({ id: eventId, version: oldEvent.version })
+        .update(changes)
+        .returning("*");
+
+      if (!event) {
+        const current = await trx(this.tableName)
+          .where({ id: eventId })
+          .first();
+        this._assertVersion(current, oldEvent.version, changes, "revertEvent");
+      }
+
+      await this._createAuditLog(
+        trx,
+        event.id,
+        "REVERT",
+        oldEvent,
+        event,
+        context.userId
+      );
+
+      await trx.commit();
+      return event;
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "revertEvent", { eventId, auditId });
+    }
+  }
+
+  /**
+   * Get events with pagination and filters. Location and category filters
+   * include events in nested locations and categories.
    * @param {Object} options Query options
+   * @param {number} [options.locationId]
+   * @param {number} [options.categoryId]
+   * @param {number} [options.assignedGroupId] Events assigned to the group
    * @returns {Promise<{data: Array<Object>, pagination: Object}>}
    */
   async getEvents(options = {}) {
@@ -206,13 +802,25 @@ class EventService {
       endDate,
       type,
       status,
+      riskLevel,
       parent_id,
+      locationId,
+      categoryId,
+      assignedGroupId,
       sortBy = "created_at",
       sortOrder = "desc",
     } = options;
 
     try {
+      const locationIds = locationId
+        ? await LocationService.getDescendantIds(this.db, [locationId])
+        : null;
+      const categoryIds = categoryId
+        ? await CategoryService.getDescendantIds(this.db, [categoryId])
+        : null;
+
       const query = this.db(this.tableName)
+        .whereNull("deleted_at")
         .modify((queryBuilder) => {
           if (startDate) {
             queryBuilder.where("start_date", ">=", startDate);
@@ -226,17 +834,31 @@ class EventService {
           if (status) {
             queryBuilder.where({ status });
           }
+          if (riskLevel) {
+            queryBuilder.whereIn(
+              "risk_level",
+              Array.isArray(riskLevel) ? riskLevel : riskLevel.split(",")
+            );
+          }
           if (parent_id !== undefined) {
             queryBuilder.where({ parent_id });
           }
-        })
-        .orderBy(sortBy, sortOrder);
+          if (locationIds) {
+            queryBuilder.whereIn("location_id", locationIds);
+          }
+          if (categoryIds) {
+            queryBuilder.whereIn("category_id", categoryIds);
+          }
+          if (assignedGroupId) {
+            queryBuilder.where({ assigned_group_id: assignedGroupId });
+          }
+        });
 
       const offset = (page - 1) * limit;
 
       const [count, events] = await Promise.all([
-        this.db(this.tableName).count("id as total").first(),
-        query.limit(limit).offset(offset),
+        query.clone().count("id as total").first(),
+        query.orderBy(sortBy, sortOrder).limit(limit).offset(offset),
       ]);
 
       return {
@@ -254,16 +876,23 @@ class EventService {
   }
 
   /**
-   * Update an event
+   * Update an event. When updateData carries the version the client last
+   * read, the update is rejected with CONCURRENT_MODIFICATION if the event
+   * has changed since. Every update bumps the version and appends a revision.
    * @param {string|number} id
    * @param {Object} updateData
+   * @param {number} [updateData.version] Version the client last read
    * @returns {Promise<Object>} Updated event
    */
   async updateEvent(id, updateData) {
     const trx = await this.db.transaction();
 
     try {
-      const oldEvent = await trx(this.tableName).where({ id }).first();
+      this._toColumns(updateData);
+      const oldEvent = await trx(this.tableName)
+        .where({ id })
+        .whereNull("deleted_at")
+        .first();
 
       if (!oldEvent) {
         throw new AppError(
@@ -278,15 +907,99 @@ class EventService {
         );
       }
 
+      const expectedVersion = updateData.version;
+      delete updateData.version;
+      if (expectedVersion !== undefined) {
+        this._assertVersion(
+          oldEvent,
+          expectedVersion,
+          updateData,
+          "updateEvent"
+        );
+      }
+
+      // Re-parenting moves the descendants along
+      const moved =
+        updateData.parent_id !== undefined &&
+        updateData.parent_id !== oldEvent.parent_id;
+      if (moved) {
+        updateData.hierarchy_path = await this._hierarchyPathUnder(
+          trx,
+          oldEvent,
+          updateData.parent_id,
+          "updateEvent"
+        );
+      }
+
+      this._prepareRecurrence(
+        updateData,
+        { ...oldEvent, ...updateData },
+        "updateEvent"
+      );
+      this._prepareApproval(
+        updateData,
+        { ...oldEvent, ...updateData },
+        "updateEvent"
+      );
+      this._prepareEscalation(updateData, "updateEvent");
+      this._prepareValidationRules(updateData, "updateEvent");
+
+      // Status changes go through the state machine
+      let transition = null;
+      if (
+        updateData.status !== undefined &&
+        updateData.status !== oldEvent.status
+      ) {
+        const plan = EventStatusService.planTransition(
+          oldEvent,
+          { status: updateData.status },
+          updateData.user_id,
+          "updateEvent"
+        );
+        Object.assign(updateData, plan.changes);
+        transition = plan.transition;
+      }
+
+      await this._assertReferences(trx, updateData, "updateEvent");
+      await ValidationRuleService.assertValid(
+        trx,
+        { ...oldEvent, ...updateData },
+        "update",
+        "updateEvent"
+      );
+
+      Object.assign(
+        updateData,
+        nextRevision(oldEvent, updateData, updateData.user_id)
+      );
+
+      // Guard against a write that landed since oldEvent was read
       const [event] = await trx(this.tableName)
-        .where({ id })
+        .where({ id, version: oldEvent.version })
         .update(updateData)
         .returning("*");
 
+      if (!event) {
+        const current = await trx(this.tableName).where({ id }).first();
+        this._assertVersion(
+          current,
+          oldEvent.version,
+          updateData,
+          "updateEvent"
+        );
+      }
+
+      if (moved) {
+        await this._rewriteDescendantPaths(trx, event, updateData.user_id);
+      }
+
       // Create audit log entry
       await this._createAuditLog(trx, id, "UPDATE", oldEvent, event, updateData.user_id);
 
       await trx.commit();
+      if (transition) {
+        EventStatusService.notify(transition);
+      }
       return event;
     } catch (error) {
       await trx.rollback();
@@ -295,15 +1008,25 @@ class EventService {
   }
 
   /**
-   * Delete an event
+   * Move an event and its descendants to the trash, or delete them for good
    * @param {string|number} id
-   * @returns {Promise<boolean>} Success status
+   * @param {Object} [options]
+   * @param {boolean} [options.permanent] Delete now, including from the trash; refused under legal hold
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<{id: number, permanent: boolean, deleted: Array<number>}>} Ids of the events deleted
    */
-  async deleteEvent(id) {
+  async deleteEvent(id, options = {}, context = {}) {
     const trx = await this.db.transaction();
 
     try {
-      const event = await trx(this.tableName).where({ id }).first();
+      const event = await trx(this.tableName)
+        .where({ id })
+        .modify((queryBuilder) => {
+          if (!options.permanent) {
+            queryBuilder.whereNull("deleted_at");
+          }
+        })
+        .first();
 
       if (!event) {
         throw new AppError(
@@ -318,13 +1041,71 @@ class EventService {
         );
       }
 
-      // Create audit log entry before deletion
-      await this._createAuditLog(trx, id, "DELETE", event, null, event.user_id);
+      if (options.permanent) {
+        const subtree = [event, ...(await this._getDescendants(trx, event))];
+        this._assertNoLegalHold(subtree, "deleteEvent");
+
+        // Create audit log entry before deletion
+        await this._createAuditLog(
+          trx,
+          event.id,
+          "DELETE",
+          event,
+          null,
+          context.userId
+        );
+        await trx(this.tableName)
+          .whereIn(
+            "id",
+            subtree.map((row) => row.id)
+          )
+          .delete();
+
+        await trx.commit();
+        return {
+          id: event.id,
+          permanent: true,
+          deleted: subtree.map((row) => row.id),
+        };
+      }
+
+      // Descendants already in the trash keep their own deletion
+      const subtree = [
+        event,
+        ...(await this._getDescendants(trx, event, (queryBuilder) =>
+          queryBuilder.whereNull("deleted_at")
+        )),
+      ];
+      const now = new Date();
+      const changes = {
+        deleted_at: now,
+        deleted_by: context.userId ?? null,
+        updated_at: now,
+      };
 
-      await trx(this.tableName).where({ id }).delete();
+      for (const row of subtree) {
+        await trx(this.tableName)
+          .where({ id: row.id })
+          .update({
+            ...changes,
+            ...nextRevision(row, changes, context.userId),
+          });
+        await this._createAuditLog(
+          trx,
+          row.id,
+          "DELETE",
+          row,
+          null,
+          context.userId
+        );
+      }
 
       await trx.commit();
-      return true;
+      return {
+        id: event.id,
+        permanent: false,
+        deleted: subtree.map((row) => row.id),
+      };
     } catch (error) {
       await trx.rollback();
       throw this._handleError(error, "deleteEvent", { id });
@@ -332,7 +1113,190 @@ class EventService {
   }
 
   /**
-   * Get events by date range
+   * Take an event out of the trash, with the descendants deleted along with it
+   * @param {string|number} id
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Restored event
+   */
+  async restoreEvent(id, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const event = await trx(this.tableName)
+        .where({ id })
+        .whereNotNull("deleted_at")
+        .first();
+
+      if (!event) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "restoreEvent",
+          {
+            resource: "Deleted event",
+            id,
+          }
+        );
+      }
+
+      if (event.parent_id) {
+        const parent = await trx(this.tableName)
+          .where({ id: event.parent_id })
+          .first();
+
+        if (parent && parent.deleted_at !== null) {
+          throw new AppError(
+            ErrorTypes.BUSINESS_RULE_VIOLATION,
+            this.serviceName,
+            "restoreEvent",
+            {
+              rule: "PARENT_DELETED",
+              message: "Restore the parent event first",
+              parentId: parent.id,
+            }
+          );
+        }
+      }
+
+      const subtree = [
+        event,
+        ...(await this._getDescendants(trx, event, (queryBuilder) =>
+          queryBuilder.where({ deleted_at: event.deleted_at })
+        )),
+      ];
+      const now = new Date();
+      const changes = { deleted_at: null, deleted_by: null, updated_at: now };
+
+      for (const row of subtree) {
+        await trx(this.tableName)
+          .where({ id: row.id })
+          .update({
+            ...changes,
+            ...nextRevision(row, changes, context.userId),
+          });
+      }
+
+      const restored = await trx(this.tableName).whereIn(
+        "id",
+        subtree.map((row) => row.id)
+      );
+
+      for (const row of subtree) {
+        await this._createAuditLog(
+          trx,
+          row.id,
+          "RESTORE",
+          row,
+          restored.find((candidate) => candidate.id === row.id),
+          context.userId
+        );
+      }
+
+      await trx.commit();
+      return restored.find((candidate) => candidate.id === event.id);
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "restoreEvent", { id });
+    }
+  }
+
+  /**
+   * List the trash: events deleted directly, newest first, with when they
+   * will be purged and how many descendants went with them
+   * @param {Object} [options]
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=10]
+   * @returns {Promise<{data: Array<Object>, pagination: Object}>}
+   */
+  async getTrash(options = {}) {
+    const { page = 1, limit = 10 } = options;
+
+    try {
+      const [count, events] = await Promise.all([
+        this._trashRoots().count("e.id as total").first(),
+        this._trashRoots()
+          .select("e.*")
+          .orderBy([
+            { column: "e.deleted_at", order: "desc" },
+            { column: "e.id", order: "desc" },
+          ])
+          .limit(limit)
+          .offset((page - 1) * limit),
+      ]);
+
+      const data = await Promise.all(
+        events.map(async (event) => {
+          const descendants = await this._getDescendants(
+            this.db,
+            event,
+            (queryBuilder) =>
+              queryBuilder.where({ deleted_at: event.deleted_at })
+          );
+          return {
+            ...event,
+            purge_at: this._purgeAt(event),
+            descendant_count: descendants.length,
+          };
+        })
+      );
+
+      return {
+        data,
+        pagination: {
+          page,
+          limit,
+          total: parseInt(count.total),
+          totalPages: Math.ceil(count.total / limit),
+        },
+      };
+    } catch (error) {
+      throw this._handleError(error, "getTrash", { options });
+    }
+  }
+
+  /**
+   * Permanently delete trashed events past their retention period, with the
+   * descendants deleted along with them. Subtrees with an event under legal
+   * hold are kept.
+   * @param {Object} [options]
+   * @param {Date} [options.now] Reference time (defaults to now)
+   * @returns {Promise<{purged: number, held: number, failed: number}>} Events purged, subtrees held and failed
+   */
+  async purgeTrash(options = {}) {
+    const now = options.now || new Date();
+    const summary = { purged: 0, held: 0, failed: 0 };
+
+    try {
+      const events = await this._trashRoots().select("e.*");
+
+      for (const event of events.filter(
+        (candidate) => this._purgeAt(candidate) <= now
+      )) {
+        try {
+          const purged = await this._purgeSubtree(event);
+          if (purged === null) {
+            summary.held += 1;
+          } else {
+            summary.purged += purged;
+          }
+        } catch (error) {
+          summary.failed += 1;
+          logger.error("Trash purge failed", {
+            eventId: event.id,
+            error: error.message,
+          });
+        }
+      }
+
+      logger.info("Trash purge complete", summary);
+      return summary;
+    } catch (error) {
+      throw this._handleError(error, "purgeTrash");
+    }
+  }
+
+  /**
+   * Get events by date range
    * @param {Date} startDate
    * @param {Date} endDate
    * @returns {Promise<Array<Object>>} Events in range
@@ -341,6 +1305,7 @@ class EventService {
     try {
       return await this.db(this.tableName)
         .whereBetween("start_date", [startDate, endDate])
+        .whereNull("deleted_at")
         .orderBy("start_date", "asc");
     } catch (error) {
       throw this._handleError(error, "getEventsByDateRange", {
@@ -362,6 +1327,7 @@ class EventService {
     try {
       return await this.db(this.tableName)
         .where({ type })
+        .whereNull("deleted_at")
         .limit(limit)
         .offset(offset)
         .orderBy("created_at", "desc");
@@ -378,14 +1344,462 @@ class EventService {
   async searchEvents(query) {
     try {
       return await this.db(this.tableName)
-        .where("title", "like", `%${query}%`)
-        .orWhere("description", "like", `%${query}%`)
+        .whereNull("deleted_at")
+        .where((queryBuilder) =>
+          queryBuilder
+            .where("title", "like", `%${query}%`)
+            .orWhere("description", "like", `%${query}%`)
+        )
         .orderBy("created_at", "desc");
     } catch (error) {
       throw this._handleError(error, "searchEvents", { query });
     }
   }
 
+  /**
+   * Validate and normalize recurrence fields before they are written
+   * @private
+   * @param {Object} data Data being written (normalized in place)
+   * @param {Object} event Resulting event, used for cross-field checks
+   * @param {string} method Calling method for error context
+   */
+  _prepareRecurrence(data, event, method) {
+    if (data.recurrence_rule) {
+      try {
+        data.recurrence_rule = normalizeRRule(data.recurrence_rule);
+      } catch (error) {
+        throw new AppError(
+          ErrorTypes.VALIDATION_ERROR,
+          this.serviceName,
+          method,
+          {
+            message: "Invalid recurrence rule",
+            field: "recurrence_rule",
+            reason: error.message,
+          }
+        );
+      }
+
+      if (!event.effective_date) {
+        throw new AppError(
+          ErrorTypes.VALIDATION_ERROR,
+          this.serviceName,
+          method,
+          {
+            message: "Recurrence rules require an effective_date",
+            field: "effective_date",
+          }
+        );
+      }
+    }
+
+    if (data.recurrence_exdates) {
+      const exdates = parseJsonColumn(data.recurrence_exdates, null);
+      const invalid = Array.isArray(exdates)
+        ? exdates.filter((date) => !toDateString(date))
+        : [data.recurrence_exdates];
+
+      if (invalid.length) {
+        throw new AppError(
+          ErrorTypes.VALIDATION_ERROR,
+          this.serviceName,
+          method,
+          {
+            message: "Excluded dates must be valid dates",
+            field: "recurrence_exdates",
+            invalid,
+          }
+        );
+      }
+
+      data.recurrence_exdates = JSON.stringify(
+        [...new Set(exdates.map(toDateString))].sort()
+      );
+    }
+  }
+
+  /**
+   * Validate and normalize approval settings before they are written
+   * @private
+   * @param {Object} data Data being written (normalized in place)
+   * @param {Object} event Resulting event, used for cross-field checks
+   * @param {string} method Calling method for error context
+   */
+  _prepareApproval(data, event, method) {
+    if (
+      event.requires_approval &&
+      event.approval_type === "any-of-group" &&
+      !event.approver_group_id
+    ) {
+      throw new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        method,
+        {
+          message: "Group approval requires an approver_group_id",
+          field: "approver_group_id",
+        }
+      );
+    }
+
+    if (data.approval_chain) {
+      const chain = parseJsonColumn(data.approval_chain, null);
+      const valid =
+        Array.isArray(chain) &&
+        chain.every(
+          (level) =>
+            Array.isArray(level) && level.every((id) => Number.isInteger(id))
+        );
+
+      if (!valid) {
+        throw new AppError(
+          ErrorTypes.VALIDATION_ERROR,
+          this.serviceName,
+          method,
+          {
+            message: "Approval chain must be a list of approver ids per level",
+            field: "approval_chain",
+          }
+        );
+      }
+
+      data.approval_chain = JSON.stringify(chain);
+    }
+  }
+
+  /**
+   * Rename request fields (recurrenceRule, approvalType, ...) to the columns
+   * they are stored in. Column names are accepted as they are.
+   * @private
+   * @param {Object} data Data being written (renamed in place)
+   */
+  _toColumns(data) {
+    for (const [key, column] of Object.entries(REQUEST_FIELDS)) {
+      if (data[key] !== undefined) {
+        data[column] = data[key];
+        delete data[key];
+      }
+    }
+  }
+
+  /**
+   * Validate and normalize escalation settings before they are written
+   * @private
+   * @param {Object} data Data being written (normalized in place)
+   * @param {string} method Calling method for error context
+   */
+  _prepareEscalation(data, method) {
+    if (data.escalation_rules) {
+      const rules = parseJsonColumn(data.escalation_rules, null);
+      const valid =
+        Array.isArray(rules) &&
+        rules.every((step) =>
+          ["notify_assignee", "reassign", "notify_admin"].includes(step?.action)
+        );
+
+      if (!valid) {
+        throw new AppError(
+          ErrorTypes.VALIDATION_ERROR,
+          this.serviceName,
+          method,
+          {
+            message:
+              "Escalation rules must be a list of notify_assignee, reassign or notify_admin steps",
+            field: "escalation_rules",
+          }
+        );
+      }
+
+      data.escalation_rules = JSON.stringify(rules);
+    }
+  }
+
+  /**
+   * Descendants of an event, breadth first
+   * @private
+   * @param {Object} db Knex instance or transaction
+   * @param {Object} event
+   * @param {Function} [filter] Narrows each level; descendants of excluded events are skipped too
+   * @returns {Promise<Array<Object>>}
+   */
+  async _getDescendants(db, event, filter = () => {}) {
+    const descendants = [];
+    let frontier = [event.id];
+
+    while (frontier.length > 0) {
+      const children = await db(this.tableName)
+        .whereIn("parent_id", frontier)
+        .modify(filter);
+
+      descendants.push(...children);
+      frontier = children.map((child) => child.id);
+    }
+
+    return descendants;
+  }
+
+  /**
+   * Check that the location, category and groups an event refers to exist
+   * @private
+   */
+  async _assertReferences(db, data, method) {
+    for (const [column, table, resource] of [
+      ["location_id", "locations", "Location"],
+      ["category_id", "categories", "Category"],
+      ["assigned_group_id", "groups", "Group"],
+      ["approver_group_id", "groups", "Group"],
+    ]) {
+      if (!data[column]) {
+        continue;
+      }
+
+      const exists = await db(table).where({ id: data[column] }).first("id");
+      if (!exists) {
+        throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+          resource,
+          id: data[column],
+        });
+      }
+    }
+  }
+
+  /**
+   * hierarchy_path for an event placed under a parent
+   * @private
+   * @param {Object} db Knex instance or transaction
+   * @param {Object|null} event Event being moved, checked against cycles; null for new events
+   * @param {number|null} parentId
+   * @param {string} method Calling method for error context
+   * @returns {Promise<string>} Column value
+   */
+  async _hierarchyPathUnder(db, event, parentId, method) {
+    if (parentId === null || parentId === undefined) {
+      return JSON.stringify([]);
+    }
+
+    const parent = await db(this.tableName)
+      .where({ id: parentId })
+      .whereNull("deleted_at")
+      .first();
+
+    if (!parent) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Parent Event",
+        id: parentId,
+      });
+    }
+
+    const parentPath = parseJsonColumn(parent.hierarchy_path, []);
+    if (event && (parent.id === event.id || parentPath.includes(event.id))) {
+      throw new AppError(
+        ErrorTypes.BUSINESS_RULE_VIOLATION,
+        this.serviceName,
+        method,
+        {
+          rule: "HIERARCHY_CYCLE",
+          message: "An event cannot be moved under itself or its descendants",
+          id: event.id,
+          parentId: parent.id,
+        }
+      );
+    }
+
+    return JSON.stringify([...parentPath, parent.id]);
+  }
+
+  /**
+   * Recompute the hierarchy_path of every descendant of a moved event
+   * @private
+   */
+  async _rewriteDescendantPaths(trx, event, userId) {
+    const paths = new Map([
+      [event.id, parseJsonColumn(event.hierarchy_path, [])],
+    ]);
+
+    for (const descendant of await this._getDescendants(trx, event)) {
+      const path = [...paths.get(descendant.parent_id), descendant.parent_id];
+      paths.set(descendant.id, path);
+
+      const changes = { hierarchy_path: JSON.stringify(path) };
+      await trx(this.tableName)
+        .where({ id: descendant.id })
+        .update({ ...changes, ...nextRevision(descendant, changes, userId) });
+    }
+  }
+
+  /**
+   * Trashed events whose parent was not deleted along with them
+   * @private
+   */
+  _trashRoots(db = this.db) {
+    return db(`${this.tableName} as e`)
+      .leftJoin(`${this.tableName} as p`, "p.id", "e.parent_id")
+      .whereNotNull("e.deleted_at")
+      .where((queryBuilder) =>
+        queryBuilder
+          .whereNull("p.deleted_at")
+          .orWhereRaw("?? <> ??", ["p.deleted_at", "e.deleted_at"])
+      );
+  }
+
+  /**
+   * When a trashed event is purged: its retention_period in days, or
+   * EVENT_TRASH_RETENTION_DAYS, after it was deleted
+   * @private
+   */
+  _purgeAt(event) {
+    return addDays(
+      new Date(event.deleted_at),
+      event.retention_period ?? this.trashRetentionDays
+    );
+  }
+
+  /**
+   * Permanently delete a trashed event and the descendants deleted with it,
+   * unless any of them is under legal hold
+   * @private
+   * @returns {Promise<number|null>} Events deleted, or null when held
+   */
+  async _purgeSubtree(event) {
+    const trx = await this.db.transaction();
+
+    try {
+      const subtree = [
+        event,
+        ...(await this._getDescendants(trx, event, (queryBuilder) =>
+          queryBuilder.where({ deleted_at: event.deleted_at })
+        )),
+      ];
+
+      if (subtree.some((row) => row.legal_hold)) {
+        await trx.rollback();
+        return null;
+      }
+
+      await trx(this.tableName)
+        .whereIn(
+          "id",
+          subtree.map((row) => row.id)
+        )
+        .delete();
+
+      await trx.commit();
+      return subtree.length;
+    } catch (error) {
+      await trx.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Refuse to permanently delete events under legal hold
+   * @private
+   * @throws {AppError} BUSINESS_RULE_VIOLATION listing the held events
+   */
+  _assertNoLegalHold(events, method) {
+    const held = events.filter((event) => event.legal_hold);
+
+    if (held.length > 0) {
+      throw new AppError(
+        ErrorTypes.BUSINESS_RULE_VIOLATION,
+        this.serviceName,
+        method,
+        {
+          rule: "LEGAL_HOLD",
+          message: "Events under legal hold cannot be permanently deleted",
+          heldIds: held.map((event) => event.id),
+        }
+      );
+    }
+  }
+
+  /**
+   * Load one of an event's audit entries or throw NOT_FOUND
+   * @private
+   */
+  async _getAuditEntry(eventId, auditId, method, db = this.db) {
+    const entry = await db("event_audit_log")
+      .where({ id: auditId, event_id: eventId })
+      .first();
+
+    if (!entry) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Audit entry",
+        id: auditId,
+        eventId,
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * The event as an audit entry left it, or null after a deletion
+   * @private
+   */
+  _auditSnapshot(entry) {
+    return entry.action === "DELETE"
+      ? null
+      : parseJsonColumn(entry.new_data, null);
+  }
+
+  /**
+   * Audit entry fields for API responses, without the snapshots
+   * @private
+   */
+  _summarizeAuditEntry(entry) {
+    return {
+      id: entry.id,
+      action: entry.action,
+      user_id: entry.user_id,
+      created_at: entry.created_at,
+    };
+  }
+
+  /**
+   * Reject an update based on a stale version
+   * @private
+   * @param {Object} current Current event row
+   * @param {number} expectedVersion Version the client last read
+   * @param {Object} changes Fields being updated
+   * @param {string} method Calling method for error context
+   * @throws {AppError} CONCURRENT_MODIFICATION with what changed since
+   */
+  _assertVersion(current, expectedVersion, changes, method) {
+    const conflict = versionConflict(current, expectedVersion, changes);
+
+    if (conflict) {
+      throw new AppError(
+        ErrorTypes.CONCURRENT_MODIFICATION,
+        this.serviceName,
+        method,
+        {
+          message: "Event was changed by someone else; reload it and retry",
+          resource: "Event",
+          id: current.id,
+          ...conflict,
+        }
+      );
+    }
+  }
+
+  /**
+   * Validate and normalize inline validation rules and acceptance criteria
+   * before they are written
+   * @private
+   * @param {Object} data Data being written (normalized in place)
+   * @param {string} method Calling method for error context
+   */
+  _prepareValidationRules(data, method) {
+    for (const column of ["validation_rules", "acceptance_criteria"]) {
+      if (data[column]) {
+        const rules = parseJsonColumn(data[column], null);
+        ValidationRuleService.validateDefinitions(rules, method);
+        data[column] = JSON.stringify(rules);
+      }
+    }
+  }
+
   /**
    * Create an audit log entry
    * @private
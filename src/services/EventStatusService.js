@@ -0,0 +1,335 @@
+const EventEmitter = require("events");
+const databaseService = require("./DatabaseService");
+const logger = require("./LoggerService");
+const statusConfig = require("../config/eventStatus");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { parseJsonColumn } = require("../utils/jsonColumn");
+const { nextRevision } = require("../utils/revisions");
+
+/**
+ * Event status state machine. Transitions are checked against the machine
+ * in src/config/eventStatus.js, recorded in the event's status columns and
+ * state_transition_history, and announced to subscribers once committed:
+ *
+ *   EventStatusService.on("transition", ({ eventId, from, to }) => ...);
+ *   EventStatusService.on("status:completed", (transition) => ...);
+ *
+ * Subscriber errors are logged and never undo a transition.
+ */
+class EventStatusService extends EventEmitter {
+  constructor() {
+    super();
+    this.db = databaseService.getKnex();
+    this.tableName = "events";
+    this.serviceName = "EventStatusService";
+    this.machine = statusConfig.machine;
+  }
+
+  /**
+   * Get an event's status, the transitions open to it and its history
+   * @param {string|number} eventId
+   * @returns {Promise<Object>}
+   */
+  async getStatus(eventId) {
+    try {
+      const event = await this._getEvent(this.db, eventId, "getStatus");
+
+      return {
+        event_id: event.id,
+        status: event.status,
+        previous_status: event.previous_status,
+        status_changed_at: event.status_changed_at,
+        status_changed_by: event.status_changed_by,
+        available_transitions: this.getAvailableTransitions(event.status),
+        history: parseJsonColumn(event.state_transition_history, []),
+      };
+    } catch (error) {
+      throw this._handleError(error, "getStatus", { eventId });
+    }
+  }
+
+  /**
+   * Move an event to a new status, directly or through a named action
+   * @param {string|number} eventId
+   * @param {Object} data
+   * @param {string} [data.status] Target status
+   * @param {string} [data.action] Named action, e.g. "reopen"
+   * @param {string} [data.reason] Kept in the transition history
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Updated event
+   */
+  async transitionStatus(eventId, data, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const event = await this._getEvent(trx, eventId, "transitionStatus");
+      const { changes, transition } = this.planTransition(
+        event,
+        data,
+        context.userId,
+        "transitionStatus"
+      );
+
+      const [updated] = await trx(this.tableName)
+        .where({ id: event.id })
+        .update({
+          ...changes,
+          ...nextRevision(event, changes, context.userId),
+        })
+        .returning("*");
+
+      await trx.commit();
+      this.notify(transition);
+      return updated;
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "transitionStatus", {
+        eventId,
+        status: data.status,
+        action: data.action,
+      });
+    }
+  }
+
+  /**
+   * Check a transition and build the column changes that record it. The
+   * caller writes the changes and calls notify() once they are committed.
+   * @param {Object} event Current event row
+   * @param {Object} data
+   * @param {string} [data.status] Target status
+   * @param {string} [data.action] Named action
+   * @param {string} [data.reason]
+   * @param {number} userId User making the change
+   * @param {string} method Calling method for error context
+   * @returns {{changes: Object, transition: Object}}
+   * @throws {AppError} INVALID_STATUS_TRANSITION when the machine does not allow it
+   */
+  planTransition(event, data, userId, method) {
+    const from = this.resolveStatus(event.status);
+    const to = this._targetStatus(from, data, event, method);
+    const now = new Date();
+
+    const transition = {
+      eventId: event.id,
+      from: event.status,
+      to,
+      action: data.action || null,
+      reason: data.reason || null,
+      changedBy: userId ?? null,
+      changedAt: now.toISOString(),
+    };
+
+    const history = parseJsonColumn(event.state_transition_history, []);
+    history.push({
+      from: transition.from,
+      to,
+      action: transition.action,
+      reason: transition.reason,
+      changed_by: transition.changedBy,
+      changed_at: transition.changedAt,
+    });
+
+    return {
+      changes: {
+        status: to,
+        previous_status: event.status,
+        status_changed_at: now,
+        status_changed_by: userId ?? null,
+        state_transition_history: JSON.stringify(history),
+        updated_at: now,
+      },
+      transition,
+    };
+  }
+
+  /**
+   * Status for a new event: the machine's initial status by default
+   * @param {string} [status] Requested status
+   * @param {string} method Calling method for error context
+   * @returns {string}
+   * @throws {AppError} VALIDATION_ERROR for statuses the machine does not know
+   */
+  initialStatus(status, method) {
+    if (status === undefined || status === null) {
+      return this.machine.initial;
+    }
+
+    if (!this.getStatuses().includes(status)) {
+      throw new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        method,
+        {
+          message: `Unknown status: ${status}`,
+          field: "status",
+          allowed: this.getStatuses(),
+        }
+      );
+    }
+
+    return status;
+  }
+
+  /**
+   * Statuses and actions reachable from a status
+   * @param {string} status
+   * @returns {Array<{status: string, action: string|null}>}
+   */
+  getAvailableTransitions(status) {
+    const from = this.resolveStatus(status);
+    const direct = (this.machine.transitions[from] || []).map((to) => ({
+      status: to,
+      action: null,
+    }));
+    const actions = Object.entries(this.machine.actions || {})
+      .filter(([, action]) => action.from.includes(from))
+      .map(([name, action]) => ({ status: action.to, action: name }));
+
+    return [...direct, ...actions];
+  }
+
+  /**
+   * All statuses of the machine
+   * @returns {Array<string>}
+   */
+  getStatuses() {
+    return Object.keys(this.machine.transitions);
+  }
+
+  /**
+   * Map a stored status through the machine's aliases
+   * @param {string} status
+   * @returns {string}
+   */
+  resolveStatus(status) {
+    const aliases = this.machine.aliases || {};
+    return aliases[status] ?? status ?? this.machine.initial;
+  }
+
+  /**
+   * Tell subscribers about a committed transition. Emits "transition" and
+   * "status:<to>"; failing subscribers are logged and skipped.
+   * @param {Object} transition From planTransition
+   */
+  notify(transition) {
+    for (const eventName of ["transition", `status:${transition.to}`]) {
+      for (const listener of this.rawListeners(eventName)) {
+        Promise.resolve()
+          .then(() => listener(transition))
+          .catch((error) => {
+            logger.error("Status transition subscriber failed", {
+              eventName,
+              eventId: transition.eventId,
+              error: error.message,
+            });
+          });
+      }
+    }
+  }
+
+  /**
+   * Replace the state machine (used by tests)
+   * @param {Object} [machine] Machine shaped like src/config/eventStatus.js, the configured one by default
+   */
+  setMachine(machine) {
+    this.machine = machine || statusConfig.machine;
+  }
+
+  /**
+   * Resolve and check the target status of a transition request
+   * @private
+   */
+  _targetStatus(from, data, event, method) {
+    const allowed = this.getAvailableTransitions(event.status);
+    const reject = (message, to) =>
+      new AppError(
+        ErrorTypes.INVALID_STATUS_TRANSITION,
+        this.serviceName,
+        method,
+        {
+          message,
+          eventId: event.id,
+          from: event.status,
+          to,
+          action: data.action || null,
+          allowed,
+        }
+      );
+
+    if (data.action) {
+      const action = (this.machine.actions || {})[data.action];
+      if (!action) {
+        throw reject(`Unknown status action: ${data.action}`, data.status);
+      }
+      if (data.status && data.status !== action.to) {
+        throw reject(
+          `Action ${data.action} moves to ${action.to}, not ${data.status}`,
+          data.status
+        );
+      }
+      if (!action.from.includes(from)) {
+        throw reject(
+          `Action ${data.action} is not available from ${event.status}`,
+          action.to
+        );
+      }
+      return action.to;
+    }
+
+    if (!this.getStatuses().includes(data.status)) {
+      throw reject(`Unknown status: ${data.status}`, data.status);
+    }
+    if (!(this.machine.transitions[from] || []).includes(data.status)) {
+      throw reject(
+        `Cannot change status from ${event.status} to ${data.status}`,
+        data.status
+      );
+    }
+    return data.status;
+  }
+
+  /**
+   * Load an event or throw NOT_FOUND
+   * @private
+   */
+  async _getEvent(db, eventId, method) {
+    const event = await db(this.tableName)
+      .where({ id: eventId })
+      .whereNull("deleted_at")
+      .first();
+
+    if (!event) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Event",
+        id: eventId,
+      });
+    }
+
+    return event;
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const eventStatusService = new EventStatusService();
+module.exports = eventStatusService;
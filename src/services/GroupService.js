@@ -0,0 +1,453 @@
+const databaseService = require("./DatabaseService");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { parseJsonColumn } = require("../utils/jsonColumn");
+const { updateWithRevision } = require("../utils/revisions");
+
+// Roles allowed to manage groups and their members
+const MANAGER_ROLES = ["admin", "manager"];
+
+/**
+ * Named groups of an instance's users, such as "Parents" and "Kids". Events
+ * can be assigned to a group (events.assigned_group_id), so any member may
+ * do the work, and approved by one (events.approver_group_id with the
+ * any-of-group approval type). Membership decides who may approve, so only
+ * managers change it.
+ */
+class GroupService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "groups";
+    this.membersTable = "group_members";
+    this.serviceName = "GroupService";
+  }
+
+  /**
+   * List an instance's groups by name, with their member counts
+   * @param {string|number} instanceId
+   * @returns {Promise<Array<Object>>}
+   */
+  async getGroups(instanceId) {
+    try {
+      const groups = await this.db(`${this.tableName} as g`)
+        .leftJoin(`${this.membersTable} as gm`, "gm.group_id", "g.id")
+        .where("g.instance_id", instanceId)
+        .groupBy("g.id")
+        .select("g.*")
+        .count("gm.id as member_count")
+        .orderBy([
+          { column: "g.name", order: "asc" },
+          { column: "g.id", order: "asc" },
+        ]);
+
+      return groups.map((group) => ({
+        ...group,
+        member_count: parseInt(group.member_count),
+      }));
+    } catch (error) {
+      throw this._handleError(error, "getGroups", { instanceId });
+    }
+  }
+
+  /**
+   * Get a group with its members
+   * @param {string|number} id
+   * @param {string|number} instanceId
+   * @returns {Promise<Object>} Group with `members` of {id, email, joined_at}
+   */
+  async getGroupById(id, instanceId) {
+    try {
+      const group = await this._getGroup(
+        this.db,
+        id,
+        instanceId,
+        "getGroupById"
+      );
+      return await this._withMembers(this.db, group);
+    } catch (error) {
+      throw this._handleError(error, "getGroupById", { id });
+    }
+  }
+
+  /**
+   * Create a group in the manager's instance
+   * @param {string|number} instanceId
+   * @param {Object} data
+   * @param {string} data.name Unique within the instance
+   * @param {string} [data.description]
+   * @param {Array<number>} [data.memberIds] Users of the instance to add
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Created group with its members
+   * @throws {AppError} DUPLICATE_ENTRY when the name is taken
+   */
+  async createGroup(instanceId, data, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const manager = await this._getManager(
+        trx,
+        instanceId,
+        context,
+        "createGroup"
+      );
+      await this._assertNameFree(
+        trx,
+        instanceId,
+        data.name,
+        null,
+        "createGroup"
+      );
+
+      const [group] = await trx(this.tableName)
+        .insert({
+          instance_id: instanceId,
+          name: data.name,
+          description: data.description || null,
+          created_by: manager.id,
+        })
+        .returning("*");
+
+      await this._addMembers(trx, group, data.memberIds || [], "createGroup");
+      const created = await this._withMembers(trx, group);
+
+      await trx.commit();
+      return created;
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "createGroup", { name: data.name });
+    }
+  }
+
+  /**
+   * Rename or describe a group
+   * @param {string|number} id
+   * @param {string|number} instanceId
+   * @param {Object} data
+   * @param {string} [data.name]
+   * @param {string|null} [data.description]
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Updated group
+   * @throws {AppError} DUPLICATE_ENTRY when the name is taken
+   */
+  async updateGroup(id, instanceId, data, context = {}) {
+    try {
+      await this._getManager(this.db, instanceId, context, "updateGroup");
+      const group = await this._getGroup(
+        this.db,
+        id,
+        instanceId,
+        "updateGroup"
+      );
+      const changes = {};
+
+      if (data.name !== undefined) {
+        await this._assertNameFree(
+          this.db,
+          instanceId,
+          data.name,
+          group.id,
+          "updateGroup"
+        );
+        changes.name = data.name;
+      }
+      if (data.description !== undefined) {
+        changes.description = data.description;
+      }
+
+      const [updated] = await this.db(this.tableName)
+        .where({ id: group.id })
+        .update({ ...changes, updated_at: new Date() })
+        .returning("*");
+
+      return updated;
+    } catch (error) {
+      throw this._handleError(error, "updateGroup", { id });
+    }
+  }
+
+  /**
+   * Delete a group no live event is assigned to or approved by. References
+   * from deleted events are cleared and memberships go with the group.
+   * @param {string|number} id
+   * @param {string|number} instanceId
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<boolean>}
+   * @throws {AppError} BUSINESS_RULE_VIOLATION (IN_USE)
+   */
+  async deleteGroup(id, instanceId, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      await this._getManager(trx, instanceId, context, "deleteGroup");
+      const group = await this._getGroup(trx, id, instanceId, "deleteGroup");
+      const referencing = (queryBuilder) =>
+        queryBuilder
+          .where({ assigned_group_id: group.id })
+          .orWhere({ approver_group_id: group.id });
+
+      const events = await trx("events")
+        .where(referencing)
+        .whereNull("deleted_at")
+        .count("id as total")
+        .first();
+      if (parseInt(events.total) > 0) {
+        throw new AppError(
+          ErrorTypes.BUSINESS_RULE_VIOLATION,
+          this.serviceName,
+          "deleteGroup",
+          {
+            rule: "IN_USE",
+            message: `Group is used by ${events.total} events`,
+            id: group.id,
+            events: parseInt(events.total),
+          }
+        );
+      }
+
+      for (const column of ["assigned_group_id", "approver_group_id"]) {
+        const deleted = await trx("events")
+          .where({ [column]: group.id })
+          .pluck("id");
+        for (const eventId of deleted) {
+          await updateWithRevision(
+            trx,
+            "events",
+            eventId,
+            { [column]: null },
+            context.userId
+          );
+        }
+      }
+      await trx(this.membersTable).where({ group_id: group.id }).del();
+      await trx(this.tableName).where({ id: group.id }).del();
+
+      await trx.commit();
+      return true;
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "deleteGroup", { id });
+    }
+  }
+
+  /**
+   * Add users of the group's instance to it. Users already in the group are
+   * left as they are.
+   * @param {string|number} id
+   * @param {string|number} instanceId
+   * @param {Array<number>} userIds
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Group with its members
+   */
+  async addMembers(id, instanceId, userIds, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      await this._getManager(trx, instanceId, context, "addMembers");
+      const group = await this._getGroup(trx, id, instanceId, "addMembers");
+
+      await this._addMembers(trx, group, userIds, "addMembers");
+      const updated = await this._withMembers(trx, group);
+
+      await trx.commit();
+      return updated;
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "addMembers", { id, userIds });
+    }
+  }
+
+  /**
+   * Remove a user from a group
+   * @param {string|number} id
+   * @param {string|number} instanceId
+   * @param {string|number} userId
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<boolean>}
+   */
+  async removeMember(id, instanceId, userId, context = {}) {
+    try {
+      await this._getManager(this.db, instanceId, context, "removeMember");
+      const group = await this._getGroup(
+        this.db,
+        id,
+        instanceId,
+        "removeMember"
+      );
+
+      const removed = await this.db(this.membersTable)
+        .where({ group_id: group.id, user_id: userId })
+        .del();
+
+      if (!removed) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "removeMember",
+          { resource: "Group member", id: userId }
+        );
+      }
+
+      return true;
+    } catch (error) {
+      throw this._handleError(error, "removeMember", { id, userId });
+    }
+  }
+
+  /**
+   * Ids of a group's members, checking the group belongs to the instance
+   * @param {Object} db Knex instance or transaction
+   * @param {string|number} id
+   * @param {string|number} instanceId
+   * @returns {Promise<Array<number>>}
+   */
+  async getMemberIds(db, id, instanceId) {
+    const group = await this._getGroup(db, id, instanceId, "getMemberIds");
+
+    return db(this.membersTable).where({ group_id: group.id }).pluck("user_id");
+  }
+
+  /**
+   * Add members, skipping users already in the group
+   * @private
+   */
+  async _addMembers(trx, group, userIds, method) {
+    const ids = [...new Set(userIds.map(Number))];
+
+    if (ids.length === 0) {
+      return;
+    }
+
+    const users = await trx("users")
+      .whereIn("id", ids)
+      .select("id", "instance_id");
+    for (const id of ids) {
+      const user = users.find((candidate) => candidate.id === id);
+
+      if (!user || String(user.instance_id) !== String(group.instance_id)) {
+        throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+          resource: "User",
+          id,
+        });
+      }
+    }
+
+    const existing = await trx(this.membersTable)
+      .where({ group_id: group.id })
+      .pluck("user_id");
+    const added = ids.filter((id) => !existing.map(Number).includes(id));
+
+    if (added.length > 0) {
+      await trx(this.membersTable).insert(
+        added.map((userId) => ({ group_id: group.id, user_id: userId }))
+      );
+    }
+  }
+
+  /**
+   * Attach the group's members, in the order they joined
+   * @private
+   */
+  async _withMembers(db, group) {
+    const members = await db(`${this.membersTable} as gm`)
+      .join("users as u", "u.id", "gm.user_id")
+      .where("gm.group_id", group.id)
+      .select("u.id", "u.email", "gm.created_at as joined_at")
+      .orderBy([
+        { column: "gm.created_at", order: "asc" },
+        { column: "gm.id", order: "asc" },
+      ]);
+
+    return { ...group, members };
+  }
+
+  /**
+   * Reject a name another group of the instance already has
+   * @private
+   */
+  async _assertNameFree(db, instanceId, name, exceptId, method) {
+    const query = db(this.tableName).where({ instance_id: instanceId, name });
+
+    if (exceptId) {
+      query.whereNot({ id: exceptId });
+    }
+
+    const existing = await query.first("id");
+    if (existing) {
+      throw new AppError(ErrorTypes.DUPLICATE_ENTRY, this.serviceName, method, {
+        message: `A group named ${name} already exists`,
+        groupId: existing.id,
+      });
+    }
+  }
+
+  /**
+   * Load a group of the instance or throw NOT_FOUND
+   * @private
+   */
+  async _getGroup(db, id, instanceId, method) {
+    const group = await db(this.tableName)
+      .where({ id, instance_id: instanceId })
+      .first();
+
+    if (!group) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Group",
+        id,
+      });
+    }
+
+    return group;
+  }
+
+  /**
+   * Load the acting user, requiring a manager role in the instance
+   * @private
+   */
+  async _getManager(db, instanceId, context, method) {
+    const user = await db("users")
+      .where({ id: context.userId || null })
+      .first("id", "instance_id", "roles");
+    const roles = user ? parseJsonColumn(user.roles, []) : [];
+
+    if (
+      !roles.some((role) => MANAGER_ROLES.includes(role)) ||
+      String(user.instance_id) !== String(instanceId)
+    ) {
+      throw new AppError(
+        ErrorTypes.INSUFFICIENT_PERMISSIONS,
+        this.serviceName,
+        method,
+        {
+          message: "Only the instance's managers can do this",
+          userId: context.userId,
+        }
+      );
+    }
+
+    return user;
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const groupService = new GroupService();
+module.exports = groupService;
@@ -2,6 +2,7 @@ const databaseService = require("./DatabaseService");
 const transactionManager = require("../utils/TransactionManager");
 const AppError = require("../utils/AppError");
 const { ErrorTypes } = require("../utils/errorTypes");
+const { versionConflict, nextRevision } = require("../utils/revisions");
 
 class InstanceService {
   constructor() {
@@ -142,9 +143,14 @@ class InstanceService {
   }
 
   /**
-   * Update instance with transaction
+   * Update instance with transaction. A version in instanceData is checked
+   * against the stored one; stale updates fail with CONCURRENT_MODIFICATION.
+   * @param {string} id
+   * @param {Object} instanceData
+   * @param {number} [instanceData.version] Version the client last read
+   * @param {string} [userId] User making the change, kept in the revision
    */
-  async update(id, instanceData) {
+  async update(id, instanceData, userId) {
     try {
       return await transactionManager.executeTransaction(async (trx) => {
         // Get current instance data
@@ -161,6 +167,12 @@ class InstanceService {
           });
         }
 
+        const expectedVersion = instanceData.version;
+        delete instanceData.version;
+        if (expectedVersion !== undefined) {
+          this._assertVersion(currentInstance, expectedVersion, instanceData);
+        }
+
         // Handle parent ID changes
         if (instanceData.parentId !== currentInstance.parentId) {
           // Remove from old parent's metadata if it had one
@@ -238,15 +250,22 @@ class InstanceService {
           }
         }
 
-        // Update instance
+        // Update instance, unless another write landed since it was read
         const [updatedInstance] = await trx(this.tableName)
           .where("id", id)
+          .where("version", currentInstance.version)
           .update({
             ...instanceData,
+            ...nextRevision(currentInstance, instanceData, userId),
             updated_at: this.db.fn.now(),
           })
           .returning("*");
 
+        if (!updatedInstance) {
+          const latest = await trx(this.tableName).where("id", id).first();
+          this._assertVersion(latest, currentInstance.version, instanceData);
+        }
+
         return updatedInstance;
       });
     } catch (error) {
@@ -258,6 +277,28 @@ class InstanceService {
     }
   }
 
+  /**
+   * Reject an update based on a stale version
+   * @private
+   */
+  _assertVersion(current, expectedVersion, changes) {
+    const conflict = versionConflict(current, expectedVersion, changes);
+
+    if (conflict) {
+      throw new AppError(
+        ErrorTypes.CONCURRENT_MODIFICATION,
+        this.serviceName,
+        "update",
+        {
+          message: "Instance was changed by someone else; reload it and retry",
+          resource: "Instance",
+          id: current.id,
+          ...conflict,
+        }
+      );
+    }
+  }
+
   /**
    * Delete instance with transaction
    */
@@ -1,6 +1,7 @@
 const jwt = require("jsonwebtoken");
-const { AppError } = require("../utils/AppError");
-const { config } = require("../config/auth");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const config = require("../config/auth");
 
 class JWTService {
   constructor() {
@@ -19,10 +20,10 @@ class JWTService {
       });
     } catch (error) {
       throw new AppError(
-        500,
-        "AUTH001",
-        "Failed to generate access token",
-        error
+        ErrorTypes.INTERNAL_ERROR,
+        "JWTService",
+        "generateAccessToken",
+        { error: error.message }
       );
     }
   }
@@ -38,10 +39,10 @@ class JWTService {
       );
     } catch (error) {
       throw new AppError(
-        500,
-        "AUTH002",
-        "Failed to generate refresh token",
-        error
+        ErrorTypes.INTERNAL_ERROR,
+        "JWTService",
+        "generateRefreshToken",
+        { error: error.message }
       );
     }
   }
@@ -54,9 +55,12 @@ class JWTService {
 
       if (decoded.type !== type) {
         throw new AppError(
-          401,
-          "AUTH003",
-          `Invalid token type. Expected ${type} token.`
+          ErrorTypes.TOKEN_INVALID,
+          "JWTService",
+          "verifyToken",
+          {
+            reason: `Expected ${type} token`,
+          }
         );
       }
 
@@ -65,10 +69,24 @@ class JWTService {
       if (error instanceof AppError) throw error;
 
       if (error.name === "TokenExpiredError") {
-        throw new AppError(401, "AUTH004", `${type} token has expired`);
+        throw new AppError(
+          ErrorTypes.TOKEN_EXPIRED,
+          "JWTService",
+          "verifyToken",
+          {
+            type,
+          }
+        );
       }
 
-      throw new AppError(401, "AUTH005", `Invalid ${type} token`, error);
+      throw new AppError(
+        ErrorTypes.TOKEN_INVALID,
+        "JWTService",
+        "verifyToken",
+        {
+          type,
+        }
+      );
     }
   }
 
@@ -0,0 +1,15 @@
+const NestedResourceService = require("./NestedResourceService");
+
+// Export a singleton instance
+const locationService = new NestedResourceService({
+  tableName: "locations",
+  serviceName: "LocationService",
+  resource: "Location",
+  eventColumn: "location_id",
+  fields: {
+    latitude: "latitude",
+    longitude: "longitude",
+    radiusMeters: "radius_meters", // Geofence for verification evidence
+  },
+});
+module.exports = locationService;
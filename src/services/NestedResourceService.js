@@ -0,0 +1,339 @@
+const databaseService = require("./DatabaseService");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { updateWithRevision } = require("../utils/revisions");
+
+/**
+ * Instance-scoped resources that nest through parent_id, such as locations
+ * (House → Upstairs → Bathroom) and categories. Each table gets its own
+ * singleton; see LocationService and CategoryService.
+ */
+class NestedResourceService {
+  /**
+   * @param {Object} options
+   * @param {string} options.tableName
+   * @param {string} options.serviceName
+   * @param {string} options.resource Name used in errors, e.g. "Location"
+   * @param {string} options.eventColumn Column of events referencing the table
+   * @param {Object<string, string>} [options.fields] Writable fields besides
+   *   name, description and parentId, as request field → column
+   */
+  constructor(options) {
+    this.db = databaseService.getKnex();
+    this.tableName = options.tableName;
+    this.serviceName = options.serviceName;
+    this.resource = options.resource;
+    this.eventColumn = options.eventColumn;
+    this.fields = {
+      name: "name",
+      description: "description",
+      ...options.fields,
+    };
+  }
+
+  /**
+   * List an instance's entries by name, flat or as a tree
+   * @param {string|number} instanceId
+   * @param {Object} [options]
+   * @param {number|null} [options.parentId] Only children of this entry; null for top-level ones
+   * @param {boolean} [options.tree=false] Nest entries under their parents in `children`
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(instanceId, options = {}) {
+    try {
+      const query = this.db(this.tableName)
+        .where({ instance_id: instanceId })
+        .orderBy([
+          { column: "name", order: "asc" },
+          { column: "id", order: "asc" },
+        ]);
+
+      if (options.tree) {
+        return this._buildTree(await query);
+      }
+
+      if (options.parentId !== undefined) {
+        query.where({ parent_id: options.parentId });
+      }
+
+      return await query;
+    } catch (error) {
+      throw this._handleError(error, "list", { instanceId });
+    }
+  }
+
+  /**
+   * Get an entry with the path of its ancestors, top-level first
+   * @param {string|number} id
+   * @param {string|number} instanceId
+   * @returns {Promise<Object>} Entry with `path` of {id, name}
+   */
+  async getById(id, instanceId) {
+    try {
+      const entry = await this._get(this.db, id, instanceId, "getById");
+      const path = [];
+      let parentId = entry.parent_id;
+
+      while (parentId) {
+        const parent = await this.db(this.tableName)
+          .where({ id: parentId })
+          .first("id", "name", "parent_id");
+
+        if (!parent) {
+          break;
+        }
+        path.unshift({ id: parent.id, name: parent.name });
+        parentId = parent.parent_id;
+      }
+
+      return { ...entry, path };
+    } catch (error) {
+      throw this._handleError(error, "getById", { id });
+    }
+  }
+
+  /**
+   * Create an entry in an instance
+   * @param {string|number} instanceId
+   * @param {Object} data
+   * @param {string} data.name
+   * @param {number} [data.parentId] Entry to nest under, in the same instance
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Created entry
+   */
+  async create(instanceId, data, context = {}) {
+    try {
+      if (data.parentId) {
+        await this._get(this.db, data.parentId, instanceId, "create", true);
+      }
+
+      const [entry] = await this.db(this.tableName)
+        .insert({
+          ...this._columns(data),
+          instance_id: instanceId,
+          parent_id: data.parentId || null,
+          created_by: context.userId || null,
+        })
+        .returning("*");
+
+      return entry;
+    } catch (error) {
+      throw this._handleError(error, "create", { name: data.name });
+    }
+  }
+
+  /**
+   * Update an entry. Moving it under itself or one of its descendants is
+   * rejected.
+   * @param {string|number} id
+   * @param {string|number} instanceId
+   * @param {Object} data Fields to update, parentId null for the top level
+   * @returns {Promise<Object>} Updated entry
+   * @throws {AppError} BUSINESS_RULE_VIOLATION (HIERARCHY_CYCLE)
+   */
+  async update(id, instanceId, data) {
+    try {
+      const entry = await this._get(this.db, id, instanceId, "update");
+      const changes = this._columns(data);
+
+      if (data.parentId !== undefined) {
+        if (data.parentId) {
+          await this._get(this.db, data.parentId, instanceId, "update", true);
+
+          const subtree = await this.getDescendantIds(this.db, [entry.id]);
+          if (subtree.includes(Number(data.parentId))) {
+            throw new AppError(
+              ErrorTypes.BUSINESS_RULE_VIOLATION,
+              this.serviceName,
+              "update",
+              {
+                rule: "HIERARCHY_CYCLE",
+                message: `A ${this.resource.toLowerCase()} cannot be nested under itself or its descendants`,
+                id: entry.id,
+                parentId: data.parentId,
+              }
+            );
+          }
+        }
+        changes.parent_id = data.parentId || null;
+      }
+
+      const [updated] = await this.db(this.tableName)
+        .where({ id: entry.id })
+        .update({ ...changes, updated_at: new Date() })
+        .returning("*");
+
+      return updated;
+    } catch (error) {
+      throw this._handleError(error, "update", { id });
+    }
+  }
+
+  /**
+   * Delete an entry that has no children and no live events. References from
+   * deleted events are cleared.
+   * @param {string|number} id
+   * @param {string|number} instanceId
+   * @returns {Promise<boolean>}
+   * @throws {AppError} BUSINESS_RULE_VIOLATION (HAS_CHILDREN, IN_USE)
+   */
+  async delete(id, instanceId) {
+    const trx = await this.db.transaction();
+
+    try {
+      const entry = await this._get(trx, id, instanceId, "delete");
+
+      const children = await trx(this.tableName)
+        .where({ parent_id: entry.id })
+        .count("id as total")
+        .first();
+      if (parseInt(children.total) > 0) {
+        throw new AppError(
+          ErrorTypes.BUSINESS_RULE_VIOLATION,
+          this.serviceName,
+          "delete",
+          {
+            rule: "HAS_CHILDREN",
+            message: `Move or delete the ${this.resource.toLowerCase()}'s children first`,
+            id: entry.id,
+            children: parseInt(children.total),
+          }
+        );
+      }
+
+      const events = await trx("events")
+        .where({ [this.eventColumn]: entry.id })
+        .whereNull("deleted_at")
+        .count("id as total")
+        .first();
+      if (parseInt(events.total) > 0) {
+        throw new AppError(
+          ErrorTypes.BUSINESS_RULE_VIOLATION,
+          this.serviceName,
+          "delete",
+          {
+            rule: "IN_USE",
+            message: `${this.resource} is used by ${events.total} events`,
+            id: entry.id,
+            events: parseInt(events.total),
+          }
+        );
+      }
+
+      const deleted = await trx("events")
+        .where({ [this.eventColumn]: entry.id })
+        .pluck("id");
+      for (const eventId of deleted) {
+        await updateWithRevision(trx, "events", eventId, {
+          [this.eventColumn]: null,
+        });
+      }
+      await trx(this.tableName).where({ id: entry.id }).del();
+
+      await trx.commit();
+      return true;
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "delete", { id });
+    }
+  }
+
+  /**
+   * Ids of entries and all their descendants, in one query
+   * @param {Object} db Knex instance or transaction
+   * @param {Array<number>} ids
+   * @returns {Promise<Array<number>>}
+   */
+  async getDescendantIds(db, ids) {
+    const rows = await db
+      .withRecursive("subtree", (queryBuilder) =>
+        queryBuilder
+          .select("id")
+          .from(this.tableName)
+          .whereIn("id", ids)
+          .union((union) =>
+            union
+              .select("t.id")
+              .from(`${this.tableName} as t`)
+              .join("subtree", "t.parent_id", "subtree.id")
+          )
+      )
+      .select("id")
+      .from("subtree");
+
+    return rows.map((row) => row.id);
+  }
+
+  /**
+   * Map request fields to columns, leaving out those not sent
+   * @private
+   */
+  _columns(data) {
+    const columns = {};
+
+    for (const [field, column] of Object.entries(this.fields)) {
+      if (data[field] !== undefined) {
+        columns[column] = data[field];
+      }
+    }
+
+    return columns;
+  }
+
+  /**
+   * Nest rows under their parents
+   * @private
+   */
+  _buildTree(rows) {
+    const byId = new Map(rows.map((row) => [row.id, { ...row, children: [] }]));
+    const roots = [];
+
+    for (const node of byId.values()) {
+      const parent = node.parent_id && byId.get(node.parent_id);
+      (parent ? parent.children : roots).push(node);
+    }
+
+    return roots;
+  }
+
+  /**
+   * Load an entry of the instance or throw NOT_FOUND
+   * @private
+   */
+  async _get(db, id, instanceId, method, asParent = false) {
+    const entry = await db(this.tableName)
+      .where({ id, instance_id: instanceId })
+      .first();
+
+    if (!entry) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: asParent ? `Parent ${this.resource}` : this.resource,
+        id,
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+module.exports = NestedResourceService;
@@ -0,0 +1,451 @@
+const databaseService = require("./DatabaseService");
+const pointsConfig = require("../config/points");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { getOccurrenceWindow } = require("../utils/dateHelpers");
+const {
+  differenceInMinutes,
+  startOfWeek,
+  endOfWeek,
+  startOfMonth,
+  endOfMonth,
+} = require("date-fns");
+
+/**
+ * Points ledger. Entry types:
+ * - completion: an occurrence's points_value, credited to whoever completed it
+ * - early_bonus / late_penalty: adjust a completion by the points rules
+ * - skip_penalty: charged to the assignee of a skipped occurrence
+ * - adjustment: manual change, always with a reason
+ * - reversal: cancels an occurrence's entries when its completion is undone
+ * - redemption: points spent on a reward
+ * - refund: gives back a redemption that was rejected
+ */
+
+// Entries that count towards the leaderboard: points earned by doing chores,
+// not points spent on or given back from rewards
+const EARNING_ENTRY_TYPES = [
+  "completion",
+  "early_bonus",
+  "late_penalty",
+  "skip_penalty",
+  "adjustment",
+  "reversal",
+];
+
+class PointsService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "points_ledger";
+    this.serviceName = "PointsService";
+    this.rules = pointsConfig.rules;
+  }
+
+  /**
+   * Get a user's balance and ledger entries, newest first
+   * @param {string|number} userId
+   * @param {Object} [options]
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=10]
+   * @returns {Promise<{user_id: number, balance: number, history: Array<Object>, pagination: Object}>}
+   */
+  async getBalance(userId, options = {}) {
+    const { page = 1, limit = 10 } = options;
+
+    try {
+      const user = await this._getUser(this.db, userId, "getBalance");
+
+      const [totals, history] = await Promise.all([
+        this.db(this.tableName)
+          .where({ user_id: user.id })
+          .sum("points as balance")
+          .count("id as total")
+          .first(),
+        this.db(this.tableName)
+          .where({ user_id: user.id })
+          .orderBy([
+            { column: "created_at", order: "desc" },
+            { column: "id", order: "desc" },
+          ])
+          .limit(limit)
+          .offset((page - 1) * limit),
+      ]);
+
+      return {
+        user_id: user.id,
+        balance: parseInt(totals.balance) || 0,
+        history,
+        pagination: {
+          page,
+          limit,
+          total: parseInt(totals.total),
+          totalPages: Math.ceil(totals.total / limit),
+        },
+      };
+    } catch (error) {
+      throw this._handleError(error, "getBalance", { userId });
+    }
+  }
+
+  /**
+   * Manually credit or debit a user's points
+   * @param {string|number} userId
+   * @param {Object} data
+   * @param {number} data.points Points to add, negative to take off
+   * @param {string} data.reason Why, kept in the ledger
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Created ledger entry
+   */
+  async adjustPoints(userId, data, context = {}) {
+    try {
+      if (!data.reason || !data.reason.trim()) {
+        throw new AppError(
+          ErrorTypes.VALIDATION_ERROR,
+          this.serviceName,
+          "adjustPoints",
+          {
+            message: "Adjustments require a reason",
+            field: "reason",
+          }
+        );
+      }
+
+      const user = await this._getUser(this.db, userId, "adjustPoints");
+      const [entry] = await this._record(this.db, [
+        {
+          user_id: user.id,
+          entry_type: "adjustment",
+          points: data.points,
+          reason: data.reason.trim(),
+          created_by: context.userId,
+        },
+      ]);
+
+      return entry;
+    } catch (error) {
+      throw this._handleError(error, "adjustPoints", { userId });
+    }
+  }
+
+  /**
+   * Rank the users of an instance by the points they earned in a week or
+   * month; redemptions and refunds don't count. Users without earning
+   * entries in the period are left out.
+   * @param {Object} options
+   * @param {number} options.instanceId Instance whose users are ranked
+   * @param {string} [options.period="week"] "week" or "month"
+   * @param {Date|string} [options.date] Any day in the period, today by default
+   * @param {number} [options.limit=10]
+   * @returns {Promise<{instance_id: number, period: string, from: Date, to: Date, entries: Array<Object>}>}
+   */
+  async getLeaderboard(options = {}) {
+    const { instanceId, period = "week", limit = 10 } = options;
+    const date = options.date ? new Date(options.date) : new Date();
+
+    try {
+      const weekOptions = { weekStartsOn: this.rules.weekStartsOn ?? 1 };
+      const from =
+        period === "month"
+          ? startOfMonth(date)
+          : startOfWeek(date, weekOptions);
+      const to =
+        period === "month" ? endOfMonth(date) : endOfWeek(date, weekOptions);
+
+      const rows = await this.db(`${this.tableName} as p`)
+        .join("users as u", "u.id", "p.user_id")
+        .where("u.instance_id", instanceId)
+        .whereBetween("p.created_at", [from, to])
+        .whereIn("p.entry_type", EARNING_ENTRY_TYPES)
+        .groupBy("u.id", "u.email")
+        .select("u.id as user_id", "u.email")
+        .sum("p.points as points")
+        .orderBy([
+          { column: "points", order: "desc" },
+          { column: "u.id", order: "asc" },
+        ])
+        .limit(limit);
+
+      // Ties share a rank: 1, 1, 3
+      const entries = rows.map((row) => ({
+        ...row,
+        points: parseInt(row.points) || 0,
+      }));
+      entries.forEach((entry, i) => {
+        entry.rank =
+          i > 0 && entry.points === entries[i - 1].points
+            ? entries[i - 1].rank
+            : i + 1;
+      });
+
+      return { instance_id: instanceId, period, from, to, entries };
+    } catch (error) {
+      throw this._handleError(error, "getLeaderboard", { instanceId, period });
+    }
+  }
+
+  /**
+   * Credit a finished occurrence: the event's points_value to whoever
+   * completed it, with an early bonus or late penalty. Called once the
+   * completion is final, i.e. after the last approval for events that
+   * require approval.
+   * @param {Object} trx Transaction object
+   * @param {Object} event Parent event row
+   * @param {Object} instance Completed occurrence
+   * @param {number} [actorId] User finishing the completion
+   * @returns {Promise<Array<Object>>} Created ledger entries
+   */
+  async creditCompletion(trx, event, instance, actorId) {
+    const base = event.points_value || 0;
+
+    if (!base || !instance.completed_by) {
+      return [];
+    }
+
+    const { earlyBonus = {}, latePenalty = {} } = this.rules;
+    const { dueAt } = getOccurrenceWindow(event, instance);
+    const minutesEarly = differenceInMinutes(
+      dueAt,
+      new Date(instance.completed_at)
+    );
+    const entries = [
+      {
+        entry_type: "completion",
+        points: base,
+        reason: `Completed ${event.title}`,
+      },
+    ];
+
+    if (instance.completion_status === "late") {
+      entries.push({
+        entry_type: "late_penalty",
+        points: -this._share(base, latePenalty.percent),
+        reason: "Completed late",
+      });
+    } else if (
+      earlyBonus.minutesBeforeDue !== undefined &&
+      minutesEarly >= earlyBonus.minutesBeforeDue
+    ) {
+      entries.push({
+        entry_type: "early_bonus",
+        points: this._share(base, earlyBonus.percent),
+        reason: `Completed ${minutesEarly} minutes early`,
+      });
+    }
+
+    return this._record(
+      trx,
+      entries.map((entry) => ({
+        ...entry,
+        user_id: instance.completed_by,
+        event_id: event.id,
+        event_instance_id: instance.id,
+        created_by: actorId ?? instance.completed_by,
+      }))
+    );
+  }
+
+  /**
+   * Charge the skip penalty to the occurrence's assignee, or the event's
+   * when the occurrence has none
+   * @param {Object} trx Transaction object
+   * @param {Object} event Parent event row
+   * @param {Object} instance Skipped occurrence
+   * @param {number} [actorId] User skipping the occurrence
+   * @returns {Promise<Array<Object>>} Created ledger entries
+   */
+  async chargeSkip(trx, event, instance, actorId) {
+    const userId = instance.assigned_to || event.assigned_to;
+    const points = this._share(
+      event.points_value || 0,
+      (this.rules.skipPenalty || {}).percent
+    );
+
+    if (!userId || !points) {
+      return [];
+    }
+
+    return this._record(trx, [
+      {
+        user_id: userId,
+        event_id: event.id,
+        event_instance_id: instance.id,
+        entry_type: "skip_penalty",
+        points: -points,
+        reason: instance.skip_reason
+          ? `Skipped ${event.title}: ${instance.skip_reason}`
+          : `Skipped ${event.title}`,
+        created_by: actorId,
+      },
+    ]);
+  }
+
+  /**
+   * Cancel everything an occurrence has earned or cost each user, e.g. when
+   * its completion is undone
+   * @param {Object} trx Transaction object
+   * @param {Object} instance Occurrence
+   * @param {number} [actorId] User making the change
+   * @returns {Promise<Array<Object>>} Created ledger entries
+   */
+  async reverseOccurrence(trx, instance, actorId) {
+    const totals = await trx(this.tableName)
+      .where({ event_instance_id: instance.id })
+      .groupBy("user_id")
+      .select("user_id")
+      .sum("points as points");
+
+    return this._record(
+      trx,
+      totals
+        .filter((total) => parseInt(total.points))
+        .map((total) => ({
+          user_id: total.user_id,
+          event_id: instance.event_id,
+          event_instance_id: instance.id,
+          entry_type: "reversal",
+          points: -parseInt(total.points),
+          reason: "Completion undone",
+          created_by: actorId,
+        }))
+    );
+  }
+
+  /**
+   * Debit points a user spends, refusing to take their balance below zero.
+   * Locks the user's row so concurrent spends see each other's debits.
+   * @param {Object} trx Transaction object
+   * @param {number} userId
+   * @param {number} points Points to spend, positive
+   * @param {Object} [entry] Extra ledger fields, e.g. reason and created_by
+   * @returns {Promise<Object>} Created ledger entry
+   * @throws {AppError} BUSINESS_RULE_VIOLATION (INSUFFICIENT_POINTS)
+   */
+  async spendPoints(trx, userId, points, entry = {}) {
+    await trx("users").where({ id: userId }).forUpdate().first("id");
+
+    const totals = await trx(this.tableName)
+      .where({ user_id: userId })
+      .sum("points as balance")
+      .first();
+    const balance = parseInt(totals.balance) || 0;
+
+    if (balance < points) {
+      throw new AppError(
+        ErrorTypes.BUSINESS_RULE_VIOLATION,
+        this.serviceName,
+        "spendPoints",
+        {
+          rule: "INSUFFICIENT_POINTS",
+          message: `Needs ${points} points but the balance is ${balance}`,
+          userId,
+          balance,
+          required: points,
+        }
+      );
+    }
+
+    const [debit] = await this._record(trx, [
+      {
+        ...entry,
+        user_id: userId,
+        entry_type: "redemption",
+        points: -points,
+      },
+    ]);
+
+    return debit;
+  }
+
+  /**
+   * Give back points taken by a redemption entry
+   * @param {Object} trx Transaction object
+   * @param {Object} debit Ledger entry to refund
+   * @param {Object} [entry] Extra ledger fields, e.g. reason and created_by
+   * @returns {Promise<Object>} Created ledger entry
+   */
+  async refundPoints(trx, debit, entry = {}) {
+    const [refund] = await this._record(trx, [
+      {
+        ...entry,
+        user_id: debit.user_id,
+        entry_type: "refund",
+        points: -debit.points,
+      },
+    ]);
+
+    return refund;
+  }
+
+  /**
+   * Replace the points rules (used by tests)
+   * @param {Object} [rules] Rules shaped like src/config/points.js, the configured ones by default
+   */
+  setRules(rules) {
+    this.rules = rules || pointsConfig.rules;
+  }
+
+  /**
+   * A percentage of a points value, rounded
+   * @private
+   */
+  _share(points, percent = 0) {
+    return Math.round((points * percent) / 100);
+  }
+
+  /**
+   * Insert ledger entries, leaving out those worth nothing
+   * @private
+   */
+  async _record(db, entries) {
+    const rows = entries
+      .filter((entry) => entry.points !== 0)
+      .map((entry) => ({ ...entry, created_at: new Date() }));
+
+    if (rows.length === 0) {
+      return [];
+    }
+
+    return db(this.tableName).insert(rows).returning("*");
+  }
+
+  /**
+   * Load a user or throw NOT_FOUND
+   * @private
+   */
+  async _getUser(db, userId, method) {
+    const user = await db("users").where({ id: userId }).first("id");
+
+    if (!user) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "User",
+        id: userId,
+      });
+    }
+
+    return user;
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const pointsService = new PointsService();
+module.exports = pointsService;
@@ -0,0 +1,368 @@
+const { addDays, addMonths, addWeeks, addYears } = require("date-fns");
+const databaseService = require("./DatabaseService");
+const AssignmentService = require("./AssignmentService");
+const logger = require("./LoggerService");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { toDateString, toDay } = require("../utils/dateHelpers");
+const { parseJsonColumn } = require("../utils/jsonColumn");
+const { expandRRule } = require("../utils/rrule");
+
+// Date steppers keyed by frequency_types.interval_unit
+const INTERVAL_STEPS = {
+  day: addDays,
+  week: addWeeks,
+  month: addMonths,
+  year: addYears,
+};
+
+class RecurrenceService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "event_instances";
+    this.serviceName = "RecurrenceService";
+    this.windowDays = parseInt(process.env.RECURRENCE_WINDOW_DAYS) || 30;
+  }
+
+  /**
+   * Materialize event_instances for one event over a rolling window.
+   * Existing occurrences are left untouched, so repeated runs never duplicate rows.
+   * @param {string|number} eventId
+   * @param {Object} options
+   * @param {Date} [options.from] Window start (defaults to today)
+   * @param {Date} [options.to] Window end (defaults to from + RECURRENCE_WINDOW_DAYS)
+   * @param {string|number} [options.userId] User recorded as generated_by
+   * @returns {Promise<{range: Object, instances: Array<Object>}>}
+   */
+  async generateInstances(eventId, options = {}) {
+    const from = toDay(options.from || new Date());
+    const to = toDay(options.to || addDays(from, this.windowDays));
+
+    if (to < from) {
+      throw new AppError(
+        ErrorTypes.INVALID_DATE_RANGE,
+        this.serviceName,
+        "generateInstances",
+        {
+          eventId,
+          from: toDateString(from),
+          to: toDateString(to),
+        }
+      );
+    }
+
+    const trx = await this.db.transaction();
+
+    try {
+      const event = await trx("events")
+        .where({ id: eventId })
+        .whereNull("deleted_at")
+        .first();
+
+      if (!event) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "generateInstances",
+          {
+            resource: "Event",
+            id: eventId,
+          }
+        );
+      }
+
+      if (event.is_template) {
+        throw new AppError(
+          ErrorTypes.BUSINESS_RULE_VIOLATION,
+          this.serviceName,
+          "generateInstances",
+          {
+            rule: "Templates do not have occurrences",
+            eventId,
+          }
+        );
+      }
+
+      const frequency =
+        event.frequency_id && !event.recurrence_rule
+          ? await trx("frequency_types")
+              .where({ id: event.frequency_id })
+              .first()
+          : null;
+
+      if (event.frequency_id && !event.recurrence_rule && !frequency) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "generateInstances",
+          {
+            resource: "Frequency Type",
+            id: event.frequency_id,
+          }
+        );
+      }
+
+      const dates = this.getOccurrenceDates(event, frequency, from, to);
+
+      const existing = await trx(this.tableName)
+        .where({ event_id: event.id })
+        .whereBetween("start_date", [toDateString(from), toDateString(to)])
+        .pluck("start_date");
+      const existingDates = new Set(existing.map(toDateString));
+
+      const rows = dates
+        .filter((date) => !existingDates.has(date))
+        .map((date) => ({
+          event_id: event.id,
+          start_date: date,
+          end_date: date,
+          start_time: event.time_preference || "12:00:00",
+          status: "active",
+          completion_status: "pending",
+          modified_history: JSON.stringify([]),
+        }));
+
+      if (event.assignment_mode === "rotation" && rows.length) {
+        await this._assignRotation(trx, event, rows);
+      }
+
+      const instances = rows.length
+        ? await trx(this.tableName)
+            .insert(rows)
+            .onConflict(["event_id", "start_date"])
+            .ignore()
+            .returning("*")
+        : [];
+
+      const [range] = await trx("instance_ranges")
+        .insert({
+          event_id: event.id,
+          start_date: toDateString(from),
+          end_date: toDateString(to),
+          generated_count: instances.length,
+          generation_metadata: JSON.stringify({
+            frequency: frequency ? frequency.name : null,
+            rule: event.recurrence_rule || null,
+            occurrences: dates.length,
+            skipped_existing: dates.length - instances.length,
+          }),
+          generated_by: options.userId || event.created_by,
+          generated_at: new Date(),
+          status: "completed",
+        })
+        .returning("*");
+
+      await trx.commit();
+      return { range, instances };
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "generateInstances", {
+        eventId,
+        from: toDateString(from),
+        to: toDateString(to),
+      });
+    }
+  }
+
+  /**
+   * Materialize occurrences for every active, non-template event.
+   * A failure on one event is recorded in instance_ranges and does not stop the run.
+   * @param {Object} options
+   * @param {Date} [options.now] Current time (injected by the scheduler)
+   * @param {number} [options.windowDays] Days ahead to generate
+   * @returns {Promise<{events: number, generated: number, failed: number}>}
+   */
+  async generateAll(options = {}) {
+    const from = toDay(options.now || new Date());
+    const to = addDays(from, options.windowDays || this.windowDays);
+    const summary = { events: 0, generated: 0, failed: 0 };
+
+    try {
+      const events = await this.db("events")
+        .where({ is_active: true, is_template: false })
+        .whereNull("deleted_at")
+        .where((query) =>
+          query
+            .whereNotNull("frequency_id")
+            .orWhereNotNull("recurrence_rule")
+            .orWhereNotNull("effective_date")
+        )
+        .select("id", "created_by");
+
+      for (const event of events) {
+        summary.events += 1;
+
+        try {
+          const { instances } = await this.generateInstances(event.id, {
+            from,
+            to,
+          });
+          summary.generated += instances.length;
+        } catch (error) {
+          summary.failed += 1;
+          logger.error("Occurrence generation failed", {
+            eventId: event.id,
+            error: error.message,
+          });
+          await this._recordFailure(event, from, to, error);
+        }
+      }
+
+      logger.info("Occurrence generation complete", summary);
+      return summary;
+    } catch (error) {
+      throw this._handleError(error, "generateAll", {
+        from: toDateString(from),
+        to: toDateString(to),
+      });
+    }
+  }
+
+  /**
+   * Compute occurrence days for an event inside a window.
+   * An RRULE on the event takes precedence over its frequency type. Frequency
+   * steps are always taken from the anchor date so month-end dates do not drift.
+   * @param {Object} event Event row
+   * @param {Object|null} frequency frequency_types row, or null for one-off events
+   * @param {Date} from Window start
+   * @param {Date} to Window end
+   * @returns {Array<string>} Occurrence days formatted yyyy-MM-dd
+   */
+  getOccurrenceDates(event, frequency, from, to) {
+    const anchor = toDay(event.effective_date || event.created_at);
+    if (!anchor) {
+      return [];
+    }
+
+    const expiration = toDay(event.expiration_date);
+    const windowStart = toDay(from);
+    const windowEnd =
+      expiration && expiration < toDay(to) ? expiration : toDay(to);
+
+    if (event.recurrence_rule) {
+      return expandRRule(event.recurrence_rule, anchor, {
+        from: windowStart,
+        to: windowEnd,
+        exdates: parseJsonColumn(event.recurrence_exdates, []),
+      }).map(toDateString);
+    }
+
+    if (!frequency) {
+      return anchor >= windowStart && anchor <= windowEnd
+        ? [toDateString(anchor)]
+        : [];
+    }
+
+    const step = INTERVAL_STEPS[frequency.interval_unit];
+    if (!step) {
+      throw new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        "getOccurrenceDates",
+        {
+          message: "Unsupported frequency interval",
+          frequency: frequency.name,
+          intervalUnit: frequency.interval_unit,
+        }
+      );
+    }
+
+    const interval = frequency.interval_value || 1;
+    const dates = [];
+
+    for (let n = 0; ; n += 1) {
+      const date = step(anchor, n * interval);
+      if (date > windowEnd) break;
+      if (date >= windowStart) {
+        dates.push(toDateString(date));
+      }
+    }
+
+    return dates;
+  }
+
+  /**
+   * Record a failed generation run
+   * @private
+   */
+  async _recordFailure(event, from, to, error) {
+    try {
+      await this.db("instance_ranges").insert({
+        event_id: event.id,
+        start_date: toDateString(from),
+        end_date: toDateString(to),
+        generated_count: 0,
+        generated_by: event.created_by,
+        generated_at: new Date(),
+        status: "failed",
+        error_log: JSON.stringify({
+          code: error.code,
+          message: error.message,
+        }),
+      });
+    } catch (logError) {
+      logger.error("Failed to record occurrence generation failure", {
+        eventId: event.id,
+        error: logError.message,
+      });
+    }
+  }
+
+  /**
+   * Give each new occurrence of a rotation event to the next member after
+   * whoever had the previous occurrence
+   * @private
+   * @param {Object} trx Transaction object
+   * @param {Object} event Rotation event
+   * @param {Array<Object>} rows New occurrence rows in date order (updated in place)
+   */
+  async _assignRotation(trx, event, rows) {
+    const rotation = await AssignmentService.getRotation(trx, event.id);
+    const assigned = await trx(this.tableName)
+      .where({ event_id: event.id })
+      .whereNotNull("assigned_to")
+      .where("start_date", "<=", rows[rows.length - 1].start_date)
+      .select("start_date", "assigned_to");
+    const history = assigned.map((instance) => ({
+      start_date: toDateString(instance.start_date),
+      assigned_to: instance.assigned_to,
+    }));
+
+    for (const row of rows) {
+      const previous = history
+        .filter((instance) => instance.start_date < row.start_date)
+        .sort((a, b) => a.start_date.localeCompare(b.start_date))
+        .pop();
+
+      row.assigned_to = AssignmentService.nextInRotation(
+        rotation,
+        previous ? previous.assigned_to : null
+      );
+      history.push(row);
+    }
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const recurrenceService = new RecurrenceService();
+module.exports = recurrenceService;
@@ -0,0 +1,475 @@
+const databaseService = require("./DatabaseService");
+const PointsService = require("./PointsService");
+const transactionManager = require("../utils/TransactionManager");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { parseJsonColumn } = require("../utils/jsonColumn");
+
+// Roles allowed to manage the catalog and review redemptions
+const MANAGER_ROLES = ["admin", "manager"];
+
+/**
+ * Rewards catalog per instance and the redemptions that spend points on it.
+ * Redeeming debits the points ledger straight away, so pending redemptions
+ * cannot be spent twice. Rewards that require approval stay pending until a
+ * manager approves them; rejecting one refunds the points and the stock.
+ */
+class RewardService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "rewards";
+    this.redemptionsTable = "reward_redemptions";
+    this.serviceName = "RewardService";
+  }
+
+  /**
+   * List an instance's rewards, cheapest first
+   * @param {string|number} instanceId
+   * @param {Object} [options]
+   * @param {boolean} [options.includeInactive=false] Include retired rewards
+   * @returns {Promise<Array<Object>>}
+   */
+  async getRewards(instanceId, options = {}) {
+    try {
+      const query = this.db(this.tableName).where({ instance_id: instanceId });
+
+      if (!options.includeInactive) {
+        query.where({ is_active: true });
+      }
+
+      return await query.orderBy([
+        { column: "cost", order: "asc" },
+        { column: "name", order: "asc" },
+      ]);
+    } catch (error) {
+      throw this._handleError(error, "getRewards", { instanceId });
+    }
+  }
+
+  /**
+   * Add a reward to the catalog of the manager's instance
+   * @param {Object} data
+   * @param {string} data.name
+   * @param {string} [data.description]
+   * @param {number} data.cost Points it takes
+   * @param {number} [data.stock] How many can be redeemed; unlimited if omitted
+   * @param {boolean} [data.requiresApproval] Hold redemptions for a manager
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Created reward
+   */
+  async createReward(data, context = {}) {
+    try {
+      const manager = await this._getManager(
+        this.db,
+        null,
+        context,
+        "createReward"
+      );
+
+      const [reward] = await this.db(this.tableName)
+        .insert({
+          instance_id: manager.instance_id,
+          name: data.name,
+          description: data.description || null,
+          cost: data.cost,
+          stock: data.stock ?? null,
+          requires_approval: Boolean(data.requiresApproval),
+          is_active: true,
+          created_by: manager.id,
+        })
+        .returning("*");
+
+      return reward;
+    } catch (error) {
+      throw this._handleError(error, "createReward", { name: data.name });
+    }
+  }
+
+  /**
+   * Update a reward. Setting isActive to false retires it; redemptions
+   * already made are kept.
+   * @param {string|number} rewardId
+   * @param {Object} data Fields to update (name, description, cost, stock, requiresApproval, isActive)
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Updated reward
+   */
+  async updateReward(rewardId, data, context = {}) {
+    try {
+      const reward = await this._getReward(this.db, rewardId, "updateReward");
+      await this._getManager(
+        this.db,
+        reward.instance_id,
+        context,
+        "updateReward"
+      );
+
+      const changes = {};
+      for (const [field, column] of [
+        ["name", "name"],
+        ["description", "description"],
+        ["cost", "cost"],
+        ["stock", "stock"],
+        ["requiresApproval", "requires_approval"],
+        ["isActive", "is_active"],
+      ]) {
+        if (data[field] !== undefined) {
+          changes[column] = data[field];
+        }
+      }
+
+      const [updated] = await this.db(this.tableName)
+        .where({ id: reward.id })
+        .update({ ...changes, updated_at: new Date() })
+        .returning("*");
+
+      return updated;
+    } catch (error) {
+      throw this._handleError(error, "updateReward", { rewardId });
+    }
+  }
+
+  /**
+   * Spend points on a reward. The debit, the stock change and the redemption
+   * are written in one transaction; the redemption is approved straight away
+   * unless the reward requires approval.
+   * @param {string|number} rewardId
+   * @param {Object} [data]
+   * @param {string} [data.notes] Note for whoever reviews the redemption
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Created redemption
+   * @throws {AppError} BUSINESS_RULE_VIOLATION (INSUFFICIENT_POINTS, OUT_OF_STOCK)
+   */
+  async redeemReward(rewardId, data = {}, context = {}) {
+    try {
+      return await transactionManager.executeTransaction(async (trx) => {
+        const reward = await this._getReward(
+          trx,
+          rewardId,
+          "redeemReward",
+          true
+        );
+        const user = await trx("users")
+          .where({ id: context.userId || null })
+          .first("id", "instance_id");
+
+        // Other instances' catalogs are not visible to the user
+        if (
+          !reward.is_active ||
+          !user ||
+          String(user.instance_id) !== String(reward.instance_id)
+        ) {
+          throw new AppError(
+            ErrorTypes.NOT_FOUND,
+            this.serviceName,
+            "redeemReward",
+            { resource: "Reward", id: rewardId }
+          );
+        }
+
+        if (reward.stock !== null && reward.stock < 1) {
+          throw new AppError(
+            ErrorTypes.BUSINESS_RULE_VIOLATION,
+            this.serviceName,
+            "redeemReward",
+            {
+              rule: "OUT_OF_STOCK",
+              message: `${reward.name} is out of stock`,
+              rewardId: reward.id,
+            }
+          );
+        }
+
+        const debit = await PointsService.spendPoints(
+          trx,
+          user.id,
+          reward.cost,
+          {
+            reason: `Redeemed ${reward.name}`,
+            created_by: user.id,
+          }
+        );
+
+        if (reward.stock !== null) {
+          await trx(this.tableName)
+            .where({ id: reward.id })
+            .update({ stock: reward.stock - 1, updated_at: new Date() });
+        }
+
+        const [redemption] = await trx(this.redemptionsTable)
+          .insert({
+            reward_id: reward.id,
+            user_id: user.id,
+            cost: reward.cost,
+            status: reward.requires_approval ? "pending" : "approved",
+            notes: data.notes || null,
+            ledger_entry_id: debit ? debit.id : null,
+          })
+          .returning("*");
+
+        return redemption;
+      });
+    } catch (error) {
+      throw this._handleError(error, "redeemReward", { rewardId });
+    }
+  }
+
+  /**
+   * List redemptions of an instance's rewards, newest first
+   * @param {string|number} instanceId
+   * @param {Object} [options]
+   * @param {string} [options.status] pending, approved or rejected
+   * @param {number} [options.userId] Only this user's redemptions
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=10]
+   * @returns {Promise<{redemptions: Array<Object>, pagination: Object}>}
+   */
+  async getRedemptions(instanceId, options = {}) {
+    const { status, userId, page = 1, limit = 10 } = options;
+
+    try {
+      const query = this.db(`${this.redemptionsTable} as rr`)
+        .join(`${this.tableName} as r`, "r.id", "rr.reward_id")
+        .where("r.instance_id", instanceId);
+
+      if (status) {
+        query.where("rr.status", status);
+      }
+      if (userId) {
+        query.where("rr.user_id", userId);
+      }
+
+      const [{ total }, redemptions] = await Promise.all([
+        query.clone().count("rr.id as total"),
+        query
+          .clone()
+          .select("rr.*", "r.name as reward_name")
+          .orderBy([
+            { column: "rr.created_at", order: "desc" },
+            { column: "rr.id", order: "desc" },
+          ])
+          .limit(limit)
+          .offset((page - 1) * limit),
+      ]);
+
+      return {
+        redemptions,
+        pagination: {
+          page,
+          limit,
+          total: parseInt(total),
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      throw this._handleError(error, "getRedemptions", { instanceId });
+    }
+  }
+
+  /**
+   * Approve a pending redemption
+   * @param {string|number} redemptionId
+   * @param {Object} [data]
+   * @param {string} [data.notes]
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Updated redemption
+   */
+  async approveRedemption(redemptionId, data = {}, context = {}) {
+    try {
+      return await transactionManager.executeTransaction((trx) =>
+        this._review(trx, redemptionId, "approved", data, context)
+      );
+    } catch (error) {
+      throw this._handleError(error, "approveRedemption", { redemptionId });
+    }
+  }
+
+  /**
+   * Reject a pending redemption, refunding its points and stock
+   * @param {string|number} redemptionId
+   * @param {Object} [data]
+   * @param {string} [data.notes] Why it was rejected
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Updated redemption
+   */
+  async rejectRedemption(redemptionId, data = {}, context = {}) {
+    try {
+      return await transactionManager.executeTransaction((trx) =>
+        this._review(trx, redemptionId, "rejected", data, context)
+      );
+    } catch (error) {
+      throw this._handleError(error, "rejectRedemption", { redemptionId });
+    }
+  }
+
+  /**
+   * Settle a pending redemption. Managers cannot review their own.
+   * @private
+   */
+  async _review(trx, redemptionId, status, data, context) {
+    const method =
+      status === "approved" ? "approveRedemption" : "rejectRedemption";
+    const redemption = await trx(this.redemptionsTable)
+      .where({ id: redemptionId })
+      .forUpdate()
+      .first();
+
+    if (!redemption) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Redemption",
+        id: redemptionId,
+      });
+    }
+
+    const reward = await this._getReward(
+      trx,
+      redemption.reward_id,
+      method,
+      true
+    );
+    const manager = await this._getManager(
+      trx,
+      reward.instance_id,
+      context,
+      method
+    );
+
+    if (redemption.status !== "pending") {
+      throw new AppError(
+        ErrorTypes.INVALID_STATUS_TRANSITION,
+        this.serviceName,
+        method,
+        {
+          message: `Redemption is already ${redemption.status}`,
+          redemptionId: redemption.id,
+          currentStatus: redemption.status,
+        }
+      );
+    }
+
+    if (redemption.user_id === manager.id) {
+      throw new AppError(
+        ErrorTypes.INSUFFICIENT_PERMISSIONS,
+        this.serviceName,
+        method,
+        {
+          message: "Managers cannot review their own redemptions",
+          redemptionId: redemption.id,
+        }
+      );
+    }
+
+    const now = new Date();
+    const changes = {
+      status,
+      reviewed_by: manager.id,
+      reviewed_at: now,
+      review_notes: data.notes || null,
+      updated_at: now,
+    };
+
+    if (status === "rejected") {
+      const debit = redemption.ledger_entry_id
+        ? await trx(PointsService.tableName)
+            .where({ id: redemption.ledger_entry_id })
+            .first()
+        : null;
+
+      if (debit) {
+        const refund = await PointsService.refundPoints(trx, debit, {
+          reason: `Refunded ${reward.name}`,
+          created_by: manager.id,
+        });
+        changes.refund_entry_id = refund ? refund.id : null;
+      }
+
+      if (reward.stock !== null) {
+        await trx(this.tableName)
+          .where({ id: reward.id })
+          .update({ stock: reward.stock + 1, updated_at: now });
+      }
+    }
+
+    const [updated] = await trx(this.redemptionsTable)
+      .where({ id: redemption.id })
+      .update(changes)
+      .returning("*");
+
+    return updated;
+  }
+
+  /**
+   * Load a reward or throw NOT_FOUND, optionally locking it
+   * @private
+   */
+  async _getReward(db, rewardId, method, lock = false) {
+    const query = db(this.tableName).where({ id: rewardId });
+
+    if (lock) {
+      query.forUpdate();
+    }
+
+    const reward = await query.first();
+
+    if (!reward) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Reward",
+        id: rewardId,
+      });
+    }
+
+    return reward;
+  }
+
+  /**
+   * Load the acting user, requiring a manager role and, when given, membership
+   * of the instance
+   * @private
+   */
+  async _getManager(db, instanceId, context, method) {
+    const user = await db("users")
+      .where({ id: context.userId || null })
+      .first("id", "instance_id", "roles");
+    const roles = user ? parseJsonColumn(user.roles, []) : [];
+
+    if (
+      !roles.some((role) => MANAGER_ROLES.includes(role)) ||
+      (instanceId !== null && String(user.instance_id) !== String(instanceId))
+    ) {
+      throw new AppError(
+        ErrorTypes.INSUFFICIENT_PERMISSIONS,
+        this.serviceName,
+        method,
+        {
+          message: "Only the instance's managers can do this",
+          userId: context.userId,
+        }
+      );
+    }
+
+    return user;
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const rewardService = new RewardService();
+module.exports = rewardService;
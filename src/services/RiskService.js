@@ -0,0 +1,225 @@
+const databaseService = require("./DatabaseService");
+const riskConfig = require("../config/risk");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { parseJsonColumn } = require("../utils/jsonColumn");
+const { updateWithRevision } = require("../utils/revisions");
+
+class RiskService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "event_risk_history";
+    this.serviceName = "RiskService";
+    this.model = riskConfig.model;
+  }
+
+  /**
+   * Get an event's current risk assessment and its history, newest first
+   * @param {string|number} eventId
+   * @returns {Promise<Object>}
+   */
+  async getRiskAssessment(eventId) {
+    try {
+      const event = await this._getEvent(this.db, eventId, "getRiskAssessment");
+
+      const history = await this.db(this.tableName)
+        .where({ event_id: event.id })
+        .orderBy([
+          { column: "assessed_at", order: "desc" },
+          { column: "id", order: "desc" },
+        ]);
+
+      return {
+        ...this._summarize(event),
+        history: history.map((entry) => this._format(entry)),
+      };
+    } catch (error) {
+      throw this._handleError(error, "getRiskAssessment", { eventId });
+    }
+  }
+
+  /**
+   * Assess an event's risk: score the factors with the risk model, set the
+   * event's risk fields and record the assessment in its history
+   * @param {string|number} eventId
+   * @param {Object} data
+   * @param {Array<{name: string, likelihood: number, impact: number, notes: string}>} data.factors
+   * @param {string} [data.mitigationPlan] Replaces the event's plan when given
+   * @param {string} [data.notes] Assessment notes
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Created history entry with the event's risk summary
+   */
+  async assessRisk(eventId, data, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const event = await this._getEvent(trx, eventId, "assessRisk");
+      const { score, level, factors } = this.calculateRisk(data.factors);
+      const now = new Date();
+
+      const updated = await updateWithRevision(
+        trx,
+        "events",
+        event.id,
+        {
+          risk_score: score,
+          risk_level: level,
+          risk_factors: JSON.stringify(factors),
+          risk_mitigation_plan:
+            data.mitigationPlan !== undefined
+              ? data.mitigationPlan
+              : event.risk_mitigation_plan,
+          updated_at: now,
+        },
+        context.userId
+      );
+
+      const [entry] = await trx(this.tableName)
+        .insert({
+          event_id: event.id,
+          risk_level: level,
+          risk_score: score,
+          risk_factors: JSON.stringify(factors),
+          assessed_by: context.userId,
+          assessed_at: now,
+          assessment_notes: data.notes || null,
+          mitigation_updates:
+            data.mitigationPlan !== undefined
+              ? JSON.stringify({ plan: data.mitigationPlan })
+              : null,
+        })
+        .returning("*");
+
+      await trx.commit();
+      return {
+        ...this._format(entry),
+        event: this._summarize(updated),
+      };
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "assessRisk", { eventId });
+    }
+  }
+
+  /**
+   * Score factors with the risk model
+   * @param {Array<{name: string, likelihood: number, impact: number}>} factors
+   * @returns {{score: number, level: string, factors: Array<Object>}} Factors carry their weight and score
+   */
+  calculateRisk(factors = []) {
+    const names = factors.map((factor) => factor.name);
+    const duplicates = names.filter((name, i) => names.indexOf(name) !== i);
+
+    if (duplicates.length > 0) {
+      throw new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        "calculateRisk",
+        {
+          message: "Each risk factor can only be rated once",
+          field: "factors",
+          duplicates: [...new Set(duplicates)],
+        }
+      );
+    }
+
+    const { weights = {}, defaultWeight = 1, maxScore, bands } = this.model;
+    const scored = factors.map((factor) => {
+      const weight = weights[factor.name] ?? defaultWeight;
+      return {
+        ...factor,
+        weight,
+        score: factor.likelihood * factor.impact * weight,
+      };
+    });
+    const total = scored.reduce((sum, factor) => sum + factor.score, 0);
+    const score = Math.round(Math.min(total, maxScore ?? total));
+    const band = [...bands]
+      .sort((a, b) => b.min - a.min)
+      .find((candidate) => score >= candidate.min);
+
+    return {
+      score,
+      level: band ? band.level : bands[0].level,
+      factors: scored,
+    };
+  }
+
+  /**
+   * Replace the risk model (used by tests)
+   * @param {Object} [model] Model shaped like src/config/risk.js, the configured one by default
+   */
+  setModel(model) {
+    this.model = model || riskConfig.model;
+  }
+
+  /**
+   * Risk fields of an event
+   * @private
+   */
+  _summarize(event) {
+    return {
+      event_id: event.id,
+      risk_level: event.risk_level,
+      risk_score: event.risk_score,
+      risk_factors: parseJsonColumn(event.risk_factors, []),
+      risk_mitigation_plan: event.risk_mitigation_plan,
+    };
+  }
+
+  /**
+   * Load an event or throw NOT_FOUND
+   * @private
+   */
+  async _getEvent(db, eventId, method) {
+    const event = await db("events")
+      .where({ id: eventId })
+      .whereNull("deleted_at")
+      .first();
+
+    if (!event) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Event",
+        id: eventId,
+      });
+    }
+
+    return event;
+  }
+
+  /**
+   * Parse JSON columns for API responses
+   * @private
+   */
+  _format(entry) {
+    return {
+      ...entry,
+      risk_factors: parseJsonColumn(entry.risk_factors, []),
+      mitigation_updates: parseJsonColumn(entry.mitigation_updates),
+    };
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const riskService = new RiskService();
+module.exports = riskService;
@@ -0,0 +1,136 @@
+const logger = require("./LoggerService");
+
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.clock = () => new Date();
+  }
+
+  /**
+   * Register a recurring background job
+   * @param {string} name Unique job name
+   * @param {number} interval Run interval in milliseconds
+   * @param {Function} handler Async function called with the current time
+   */
+  register(name, interval, handler) {
+    if (this.jobs.has(name)) {
+      this.unregister(name);
+    }
+
+    this.jobs.set(name, {
+      name,
+      interval,
+      handler,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastError: null,
+    });
+  }
+
+  /**
+   * Stop and remove a registered job
+   * @param {string} name
+   */
+  unregister(name) {
+    const job = this.jobs.get(name);
+    if (job?.timer) {
+      clearInterval(job.timer);
+    }
+    this.jobs.delete(name);
+  }
+
+  /**
+   * Start all registered jobs that are not already scheduled
+   */
+  start() {
+    for (const job of this.jobs.values()) {
+      if (job.timer) continue;
+
+      job.timer = setInterval(() => this.runJob(job.name), job.interval);
+      if (typeof job.timer.unref === "function") {
+        job.timer.unref();
+      }
+    }
+
+    logger.info("Background jobs started", {
+      jobs: Array.from(this.jobs.keys()),
+    });
+  }
+
+  /**
+   * Stop all scheduled jobs
+   */
+  stop() {
+    for (const job of this.jobs.values()) {
+      if (job.timer) {
+        clearInterval(job.timer);
+        job.timer = null;
+      }
+    }
+
+    logger.info("Background jobs stopped");
+  }
+
+  /**
+   * Run a job immediately. Overlapping runs of the same job are skipped.
+   * @param {string} name
+   * @returns {Promise<any>} Handler result, or null if skipped or failed
+   */
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown background job: ${name}`);
+    }
+
+    if (job.running) {
+      logger.warn("Background job still running, skipping", { job: name });
+      return null;
+    }
+
+    const now = this.clock();
+    job.running = true;
+
+    try {
+      const result = await job.handler(now);
+      job.lastRunAt = now;
+      job.lastError = null;
+      return result;
+    } catch (error) {
+      job.lastError = error.message;
+      logger.error("Background job failed", {
+        job: name,
+        error: error.message,
+        stack: error.stack,
+      });
+      return null;
+    } finally {
+      job.running = false;
+    }
+  }
+
+  /**
+   * Replace the clock passed to job handlers (used by tests)
+   * @param {Function} [clock] Function returning the current Date
+   */
+  setClock(clock) {
+    this.clock = clock || (() => new Date());
+  }
+
+  /**
+   * Get the state of all registered jobs
+   * @returns {Array<Object>}
+   */
+  getStatus() {
+    return Array.from(this.jobs.values()).map((job) => ({
+      name: job.name,
+      interval: job.interval,
+      isScheduled: Boolean(job.timer),
+      running: job.running,
+      lastRunAt: job.lastRunAt,
+      lastError: job.lastError,
+    }));
+  }
+}
+
+module.exports = new SchedulerService();
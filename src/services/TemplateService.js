@@ -0,0 +1,670 @@
+const databaseService = require("./DatabaseService");
+const EventService = require("./EventService");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { toDateString } = require("../utils/dateHelpers");
+const { parseJsonColumn } = require("../utils/jsonColumn");
+
+/**
+ * Event settings copied into a template. Who does the work, when it starts
+ * and its progress belong to each event and are left out.
+ */
+const TEMPLATE_EVENT_FIELDS = [
+  "title",
+  "description",
+  "location_id",
+  "category_id",
+  "frequency_id",
+  "time_preference",
+  "grace_period",
+  "reminder_threshold",
+  "max_duration",
+  "min_duration",
+  "priority",
+  "escalation_rules",
+  "escalation_threshold_minutes",
+  "budget_allocated",
+  "cost_estimate",
+  "cost_center",
+  "risk_level",
+  "risk_factors",
+  "risk_mitigation_plan",
+  "validation_rules",
+  "acceptance_criteria",
+  "completion_requirements",
+  "requires_checklist",
+  "is_private",
+  "requires_verification",
+  "requires_approval",
+  "requires_location_verification",
+  "requires_photo_verification",
+  "approval_level",
+  "approval_type",
+  "approver_group_id",
+  "approval_chain",
+  "completion_type",
+  "allow_early_completion",
+  "allow_late_completion",
+  "auto_approve_subtasks",
+  "estimated_duration",
+  "points_value",
+  "complexity_score",
+  "metadata",
+  "notes",
+  "recurrence_rule",
+  "assignment_mode",
+];
+
+// Fields stored in JSON columns, kept parsed inside template_data
+const JSON_EVENT_FIELDS = [
+  "escalation_rules",
+  "risk_factors",
+  "validation_rules",
+  "acceptance_criteria",
+  "approval_chain",
+  "metadata",
+];
+
+// Overrides accepted when creating an event from a template
+const OVERRIDE_FIELDS = {
+  title: "title",
+  description: "description",
+  assignedTo: "assigned_to",
+  assignedGroupId: "assigned_group_id",
+  effectiveDate: "effective_date",
+  expirationDate: "expiration_date",
+  timePreference: "time_preference",
+  pointsValue: "points_value",
+  isPrivate: "is_private",
+};
+
+/**
+ * Templates snapshot an event with its checklists, prerequisites and
+ * validation rules. Saving a new snapshot bumps the template's version;
+ * events remember the version they were created from, so they can tell when
+ * their template has moved on.
+ */
+class TemplateService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "event_templates";
+    this.serviceName = "TemplateService";
+  }
+
+  /**
+   * List the active templates a user can use: their own and those shared
+   * within their instance
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Array<Object>>}
+   */
+  async getTemplates(context = {}) {
+    try {
+      const instanceId = await this._getInstanceId(this.db, context.userId);
+      const templates = await this.db(this.tableName)
+        .where({ is_active: true })
+        .where((queryBuilder) => {
+          queryBuilder.where({ created_by: context.userId || null });
+          if (instanceId) {
+            queryBuilder.orWhere({ is_shared: true, instance_id: instanceId });
+          }
+        })
+        .orderBy([
+          { column: "name", order: "asc" },
+          { column: "id", order: "asc" },
+        ]);
+
+      return templates.map((template) => this._format(template));
+    } catch (error) {
+      throw this._handleError(error, "getTemplates");
+    }
+  }
+
+  /**
+   * Get a template
+   * @param {string|number} templateId
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>}
+   */
+  async getTemplateById(templateId, context = {}) {
+    try {
+      const template = await this._getTemplate(
+        this.db,
+        templateId,
+        context,
+        "getTemplateById"
+      );
+
+      return this._format(template);
+    } catch (error) {
+      throw this._handleError(error, "getTemplateById", { templateId });
+    }
+  }
+
+  /**
+   * Save an event as a template
+   * @param {Object} data
+   * @param {number} data.eventId Event to snapshot
+   * @param {string} data.name
+   * @param {string} [data.description]
+   * @param {boolean} [data.isShared] Let others in the creator's instance use it
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Created template
+   */
+  async createTemplate(data, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const event = await this._getEvent(trx, data.eventId, "createTemplate");
+      const now = new Date();
+
+      const [template] = await trx(this.tableName)
+        .insert({
+          instance_id: await this._getInstanceId(trx, context.userId),
+          name: data.name,
+          description: data.description || null,
+          template_data: JSON.stringify(await this._snapshot(trx, event)),
+          created_by: context.userId,
+          is_active: true,
+          is_shared: Boolean(data.isShared),
+          version: 1,
+          source_event_id: event.id,
+          metadata: JSON.stringify({
+            versions: [
+              { version: 1, date: now.toISOString(), by: context.userId },
+            ],
+          }),
+        })
+        .returning("*");
+
+      await trx.commit();
+      return this._format(template);
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "createTemplate", {
+        eventId: data.eventId,
+      });
+    }
+  }
+
+  /**
+   * Update a template. Passing an eventId saves a new snapshot of that event
+   * and bumps the version; name, description and sharing changes do not.
+   * @param {string|number} templateId
+   * @param {Object} data Fields to update (name, description, isShared, eventId)
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Updated template
+   */
+  async updateTemplate(templateId, data, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const template = await this._getTemplate(
+        trx,
+        templateId,
+        context,
+        "updateTemplate"
+      );
+      this._assertOwner(template, context, "updateTemplate");
+
+      const now = new Date();
+      const changes = {};
+      if (data.name !== undefined) {
+        changes.name = data.name;
+      }
+      if (data.description !== undefined) {
+        changes.description = data.description;
+      }
+      if (data.isShared !== undefined) {
+        changes.is_shared = data.isShared;
+      }
+
+      if (data.eventId !== undefined) {
+        const event = await this._getEvent(trx, data.eventId, "updateTemplate");
+        const metadata = parseJsonColumn(template.metadata, {});
+        const version = (template.version || 1) + 1;
+
+        changes.template_data = JSON.stringify(
+          await this._snapshot(trx, event)
+        );
+        changes.source_event_id = event.id;
+        changes.version = version;
+        changes.metadata = JSON.stringify({
+          ...metadata,
+          versions: [
+            ...(metadata.versions || []),
+            { version, date: now.toISOString(), by: context.userId },
+          ],
+        });
+      }
+
+      const [updated] = await trx(this.tableName)
+        .where({ id: template.id })
+        .update({ ...changes, updated_at: now })
+        .returning("*");
+
+      await trx.commit();
+      return this._format(updated);
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "updateTemplate", { templateId });
+    }
+  }
+
+  /**
+   * Retire a template. Events created from it are kept.
+   * @param {string|number} templateId
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<boolean>}
+   */
+  async deleteTemplate(templateId, context = {}) {
+    try {
+      const template = await this._getTemplate(
+        this.db,
+        templateId,
+        context,
+        "deleteTemplate"
+      );
+      this._assertOwner(template, context, "deleteTemplate");
+
+      await this.db(this.tableName)
+        .where({ id: template.id })
+        .update({ is_active: false, updated_at: new Date() });
+
+      return true;
+    } catch (error) {
+      throw this._handleError(error, "deleteTemplate", { templateId });
+    }
+  }
+
+  /**
+   * Create an event from a template, with its checklists, prerequisites and
+   * validation rules. Recurring templates start today unless an effective
+   * date is given. The event is checked and audited like any new event.
+   * @param {string|number} templateId
+   * @param {Object} overrides
+   * @param {string} [overrides.title]
+   * @param {string} [overrides.description]
+   * @param {number} [overrides.assignedTo]
+   * @param {Date|string} [overrides.effectiveDate]
+   * @param {Date|string} [overrides.expirationDate]
+   * @param {string} [overrides.timePreference] HH:mm[:ss]
+   * @param {number} [overrides.pointsValue]
+   * @param {boolean} [overrides.isPrivate]
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Created event
+   */
+  async instantiateTemplate(templateId, overrides = {}, context = {}) {
+    const trx = await this.db.transaction();
+
+    try {
+      const template = await this._getTemplate(
+        trx,
+        templateId,
+        context,
+        "instantiateTemplate"
+      );
+      const snapshot = parseJsonColumn(template.template_data, {});
+      const fields = { ...snapshot.event };
+
+      for (const field of JSON_EVENT_FIELDS) {
+        if (fields[field] !== undefined && fields[field] !== null) {
+          fields[field] = JSON.stringify(fields[field]);
+        }
+      }
+      for (const [key, column] of Object.entries(OVERRIDE_FIELDS)) {
+        if (overrides[key] !== undefined) {
+          fields[column] = overrides[key];
+        }
+      }
+      for (const column of ["effective_date", "expiration_date"]) {
+        if (fields[column]) {
+          fields[column] = toDateString(fields[column]);
+        }
+      }
+      if (fields.recurrence_rule && !fields.effective_date) {
+        fields.effective_date = toDateString(new Date());
+      }
+      if (
+        fields.expiration_date &&
+        fields.effective_date &&
+        fields.expiration_date < fields.effective_date
+      ) {
+        throw new AppError(
+          ErrorTypes.VALIDATION_ERROR,
+          this.serviceName,
+          "instantiateTemplate",
+          {
+            message: "Event must expire on or after its effective date",
+            field: "expirationDate",
+          }
+        );
+      }
+
+      const event = await EventService.insertEvent(
+        trx,
+        {
+          ...fields,
+          template_id: template.id,
+          template_version: template.version,
+          created_by: context.userId,
+          assigned_by: context.userId,
+          user_id: context.userId,
+        },
+        "instantiateTemplate"
+      );
+
+      await this._copyChildren(trx, snapshot, event);
+
+      await trx.commit();
+      return event;
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "instantiateTemplate", { templateId });
+    }
+  }
+
+  /**
+   * List the events created from a template and whether they are out of date
+   * @param {string|number} templateId
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Array<Object>>}
+   */
+  async getTemplateEvents(templateId, context = {}) {
+    try {
+      const template = await this._getTemplate(
+        this.db,
+        templateId,
+        context,
+        "getTemplateEvents"
+      );
+
+      const events = await this.db("events")
+        .where({ template_id: template.id })
+        .whereNull("deleted_at")
+        .orderBy("id", "asc")
+        .select("id", "title", "assigned_to", "template_version");
+
+      return events.map((event) => ({
+        ...event,
+        is_outdated: (event.template_version || 0) < template.version,
+      }));
+    } catch (error) {
+      throw this._handleError(error, "getTemplateEvents", { templateId });
+    }
+  }
+
+  /**
+   * Which template version an event was created from, and whether the
+   * template has been updated since
+   * @param {string|number} eventId
+   * @returns {Promise<Object>} { event_id, template_id, template_name, template_version, latest_version, is_outdated }
+   */
+  async getEventTemplateStatus(eventId) {
+    try {
+      const event = await this._getEvent(
+        this.db,
+        eventId,
+        "getEventTemplateStatus"
+      );
+
+      if (!event.template_id) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "getEventTemplateStatus",
+          { resource: "Template", eventId, message: "Event has no template" }
+        );
+      }
+
+      const template = await this.db(this.tableName)
+        .where({ id: event.template_id })
+        .first();
+
+      return {
+        event_id: event.id,
+        template_id: event.template_id,
+        template_name: template ? template.name : null,
+        template_active: Boolean(template && template.is_active),
+        template_version: event.template_version,
+        latest_version: template ? template.version : null,
+        is_outdated: Boolean(
+          template && (event.template_version || 0) < template.version
+        ),
+      };
+    } catch (error) {
+      throw this._handleError(error, "getEventTemplateStatus", { eventId });
+    }
+  }
+
+  /**
+   * Capture an event's settings, checklists, prerequisites and validation
+   * rules
+   * @private
+   */
+  async _snapshot(trx, event) {
+    const fields = {};
+    for (const field of TEMPLATE_EVENT_FIELDS) {
+      fields[field] = JSON_EVENT_FIELDS.includes(field)
+        ? parseJsonColumn(event[field])
+        : event[field];
+    }
+
+    const checklists = await trx("event_checklists")
+      .where({ event_id: event.id })
+      .orderBy([
+        { column: "order", order: "asc" },
+        { column: "id", order: "asc" },
+      ]);
+    const dependencies = await trx("event_dependencies")
+      .where({ dependent_event_id: event.id })
+      .orderBy("id", "asc");
+    const validationRules = await trx("event_validation_rules")
+      .where({ event_id: event.id })
+      .orderBy([
+        { column: "order", order: "asc" },
+        { column: "id", order: "asc" },
+      ]);
+
+    return {
+      event: fields,
+      checklists: checklists.map((checklist) => ({
+        title: checklist.title,
+        is_required: Boolean(checklist.is_required),
+        order: checklist.order,
+        checklist_items: parseJsonColumn(checklist.checklist_items, []),
+      })),
+      dependencies: dependencies.map((dependency) => ({
+        event_id: dependency.event_id,
+        dependency_type: dependency.dependency_type,
+        is_mandatory: Boolean(dependency.is_mandatory),
+        dependency_rules: parseJsonColumn(dependency.dependency_rules),
+      })),
+      validation_rules: validationRules.map((rule) => ({
+        rule_type: rule.rule_type,
+        rule_name: rule.rule_name,
+        rule_configuration: parseJsonColumn(rule.rule_configuration),
+        is_active: Boolean(rule.is_active),
+        order: rule.order,
+        error_message: rule.error_message,
+        validation_metadata: parseJsonColumn(rule.validation_metadata),
+      })),
+    };
+  }
+
+  /**
+   * Recreate a snapshot's checklists, prerequisites and validation rules on
+   * a new event. Prerequisites that no longer exist are dropped.
+   * @private
+   */
+  async _copyChildren(trx, snapshot, event) {
+    const stringify = (value) =>
+      value === null || value === undefined ? null : JSON.stringify(value);
+
+    for (const checklist of snapshot.checklists || []) {
+      await trx("event_checklists").insert({
+        ...checklist,
+        event_id: event.id,
+        checklist_items: stringify(checklist.checklist_items),
+      });
+    }
+
+    const upstreamIds = (snapshot.dependencies || []).map(
+      (dependency) => dependency.event_id
+    );
+    const existing = upstreamIds.length
+      ? await trx("events")
+          .whereIn("id", upstreamIds)
+          .whereNull("deleted_at")
+          .pluck("id")
+      : [];
+
+    for (const dependency of snapshot.dependencies || []) {
+      if (existing.includes(dependency.event_id)) {
+        await trx("event_dependencies").insert({
+          ...dependency,
+          dependent_event_id: event.id,
+          dependency_rules: stringify(dependency.dependency_rules),
+        });
+      }
+    }
+
+    for (const rule of snapshot.validation_rules || []) {
+      await trx("event_validation_rules").insert({
+        ...rule,
+        event_id: event.id,
+        rule_configuration: stringify(rule.rule_configuration),
+        validation_metadata: stringify(rule.validation_metadata),
+      });
+    }
+  }
+
+  /**
+   * Load an active template visible to the user or throw NOT_FOUND. Shared
+   * templates are only visible within their creator's instance.
+   * @private
+   */
+  async _getTemplate(db, templateId, context, method) {
+    const template = await db(this.tableName)
+      .where({ id: templateId, is_active: true })
+      .first();
+
+    const visible =
+      template &&
+      (Number(template.created_by) === Number(context.userId) ||
+        (template.is_shared &&
+          template.instance_id &&
+          String(template.instance_id) ===
+            String(await this._getInstanceId(db, context.userId))));
+
+    if (!visible) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Template",
+        id: templateId,
+      });
+    }
+
+    return template;
+  }
+
+  /**
+   * The instance a user belongs to, or null
+   * @private
+   */
+  async _getInstanceId(db, userId) {
+    const user = await db("users")
+      .where({ id: userId || null })
+      .first("instance_id");
+
+    return user ? user.instance_id : null;
+  }
+
+  /**
+   * Only a template's creator may change it
+   * @private
+   */
+  _assertOwner(template, context, method) {
+    if (Number(template.created_by) !== Number(context.userId)) {
+      throw new AppError(
+        ErrorTypes.INSUFFICIENT_PERMISSIONS,
+        this.serviceName,
+        method,
+        {
+          message: "Only the template's creator can change it",
+          templateId: template.id,
+        }
+      );
+    }
+  }
+
+  /**
+   * Load an event or throw NOT_FOUND
+   * @private
+   */
+  async _getEvent(db, eventId, method) {
+    const event = await db("events")
+      .where({ id: eventId })
+      .whereNull("deleted_at")
+      .first();
+
+    if (!event) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Event",
+        id: eventId,
+      });
+    }
+
+    return event;
+  }
+
+  /**
+   * Parse JSON columns for API responses
+   * @private
+   */
+  _format(template) {
+    return {
+      ...template,
+      is_active: Boolean(template.is_active),
+      is_shared: Boolean(template.is_shared),
+      template_data: parseJsonColumn(template.template_data, {}),
+      metadata: parseJsonColumn(template.metadata, {}),
+    };
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    if (error.code === "23503") {
+      return new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        method,
+        {
+          message: "Referenced record does not exist",
+          error: error.detail,
+          constraint: error.constraint,
+          ...details,
+        }
+      );
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const templateService = new TemplateService();
+module.exports = templateService;
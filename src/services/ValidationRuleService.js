@@ -0,0 +1,564 @@
+const databaseService = require("./DatabaseService");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { toDate } = require("../utils/dateHelpers");
+const { parseJsonColumn } = require("../utils/jsonColumn");
+const {
+  parseExpression,
+  evaluateExpression,
+  resolvePath,
+} = require("../utils/ruleExpression");
+
+const PHASES = ["create", "update", "complete"];
+
+const isEmpty = (value) =>
+  value === null ||
+  value === undefined ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Built-in rule types. Each checks one rule configuration against the
+ * evaluation scope and returns whether it passed with the value it saw.
+ * Apart from required_field, empty values pass so optional fields can be
+ * constrained without being required.
+ */
+const RULE_TYPES = {
+  required_field: {
+    fields: ["field"],
+    check: (config, scope) => {
+      const actual = resolvePath(scope, config.field);
+      return { passed: !isEmpty(actual), actual };
+    },
+  },
+
+  numeric_range: {
+    fields: ["field"],
+    check: (config, scope) => {
+      const actual = resolvePath(scope, config.field);
+      if (isEmpty(actual)) {
+        return { passed: true, actual };
+      }
+
+      const number = Number(actual);
+      return {
+        passed:
+          !Number.isNaN(number) &&
+          (config.min === undefined || number >= config.min) &&
+          (config.max === undefined || number <= config.max),
+        actual,
+      };
+    },
+  },
+
+  date_window: {
+    fields: ["field"],
+    check: (config, scope) => {
+      const actual = resolvePath(scope, config.field);
+      if (isEmpty(actual)) {
+        return { passed: true, actual };
+      }
+
+      // Bounds are dates, "now" or "$path" references to other fields
+      const bound = (value) =>
+        value === "now"
+          ? toDate(scope.now)
+          : toDate(
+              typeof value === "string" && value.startsWith("$")
+                ? resolvePath(scope, value.slice(1))
+                : value
+            );
+      const date = toDate(actual);
+      const after = config.after === undefined ? null : bound(config.after);
+      const before = config.before === undefined ? null : bound(config.before);
+
+      return {
+        passed:
+          Boolean(date) &&
+          (!after || date >= after) &&
+          (!before || date <= before),
+        actual,
+      };
+    },
+  },
+
+  regex: {
+    fields: ["field", "pattern"],
+    compile: (config) => new RegExp(config.pattern, config.flags),
+    check: (config, scope) => {
+      const actual = resolvePath(scope, config.field);
+      return {
+        passed:
+          isEmpty(actual) ||
+          new RegExp(config.pattern, config.flags).test(String(actual)),
+        actual,
+      };
+    },
+  },
+
+  expression: {
+    fields: ["expression"],
+    compile: (config) => parseExpression(config.expression),
+    check: (config, scope) => ({
+      passed: Boolean(evaluateExpression(config.expression, scope)),
+    }),
+  },
+};
+
+/**
+ * Declarative validation rules. Rules come from event_validation_rules rows
+ * and from the event's validation_rules and acceptance_criteria columns
+ * (JSON lists of { rule_type, rule_name, rule_configuration, error_message }).
+ * Field paths resolve against { event, instance, now }, where instance is
+ * the occurrence being completed. A rule's configuration may limit it to
+ * some phases with `on`; acceptance criteria only apply on completion.
+ */
+class ValidationRuleService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "event_validation_rules";
+    this.resultsTableName = "event_acceptance_results";
+    this.serviceName = "ValidationRuleService";
+  }
+
+  /**
+   * List the validation rules of an event in evaluation order
+   * @param {string|number} eventId
+   * @returns {Promise<Array<Object>>}
+   */
+  async getRules(eventId) {
+    try {
+      await this._getEvent(this.db, eventId, "getRules");
+
+      const rules = await this._orderedRules(this.db, eventId);
+      return rules.map((rule) => this._format(rule));
+    } catch (error) {
+      throw this._handleError(error, "getRules", { eventId });
+    }
+  }
+
+  /**
+   * Add a validation rule to an event
+   * @param {string|number} eventId
+   * @param {Object} data
+   * @param {string} data.ruleType required_field, numeric_range, date_window, regex or expression
+   * @param {string} data.ruleName
+   * @param {Object} data.configuration Rule configuration, e.g. { field, min, max, on }
+   * @param {string} [data.errorMessage]
+   * @param {number} [data.order]
+   * @param {boolean} [data.isActive]
+   * @returns {Promise<Object>} Created rule
+   */
+  async createRule(eventId, data) {
+    try {
+      const event = await this._getEvent(this.db, eventId, "createRule");
+      this.validateDefinitions(
+        [
+          {
+            rule_type: data.ruleType,
+            rule_name: data.ruleName,
+            rule_configuration: data.configuration,
+          },
+        ],
+        "createRule"
+      );
+
+      const [rule] = await this.db(this.tableName)
+        .insert({
+          event_id: event.id,
+          rule_type: data.ruleType,
+          rule_name: data.ruleName,
+          rule_configuration: JSON.stringify(data.configuration),
+          error_message: data.errorMessage || null,
+          order: data.order ?? 0,
+          is_active: data.isActive ?? true,
+        })
+        .returning("*");
+
+      return this._format(rule);
+    } catch (error) {
+      throw this._handleError(error, "createRule", { eventId });
+    }
+  }
+
+  /**
+   * Update a validation rule
+   * @param {string|number} eventId
+   * @param {string|number} ruleId
+   * @param {Object} data Fields to update (ruleType, ruleName, configuration, errorMessage, order, isActive)
+   * @returns {Promise<Object>} Updated rule
+   */
+  async updateRule(eventId, ruleId, data) {
+    try {
+      const rule = await this._getRule(this.db, eventId, ruleId, "updateRule");
+      const ruleType = data.ruleType ?? rule.rule_type;
+      const configuration =
+        data.configuration ?? parseJsonColumn(rule.rule_configuration, {});
+
+      this.validateDefinitions(
+        [
+          {
+            rule_type: ruleType,
+            rule_name: data.ruleName ?? rule.rule_name,
+            rule_configuration: configuration,
+          },
+        ],
+        "updateRule"
+      );
+
+      const changes = {
+        rule_type: ruleType,
+        rule_configuration: JSON.stringify(configuration),
+      };
+      if (data.ruleName !== undefined) {
+        changes.rule_name = data.ruleName;
+      }
+      if (data.errorMessage !== undefined) {
+        changes.error_message = data.errorMessage;
+      }
+      if (data.order !== undefined) {
+        changes.order = data.order;
+      }
+      if (data.isActive !== undefined) {
+        changes.is_active = data.isActive;
+      }
+
+      const [updated] = await this.db(this.tableName)
+        .where({ id: rule.id })
+        .update({ ...changes, updated_at: new Date() })
+        .returning("*");
+
+      return this._format(updated);
+    } catch (error) {
+      throw this._handleError(error, "updateRule", { eventId, ruleId });
+    }
+  }
+
+  /**
+   * Delete a validation rule. Recorded results keep their outcome but lose
+   * the link to the rule.
+   * @param {string|number} eventId
+   * @param {string|number} ruleId
+   * @returns {Promise<boolean>}
+   */
+  async deleteRule(eventId, ruleId) {
+    const trx = await this.db.transaction();
+
+    try {
+      const rule = await this._getRule(trx, eventId, ruleId, "deleteRule");
+
+      await trx(this.resultsTableName)
+        .where({ criteria_id: rule.id })
+        .update({ criteria_id: null, updated_at: new Date() });
+      await trx(this.tableName).where({ id: rule.id }).del();
+
+      await trx.commit();
+      return true;
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "deleteRule", { eventId, ruleId });
+    }
+  }
+
+  /**
+   * List recorded acceptance results of an event's occurrences, newest first
+   * @param {string|number} eventId
+   * @param {Object} [filters]
+   * @param {number} [filters.instanceId]
+   * @returns {Promise<Array<Object>>}
+   */
+  async getResults(eventId, filters = {}) {
+    try {
+      await this._getEvent(this.db, eventId, "getResults");
+
+      const results = await this.db(`${this.resultsTableName} as r`)
+        .join("event_instances as i", "i.id", "r.instance_id")
+        .where("i.event_id", eventId)
+        .modify((queryBuilder) => {
+          if (filters.instanceId) {
+            queryBuilder.where("r.instance_id", filters.instanceId);
+          }
+        })
+        .orderBy("r.id", "desc")
+        .select("r.*", "i.start_date");
+
+      return results.map((result) => ({
+        ...result,
+        passed: Boolean(result.passed),
+        test_results: parseJsonColumn(result.test_results, {}),
+      }));
+    } catch (error) {
+      throw this._handleError(error, "getResults", { eventId });
+    }
+  }
+
+  /**
+   * Check rule definitions before they are stored
+   * @param {Array<Object>} rules Rules shaped like event_validation_rules rows
+   * @param {string} method Calling method for error context
+   * @throws {AppError} VALIDATION_ERROR listing the invalid rules
+   */
+  validateDefinitions(rules, method) {
+    if (!Array.isArray(rules)) {
+      throw new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        method,
+        { message: "Validation rules must be a list" }
+      );
+    }
+
+    const invalid = [];
+    rules.forEach((rule, index) => {
+      const type = RULE_TYPES[rule?.rule_type];
+      const config = parseJsonColumn(rule?.rule_configuration, null);
+      let reason = null;
+
+      if (!type) {
+        reason = `Unknown rule type: ${rule?.rule_type}`;
+      } else if (!config || typeof config !== "object") {
+        reason = "Rule configuration must be an object";
+      } else if (type.fields.some((field) => isEmpty(config[field]))) {
+        reason = `Rule configuration requires ${type.fields.join(", ")}`;
+      } else if (
+        config.on !== undefined &&
+        (!Array.isArray(config.on) ||
+          config.on.some((phase) => !PHASES.includes(phase)))
+      ) {
+        reason = `Rule phases must be among ${PHASES.join(", ")}`;
+      } else if (type.compile) {
+        try {
+          type.compile(config);
+        } catch (error) {
+          reason = error.message;
+        }
+      }
+
+      if (reason) {
+        invalid.push({ index, rule_name: rule?.rule_name, reason });
+      }
+    });
+
+    if (invalid.length > 0) {
+      throw new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        method,
+        { message: "Invalid validation rules", invalid }
+      );
+    }
+  }
+
+  /**
+   * Evaluate an event's active rules for a phase, in order
+   * @param {Object} db Knex instance or transaction
+   * @param {Object} event Event row, or the event data being written
+   * @param {string} phase create, update or complete
+   * @param {Object} [instance] Occurrence being completed
+   * @returns {Promise<Array<Object>>} One result per rule that applies
+   */
+  async evaluate(db, event, phase, instance = null) {
+    const rules = [
+      ...(event.id ? await this._orderedRules(db, event.id) : [])
+        .filter((rule) => rule.is_active)
+        .map((rule) => ({ ...rule, source: "rule" })),
+      ...this._inlineRules(event.validation_rules, "validation_rules"),
+      ...(phase === "complete"
+        ? this._inlineRules(event.acceptance_criteria, "acceptance_criteria")
+        : []),
+    ];
+    const scope = { event, instance, now: new Date().toISOString() };
+
+    return rules
+      .map((rule) => ({
+        ...rule,
+        rule_configuration: parseJsonColumn(rule.rule_configuration, {}),
+      }))
+      .filter(({ rule_configuration: config }) =>
+        (config.on || PHASES).includes(phase)
+      )
+      .map((rule) => {
+        const config = rule.rule_configuration;
+        let outcome;
+        try {
+          outcome = RULE_TYPES[rule.rule_type].check(config, scope);
+        } catch (error) {
+          outcome = { passed: false, error: error.message };
+        }
+
+        return {
+          rule_id: rule.source === "rule" ? rule.id : null,
+          rule_name: rule.rule_name,
+          rule_type: rule.rule_type,
+          source: rule.source,
+          field: config.field,
+          passed: outcome.passed,
+          actual: outcome.actual,
+          message: outcome.passed
+            ? null
+            : rule.error_message ||
+              outcome.error ||
+              `${rule.rule_name || rule.rule_type} failed`,
+        };
+      });
+  }
+
+  /**
+   * Evaluate rules and throw when any fail
+   * @param {Object} db Knex instance or transaction
+   * @param {Object} event Event row, or the event data being written
+   * @param {string} phase create or update
+   * @param {string} method Calling method for error context
+   * @throws {AppError} VALIDATION_ERROR with the failed rules
+   */
+  async assertValid(db, event, phase, method) {
+    const failures = (await this.evaluate(db, event, phase)).filter(
+      (result) => !result.passed
+    );
+
+    if (failures.length > 0) {
+      throw new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        method,
+        {
+          message: "Event does not pass its validation rules",
+          phase,
+          failures,
+        }
+      );
+    }
+  }
+
+  /**
+   * Store evaluation results of an occurrence in event_acceptance_results
+   * @param {Object} db Knex instance or transaction
+   * @param {number} instanceId
+   * @param {Array<Object>} results From evaluate()
+   * @param {number} [userId] Who triggered the evaluation
+   * @returns {Promise<void>}
+   */
+  async recordResults(db, instanceId, results, userId) {
+    if (results.length === 0) {
+      return;
+    }
+
+    await db(this.resultsTableName).insert(
+      results.map((result) => ({
+        instance_id: instanceId,
+        criteria_id: result.rule_id,
+        passed: result.passed,
+        failure_reason: result.message,
+        test_results: JSON.stringify({
+          rule_name: result.rule_name,
+          rule_type: result.rule_type,
+          source: result.source,
+          field: result.field,
+          actual: result.actual,
+        }),
+        verified_by: userId || null,
+      }))
+    );
+  }
+
+  /**
+   * Active and inactive rows of an event in evaluation order
+   * @private
+   */
+  async _orderedRules(db, eventId) {
+    return db(this.tableName)
+      .where({ event_id: eventId })
+      .orderBy([
+        { column: "order", order: "asc" },
+        { column: "id", order: "asc" },
+      ]);
+  }
+
+  /**
+   * Rules stored in an event JSON column
+   * @private
+   */
+  _inlineRules(value, source) {
+    const rules = parseJsonColumn(value, []);
+    return (Array.isArray(rules) ? rules : [])
+      .filter((rule) => RULE_TYPES[rule?.rule_type])
+      .map((rule) => ({ ...rule, source }));
+  }
+
+  /**
+   * Load a rule belonging to an event or throw NOT_FOUND
+   * @private
+   */
+  async _getRule(db, eventId, ruleId, method) {
+    const rule = await db(this.tableName)
+      .where({ id: ruleId, event_id: eventId })
+      .first();
+
+    if (!rule) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Validation rule",
+        id: ruleId,
+        eventId,
+      });
+    }
+
+    return rule;
+  }
+
+  /**
+   * Load an event or throw NOT_FOUND
+   * @private
+   */
+  async _getEvent(db, eventId, method) {
+    const event = await db("events")
+      .where({ id: eventId })
+      .whereNull("deleted_at")
+      .first();
+
+    if (!event) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Event",
+        id: eventId,
+      });
+    }
+
+    return event;
+  }
+
+  /**
+   * Parse JSON columns for API responses
+   * @private
+   */
+  _format(rule) {
+    return {
+      ...rule,
+      is_active: Boolean(rule.is_active),
+      rule_configuration: parseJsonColumn(rule.rule_configuration, {}),
+      validation_metadata: parseJsonColumn(rule.validation_metadata),
+    };
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const validationRuleService = new ValidationRuleService();
+module.exports = validationRuleService;
@@ -0,0 +1,489 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const exifr = require("exifr");
+const databaseService = require("./DatabaseService");
+const AppError = require("../utils/AppError");
+const { ErrorTypes } = require("../utils/errorTypes");
+const { parseJsonColumn, appendJsonColumn } = require("../utils/jsonColumn");
+const { distanceInMeters } = require("../utils/geo");
+
+// Stored photos are named after their hash and the validated image type
+const PHOTO_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "image/heic": ".heic",
+  "image/heif": ".heif",
+};
+
+class VerificationService {
+  constructor() {
+    this.db = databaseService.getKnex();
+    this.tableName = "event_verifications";
+    this.serviceName = "VerificationService";
+    this.uploadDir =
+      process.env.VERIFICATION_UPLOAD_DIR ||
+      path.join(process.cwd(), "uploads", "verifications");
+  }
+
+  /**
+   * Submit verification evidence for a pending occurrence. Photos are stored
+   * on disk under their SHA-256 hash; coordinates (from the request or the
+   * photo's EXIF GPS tags) are checked against the event location's geofence.
+   * @param {string|number} eventId
+   * @param {string|number} instanceId
+   * @param {Object} data
+   * @param {number} [data.latitude]
+   * @param {number} [data.longitude]
+   * @param {number} [data.accuracy] Reported GPS accuracy in meters
+   * @param {string} [data.notes]
+   * @param {Object} [file] Uploaded image ({buffer, originalname, mimetype, size})
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Created verification
+   */
+  async submitVerification(
+    eventId,
+    instanceId,
+    data = {},
+    file = null,
+    context = {}
+  ) {
+    const trx = await this.db.transaction();
+
+    try {
+      const { event, instance } = await this._getInstance(
+        trx,
+        eventId,
+        instanceId,
+        "submitVerification"
+      );
+
+      if (instance.completion_status !== "pending") {
+        throw new AppError(
+          ErrorTypes.INVALID_STATUS_TRANSITION,
+          this.serviceName,
+          "submitVerification",
+          {
+            message: `Occurrence is already ${instance.completion_status}`,
+            instanceId,
+          }
+        );
+      }
+
+      const photo = file ? await this._inspectPhoto(file) : null;
+      const coordinates =
+        data.latitude != null && data.longitude != null
+          ? { latitude: data.latitude, longitude: data.longitude }
+          : photo?.exif_location;
+      const location = await this._checkGeofence(trx, event, coordinates);
+      const violations = [];
+
+      if (event.requires_photo_verification && !photo) {
+        violations.push({
+          rule: "requires_photo_verification",
+          message: "A photo is required for this event",
+        });
+      }
+
+      if (event.requires_location_verification) {
+        if (!coordinates) {
+          violations.push({
+            rule: "requires_location_verification",
+            message: "GPS coordinates are required for this event",
+          });
+        } else if (location.within_geofence === null) {
+          violations.push({
+            rule: "geofence",
+            message: "Event has no location geofence to verify against",
+            locationId: event.location_id,
+          });
+        } else if (!location.within_geofence) {
+          violations.push({
+            rule: "geofence",
+            message: "Coordinates are outside the event location",
+            distanceMeters: location.distance_meters,
+            radiusMeters: location.radius_meters,
+          });
+        }
+      }
+
+      if (violations.length > 0) {
+        throw new AppError(
+          ErrorTypes.VALIDATION_ERROR,
+          this.serviceName,
+          "submitVerification",
+          {
+            message: "Verification evidence does not meet the event's rules",
+            instanceId,
+            violations,
+          }
+        );
+      }
+
+      const [verification] = await trx(this.tableName)
+        .insert({
+          instance_id: instance.id,
+          submitted_by: context.userId,
+          status: "pending",
+          notes: data.notes || null,
+          photo_data: photo ? JSON.stringify(photo) : null,
+          location_data: location.coordinates
+            ? JSON.stringify({ ...location, accuracy: data.accuracy })
+            : null,
+          verification_metadata: JSON.stringify({
+            ip_address: context.ipAddress,
+            user_agent: context.userAgent,
+          }),
+        })
+        .returning("*");
+
+      await this._appendHistory(trx, instance, {
+        date: new Date().toISOString(),
+        action: "verification_submitted",
+        by: context.userId,
+        verification_id: verification.id,
+      });
+
+      // Written last so a failed submission leaves no file behind. Files are
+      // named by their hash and may be shared, so they are never removed here.
+      if (photo) {
+        await this._storePhoto(photo.file_name, file.buffer);
+      }
+
+      await trx.commit();
+      return this._format(verification);
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "submitVerification", {
+        eventId,
+        instanceId,
+      });
+    }
+  }
+
+  /**
+   * List verification submissions of an occurrence
+   * @param {string|number} eventId
+   * @param {string|number} instanceId
+   * @returns {Promise<Array<Object>>} Verifications, newest first
+   */
+  async getVerifications(eventId, instanceId) {
+    try {
+      await this._getInstance(this.db, eventId, instanceId, "getVerifications");
+
+      const verifications = await this.db(this.tableName)
+        .where({ instance_id: instanceId })
+        .orderBy("id", "desc");
+
+      return verifications.map((verification) => this._format(verification));
+    } catch (error) {
+      throw this._handleError(error, "getVerifications", {
+        eventId,
+        instanceId,
+      });
+    }
+  }
+
+  /**
+   * Accept or reject a pending verification. Accepting marks the occurrence
+   * as verified so it can be completed.
+   * @param {string|number} eventId
+   * @param {string|number} instanceId
+   * @param {string|number} verificationId
+   * @param {string} decision "accepted" or "rejected"
+   * @param {Object} data
+   * @param {string} [data.notes] Reviewer comments
+   * @param {Object} context Request context ({userId, ipAddress, userAgent})
+   * @returns {Promise<Object>} Reviewed verification
+   */
+  async reviewVerification(
+    eventId,
+    instanceId,
+    verificationId,
+    decision,
+    data = {},
+    context = {}
+  ) {
+    const trx = await this.db.transaction();
+
+    try {
+      const { instance } = await this._getInstance(
+        trx,
+        eventId,
+        instanceId,
+        "reviewVerification"
+      );
+
+      const verification = await trx(this.tableName)
+        .where({ id: verificationId, instance_id: instance.id })
+        .first();
+
+      if (!verification) {
+        throw new AppError(
+          ErrorTypes.NOT_FOUND,
+          this.serviceName,
+          "reviewVerification",
+          { resource: "Verification", id: verificationId }
+        );
+      }
+
+      if (verification.status !== "pending") {
+        throw new AppError(
+          ErrorTypes.INVALID_STATUS_TRANSITION,
+          this.serviceName,
+          "reviewVerification",
+          {
+            message: `Verification is already ${verification.status}`,
+            verificationId,
+          }
+        );
+      }
+
+      if (String(verification.submitted_by) === String(context.userId)) {
+        throw new AppError(
+          ErrorTypes.INSUFFICIENT_PERMISSIONS,
+          this.serviceName,
+          "reviewVerification",
+          {
+            message: "Users cannot review their own verification",
+            verificationId,
+          }
+        );
+      }
+
+      const now = new Date();
+      const [reviewed] = await trx(this.tableName)
+        .where({ id: verification.id })
+        .update({
+          status: decision,
+          verified_by: context.userId,
+          verified_at: now,
+          verification_metadata: JSON.stringify({
+            ...parseJsonColumn(verification.verification_metadata, {}),
+            review_notes: data.notes,
+            reviewer_ip_address: context.ipAddress,
+            reviewer_user_agent: context.userAgent,
+          }),
+          updated_at: now,
+        })
+        .returning("*");
+
+      await this._appendHistory(
+        trx,
+        instance,
+        {
+          date: now.toISOString(),
+          action: `verification_${decision}`,
+          by: context.userId,
+          verification_id: verification.id,
+          notes: data.notes,
+        },
+        decision === "accepted"
+          ? {
+              verified_by: context.userId,
+              verified_at: now,
+              verification_data: JSON.stringify({
+                verification_id: verification.id,
+              }),
+            }
+          : {}
+      );
+
+      await trx.commit();
+      return this._format(reviewed);
+    } catch (error) {
+      await trx.rollback();
+      throw this._handleError(error, "reviewVerification", {
+        eventId,
+        instanceId,
+        verificationId,
+      });
+    }
+  }
+
+  /**
+   * Hash an uploaded photo and read its EXIF timestamp and GPS position
+   * @private
+   * @param {Object} file Uploaded file
+   * @returns {Promise<Object>} Photo details stored in photo_data
+   */
+  async _inspectPhoto(file) {
+    const sha256 = crypto
+      .createHash("sha256")
+      .update(file.buffer)
+      .digest("hex");
+    let exif = null;
+
+    try {
+      exif = await exifr.parse(file.buffer, { gps: true });
+    } catch (error) {
+      // Images without readable EXIF data are accepted without a timestamp
+    }
+
+    const takenAt = exif?.DateTimeOriginal || exif?.CreateDate;
+
+    return {
+      file_name: `${sha256}${PHOTO_EXTENSIONS[file.mimetype] || ""}`,
+      original_name: file.originalname,
+      mime_type: file.mimetype,
+      size: file.size ?? file.buffer.length,
+      sha256,
+      exif_timestamp: takenAt instanceof Date ? takenAt.toISOString() : null,
+      exif_location:
+        exif?.latitude != null && exif?.longitude != null
+          ? { latitude: exif.latitude, longitude: exif.longitude }
+          : null,
+    };
+  }
+
+  /**
+   * Write a photo to the upload directory. Files are content addressed, so an
+   * existing file with the same name already holds the same bytes.
+   * @private
+   */
+  async _storePhoto(fileName, buffer) {
+    await fs.mkdir(this.uploadDir, { recursive: true });
+
+    try {
+      await fs.writeFile(path.join(this.uploadDir, fileName), buffer, {
+        flag: "wx",
+      });
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Compare coordinates against the event location's geofence
+   * @private
+   * @returns {Promise<Object>} Location check stored in location_data
+   */
+  async _checkGeofence(db, event, coordinates) {
+    const location = event.location_id
+      ? await db("locations").where({ id: event.location_id }).first()
+      : null;
+    const hasGeofence =
+      location && location.latitude != null && location.longitude != null;
+
+    if (!coordinates || !hasGeofence) {
+      return {
+        coordinates: coordinates || null,
+        location_id: event.location_id || null,
+        within_geofence: null,
+      };
+    }
+
+    const distance = distanceInMeters(coordinates, {
+      latitude: Number(location.latitude),
+      longitude: Number(location.longitude),
+    });
+
+    return {
+      coordinates,
+      location_id: location.id,
+      distance_meters: Math.round(distance),
+      radius_meters: location.radius_meters,
+      within_geofence: distance <= location.radius_meters,
+    };
+  }
+
+  /**
+   * Load an occurrence and its event or throw NOT_FOUND
+   * @private
+   */
+  async _getInstance(db, eventId, instanceId, method) {
+    const instance = await db("event_instances")
+      .where({ id: instanceId, event_id: eventId })
+      .whereNull("deleted_at")
+      .first();
+
+    if (!instance) {
+      throw new AppError(ErrorTypes.NOT_FOUND, this.serviceName, method, {
+        resource: "Event Instance",
+        id: instanceId,
+        eventId,
+      });
+    }
+
+    const event = await db("events")
+      .where({ id: eventId })
+      .whereNull("deleted_at")
+      .first();
+
+    return { event, instance };
+  }
+
+  /**
+   * Append an entry to an occurrence's modified_history
+   * @private
+   */
+  _appendHistory(trx, instance, historyEntry, changes = {}) {
+    return trx("event_instances")
+      .where({ id: instance.id })
+      .update({
+        ...changes,
+        modified_history: appendJsonColumn(
+          instance.modified_history,
+          historyEntry
+        ),
+        updated_at: new Date(),
+      });
+  }
+
+  /**
+   * Parse JSON columns for API responses
+   * @private
+   */
+  _format(verification) {
+    return {
+      ...verification,
+      photo_data: parseJsonColumn(verification.photo_data),
+      location_data: parseJsonColumn(verification.location_data),
+      verification_metadata: parseJsonColumn(
+        verification.verification_metadata
+      ),
+    };
+  }
+
+  /**
+   * Handle database errors with specific context
+   * @private
+   * @param {Error} error
+   * @param {string} method
+   * @param {Object} details
+   * @returns {AppError}
+   */
+  _handleError(error, method, details = {}) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    if (error.code === "23503") {
+      return new AppError(
+        ErrorTypes.VALIDATION_ERROR,
+        this.serviceName,
+        method,
+        {
+          message: "Referenced record does not exist",
+          error: error.detail,
+          constraint: error.constraint,
+          ...details,
+        }
+      );
+    }
+
+    return new AppError(ErrorTypes.DB_ERROR, this.serviceName, method, {
+      message: error.message,
+      code: error.code,
+      ...details,
+    });
+  }
+}
+
+// Export a singleton instance
+const verificationService = new VerificationService();
+module.exports = verificationService;
@@ -1,9 +1,9 @@
 // src/utils/TransactionManager.js
-const { DatabaseService } = require("../services/DatabaseService");
+const databaseService = require("../services/DatabaseService");
 
 class TransactionManager {
   constructor() {
-    this.db = DatabaseService.getInstance();
+    this.db = databaseService.getKnex();
   }
 
   /**
@@ -12,7 +12,7 @@ class TransactionManager {
    * @returns {Promise<any>} - Result of the callback function
    */
   async executeTransaction(callback) {
-    const trx = await this.db.knex.transaction();
+    const trx = await this.db.transaction();
 
     try {
       const result = await callback(trx);
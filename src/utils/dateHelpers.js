@@ -0,0 +1,70 @@
+// src/utils/dateHelpers.js
+const { format, isValid, parseISO, startOfDay } = require("date-fns");
+
+/**
+ * Normalize a database or request value into a Date.
+ * SQLite returns timestamps as strings or epoch milliseconds, PostgreSQL as Date objects.
+ * @param {Date|string|number|null} value
+ * @returns {Date|null} Parsed date, or null when missing or invalid
+ */
+const toDate = (value) => {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+
+  const date =
+    value instanceof Date
+      ? value
+      : typeof value === "string"
+        ? parseISO(value)
+        : new Date(value);
+
+  return isValid(date) ? date : null;
+};
+
+/**
+ * Format a value as a calendar day (yyyy-MM-dd) for DATE columns
+ * @param {Date|string|number} value
+ * @returns {string|null}
+ */
+const toDateString = (value) => {
+  const date = toDate(value);
+  return date ? format(date, "yyyy-MM-dd") : null;
+};
+
+/**
+ * Start of the calendar day for a value
+ * @param {Date|string|number} value
+ * @returns {Date|null}
+ */
+const toDay = (value) => {
+  const date = toDate(value);
+  return date ? startOfDay(date) : null;
+};
+
+/**
+ * When an occurrence opens and when it is due. It opens at its start date
+ * and time and is due at its end date and end time (start time when none is set).
+ * @param {Object} event Parent event row, for its time_preference
+ * @param {Object} instance Occurrence row
+ * @returns {{opensAt: Date, dueAt: Date}}
+ */
+const getOccurrenceWindow = (event, instance) => {
+  const startTime = instance.start_time || event.time_preference || "00:00:00";
+
+  return {
+    opensAt: parseISO(`${toDateString(instance.start_date)}T${startTime}`),
+    dueAt: parseISO(
+      `${toDateString(instance.end_date || instance.start_date)}T${
+        instance.end_time || startTime
+      }`
+    ),
+  };
+};
+
+module.exports = {
+  toDate,
+  toDateString,
+  toDay,
+  getOccurrenceWindow,
+};
@@ -0,0 +1,38 @@
+// src/utils/jsonColumn.js
+
+/**
+ * Read a JSON column value.
+ * SQLite returns JSON columns as strings while PostgreSQL returns parsed values.
+ * @param {string|Object|Array|null} value Raw column value
+ * @param {*} fallback Returned when the value is empty or not valid JSON
+ * @returns {*} Parsed value
+ */
+const parseJsonColumn = (value, fallback = null) => {
+  if (value === null || value === undefined || value === "") {
+    return fallback;
+  }
+
+  if (typeof value !== "string") {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Append an entry to a JSON array column, e.g. modified_history.
+ * @param {string|Array|null} value Raw column value
+ * @param {Object} entry Entry to append
+ * @returns {string} Serialized array, ready to be written
+ */
+const appendJsonColumn = (value, entry) =>
+  JSON.stringify([...parseJsonColumn(value, []), entry]);
+
+module.exports = {
+  parseJsonColumn,
+  appendJsonColumn,
+};
@@ -0,0 +1,16 @@
+// src/utils/requestContext.js
+
+/**
+ * Actor and client details recorded alongside changes made through the API
+ * @param {Object} req Express request (after authentication)
+ * @returns {{userId: (string|number|undefined), ipAddress: string, userAgent: (string|undefined)}}
+ */
+const getRequestContext = (req) => ({
+  userId: req.user?.userId,
+  ipAddress: req.ip,
+  userAgent: req.get("user-agent"),
+});
+
+module.exports = {
+  getRequestContext,
+};
@@ -0,0 +1,189 @@
+// src/utils/revisions.js
+// Optimistic concurrency helpers for tables with version and
+// revision_history columns. Clients send the version they last read (as an
+// If-Match ETag or a version field); each accepted update bumps the version
+// and appends a compact revision holding only the fields that changed.
+
+const { parseJsonColumn } = require("./jsonColumn");
+
+// Oldest revisions are dropped beyond this
+const MAX_REVISIONS = 50;
+
+// Bookkeeping columns left out of revisions; user_id is the last editor,
+// which the revision already has as changed_by
+const UNTRACKED_FIELDS = [
+  "version",
+  "revision_history",
+  "updated_at",
+  "user_id",
+  "state_transition_history",
+];
+
+/**
+ * Format a version as a strong ETag
+ * @param {number} version
+ * @returns {string} e.g. "3"
+ */
+const toEtag = (version) => `"${version ?? 1}"`;
+
+/**
+ * Read a version from an If-Match header
+ * @param {string} [header] e.g. "3", W/"3" or 3
+ * @returns {number|null} Version, or null when missing or not a version
+ */
+const parseEtag = (header) => {
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(String(header ?? "").trim());
+  return match ? Number(match[1]) : null;
+};
+
+// JSON columns come back as strings from SQLite
+const readValue = (value) => {
+  if (typeof value !== "string") {
+    return value ?? null;
+  }
+  const parsed = parseJsonColumn(value, value);
+  return parsed !== null && typeof parsed === "object" ? parsed : value;
+};
+
+// Compare values as they would be stored
+const normalize = (value) => {
+  const read = readValue(value instanceof Date ? value.toISOString() : value);
+  if (typeof read === "boolean") {
+    return read ? "1" : "0";
+  }
+  return typeof read === "string" ? read : JSON.stringify(read);
+};
+
+/**
+ * Fields an update changes
+ * @param {Object} before Current row
+ * @param {Object} changes Columns being written
+ * @returns {Object} { field: { from, to } } for each changed field
+ */
+const diffFields = (before, changes) =>
+  Object.entries(changes)
+    .filter(
+      ([field, value]) =>
+        !UNTRACKED_FIELDS.includes(field) &&
+        value !== undefined &&
+        normalize(before[field]) !== normalize(value)
+    )
+    .reduce(
+      (diff, [field, value]) => ({
+        ...diff,
+        [field]: {
+          from: readValue(before[field]),
+          to: readValue(value),
+        },
+      }),
+      {}
+    );
+
+/**
+ * Append a revision to a revision_history column value
+ * @param {string|Array} history Current column value
+ * @param {Object} revision { version, changed_by, changed_at, changes }
+ * @returns {string} New column value
+ */
+const appendRevision = (history, revision) =>
+  JSON.stringify(
+    [...parseJsonColumn(history, []), revision].slice(-MAX_REVISIONS)
+  );
+
+/**
+ * What changed after a version, merged across revisions
+ * @param {string|Array} history revision_history column value
+ * @param {number} version Version the client last read
+ * @returns {Object} { field: { from, to } } from the oldest to the newest value
+ */
+const changesSince = (history, version) =>
+  parseJsonColumn(history, [])
+    .filter((revision) => revision.version > version)
+    .sort((a, b) => a.version - b.version)
+    .reduce((merged, revision) => {
+      for (const [field, change] of Object.entries(revision.changes || {})) {
+        merged[field] = {
+          from: merged[field] ? merged[field].from : change.from,
+          to: change.to,
+        };
+      }
+      return merged;
+    }, {});
+
+/**
+ * Details for a version conflict, or null when the versions match
+ * @param {Object} current Current row
+ * @param {number} expectedVersion Version the client last read
+ * @param {Object} changes Columns the client is writing
+ * @returns {Object|null} { expectedVersion, currentVersion, changes, conflicts }
+ */
+const versionConflict = (current, expectedVersion, changes) => {
+  const currentVersion = current.version ?? 1;
+  if (expectedVersion === currentVersion) {
+    return null;
+  }
+
+  const changed = changesSince(current.revision_history, expectedVersion);
+  return {
+    expectedVersion,
+    currentVersion,
+    changes: changed,
+    // Fields both sides changed
+    conflicts: Object.keys(changes).filter((field) => field in changed),
+  };
+};
+
+/**
+ * Version bump and revision for an update
+ * @param {Object} current Current row
+ * @param {Object} changes Columns being written
+ * @param {number} [userId] User making the change
+ * @returns {{version: number, revision_history: string}} Columns to write with the update
+ */
+const nextRevision = (current, changes, userId) => {
+  const version = (current.version ?? 1) + 1;
+
+  return {
+    version,
+    revision_history: appendRevision(current.revision_history, {
+      version,
+      changed_by: userId ?? null,
+      changed_at: new Date().toISOString(),
+      changes: diffFields(current, changes),
+    }),
+  };
+};
+
+/**
+ * Write changes to a versioned row with its version bump and revision, so
+ * clients holding an older version get a conflict instead of overwriting
+ * them. The row is read first, so several writes in one transaction each
+ * get their own revision.
+ * @param {Object} db Knex instance or transaction
+ * @param {string} table
+ * @param {number} id
+ * @param {Object} changes Columns to write
+ * @param {number} [userId] User making the change; null for system changes
+ * @returns {Promise<Object|undefined>} Updated row, undefined when missing
+ */
+const updateWithRevision = async (db, table, id, changes, userId) => {
+  const current = await db(table).where({ id }).first();
+  if (!current) {
+    return undefined;
+  }
+
+  const [updated] = await db(table)
+    .where({ id })
+    .update({ ...changes, ...nextRevision(current, changes, userId) })
+    .returning("*");
+  return updated;
+};
+
+module.exports = {
+  toEtag,
+  parseEtag,
+  diffFields,
+  versionConflict,
+  nextRevision,
+  updateWithRevision,
+};
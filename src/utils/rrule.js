@@ -0,0 +1,429 @@
+// src/utils/rrule.js
+// Day-granularity subset of RFC 5545 recurrence rules (RRULE) used for event
+// recurrence. Time-of-day parts (BYHOUR, BYMINUTE, ...) are not supported
+// because occurrences are scheduled per day using events.time_preference.
+const {
+  addDays,
+  addMonths,
+  addWeeks,
+  addYears,
+  differenceInCalendarDays,
+  getDay,
+  getDaysInMonth,
+  startOfWeek,
+} = require("date-fns");
+const { toDay } = require("./dateHelpers");
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const SUPPORTED_PARTS = [
+  "FREQ",
+  "INTERVAL",
+  "COUNT",
+  "UNTIL",
+  "BYDAY",
+  "BYMONTHDAY",
+  "BYMONTH",
+  "BYSETPOS",
+  "WKST",
+];
+
+// Guards against rules that can never produce another occurrence
+const MAX_PERIODS = 100000;
+
+/**
+ * Parse a comma separated list of integers within bounds
+ * @private
+ */
+const parseIntegerList = (part, value, min, max) =>
+  value.split(",").map((token) => {
+    const number = Number(token);
+    if (
+      !Number.isInteger(number) ||
+      number === 0 ||
+      Math.abs(number) < min ||
+      Math.abs(number) > max
+    ) {
+      throw new Error(`${part} value "${token}" is out of range`);
+    }
+    return number;
+  });
+
+/**
+ * Parse an UNTIL value (DATE or DATE-TIME form) into a calendar day
+ * @private
+ */
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+  if (!match) {
+    throw new Error(`UNTIL value "${value}" is not a valid date`);
+  }
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+};
+
+/**
+ * Parse and validate an RRULE string
+ * @param {string} value e.g. "FREQ=MONTHLY;BYDAY=2TU" (an "RRULE:" prefix is allowed)
+ * @returns {Object} Parsed rule
+ * @throws {Error} When the rule is malformed or uses unsupported parts
+ */
+const parseRRule = (value) => {
+  if (typeof value !== "string" || !value.trim()) {
+    throw new Error("Rule must be a non-empty string");
+  }
+
+  const source = value.trim().replace(/^RRULE:/i, "");
+  const parts = {};
+
+  for (const segment of source.split(";").filter(Boolean)) {
+    const [rawKey, rawValue] = segment.split("=");
+    const key = rawKey.trim().toUpperCase();
+
+    if (!rawValue) {
+      throw new Error(`Missing value for ${key}`);
+    }
+    if (!SUPPORTED_PARTS.includes(key)) {
+      throw new Error(`${key} is not supported`);
+    }
+    if (parts[key] !== undefined) {
+      throw new Error(`${key} is specified more than once`);
+    }
+    parts[key] = rawValue.trim().toUpperCase();
+  }
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new Error(`FREQ must be one of ${FREQUENCIES.join(", ")}`);
+  }
+  if (parts.COUNT && parts.UNTIL) {
+    throw new Error("COUNT and UNTIL cannot be combined");
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: null,
+    byMonthDay: null,
+    byMonth: null,
+    bySetPos: null,
+    weekStart: 1,
+  };
+
+  if (parts.INTERVAL) {
+    rule.interval = Number(parts.INTERVAL);
+    if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+      throw new Error("INTERVAL must be a positive integer");
+    }
+  }
+
+  if (parts.COUNT) {
+    rule.count = Number(parts.COUNT);
+    if (!Number.isInteger(rule.count) || rule.count < 1) {
+      throw new Error("COUNT must be a positive integer");
+    }
+  }
+
+  if (parts.UNTIL) {
+    rule.until = parseUntil(parts.UNTIL);
+  }
+
+  if (parts.BYDAY) {
+    rule.byDay = parts.BYDAY.split(",").map((token) => {
+      const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(token);
+      if (!match) {
+        throw new Error(`BYDAY value "${token}" is invalid`);
+      }
+
+      const ordinal = match[1] ? Number(match[1]) : null;
+      if (ordinal !== null) {
+        if (!["MONTHLY", "YEARLY"].includes(rule.freq)) {
+          throw new Error(
+            "BYDAY ordinals are only allowed with FREQ=MONTHLY or FREQ=YEARLY"
+          );
+        }
+        if (ordinal === 0 || Math.abs(ordinal) > 53) {
+          throw new Error(`BYDAY ordinal "${match[1]}" is out of range`);
+        }
+      }
+
+      return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+    });
+  }
+
+  if (parts.BYMONTHDAY) {
+    if (rule.freq === "WEEKLY") {
+      throw new Error("BYMONTHDAY is not allowed with FREQ=WEEKLY");
+    }
+    rule.byMonthDay = parseIntegerList("BYMONTHDAY", parts.BYMONTHDAY, 1, 31);
+  }
+
+  if (parts.BYMONTH) {
+    rule.byMonth = parseIntegerList("BYMONTH", parts.BYMONTH, 1, 12).map(
+      (month) => {
+        if (month < 0) {
+          throw new Error("BYMONTH values must be positive");
+        }
+        return month;
+      }
+    );
+  }
+
+  if (parts.BYSETPOS) {
+    if (!rule.byDay && !rule.byMonthDay && !rule.byMonth) {
+      throw new Error("BYSETPOS requires another BYxxx part");
+    }
+    rule.bySetPos = parseIntegerList("BYSETPOS", parts.BYSETPOS, 1, 366);
+  }
+
+  if (parts.WKST) {
+    rule.weekStart = WEEKDAYS.indexOf(parts.WKST);
+    if (rule.weekStart === -1) {
+      throw new Error(`WKST value "${parts.WKST}" is invalid`);
+    }
+  }
+
+  return rule;
+};
+
+/**
+ * Normalize an RRULE string to its canonical stored form
+ * @param {string} value
+ * @returns {string} Upper-case rule without the "RRULE:" prefix
+ */
+const normalizeRRule = (value) => {
+  parseRRule(value);
+  return value
+    .trim()
+    .replace(/^RRULE:/i, "")
+    .toUpperCase();
+};
+
+/**
+ * All days of a month matching a weekday, optionally narrowed to an ordinal
+ * @private
+ */
+const weekdaysInRange = (start, length, { weekday, ordinal }) => {
+  const days = [];
+  for (let offset = 0; offset < length; offset += 1) {
+    const day = addDays(start, offset);
+    if (getDay(day) === weekday) {
+      days.push(day);
+    }
+  }
+
+  if (ordinal === null) {
+    return days;
+  }
+
+  const picked = ordinal > 0 ? days[ordinal - 1] : days[days.length + ordinal];
+  return picked ? [picked] : [];
+};
+
+/**
+ * Resolve BYMONTHDAY values (negative counts from month end) for a month
+ * @private
+ */
+const monthDays = (monthStart, byMonthDay) => {
+  const length = getDaysInMonth(monthStart);
+  return byMonthDay
+    .map((day) => (day > 0 ? day : length + day + 1))
+    .filter((day) => day >= 1 && day <= length)
+    .map((day) => addDays(monthStart, day - 1));
+};
+
+/**
+ * Candidate days for a single month under MONTHLY/YEARLY expansion
+ * @private
+ */
+const expandMonth = (rule, monthStart, dtstart) => {
+  const length = getDaysInMonth(monthStart);
+
+  if (rule.byMonthDay) {
+    const days = monthDays(monthStart, rule.byMonthDay);
+    return rule.byDay
+      ? days.filter((day) =>
+          rule.byDay.some((spec) => spec.weekday === getDay(day))
+        )
+      : days;
+  }
+
+  if (rule.byDay) {
+    return rule.byDay.flatMap((spec) =>
+      weekdaysInRange(monthStart, length, spec)
+    );
+  }
+
+  return dtstart.getDate() <= length
+    ? [addDays(monthStart, dtstart.getDate() - 1)]
+    : [];
+};
+
+/**
+ * First day of the nth period of a rule
+ * @private
+ */
+const periodStart = (rule, dtstart, index) => {
+  const step = index * rule.interval;
+
+  switch (rule.freq) {
+    case "WEEKLY":
+      return addWeeks(
+        startOfWeek(dtstart, { weekStartsOn: rule.weekStart }),
+        step
+      );
+    case "MONTHLY":
+      return addMonths(
+        new Date(dtstart.getFullYear(), dtstart.getMonth(), 1),
+        step
+      );
+    case "YEARLY":
+      return addYears(new Date(dtstart.getFullYear(), 0, 1), step);
+    default:
+      return addDays(dtstart, step);
+  }
+};
+
+/**
+ * Candidate days for the nth period of a rule, before BYSETPOS and bounds
+ * @private
+ */
+const expandPeriod = (rule, dtstart, index) => {
+  const start = periodStart(rule, dtstart, index);
+
+  switch (rule.freq) {
+    case "DAILY": {
+      const day = start;
+      const matchesDay =
+        !rule.byDay || rule.byDay.some((spec) => spec.weekday === getDay(day));
+      const matchesMonthDay =
+        !rule.byMonthDay ||
+        monthDays(
+          new Date(day.getFullYear(), day.getMonth(), 1),
+          rule.byMonthDay
+        )
+          .map((candidate) => candidate.getDate())
+          .includes(day.getDate());
+      return matchesDay && matchesMonthDay ? [day] : [];
+    }
+
+    case "WEEKLY": {
+      const weekdays = rule.byDay
+        ? rule.byDay.map((spec) => spec.weekday)
+        : [getDay(dtstart)];
+      return [0, 1, 2, 3, 4, 5, 6]
+        .map((offset) => addDays(start, offset))
+        .filter((day) => weekdays.includes(getDay(day)));
+    }
+
+    case "MONTHLY":
+      return expandMonth(rule, start, dtstart);
+
+    case "YEARLY": {
+      const yearStart = start;
+
+      // Ordinal weekdays without BYMONTH are counted across the whole year
+      if (rule.byDay && !rule.byMonth && !rule.byMonthDay) {
+        const length = differenceInCalendarDays(
+          addYears(yearStart, 1),
+          yearStart
+        );
+        return rule.byDay.flatMap((spec) =>
+          weekdaysInRange(yearStart, length, spec)
+        );
+      }
+
+      const months =
+        rule.byMonth ||
+        (rule.byMonthDay ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : null);
+
+      if (!months) {
+        const day = new Date(
+          yearStart.getFullYear(),
+          dtstart.getMonth(),
+          dtstart.getDate()
+        );
+        return day.getMonth() === dtstart.getMonth() ? [day] : [];
+      }
+
+      return months.flatMap((month) =>
+        expandMonth(
+          rule,
+          new Date(yearStart.getFullYear(), month - 1, 1),
+          dtstart
+        )
+      );
+    }
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Expand a rule into occurrence days.
+ * COUNT is applied from dtstart before EXDATE removal, as in RFC 5545.
+ * @param {string|Object} rule RRULE string or a parsed rule
+ * @param {Date|string} dtstart First possible occurrence (DTSTART)
+ * @param {Object} options
+ * @param {Date} [options.from] Only return occurrences on or after this day
+ * @param {Date} options.to Only return occurrences on or before this day
+ * @param {Array<Date|string>} [options.exdates] Days to exclude (EXDATE)
+ * @returns {Array<Date>} Occurrence days in ascending order
+ */
+const expandRRule = (rule, dtstart, options = {}) => {
+  const parsed = typeof rule === "string" ? parseRRule(rule) : rule;
+  const start = toDay(dtstart);
+  const from = toDay(options.from) || start;
+  const to = toDay(options.to);
+
+  if (!start || !to) {
+    throw new Error("dtstart and options.to are required to expand a rule");
+  }
+
+  const excluded = new Set(
+    (options.exdates || []).map((date) => toDay(date)?.getTime())
+  );
+  const byMonth = parsed.byMonth && parsed.freq !== "YEARLY";
+  const occurrences = [];
+  let produced = 0;
+
+  for (let index = 0; index < MAX_PERIODS; index += 1) {
+    const periodFirstDay = periodStart(parsed, start, index);
+    if (periodFirstDay > to) break;
+    if (parsed.until && periodFirstDay > parsed.until) break;
+
+    let days = expandPeriod(parsed, start, index)
+      .filter((day) => !byMonth || parsed.byMonth.includes(day.getMonth() + 1))
+      .sort((a, b) => a - b);
+
+    if (parsed.bySetPos) {
+      const set = days;
+      days = parsed.bySetPos
+        .map((pos) => (pos > 0 ? set[pos - 1] : set[set.length + pos]))
+        .filter(Boolean)
+        .sort((a, b) => a - b);
+    }
+
+    for (const day of days) {
+      if (day < start) continue;
+      if (parsed.until && day > parsed.until) break;
+      if (parsed.count && produced >= parsed.count) break;
+
+      produced += 1;
+      if (day >= from && day <= to && !excluded.has(day.getTime())) {
+        occurrences.push(day);
+      }
+    }
+
+    if (parsed.count && produced >= parsed.count) break;
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  parseRRule,
+  normalizeRRule,
+  expandRRule,
+};
@@ -0,0 +1,226 @@
+// src/utils/ruleExpression.js
+// Small expression language for custom validation rules, e.g.
+//   instance.actual_duration <= event.estimated_duration * 2 && event.priority > 1
+// Expressions are parsed into a tree and interpreted; they never reach eval.
+// Supported: numbers, 'strings', true/false/null, dotted field paths,
+// + - * /, == != > >= < <=, ! && || and parentheses.
+
+const MAX_LENGTH = 1000;
+
+const TOKEN_PATTERN =
+  /\s*(?:(\d+(?:\.\d+)?)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|([A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*)|(==|!=|>=|<=|&&|\|\||[-+*/<>!()]))/y;
+
+const LITERALS = { true: true, false: false, null: null };
+
+const BINARY_PRECEDENCE = [
+  ["||"],
+  ["&&"],
+  ["==", "!=", ">=", "<=", ">", "<"],
+  ["+", "-"],
+  ["*", "/"],
+];
+
+/**
+ * Split an expression into tokens
+ * @private
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+
+    if (!match) {
+      if (source.slice(start).trim() === "") {
+        break;
+      }
+      throw new Error(`Unexpected character at position ${start}`);
+    }
+
+    const [, number, single, double, path, operator] = match;
+    if (number !== undefined) {
+      tokens.push({ type: "literal", value: Number(number) });
+    } else if (single !== undefined || double !== undefined) {
+      tokens.push({
+        type: "literal",
+        value: (single ?? double).replace(/\\(.)/g, "$1"),
+      });
+    } else if (path !== undefined) {
+      tokens.push(
+        Object.prototype.hasOwnProperty.call(LITERALS, path)
+          ? { type: "literal", value: LITERALS[path] }
+          : { type: "path", value: path }
+      );
+    } else {
+      tokens.push({ type: "operator", value: operator });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse an expression into a tree
+ * @param {string} source
+ * @returns {Object} Expression tree
+ * @throws {Error} When the expression is not valid
+ */
+const parseExpression = (source) => {
+  if (typeof source !== "string" || source.trim() === "") {
+    throw new Error("Expression is empty");
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new Error(`Expression is longer than ${MAX_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (token, values) =>
+    token && token.type === "operator" && values.includes(token.value);
+
+  const parseBinary = (level) => {
+    if (level === BINARY_PRECEDENCE.length) {
+      return parseUnary();
+    }
+
+    let left = parseBinary(level + 1);
+    while (isOperator(peek(), BINARY_PRECEDENCE[level])) {
+      const operator = tokens[position++].value;
+      left = { type: "binary", operator, left, right: parseBinary(level + 1) };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOperator(peek(), ["!", "-"])) {
+      const operator = tokens[position++].value;
+      return { type: "unary", operator, operand: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+
+    if (!token) {
+      throw new Error("Unexpected end of expression");
+    }
+    if (token.type === "literal" || token.type === "path") {
+      return token;
+    }
+    if (token.value === "(") {
+      const node = parseBinary(0);
+      if (!isOperator(tokens[position++], [")"])) {
+        throw new Error("Missing closing parenthesis");
+      }
+      return node;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const tree = parseBinary(0);
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  return tree;
+};
+
+/**
+ * Read a dotted path from a scope, following own properties only
+ * @param {Object} scope
+ * @param {string} path e.g. "event.title"
+ * @returns {*} Value, or undefined when any part is missing
+ */
+const resolvePath = (scope, path) =>
+  path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== null &&
+        typeof value === "object" &&
+        Object.prototype.hasOwnProperty.call(value, key)
+          ? value[key]
+          : undefined,
+      scope
+    );
+
+/**
+ * Interpret an expression tree
+ * @private
+ */
+const evaluateNode = (node, scope) => {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+
+    case "path": {
+      const value = resolvePath(scope, node.value);
+      return value === undefined ? null : value;
+    }
+
+    case "unary": {
+      const operand = evaluateNode(node.operand, scope);
+      return node.operator === "!" ? !operand : -operand;
+    }
+
+    default: {
+      if (node.operator === "&&") {
+        return (
+          evaluateNode(node.left, scope) && evaluateNode(node.right, scope)
+        );
+      }
+      if (node.operator === "||") {
+        return (
+          evaluateNode(node.left, scope) || evaluateNode(node.right, scope)
+        );
+      }
+
+      const left = evaluateNode(node.left, scope);
+      const right = evaluateNode(node.right, scope);
+      switch (node.operator) {
+        case "==":
+          return left === right;
+        case "!=":
+          return left !== right;
+        case ">":
+          return left > right;
+        case ">=":
+          return left >= right;
+        case "<":
+          return left < right;
+        case "<=":
+          return left <= right;
+        case "+":
+          return left + right;
+        case "-":
+          return left - right;
+        case "*":
+          return left * right;
+        default:
+          return left / right;
+      }
+    }
+  }
+};
+
+/**
+ * Evaluate an expression against a scope
+ * @param {string|Object} expression Source or a tree from parseExpression
+ * @param {Object} scope Values reachable by field paths
+ * @returns {*} Result
+ */
+const evaluateExpression = (expression, scope) =>
+  evaluateNode(
+    typeof expression === "string" ? parseExpression(expression) : expression,
+    scope
+  );
+
+module.exports = {
+  parseExpression,
+  evaluateExpression,
+  resolvePath,
+};
@@ -8,6 +8,7 @@ class MetricsCollector {
   constructor() {
     this.isCollecting = false;
     this.startTime = null;
+    this.stopTimer = null;
     this.config = config;
     this.collectors = {
       responseTime: responseTimeMetrics,
@@ -42,7 +43,7 @@ class MetricsCollector {
     this.startTime = Date.now();
 
     // Set up automatic collection stop
-    setTimeout(() => {
+    this.stopTimer = setTimeout(() => {
       this.stopCollecting();
     }, settings.duration + settings.warmup);
 
@@ -61,6 +62,8 @@ class MetricsCollector {
       return;
     }
 
+    clearTimeout(this.stopTimer);
+
     // Stop individual collectors
     this.collectors.memory.stopCollecting();
     this.collectors.cpu.stopCollecting();
@@ -0,0 +1,100 @@
+const request = require("supertest");
+const DatabaseService = require("../../../src/services/DatabaseService");
+const jwtService = require("../../../src/services/JWTService");
+const MetricsCollector = require("../../benchmarks/collectors/MetricsCollector");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+// Alert notifications push over WebSockets, which these routes never reach
+jest.mock("../../../src/services/AlertNotificationService", () => ({}));
+
+const app = require("../../../src/app");
+
+describe("/api/v1 routes", () => {
+  const db = DatabaseService.getKnex();
+  let user;
+  let other;
+  let token;
+  let event;
+  let instance;
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    user = await createUser(db);
+    other = await createUser(db);
+    token = jwtService.generateAccessToken({ userId: user.id });
+    event = await createEvent(db, user);
+    [instance] = await db("event_instances")
+      .insert({
+        event_id: event.id,
+        start_date: "2024-01-01",
+        end_date: "2024-01-01",
+        modified_history: JSON.stringify([]),
+      })
+      .returning("*");
+  });
+
+  afterAll(async () => {
+    MetricsCollector.stopCollecting();
+    await db.destroy();
+  });
+
+  it("should reject requests without a token", async () => {
+    const response = await request(app).get(
+      `/api/v1/events/${event.id}/instances`
+    );
+
+    expect(response.status).toBe(401);
+  });
+
+  it("should complete an occurrence as the authenticated user", async () => {
+    const response = await request(app)
+      .post(`/api/v1/events/${event.id}/instances/${instance.id}/complete`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ notes: "Done", actualDuration: 15 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      id: instance.id,
+      status: "completed",
+      completed_by: user.id,
+    });
+  });
+
+  it("should update an instance as its creator", async () => {
+    const id = "8f14e45f-ceea-467f-a8f1-8b6c2a0e1d04";
+    await db("instances").insert({
+      id,
+      name: "Smith household",
+      type: "household",
+      created_by: user.id,
+    });
+    const rename = (userId, name) =>
+      request(app)
+        .put(`/api/v1/instances/${id}`)
+        .set(
+          "Authorization",
+          `Bearer ${jwtService.generateAccessToken({ userId })}`
+        )
+        .set("If-Match", '"1"')
+        .send({ name });
+
+    expect((await rename(other.id, "Not yours")).status).toBe(403);
+
+    const response = await rename(user.id, "Smith-Jones household");
+    expect(response.status).toBe(200);
+    expect(response.headers.etag).toBe('"2"');
+    expect(response.body.data).toMatchObject({
+      name: "Smith-Jones household",
+      version: 2,
+    });
+  });
+});
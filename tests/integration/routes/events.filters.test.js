@@ -0,0 +1,119 @@
+const express = require("express");
+const request = require("supertest");
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const eventRoutes = require("../../../src/routes/api/events.routes");
+const errorHandler = require("../../../src/middleware/errorHandler");
+
+describe("GET /api/v1/events filters", () => {
+  const db = DatabaseService.getKnex();
+  let app;
+  let parent;
+  let upstairs;
+  let bathroom;
+  let kitchen;
+  let kids;
+
+  const list = (query) =>
+    request(app).get("/api/v1/events").query(query).expect(200);
+
+  const titles = (response) =>
+    response.body.data.map((event) => event.title).sort();
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    parent = await createUser(db);
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { userId: parent.id };
+      next();
+    });
+    app.use("/api/v1/events", eventRoutes);
+    app.use(errorHandler);
+
+    [upstairs] = await db("locations")
+      .insert({ name: "Upstairs" })
+      .returning("*");
+    [bathroom] = await db("locations")
+      .insert({ name: "Bathroom", parent_id: upstairs.id })
+      .returning("*");
+    [kitchen] = await db("locations")
+      .insert({ name: "Kitchen" })
+      .returning("*");
+    [kids] = await db("groups").insert({ name: "Kids" }).returning("*");
+
+    await createEvent(db, parent, {
+      title: "Scrub the tub",
+      location_id: bathroom.id,
+      risk_level: "high",
+    });
+    await createEvent(db, parent, {
+      title: "Clean the oven",
+      location_id: kitchen.id,
+      risk_level: "critical",
+      assigned_group_id: kids.id,
+    });
+    await createEvent(db, parent, {
+      title: "Water the plants",
+      location_id: upstairs.id,
+    });
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  it("should filter by nested location, risk level and group", async () => {
+    expect(titles(await list({ locationId: upstairs.id }))).toEqual([
+      "Scrub the tub",
+      "Water the plants",
+    ]);
+    expect(titles(await list({ riskLevel: "high,critical" }))).toEqual([
+      "Clean the oven",
+      "Scrub the tub",
+    ]);
+    expect(titles(await list({ assignedGroupId: kids.id }))).toEqual([
+      "Clean the oven",
+    ]);
+  });
+
+  it("should paginate with validated numbers", async () => {
+    const response = await list({ limit: "2" });
+
+    expect(response.body.data).toHaveLength(2);
+    expect(response.body.metadata.pagination).toEqual({
+      page: 1,
+      limit: 2,
+      total: 3,
+      totalPages: 2,
+    });
+  });
+
+  it("should reject unknown risk levels and malformed ids", async () => {
+    const riskLevel = await request(app)
+      .get("/api/v1/events")
+      .query({ riskLevel: "high,extreme" });
+    expect(riskLevel.status).toBe(400);
+    expect(riskLevel.body.error.details.errors).toEqual([
+      expect.objectContaining({ field: "riskLevel" }),
+    ]);
+
+    const locationId = await request(app)
+      .get("/api/v1/events")
+      .query({ locationId: "upstairs" });
+    expect(locationId.status).toBe(400);
+  });
+});
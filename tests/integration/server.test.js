@@ -0,0 +1,56 @@
+const { once } = require("events");
+const DatabaseService = require("../../src/services/DatabaseService");
+const SchedulerService = require("../../src/services/SchedulerService");
+const MetricsCollector = require("../benchmarks/collectors/MetricsCollector");
+const { migrateEventSchema } = require("../utils/eventDatabase");
+
+jest.mock("../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+// Alert notifications push over WebSockets, which startup never reaches
+jest.mock("../../src/services/AlertNotificationService", () => ({}));
+
+describe("server startup", () => {
+  const db = DatabaseService.getKnex();
+  let server;
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    process.env.PORT = "0";
+    process.env.ENABLE_BACKGROUND_JOBS = "true";
+
+    server = require("../../src/server");
+    await once(server, "listening");
+  });
+
+  afterAll(async () => {
+    SchedulerService.stop();
+    MetricsCollector.stopCollecting();
+    server.close();
+    delete process.env.ENABLE_BACKGROUND_JOBS;
+    delete process.env.PORT;
+    await db.destroy();
+  });
+
+  it("should schedule the background jobs once listening", async () => {
+    expect(SchedulerService.getStatus()).toEqual([
+      expect.objectContaining({ name: "recurrence", isScheduled: true }),
+      expect.objectContaining({ name: "escalation", isScheduled: true }),
+      expect.objectContaining({ name: "trash-purge", isScheduled: true }),
+    ]);
+
+    for (const { name } of SchedulerService.getStatus()) {
+      await SchedulerService.runJob(name);
+    }
+    expect(SchedulerService.getStatus()).toEqual(
+      Array(3).fill(
+        expect.objectContaining({
+          lastRunAt: expect.any(Date),
+          lastError: null,
+        })
+      )
+    );
+  });
+});
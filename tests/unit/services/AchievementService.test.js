@@ -0,0 +1,194 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+const { toDateString } = require("../../../src/utils/dateHelpers");
+const { addDays, addMonths } = require("date-fns");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const AchievementService = require("../../../src/services/AchievementService");
+const EventInstanceService = require("../../../src/services/EventInstanceService");
+
+describe("AchievementService", () => {
+  const db = DatabaseService.getKnex();
+  let parent;
+  let kid;
+
+  const daysAgo = (days) => toDateString(addDays(new Date(), -days));
+
+  // Occurrences by day: "done", "late", "skipped", "open", or "other" for
+  // one completed by someone else
+  const createHistory = async (event, days) => {
+    for (const [day, state] of days) {
+      const done = ["done", "late", "other"].includes(state);
+      await db("event_instances").insert({
+        event_id: event.id,
+        start_date: day,
+        end_date: day,
+        completion_status: {
+          done: "completed",
+          late: "late",
+          other: "completed",
+          skipped: "skipped",
+          open: "pending",
+        }[state],
+        completed_by: done ? (state === "other" ? parent.id : kid.id) : null,
+        completed_at: done ? new Date(`${day}T18:00:00`) : null,
+        modified_history: JSON.stringify([]),
+      });
+    }
+  };
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    parent = await createUser(db);
+    kid = await createUser(db);
+  });
+
+  afterAll(async () => {
+    AchievementService.setConfig();
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    AchievementService.setConfig();
+    await db("user_badges").del();
+    await db("points_ledger").del();
+    await db("event_instances").del();
+    await db("events").del();
+  });
+
+  it("should compute current and longest streaks per event", async () => {
+    const dishes = await createEvent(db, parent, {
+      title: "Dishes",
+      assigned_to: kid.id,
+    });
+    await createHistory(dishes, [
+      [daysAgo(8), "done"],
+      [daysAgo(7), "late"],
+      [daysAgo(6), "other"],
+      [daysAgo(5), "done"],
+      [daysAgo(4), "skipped"],
+      [daysAgo(3), "done"],
+      [daysAgo(2), "done"],
+      [daysAgo(0), "open"],
+    ]);
+    const bins = await createEvent(db, parent, {
+      title: "Bins",
+      assigned_to: kid.id,
+    });
+    await createHistory(bins, [
+      [daysAgo(6), "done"],
+      [daysAgo(3), "open"],
+    ]);
+
+    const streaks = await AchievementService.getStreaks(kid.id);
+
+    expect(streaks).toEqual([
+      expect.objectContaining({ event_id: dishes.id, current: 2, longest: 3 }),
+      expect.objectContaining({ event_id: bins.id, current: 0, longest: 1 }),
+    ]);
+  });
+
+  it("should award badges once when a completion earns them", async () => {
+    AchievementService.setConfig({
+      streaks: { graceDays: 1 },
+      badges: [
+        {
+          key: "streak_3",
+          name: "3-day streak",
+          criteria: { type: "streak", count: 3 },
+        },
+        {
+          key: "chores_5",
+          name: "5 chores",
+          criteria: { type: "completions", count: 5 },
+        },
+      ],
+    });
+    const event = await createEvent(db, parent, { assigned_to: kid.id });
+    await createHistory(event, [
+      [daysAgo(2), "done"],
+      [daysAgo(1), "done"],
+    ]);
+    const [tomorrow, later] = await db("event_instances")
+      .insert(
+        ["2099-01-01", "2099-01-02"].map((day) => ({
+          event_id: event.id,
+          start_date: day,
+          end_date: day,
+          modified_history: JSON.stringify([]),
+        }))
+      )
+      .returning("*");
+
+    await EventInstanceService.completeInstance(
+      event.id,
+      tomorrow.id,
+      {},
+      { userId: kid.id }
+    );
+    await EventInstanceService.completeInstance(
+      event.id,
+      later.id,
+      {},
+      { userId: kid.id }
+    );
+
+    const badges = await AchievementService.getBadges(kid.id);
+    expect(badges).toHaveLength(1);
+    expect(badges[0]).toMatchObject({
+      badge_key: "streak_3",
+      name: "3-day streak",
+      event_id: event.id,
+      details: { streak: 3 },
+    });
+  });
+
+  it("should award the monthly on-time badge once the month is over", async () => {
+    AchievementService.setConfig({
+      streaks: { graceDays: 1 },
+      badges: [
+        {
+          key: "never_late_month",
+          name: "Never late this month",
+          criteria: { type: "on_time_month", minimum: 2 },
+        },
+      ],
+    });
+    const now = new Date(2026, 9, 19);
+    const event = await createEvent(db, parent, { assigned_to: kid.id });
+    await createHistory(event, [
+      ["2026-09-03", "done"],
+      ["2026-09-20", "done"],
+      ["2026-10-02", "late"],
+    ]);
+
+    const awards = await AchievementService.evaluateBadges(db, kid.id, {
+      now,
+    });
+    expect(awards).toEqual([
+      expect.objectContaining({
+        badge_key: "never_late_month",
+        period: "2026-09",
+      }),
+    ]);
+    expect(
+      await AchievementService.evaluateBadges(db, kid.id, { now })
+    ).toEqual([]);
+
+    // October had a late completion
+    expect(
+      await AchievementService.evaluateBadges(db, kid.id, {
+        now: addMonths(now, 1),
+      })
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,225 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const ApprovalService = require("../../../src/services/ApprovalService");
+const EventInstanceService = require("../../../src/services/EventInstanceService");
+
+describe("ApprovalService", () => {
+  const db = DatabaseService.getKnex();
+  let parent;
+  let otherParent;
+  let kid;
+
+  const contextFor = (user) => ({
+    userId: user.id,
+    ipAddress: "10.0.0.1",
+    userAgent: "jest",
+  });
+
+  const completeChore = async (eventOverrides = {}) => {
+    const event = await createEvent(db, parent, {
+      assigned_to: kid.id,
+      requires_approval: true,
+      ...eventOverrides,
+    });
+    const [instance] = await db("event_instances")
+      .insert({
+        event_id: event.id,
+        start_date: "2099-01-01",
+        end_date: "2099-01-01",
+        modified_history: JSON.stringify([]),
+      })
+      .returning("*");
+
+    const completed = await EventInstanceService.completeInstance(
+      event.id,
+      instance.id,
+      { notes: "Cleaned my room" },
+      contextFor(kid)
+    );
+
+    return { event, instance: completed };
+  };
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    parent = await createUser(db);
+    otherParent = await createUser(db);
+    kid = await createUser(db);
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("event_approvals").del();
+    await db("event_instances").del();
+    await db("events").del();
+    await db("group_members").del();
+    await db("groups").del();
+  });
+
+  it("should hold completions until the assigner approves", async () => {
+    const { event, instance } = await completeChore();
+
+    expect(instance.completion_status).toBe("pending_approval");
+
+    const approvals = await ApprovalService.getApprovals(event.id, instance.id);
+    expect(approvals).toEqual([
+      expect.objectContaining({
+        approver_id: parent.id,
+        level: 1,
+        status: "pending",
+      }),
+    ]);
+
+    const result = await ApprovalService.approve(
+      event.id,
+      instance.id,
+      { notes: "Looks great" },
+      contextFor(parent)
+    );
+
+    expect(result.approval).toMatchObject({
+      status: "approved",
+      notes: "Looks great",
+      ip_address: "10.0.0.1",
+      user_agent: "jest",
+    });
+    expect(result.instance).toMatchObject({
+      status: "completed",
+      completion_status: "completed",
+      approved_by: parent.id,
+    });
+  });
+
+  it("should require every approver of a level for the all type", async () => {
+    const { event, instance } = await completeChore({
+      approval_type: "all",
+      approval_chain: JSON.stringify([[parent.id, otherParent.id]]),
+    });
+
+    const first = await ApprovalService.approve(
+      event.id,
+      instance.id,
+      {},
+      contextFor(parent)
+    );
+    expect(first.instance.completion_status).toBe("pending_approval");
+
+    const second = await ApprovalService.approve(
+      event.id,
+      instance.id,
+      {},
+      contextFor(otherParent)
+    );
+    expect(second.instance.completion_status).toBe("completed");
+  });
+
+  it("should open the next level only after the previous one passes", async () => {
+    const { event, instance } = await completeChore({
+      approval_level: 2,
+      approval_chain: JSON.stringify([[parent.id], [otherParent.id]]),
+    });
+
+    await expect(
+      ApprovalService.approve(
+        event.id,
+        instance.id,
+        {},
+        contextFor(otherParent)
+      )
+    ).rejects.toMatchObject({ code: "BUS002" });
+
+    await ApprovalService.approve(
+      event.id,
+      instance.id,
+      {},
+      contextFor(parent)
+    );
+    const result = await ApprovalService.approve(
+      event.id,
+      instance.id,
+      {},
+      contextFor(otherParent)
+    );
+
+    expect(result.instance.completion_status).toBe("completed");
+    const approvals = await ApprovalService.getApprovals(event.id, instance.id);
+    expect(approvals.map((a) => [a.level, a.status])).toEqual([
+      [1, "approved"],
+      [2, "approved"],
+    ]);
+  });
+
+  it("should let any group member approve and cancel the others", async () => {
+    const [group] = await db("groups")
+      .insert({ name: "Parents" })
+      .returning("*");
+    await db("group_members").insert([
+      { group_id: group.id, user_id: parent.id },
+      { group_id: group.id, user_id: otherParent.id },
+      { group_id: group.id, user_id: kid.id },
+    ]);
+    const { event, instance } = await completeChore({
+      approval_type: "any-of-group",
+      approver_group_id: group.id,
+    });
+
+    const result = await ApprovalService.approve(
+      event.id,
+      instance.id,
+      {},
+      contextFor(otherParent)
+    );
+
+    expect(result.instance.completion_status).toBe("completed");
+    const approvals = await ApprovalService.getApprovals(event.id, instance.id);
+    expect(approvals.map((a) => [a.approver_id, a.status])).toEqual([
+      [parent.id, "cancelled"],
+      [otherParent.id, "approved"],
+    ]);
+  });
+
+  it("should send rejected completions back to pending", async () => {
+    const { event, instance } = await completeChore();
+
+    const result = await ApprovalService.reject(
+      event.id,
+      instance.id,
+      { notes: "Bed is not made" },
+      contextFor(parent)
+    );
+
+    expect(result.approval.status).toBe("rejected");
+    expect(result.instance).toMatchObject({
+      status: "active",
+      completion_status: "pending",
+      completed_by: null,
+    });
+    expect(result.instance.modified_history.pop()).toMatchObject({
+      action: "rejected",
+      notes: "Bed is not made",
+    });
+  });
+
+  it("should not let users approve their own completions", async () => {
+    await expect(
+      completeChore({ approval_chain: JSON.stringify([[kid.id]]) })
+    ).rejects.toMatchObject({
+      code: "BUS001",
+      details: expect.objectContaining({ rule: "APPROVER_REQUIRED" }),
+    });
+  });
+});
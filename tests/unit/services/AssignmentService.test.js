@@ -0,0 +1,275 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+jest.mock("../../../src/services/LoggerService", () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const AssignmentService = require("../../../src/services/AssignmentService");
+const DelegationService = require("../../../src/services/DelegationService");
+const RecurrenceService = require("../../../src/services/RecurrenceService");
+const EventInstanceService = require("../../../src/services/EventInstanceService");
+
+describe("AssignmentService", () => {
+  const db = DatabaseService.getKnex();
+  let parent;
+  let kids;
+  let event;
+  let context;
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    parent = await createUser(db);
+    kids = [await createUser(db), await createUser(db), await createUser(db)];
+    context = { userId: parent.id };
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("event_delegations").del();
+    await db("event_assignments").del();
+    await db("instance_ranges").del();
+    await db("event_instances").del();
+    await db("events").del();
+    event = await createEvent(db, parent, {
+      title: "Dish duty",
+      assigned_to: null,
+      effective_date: "2024-01-01",
+      recurrence_rule: "FREQ=WEEKLY;BYDAY=MO",
+    });
+  });
+
+  const assignKids = async () => {
+    for (const kid of kids) {
+      await AssignmentService.addAssignment(
+        event.id,
+        { userId: kid.id, canDelegate: true },
+        context
+      );
+    }
+    await AssignmentService.addAssignment(
+      event.id,
+      { userId: parent.id, role: "reviewer" },
+      context
+    );
+  };
+
+  const startRotation = async () => {
+    await db("events")
+      .where({ id: event.id })
+      .update({ assignment_mode: "rotation" });
+    await assignKids();
+  };
+
+  const generate = (from, to) =>
+    RecurrenceService.generateInstances(event.id, {
+      from: new Date(from),
+      to: new Date(to),
+    });
+
+  const rotationOf = async () =>
+    (
+      await db("event_instances")
+        .where({ event_id: event.id })
+        .orderBy("start_date")
+    ).map((instance) =>
+      kids.findIndex((kid) => kid.id === instance.assigned_to)
+    );
+
+  describe("assignments", () => {
+    it("should add users with roles in order", async () => {
+      await assignKids();
+
+      const assignments = await AssignmentService.getAssignments(event.id);
+
+      expect(
+        assignments.map((assignment) => [
+          assignment.user_id,
+          assignment.role,
+          assignment.order,
+        ])
+      ).toEqual([
+        [kids[0].id, "assignee", 0],
+        [kids[1].id, "assignee", 1],
+        [kids[2].id, "assignee", 2],
+        [parent.id, "reviewer", 3],
+      ]);
+      expect(assignments[0].history).toEqual([
+        expect.objectContaining({ action: "assigned", role: "assignee" }),
+      ]);
+      await expect(
+        AssignmentService.addAssignment(event.id, { userId: kids[0].id })
+      ).rejects.toMatchObject({ code: "VAL003" });
+      await expect(
+        AssignmentService.addAssignment(event.id, { userId: 9999 })
+      ).rejects.toMatchObject({ code: "RES001" });
+    });
+
+    it("should keep the event's assignee in line with its assignments", async () => {
+      await assignKids();
+      const getAssignedTo = async () =>
+        (await db("events").where({ id: event.id }).first()).assigned_to;
+
+      expect(await getAssignedTo()).toBe(kids[0].id);
+
+      const [first, second] = await AssignmentService.getAssignments(event.id);
+      await AssignmentService.removeAssignment(event.id, first.id);
+      expect(await getAssignedTo()).toBe(kids[1].id);
+
+      await AssignmentService.updateAssignment(
+        event.id,
+        second.id,
+        { role: "observer" },
+        context
+      );
+      expect(await getAssignedTo()).toBe(kids[2].id);
+    });
+  });
+
+  describe("rotation", () => {
+    it("should cycle assignees across generated occurrences", async () => {
+      await startRotation();
+
+      await generate("2024-01-01", "2024-01-29");
+      expect(await rotationOf()).toEqual([0, 1, 2, 0, 1]);
+
+      await generate("2024-02-01", "2024-02-12");
+      expect(await rotationOf()).toEqual([0, 1, 2, 0, 1, 2, 0]);
+    });
+
+    it("should continue after the previous assignee when the rotation changes", async () => {
+      await startRotation();
+      await generate("2024-01-01", "2024-01-08");
+      const fourth = await createUser(db);
+      await AssignmentService.addAssignment(
+        event.id,
+        { userId: fourth.id, order: 1 },
+        context
+      );
+
+      await generate("2024-01-15", "2024-01-29");
+
+      const assignees = await db("event_instances")
+        .where({ event_id: event.id })
+        .orderBy("start_date")
+        .pluck("assigned_to");
+      expect(assignees).toEqual([
+        kids[0].id,
+        kids[1].id,
+        fourth.id,
+        kids[2].id,
+        kids[0].id,
+      ]);
+    });
+
+    it("should list only each member's own occurrences", async () => {
+      await startRotation();
+      await generate("2024-01-01", "2024-01-29");
+
+      const { data } = await EventInstanceService.getAssignedInstances(
+        kids[1].id
+      );
+
+      expect(data.map((instance) => instance.start_date)).toEqual([
+        "2024-01-08",
+        "2024-01-29",
+      ]);
+    });
+
+    it("should only hand a delegate the delegator's occurrences", async () => {
+      await startRotation();
+      await generate("2024-01-01", "2024-01-29");
+      await DelegationService.createDelegation(
+        event.id,
+        {
+          delegatedTo: kids[2].id,
+          startDate: "2024-01-01",
+          endDate: "2024-01-14",
+        },
+        { userId: kids[1].id }
+      );
+
+      const listed = async (user) => {
+        const { data } = await EventInstanceService.getAssignedInstances(
+          user.id
+        );
+        return data.map((instance) => [
+          instance.start_date,
+          instance.delegated_from,
+        ]);
+      };
+
+      expect(await listed(kids[2])).toEqual([
+        ["2024-01-08", kids[1].id],
+        ["2024-01-15", null],
+      ]);
+      expect(await listed(kids[0])).toEqual([
+        ["2024-01-01", null],
+        ["2024-01-22", null],
+      ]);
+      expect(await listed(kids[1])).toEqual([["2024-01-29", null]]);
+    });
+  });
+
+  describe("getCurrentAssignee", () => {
+    it("should report who is on duty for a date", async () => {
+      await startRotation();
+      await generate("2024-01-01", "2024-01-29");
+
+      expect(
+        await AssignmentService.getCurrentAssignee(event.id, "2024-01-10")
+      ).toMatchObject({
+        date: "2024-01-10",
+        assignment_mode: "rotation",
+        user_id: kids[1].id,
+        delegation_id: null,
+      });
+    });
+
+    it("should hand the duty to a delegate during the delegation", async () => {
+      await startRotation();
+      await generate("2024-01-01", "2024-01-29");
+      const delegation = await DelegationService.createDelegation(
+        event.id,
+        {
+          delegatedTo: kids[2].id,
+          startDate: "2024-01-08",
+          endDate: "2024-01-14",
+        },
+        { userId: kids[1].id }
+      );
+
+      expect(
+        await AssignmentService.getCurrentAssignee(event.id, "2024-01-10")
+      ).toMatchObject({
+        user_id: kids[2].id,
+        assigned_user_id: kids[1].id,
+        delegation_id: delegation.id,
+      });
+    });
+
+    it("should use the event's assignee for fixed events", async () => {
+      await assignKids();
+
+      expect(
+        await AssignmentService.getCurrentAssignee(event.id, "2024-01-10")
+      ).toMatchObject({ assignment_mode: "fixed", user_id: kids[0].id });
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const BudgetService = require("../../../src/services/BudgetService");
+
+describe("BudgetService", () => {
+  const db = DatabaseService.getKnex();
+  const context = {};
+  let user;
+  let event;
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    user = await createUser(db);
+    context.userId = user.id;
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("event_budget_tracking").del();
+    await db("events").del();
+    event = await createEvent(db, user, {
+      title: "Restock cleaning supplies",
+      cost_center: "kitchen",
+    });
+  });
+
+  const record = (data, eventId = event.id) =>
+    BudgetService.recordTransaction(
+      eventId,
+      { date: "2024-03-01", ...data },
+      context
+    );
+
+  it("should keep actual_cost as the sum of expenses and adjustments", async () => {
+    await record({ type: "allocation", amount: 50 });
+    await record({
+      type: "expense",
+      amount: 12.5,
+      category: "detergent",
+      receipt: { vendor: "Corner shop", number: "A-17" },
+    });
+    await record({
+      type: "expense",
+      amount: 10,
+      currency: "EUR",
+      exchangeRate: 1.1,
+    });
+    const refund = await record({ type: "adjustment", amount: -2.5 });
+
+    expect(refund.budget).toMatchObject({
+      budget_allocated: 50,
+      actual_cost: 21,
+      remaining: 29,
+      is_over_budget: false,
+    });
+
+    const budget = await BudgetService.getBudget(event.id, {
+      type: "expense",
+    });
+    expect(budget.actual_cost).toBe(21);
+    expect(budget.transactions).toEqual([
+      expect.objectContaining({
+        amount: 12.5,
+        receipt_data: { vendor: "Corner shop", number: "A-17" },
+        transaction_date: "2024-03-01",
+      }),
+      expect.objectContaining({
+        amount: 10,
+        currency: "EUR",
+        exchange_rate: 1.1,
+      }),
+    ]);
+  });
+
+  it("should reject expenses past the budget unless flagged", async () => {
+    await record({ type: "allocation", amount: 20 });
+    await record({ type: "expense", amount: 15 });
+
+    await expect(record({ type: "expense", amount: 10 })).rejects.toMatchObject(
+      {
+        code: "BUS001",
+        details: expect.objectContaining({
+          rule: "BUDGET_EXCEEDED",
+          overBy: 5,
+        }),
+      }
+    );
+
+    const flagged = await record({
+      type: "expense",
+      amount: 10,
+      allowOverBudget: true,
+    });
+    expect(flagged.is_over_budget).toBe(true);
+    expect(flagged.budget).toMatchObject({
+      actual_cost: 25,
+      remaining: -5,
+      is_over_budget: true,
+    });
+  });
+
+  it("should not limit events without a budget", async () => {
+    const transaction = await record({ type: "expense", amount: 99 });
+
+    expect(transaction.is_over_budget).toBe(false);
+    await expect(record({ type: "expense", amount: 0 })).rejects.toMatchObject({
+      code: "VAL001",
+    });
+  });
+
+  it("should roll up transactions per cost center within a range", async () => {
+    const garden = await createEvent(db, user, { cost_center: "garden" });
+    const loose = await createEvent(db, user);
+    await record({ type: "allocation", amount: 100 });
+    await record({ type: "expense", amount: 30 });
+    await record({ type: "expense", amount: 5, date: "2024-04-02" });
+    await record({ type: "expense", amount: 40 }, garden.id);
+    await record({ type: "adjustment", amount: -4 }, garden.id);
+    await record({ type: "expense", amount: 8 }, loose.id);
+
+    const rollup = await BudgetService.getCostCenterRollup({
+      from: "2024-03-01",
+      to: "2024-03-31",
+    });
+
+    expect(rollup).toEqual([
+      {
+        cost_center: "garden",
+        allocated: 0,
+        spent: 40,
+        adjusted: -4,
+        net_cost: 36,
+        over_budget_expenses: 0,
+        event_count: 1,
+      },
+      expect.objectContaining({
+        cost_center: "kitchen",
+        allocated: 100,
+        spent: 30,
+        net_cost: 30,
+      }),
+      expect.objectContaining({ cost_center: null, spent: 8 }),
+    ]);
+    expect(
+      await BudgetService.getCostCenterRollup({ costCenter: "kitchen" })
+    ).toEqual([expect.objectContaining({ spent: 35 })]);
+  });
+});
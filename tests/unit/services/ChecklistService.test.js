@@ -0,0 +1,214 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const ChecklistService = require("../../../src/services/ChecklistService");
+const EventInstanceService = require("../../../src/services/EventInstanceService");
+
+describe("ChecklistService", () => {
+  const db = DatabaseService.getKnex();
+  let user;
+  let event;
+  let instance;
+  let context;
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    user = await createUser(db);
+    context = { userId: user.id };
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("instance_checklist_items").del();
+    await db("event_checklists").del();
+    await db("event_instances").del();
+    await db("events").del();
+    event = await createEvent(db, user);
+    [instance] = await db("event_instances")
+      .insert({
+        event_id: event.id,
+        start_date: "2099-01-01",
+        end_date: "2099-01-01",
+        modified_history: JSON.stringify([]),
+      })
+      .returning("*");
+  });
+
+  const createKitchenChecklist = (overrides = {}) =>
+    ChecklistService.createChecklist(event.id, {
+      title: "Clean kitchen",
+      items: [{ title: "Wipe counters" }, { title: "Load dishwasher" }],
+      ...overrides,
+    });
+
+  describe("checklist CRUD", () => {
+    it("should create a checklist with item ids and flag the event", async () => {
+      const checklist = await createKitchenChecklist();
+
+      expect(checklist).toMatchObject({
+        event_id: event.id,
+        title: "Clean kitchen",
+        is_required: true,
+      });
+      expect(checklist.checklist_items).toEqual([
+        { id: expect.any(String), title: "Wipe counters" },
+        { id: expect.any(String), title: "Load dishwasher" },
+      ]);
+
+      const updatedEvent = await db("events").where({ id: event.id }).first();
+      expect(Boolean(updatedEvent.requires_checklist)).toBe(true);
+    });
+
+    it("should keep item ids and their state across updates", async () => {
+      const checklist = await createKitchenChecklist();
+      const [counters] = checklist.checklist_items;
+      await ChecklistService.setItemState(
+        event.id,
+        instance.id,
+        checklist.id,
+        counters.id,
+        true,
+        context
+      );
+
+      const updated = await ChecklistService.updateChecklist(
+        event.id,
+        checklist.id,
+        { items: [counters, { title: "Mop floor" }] }
+      );
+      const [state] = await ChecklistService.getInstanceChecklists(
+        event.id,
+        instance.id
+      );
+
+      expect(updated.checklist_items[0].id).toBe(counters.id);
+      expect(state.items.map((item) => [item.title, item.completed])).toEqual([
+        ["Wipe counters", true],
+        ["Mop floor", false],
+      ]);
+    });
+
+    it("should clear the event flag when the last required checklist goes", async () => {
+      const checklist = await createKitchenChecklist();
+
+      await ChecklistService.deleteChecklist(event.id, checklist.id);
+
+      const updatedEvent = await db("events").where({ id: event.id }).first();
+      expect(Boolean(updatedEvent.requires_checklist)).toBe(false);
+      await expect(
+        ChecklistService.getChecklistById(event.id, checklist.id)
+      ).rejects.toMatchObject({ code: "RES001" });
+    });
+  });
+
+  describe("setItemState", () => {
+    it("should record who ticked off an item and when", async () => {
+      const checklist = await createKitchenChecklist();
+      const itemId = checklist.checklist_items[0].id;
+
+      const state = await ChecklistService.setItemState(
+        event.id,
+        instance.id,
+        checklist.id,
+        itemId,
+        true,
+        context
+      );
+
+      expect(state.completed).toBe(false);
+      expect(state.items[0]).toMatchObject({
+        id: itemId,
+        completed: true,
+        completed_by: user.id,
+      });
+      expect(state.items[0].completed_at).toBeTruthy();
+
+      const cleared = await ChecklistService.setItemState(
+        event.id,
+        instance.id,
+        checklist.id,
+        itemId,
+        false,
+        context
+      );
+      expect(cleared.items[0]).toMatchObject({
+        completed: false,
+        completed_by: null,
+      });
+    });
+
+    it("should reject unknown items", async () => {
+      const checklist = await createKitchenChecklist();
+
+      await expect(
+        ChecklistService.setItemState(
+          event.id,
+          instance.id,
+          checklist.id,
+          "missing",
+          true,
+          context
+        )
+      ).rejects.toMatchObject({ code: "RES001" });
+    });
+  });
+
+  describe("completion gating", () => {
+    it("should block completion until required checklists are done", async () => {
+      const checklist = await createKitchenChecklist();
+      await createKitchenChecklist({ title: "Optional", isRequired: false });
+
+      await expect(
+        EventInstanceService.completeInstance(
+          event.id,
+          instance.id,
+          {},
+          context
+        )
+      ).rejects.toMatchObject({
+        details: {
+          violations: [
+            expect.objectContaining({
+              rule: "requires_checklist",
+              checklists: [
+                { id: checklist.id, title: "Clean kitchen", remaining: 2 },
+              ],
+            }),
+          ],
+        },
+      });
+
+      for (const item of checklist.checklist_items) {
+        await ChecklistService.setItemState(
+          event.id,
+          instance.id,
+          checklist.id,
+          item.id,
+          true,
+          context
+        );
+      }
+
+      const completed = await EventInstanceService.completeInstance(
+        event.id,
+        instance.id,
+        {},
+        context
+      );
+      expect(completed.completion_status).toBe("completed");
+    });
+  });
+});
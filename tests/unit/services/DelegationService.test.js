@@ -0,0 +1,236 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const DelegationService = require("../../../src/services/DelegationService");
+const EventInstanceService = require("../../../src/services/EventInstanceService");
+
+describe("DelegationService", () => {
+  const db = DatabaseService.getKnex();
+  let parent;
+  let alice;
+  let bob;
+  let event;
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    parent = await createUser(db);
+    alice = await createUser(db);
+    bob = await createUser(db);
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("event_delegations").del();
+    await db("event_assignments").del();
+    await db("event_instances").del();
+    await db("events").del();
+    event = await createEvent(db, parent, { assigned_to: alice.id });
+    await db("event_instances").insert(
+      ["2024-03-01", "2024-03-04", "2024-03-08", "2024-03-11"].map((day) => ({
+        event_id: event.id,
+        start_date: day,
+        end_date: day,
+        modified_history: JSON.stringify([]),
+      }))
+    );
+  });
+
+  const assign = (user, overrides = {}) =>
+    db("event_assignments").insert({
+      event_id: event.id,
+      user_id: user.id,
+      assigned_by: parent.id,
+      can_delegate: true,
+      ...overrides,
+    });
+
+  const delegateWeek = (overrides = {}) =>
+    DelegationService.createDelegation(
+      event.id,
+      {
+        delegatedTo: bob.id,
+        startDate: "2024-03-04",
+        endDate: "2024-03-10",
+        reason: "Away on a school trip",
+        ...overrides,
+      },
+      { userId: alice.id }
+    );
+
+  const occurrenceDays = async (user) => {
+    const { data } = await EventInstanceService.getAssignedInstances(user.id);
+    return data.map((instance) => [
+      instance.start_date,
+      instance.delegated_from,
+    ]);
+  };
+
+  describe("createDelegation", () => {
+    it("should hand over occurrences inside the window", async () => {
+      await assign(alice);
+
+      const delegation = await delegateWeek();
+
+      expect(delegation).toMatchObject({
+        original_user_id: alice.id,
+        delegated_to: bob.id,
+        start_date: "2024-03-04",
+        end_date: "2024-03-10",
+        is_permanent: false,
+        status: "active",
+        delegation_history: [
+          expect.objectContaining({ action: "created", by: alice.id }),
+        ],
+      });
+      expect(await occurrenceDays(bob)).toEqual([
+        ["2024-03-04", alice.id],
+        ["2024-03-08", alice.id],
+      ]);
+      expect(await occurrenceDays(alice)).toEqual([
+        ["2024-03-01", null],
+        ["2024-03-11", null],
+      ]);
+
+      const assignment = await db("event_assignments")
+        .where({ user_id: alice.id })
+        .first();
+      expect(JSON.parse(assignment.history)).toEqual([
+        expect.objectContaining({
+          action: "delegated",
+          delegation_id: delegation.id,
+          delegated_to: bob.id,
+        }),
+      ]);
+    });
+
+    it("should require an assignment that permits delegation", async () => {
+      await expect(delegateWeek()).rejects.toMatchObject({ code: "BUS002" });
+
+      await assign(alice, { can_delegate: false });
+      await expect(delegateWeek()).rejects.toMatchObject({ code: "BUS002" });
+      await expect(
+        delegateWeek({ isPermanent: true, endDate: undefined })
+      ).rejects.toMatchObject({ code: "BUS002" });
+    });
+
+    it("should reject self and overlapping delegations", async () => {
+      await assign(alice);
+      await delegateWeek();
+
+      await expect(
+        delegateWeek({ delegatedTo: alice.id })
+      ).rejects.toMatchObject({ code: "VAL001" });
+      await expect(
+        delegateWeek({ startDate: "2024-03-20", endDate: "2024-03-19" })
+      ).rejects.toMatchObject({ code: "VAL001" });
+      await expect(
+        delegateWeek({ startDate: "2024-03-10", endDate: "2024-03-12" })
+      ).rejects.toMatchObject({
+        code: "BUS001",
+        details: { rule: "DELEGATION_OVERLAP" },
+      });
+    });
+
+    it("should move the assignment for permanent delegations", async () => {
+      await assign(alice, { can_reassign: true, role: "helper" });
+
+      await delegateWeek({ isPermanent: true, endDate: undefined });
+
+      const assignments = await db("event_assignments").orderBy("id");
+      expect(
+        assignments.map(({ user_id: userId, status, role }) => [
+          userId,
+          status,
+          role,
+        ])
+      ).toEqual([
+        [alice.id, "reassigned", "helper"],
+        [bob.id, "active", "helper"],
+      ]);
+      expect(
+        (await db("events").where({ id: event.id }).first()).assigned_to
+      ).toBe(bob.id);
+      expect(await occurrenceDays(bob)).toHaveLength(4);
+      expect(await occurrenceDays(alice)).toEqual([]);
+    });
+
+    it("should give an observing delegate the assignment's role", async () => {
+      await assign(alice, {
+        can_reassign: true,
+        role: "helper",
+        permissions: JSON.stringify(["complete"]),
+        is_mandatory: true,
+      });
+      await assign(bob, {
+        role: "observer",
+        permissions: JSON.stringify(["view"]),
+        is_mandatory: false,
+      });
+
+      await delegateWeek({ isPermanent: true, endDate: undefined });
+
+      const delegate = await db("event_assignments")
+        .where({ user_id: bob.id })
+        .first();
+      expect(delegate).toMatchObject({ role: "helper", status: "active" });
+      expect(JSON.parse(delegate.permissions)).toEqual(["complete"]);
+      expect(Boolean(delegate.is_mandatory)).toBe(true);
+    });
+  });
+
+  describe("revokeDelegation", () => {
+    it("should give the work back to the original assignee", async () => {
+      await assign(alice);
+      const delegation = await delegateWeek();
+
+      await expect(
+        DelegationService.revokeDelegation(
+          event.id,
+          delegation.id,
+          {},
+          {
+            userId: bob.id,
+          }
+        )
+      ).rejects.toMatchObject({ code: "BUS002" });
+
+      const revoked = await DelegationService.revokeDelegation(
+        event.id,
+        delegation.id,
+        { reason: "Trip cancelled" },
+        { userId: alice.id }
+      );
+
+      expect(revoked.status).toBe("revoked");
+      expect(revoked.delegation_history[1]).toMatchObject({
+        action: "revoked",
+        reason: "Trip cancelled",
+      });
+      expect(await occurrenceDays(bob)).toEqual([]);
+      expect(await occurrenceDays(alice)).toHaveLength(4);
+      await expect(
+        DelegationService.revokeDelegation(
+          event.id,
+          delegation.id,
+          {},
+          {
+            userId: alice.id,
+          }
+        )
+      ).rejects.toMatchObject({ code: "VAL004" });
+    });
+  });
+});
@@ -0,0 +1,231 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const DependencyService = require("../../../src/services/DependencyService");
+const EventInstanceService = require("../../../src/services/EventInstanceService");
+
+describe("DependencyService", () => {
+  const db = DatabaseService.getKnex();
+  let user;
+  let context;
+  let shop;
+  let cook;
+  let wash;
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    user = await createUser(db);
+    context = { userId: user.id };
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("event_dependencies").del();
+    await db("event_instances").del();
+    await db("events").del();
+    shop = await createEvent(db, user, { title: "Shop" });
+    cook = await createEvent(db, user, { title: "Cook" });
+    wash = await createEvent(db, user, { title: "Wash up" });
+  });
+
+  const createOccurrence = async (event, overrides = {}) => {
+    const [instance] = await db("event_instances")
+      .insert({
+        event_id: event.id,
+        start_date: "2099-01-01",
+        end_date: "2099-01-01",
+        modified_history: JSON.stringify([]),
+        ...overrides,
+      })
+      .returning("*");
+    return instance;
+  };
+
+  describe("addDependency", () => {
+    it("should expose the transitive graph in both directions", async () => {
+      await DependencyService.addDependency(cook.id, {
+        dependsOnEventId: shop.id,
+      });
+      await DependencyService.addDependency(wash.id, {
+        dependsOnEventId: cook.id,
+      });
+
+      const washGraph = await DependencyService.getDependencyGraph(wash.id);
+      const shopGraph = await DependencyService.getDependencyGraph(shop.id);
+
+      expect(
+        washGraph.upstream.map((entry) => [entry.event.title, entry.depth])
+      ).toEqual([
+        ["Cook", 1],
+        ["Shop", 2],
+      ]);
+      expect(washGraph.downstream).toEqual([]);
+      expect(
+        shopGraph.downstream.map((entry) => [entry.event.title, entry.depth])
+      ).toEqual([
+        ["Cook", 1],
+        ["Wash up", 2],
+      ]);
+    });
+
+    it("should reject duplicates", async () => {
+      await DependencyService.addDependency(cook.id, {
+        dependsOnEventId: shop.id,
+      });
+
+      await expect(
+        DependencyService.addDependency(cook.id, { dependsOnEventId: shop.id })
+      ).rejects.toMatchObject({ code: "VAL003" });
+    });
+
+    it("should reject dependencies that create a cycle", async () => {
+      await DependencyService.addDependency(cook.id, {
+        dependsOnEventId: shop.id,
+      });
+      await DependencyService.addDependency(wash.id, {
+        dependsOnEventId: cook.id,
+      });
+
+      await expect(
+        DependencyService.addDependency(shop.id, { dependsOnEventId: wash.id })
+      ).rejects.toMatchObject({
+        code: "BUS001",
+        details: {
+          rule: "DEPENDENCY_CYCLE",
+          cycle: [shop.id, cook.id, wash.id, shop.id],
+        },
+      });
+      await expect(
+        DependencyService.addDependency(shop.id, { dependsOnEventId: shop.id })
+      ).rejects.toMatchObject({ details: { rule: "DEPENDENCY_CYCLE" } });
+    });
+
+    it("should reject unknown events", async () => {
+      await expect(
+        DependencyService.addDependency(cook.id, { dependsOnEventId: 9999 })
+      ).rejects.toMatchObject({ code: "RES001" });
+    });
+  });
+
+  describe("removeDependency", () => {
+    it("should remove a dependency from either side", async () => {
+      const dependency = await DependencyService.addDependency(cook.id, {
+        dependsOnEventId: shop.id,
+      });
+
+      await DependencyService.removeDependency(shop.id, dependency.id);
+
+      const graph = await DependencyService.getDependencyGraph(cook.id);
+      expect(graph.upstream).toEqual([]);
+      await expect(
+        DependencyService.removeDependency(cook.id, dependency.id)
+      ).rejects.toMatchObject({ code: "RES001" });
+    });
+  });
+
+  describe("completion gating", () => {
+    it("should block completion until the upstream occurrence is done", async () => {
+      await DependencyService.addDependency(cook.id, {
+        dependsOnEventId: shop.id,
+      });
+      const shopping = await createOccurrence(shop);
+      const cooking = await createOccurrence(cook);
+
+      await expect(
+        EventInstanceService.completeInstance(cook.id, cooking.id, {}, context)
+      ).rejects.toMatchObject({
+        details: {
+          violations: [
+            expect.objectContaining({
+              rule: "dependencies",
+              dependencies: [
+                expect.objectContaining({
+                  event_id: shop.id,
+                  title: "Shop",
+                  occurrence: expect.objectContaining({
+                    id: shopping.id,
+                    completion_status: "pending",
+                  }),
+                }),
+              ],
+            }),
+          ],
+        },
+      });
+
+      await EventInstanceService.completeInstance(
+        shop.id,
+        shopping.id,
+        {},
+        context
+      );
+      const completed = await EventInstanceService.completeInstance(
+        cook.id,
+        cooking.id,
+        {},
+        context
+      );
+      expect(completed.completion_status).toBe("completed");
+    });
+
+    it("should leave deleted events out of the graph and the gating", async () => {
+      await DependencyService.addDependency(cook.id, {
+        dependsOnEventId: shop.id,
+      });
+      await DependencyService.addDependency(wash.id, {
+        dependsOnEventId: cook.id,
+      });
+      await createOccurrence(shop);
+      const cooking = await createOccurrence(cook);
+      await db("events")
+        .where({ id: shop.id })
+        .update({ deleted_at: new Date() });
+
+      const washGraph = await DependencyService.getDependencyGraph(wash.id);
+      expect(washGraph.upstream.map((entry) => entry.event.title)).toEqual([
+        "Cook",
+      ]);
+
+      const completed = await EventInstanceService.completeInstance(
+        cook.id,
+        cooking.id,
+        {},
+        context
+      );
+      expect(completed.completion_status).toBe("completed");
+    });
+
+    it("should not block on optional or related dependencies", async () => {
+      await DependencyService.addDependency(cook.id, {
+        dependsOnEventId: shop.id,
+        isMandatory: false,
+      });
+      await DependencyService.addDependency(cook.id, {
+        dependsOnEventId: wash.id,
+        dependencyType: "related",
+      });
+      const cooking = await createOccurrence(cook);
+
+      const completed = await EventInstanceService.completeInstance(
+        cook.id,
+        cooking.id,
+        {},
+        context
+      );
+      expect(completed.completion_status).toBe("completed");
+    });
+  });
+});
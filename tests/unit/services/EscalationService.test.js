@@ -0,0 +1,231 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const EmailQueueService = require("../../../src/services/EmailQueueService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+jest.mock("../../../src/services/LoggerService", () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock("../../../src/services/EmailQueueService", () => ({
+  queueEmail: jest.fn(),
+}));
+
+const EscalationService = require("../../../src/services/EscalationService");
+const SchedulerService = require("../../../src/services/SchedulerService");
+
+describe("EscalationService", () => {
+  const db = DatabaseService.getKnex();
+  let assignee;
+  let manager;
+  let admin;
+  let event;
+  let instance;
+
+  const at = (hours, minutes) => new Date(2024, 0, 1, hours, minutes);
+
+  const runAt = (now) => {
+    SchedulerService.setClock(() => now);
+    return SchedulerService.runJob("escalation");
+  };
+
+  const getEvent = () => db("events").where({ id: event.id }).first();
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    assignee = await createUser(db, { email: "assignee@example.com" });
+    manager = await createUser(db, { email: "manager@example.com" });
+    admin = await createUser(db, {
+      email: "admin@example.com",
+      roles: JSON.stringify(["admin"]),
+    });
+    SchedulerService.register("escalation", 60 * 1000, (now) =>
+      EscalationService.escalateOverdue({ now })
+    );
+  });
+
+  afterAll(async () => {
+    SchedulerService.unregister("escalation");
+    SchedulerService.setClock();
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    EmailQueueService.queueEmail.mockClear();
+    await db("event_escalations").del();
+    await db("event_instances").del();
+    await db("events").del();
+    event = await createEvent(db, manager, {
+      title: "Take out bins",
+      assigned_to: assignee.id,
+      escalation_threshold_minutes: 30,
+    });
+    [instance] = await db("event_instances")
+      .insert({
+        event_id: event.id,
+        start_date: "2024-01-01",
+        end_date: "2024-01-01",
+        start_time: "12:00:00",
+        modified_history: JSON.stringify([]),
+      })
+      .returning("*");
+  });
+
+  describe("escalateOverdue", () => {
+    it("should walk the default rule chain one threshold at a time", async () => {
+      expect(await runAt(at(12, 20))).toMatchObject({ escalated: 0 });
+
+      expect(await runAt(at(12, 30))).toMatchObject({ escalated: 1 });
+      expect(await getEvent()).toMatchObject({
+        escalation_level: 1,
+        escalated_to: assignee.id,
+      });
+      expect(EmailQueueService.queueEmail).toHaveBeenLastCalledWith(
+        expect.objectContaining({ to: "assignee@example.com" })
+      );
+
+      expect(await runAt(at(12, 45))).toMatchObject({ escalated: 0 });
+
+      await runAt(at(13, 0));
+      expect(await getEvent()).toMatchObject({
+        escalation_level: 2,
+        assigned_to: manager.id,
+        escalated_to: manager.id,
+      });
+
+      await runAt(at(13, 30));
+      expect(await getEvent()).toMatchObject({
+        escalation_level: 3,
+        escalated_to: null,
+      });
+      expect(EmailQueueService.queueEmail).toHaveBeenLastCalledWith(
+        expect.objectContaining({ to: "admin@example.com" })
+      );
+
+      expect(await runAt(at(14, 0))).toMatchObject({ escalated: 0 });
+
+      const escalations = await EscalationService.getEscalations(event.id);
+      expect(
+        escalations.map(({ escalation_metadata: metadata }) => [
+          metadata.level,
+          metadata.action,
+          metadata.instance_id,
+        ])
+      ).toEqual([
+        [3, "notify_admin", instance.id],
+        [2, "reassign", instance.id],
+        [1, "notify_assignee", instance.id],
+      ]);
+      expect(escalations[0].escalation_metadata.recipients).toEqual([admin.id]);
+    });
+
+    it("should follow custom rules", async () => {
+      await db("events")
+        .where({ id: event.id })
+        .update({
+          escalation_rules: JSON.stringify([
+            { action: "reassign", userId: admin.id },
+          ]),
+        });
+
+      await runAt(at(12, 30));
+
+      expect(await getEvent()).toMatchObject({
+        escalation_level: 1,
+        assigned_to: admin.id,
+      });
+      expect(await runAt(at(13, 0))).toMatchObject({ escalated: 0 });
+    });
+
+    it("should escape the event title in the email", async () => {
+      await db("events")
+        .where({ id: event.id })
+        .update({ title: "Bins <b>now</b> & recycling" });
+
+      await runAt(at(12, 30));
+
+      expect(EmailQueueService.queueEmail).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          html: expect.stringContaining(
+            '"Bins &lt;b&gt;now&lt;/b&gt; &amp; recycling"'
+          ),
+        })
+      );
+    });
+
+    it("should keep the escalation when its email cannot be queued", async () => {
+      EmailQueueService.queueEmail.mockRejectedValueOnce(
+        new Error("Queue unavailable")
+      );
+
+      expect(await runAt(at(12, 30))).toMatchObject({
+        escalated: 1,
+        failed: 0,
+      });
+      expect(await getEvent()).toMatchObject({ escalation_level: 1 });
+      expect(await EscalationService.getEscalations(event.id)).toHaveLength(1);
+    });
+
+    it("should resolve escalations once the occurrence is done", async () => {
+      await runAt(at(12, 30));
+      await db("event_instances")
+        .where({ id: instance.id })
+        .update({ completion_status: "completed" });
+
+      expect(await runAt(at(12, 35))).toMatchObject({ resolved: 1 });
+
+      const [escalation] = await EscalationService.getEscalations(event.id);
+      expect(escalation.resolved_at).toBeTruthy();
+      expect(await getEvent()).toMatchObject({
+        escalation_level: 0,
+        escalated_to: null,
+      });
+    });
+  });
+
+  describe("resolveEscalation", () => {
+    it("should resolve an escalation and reset the event", async () => {
+      await runAt(at(12, 30));
+      const [open] = await EscalationService.getEscalations(event.id, {
+        open: true,
+      });
+
+      const resolved = await EscalationService.resolveEscalation(
+        event.id,
+        open.id,
+        { notes: "Bins are out" },
+        { userId: manager.id }
+      );
+
+      expect(resolved).toMatchObject({
+        resolution_notes: "Bins are out",
+        escalation_metadata: { resolved_by: manager.id },
+      });
+      expect((await getEvent()).escalation_level).toBe(0);
+      expect(
+        await EscalationService.getEscalations(event.id, { open: true })
+      ).toEqual([]);
+      await expect(
+        EscalationService.resolveEscalation(event.id, open.id)
+      ).rejects.toMatchObject({ code: "VAL004" });
+    });
+
+    it("should reject unknown escalations", async () => {
+      await expect(
+        EscalationService.resolveEscalation(event.id, 9999)
+      ).rejects.toMatchObject({ code: "RES001" });
+    });
+  });
+});
@@ -0,0 +1,321 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const EventInstanceService = require("../../../src/services/EventInstanceService");
+
+// Only fake Date so knex and sqlite keep their real timers
+const setNow = (now) =>
+  jest.useFakeTimers({
+    now,
+    doNotFake: [
+      "hrtime",
+      "nextTick",
+      "performance",
+      "queueMicrotask",
+      "requestAnimationFrame",
+      "cancelAnimationFrame",
+      "requestIdleCallback",
+      "cancelIdleCallback",
+      "setImmediate",
+      "clearImmediate",
+      "setInterval",
+      "clearInterval",
+      "setTimeout",
+      "clearTimeout",
+    ],
+  });
+
+describe("EventInstanceService", () => {
+  const db = DatabaseService.getKnex();
+  let user;
+  let event;
+  let context;
+
+  const createInstance = async (overrides = {}) => {
+    const [instance] = await db("event_instances")
+      .insert({
+        event_id: event.id,
+        start_date: "2024-01-01",
+        end_date: "2024-01-01",
+        modified_history: JSON.stringify([]),
+        ...overrides,
+      })
+      .returning("*");
+    return instance;
+  };
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    user = await createUser(db);
+    context = { userId: user.id, ipAddress: "127.0.0.1", userAgent: "jest" };
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(async () => {
+    setNow(new Date(2024, 0, 1, 12, 0));
+    await db("event_instances").del();
+    await db("events").del();
+    event = await createEvent(db, user);
+  });
+
+  describe("getInstances", () => {
+    it("should list occurrences with filters and pagination", async () => {
+      await createInstance({ start_date: "2024-01-01" });
+      await createInstance({ start_date: "2024-01-08" });
+      await createInstance({
+        start_date: "2024-01-15",
+        completion_status: "completed",
+      });
+
+      const result = await EventInstanceService.getInstances(event.id, {
+        from: "2024-01-05",
+        completionStatus: "pending",
+      });
+
+      expect(result.data.map((i) => i.start_date)).toEqual(["2024-01-08"]);
+      expect(result.pagination.total).toBe(1);
+    });
+
+    it("should reject unknown events", async () => {
+      await expect(
+        EventInstanceService.getInstances(9999)
+      ).rejects.toMatchObject({ code: "RES001" });
+    });
+  });
+
+  describe("completeInstance", () => {
+    it("should complete an occurrence and append history", async () => {
+      const instance = await createInstance();
+
+      const result = await EventInstanceService.completeInstance(
+        event.id,
+        instance.id,
+        { notes: "Done", actualDuration: 15 },
+        context
+      );
+
+      expect(result).toMatchObject({
+        completion_status: "completed",
+        completed_by: user.id,
+        completion_notes: "Done",
+        actual_duration: 15,
+        ip_address: "127.0.0.1",
+      });
+      expect(result.modified_history).toEqual([
+        expect.objectContaining({
+          action: "completed",
+          by: user.id,
+          notes: "Done",
+        }),
+      ]);
+    });
+
+    it("should not complete an occurrence twice", async () => {
+      const instance = await createInstance();
+      await EventInstanceService.completeInstance(
+        event.id,
+        instance.id,
+        {},
+        context
+      );
+
+      await expect(
+        EventInstanceService.completeInstance(
+          event.id,
+          instance.id,
+          {},
+          context
+        )
+      ).rejects.toMatchObject({ code: "VAL004" });
+    });
+
+    it("should not find occurrences of another event", async () => {
+      const other = await createEvent(db, user);
+      const instance = await createInstance();
+
+      await expect(
+        EventInstanceService.completeInstance(
+          other.id,
+          instance.id,
+          {},
+          context
+        )
+      ).rejects.toMatchObject({ code: "RES001" });
+    });
+  });
+
+  describe("completion rules", () => {
+    const complete = (instance, data = {}) =>
+      EventInstanceService.completeInstance(
+        event.id,
+        instance.id,
+        data,
+        context
+      );
+
+    it("should reject early completion when not allowed", async () => {
+      await db("events")
+        .where({ id: event.id })
+        .update({ allow_early_completion: false });
+      const instance = await createInstance({ start_date: "2024-01-02" });
+
+      await expect(complete(instance)).rejects.toMatchObject({
+        code: "VAL001",
+        details: {
+          violations: [
+            expect.objectContaining({ rule: "allow_early_completion" }),
+          ],
+        },
+      });
+    });
+
+    it("should allow early completion by default", async () => {
+      const instance = await createInstance({ start_date: "2024-01-02" });
+
+      const result = await complete(instance);
+
+      expect(result.completion_status).toBe("completed");
+    });
+
+    it("should flag completions within the grace period as late", async () => {
+      await db("events")
+        .where({ id: event.id })
+        .update({ allow_late_completion: false, grace_period: 60 });
+      const instance = await createInstance();
+      setNow(new Date(2024, 0, 1, 12, 45));
+
+      const result = await complete(instance);
+
+      expect(result.completion_status).toBe("late");
+      expect(result.modified_history[0].minutes_late).toBe(45);
+    });
+
+    it("should reject completions after the grace period", async () => {
+      await db("events")
+        .where({ id: event.id })
+        .update({ allow_late_completion: false, grace_period: 60 });
+      const instance = await createInstance();
+      setNow(new Date(2024, 0, 1, 13, 30));
+
+      await expect(complete(instance)).rejects.toMatchObject({
+        code: "VAL001",
+        details: {
+          violations: [
+            expect.objectContaining({
+              rule: "allow_late_completion",
+              minutesLate: 90,
+            }),
+          ],
+        },
+      });
+    });
+
+    it("should enforce the duration bounds", async () => {
+      await db("events")
+        .where({ id: event.id })
+        .update({ min_duration: 10, max_duration: 30 });
+      const instance = await createInstance();
+
+      await expect(complete(instance)).rejects.toMatchObject({
+        details: {
+          violations: [expect.objectContaining({ rule: "actual_duration" })],
+        },
+      });
+      await expect(
+        complete(instance, { actualDuration: 5 })
+      ).rejects.toMatchObject({
+        details: {
+          violations: [expect.objectContaining({ rule: "min_duration" })],
+        },
+      });
+      await expect(
+        complete(instance, { actualDuration: 45 })
+      ).rejects.toMatchObject({
+        details: {
+          violations: [expect.objectContaining({ rule: "max_duration" })],
+        },
+      });
+
+      const result = await complete(instance, { actualDuration: 20 });
+      expect(result.actual_duration).toBe(20);
+    });
+  });
+
+  describe("skipInstance", () => {
+    it("should skip an occurrence with a reason", async () => {
+      const instance = await createInstance();
+
+      const result = await EventInstanceService.skipInstance(
+        event.id,
+        instance.id,
+        { reason: "On holiday" },
+        context
+      );
+
+      expect(result).toMatchObject({
+        skipped: true,
+        skip_reason: "On holiday",
+        completion_status: "skipped",
+      });
+      expect(result.modified_history[0]).toMatchObject({
+        action: "skipped",
+        reason: "On holiday",
+      });
+    });
+  });
+
+  describe("undoCompletion", () => {
+    it("should revert a completion and keep the full history", async () => {
+      const instance = await createInstance();
+      await EventInstanceService.completeInstance(
+        event.id,
+        instance.id,
+        { notes: "Done" },
+        context
+      );
+
+      const result = await EventInstanceService.undoCompletion(
+        event.id,
+        instance.id,
+        context
+      );
+
+      expect(result).toMatchObject({
+        completion_status: "pending",
+        completed_by: null,
+        completed_at: null,
+        completion_notes: null,
+      });
+      expect(result.modified_history.map((entry) => entry.action)).toEqual([
+        "completed",
+        "completion_undone",
+      ]);
+      expect(result.modified_history[1].previous.completed_by).toBe(user.id);
+    });
+
+    it("should reject undoing a pending occurrence", async () => {
+      const instance = await createInstance();
+
+      await expect(
+        EventInstanceService.undoCompletion(event.id, instance.id, context)
+      ).rejects.toMatchObject({ code: "VAL004" });
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const { migrateEventSchema, createUser } = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const EventService = require("../../../src/services/EventService");
+const ValidationRuleService = require("../../../src/services/ValidationRuleService");
+
+describe("EventService audit history", () => {
+  const db = DatabaseService.getKnex();
+  let user;
+  let context;
+  let event;
+
+  // Audit entries of the event, oldest first
+  const auditEntries = async () =>
+    (await EventService.getEventAuditHistory(event.id)).sort(
+      (a, b) => a.id - b.id
+    );
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    user = await createUser(db);
+    context = { userId: user.id };
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("event_audit_log").del();
+    await db("events").del();
+    event = await EventService.createEvent({
+      title: "Water the plants",
+      description: "Balcony only",
+      priority: 1,
+      assigned_by: user.id,
+      created_by: user.id,
+      assigned_to: user.id,
+    });
+  });
+
+  it("should diff the event between two audit entries", async () => {
+    await EventService.updateEvent(event.id, { priority: 2, version: 1 });
+    await EventService.updateEvent(event.id, {
+      description: "Balcony and kitchen",
+      version: 2,
+    });
+
+    const [created, , latest] = await auditEntries();
+    const diff = await EventService.getAuditDiff(
+      event.id,
+      created.id,
+      latest.id
+    );
+
+    expect(diff.from).toMatchObject({ id: created.id, action: "CREATE" });
+    expect(diff.to).toMatchObject({ id: latest.id, action: "UPDATE" });
+    expect(diff.changes).toEqual({
+      priority: { from: 1, to: 2 },
+      description: { from: "Balcony only", to: "Balcony and kitchen" },
+    });
+  });
+
+  it("should reconstruct the event at a point in time", async () => {
+    const [created] = await auditEntries();
+    await db("event_audit_log")
+      .where({ id: created.id })
+      .update({ created_at: new Date("2026-01-01T08:00:00Z") });
+    await EventService.updateEvent(event.id, {
+      title: "Water every plant",
+      version: 1,
+    });
+
+    const past = await EventService.getEventAt(
+      event.id,
+      "2026-01-02T00:00:00Z"
+    );
+    expect(past.event).toMatchObject({ title: "Water the plants", version: 1 });
+    expect(past.audit_entry).toMatchObject({ id: created.id });
+
+    await expect(
+      EventService.getEventAt(event.id, "2025-12-31T00:00:00Z")
+    ).rejects.toMatchObject({ code: "RES001" });
+  });
+
+  it("should revert to an audit entry and audit the revert", async () => {
+    await EventService.updateEvent(event.id, {
+      title: "Oops",
+      description: null,
+      version: 1,
+    });
+    const [created] = await auditEntries();
+
+    const reverted = await EventService.revertEvent(
+      event.id,
+      created.id,
+      { version: 2 },
+      context
+    );
+
+    expect(reverted).toMatchObject({
+      title: "Water the plants",
+      description: "Balcony only",
+      version: 3,
+    });
+
+    const entries = await auditEntries();
+    expect(entries).toHaveLength(3);
+    expect(entries[2]).toMatchObject({ action: "REVERT", user_id: user.id });
+
+    // Reverting the revert brings the edit back
+    const redone = await EventService.revertEvent(
+      event.id,
+      entries[1].id,
+      { version: 3 },
+      context
+    );
+    expect(redone.title).toBe("Oops");
+
+    await expect(
+      EventService.revertEvent(event.id, created.id, { version: 3 }, context)
+    ).rejects.toMatchObject({ code: "BUS004" });
+  });
+
+  it("should check a revert like any other update", async () => {
+    await EventService.updateEvent(event.id, { priority: 5, version: 1 });
+    await EventService.updateEvent(event.id, { priority: 2, version: 2 });
+    await ValidationRuleService.createRule(event.id, {
+      ruleType: "numeric_range",
+      ruleName: "Priority cap",
+      configuration: { field: "event.priority", max: 3 },
+    });
+    const [, raised] = await auditEntries();
+
+    await expect(
+      EventService.revertEvent(event.id, raised.id, {}, context)
+    ).rejects.toMatchObject({
+      code: "VAL001",
+      details: expect.objectContaining({
+        failures: [expect.objectContaining({ rule_name: "Priority cap" })],
+      }),
+    });
+    expect(await db("events").where({ id: event.id }).first()).toMatchObject({
+      priority: 2,
+      version: 3,
+    });
+  });
+
+  it("should not revert to a location that was deleted since", async () => {
+    const [shed] = await db("locations")
+      .insert({ name: "Shed" })
+      .returning("*");
+    await EventService.updateEvent(event.id, {
+      location_id: shed.id,
+      version: 1,
+    });
+    await EventService.updateEvent(event.id, {
+      location_id: null,
+      version: 2,
+    });
+    await db("locations").where({ id: shed.id }).del();
+    const [, moved] = await auditEntries();
+
+    await expect(
+      EventService.revertEvent(event.id, moved.id, {}, context)
+    ).rejects.toMatchObject({
+      code: "RES001",
+      details: expect.objectContaining({ resource: "Location" }),
+    });
+    expect(await db("events").where({ id: event.id }).first()).toMatchObject({
+      location_id: null,
+      version: 3,
+    });
+  });
+});
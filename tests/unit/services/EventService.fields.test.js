@@ -0,0 +1,59 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const EventService = require("../../../src/services/EventService");
+
+describe("EventService request fields", () => {
+  const db = DatabaseService.getKnex();
+  let parent;
+  let kid;
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    parent = await createUser(db);
+    kid = await createUser(db);
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  it("should write camelCase request fields to their columns", async () => {
+    const event = await createEvent(db, parent, {
+      effective_date: "2026-10-17",
+    });
+
+    const updated = await EventService.updateEvent(event.id, {
+      recurrenceRule: "FREQ=WEEKLY;BYDAY=SA",
+      allowEarlyCompletion: false,
+      approvalType: "all",
+      approvalChain: [[parent.id]],
+      escalationThresholdMinutes: 30,
+      escalationRules: [{ action: "reassign", userId: kid.id }],
+      user_id: parent.id,
+    });
+
+    expect(updated).toMatchObject({
+      recurrence_rule: "FREQ=WEEKLY;BYDAY=SA",
+      approval_type: "all",
+      escalation_threshold_minutes: 30,
+      version: 2,
+    });
+    expect(Boolean(updated.allow_early_completion)).toBe(false);
+    expect(JSON.parse(updated.approval_chain)).toEqual([[parent.id]]);
+    expect(JSON.parse(updated.escalation_rules)).toEqual([
+      { action: "reassign", userId: kid.id },
+    ]);
+    expect(updated).not.toHaveProperty("recurrenceRule");
+  });
+});
@@ -0,0 +1,144 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const { migrateEventSchema, createUser } = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+jest.mock("../../../src/services/LoggerService", () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+}));
+
+const EventService = require("../../../src/services/EventService");
+
+describe("EventService hierarchy", () => {
+  const db = DatabaseService.getKnex();
+  let user;
+  let context;
+  let house;
+  let kitchen;
+  let oven;
+  let garden;
+
+  const createEvent = (data) =>
+    EventService.createEvent({
+      priority: 1,
+      assigned_by: user.id,
+      created_by: user.id,
+      assigned_to: user.id,
+      ...data,
+    });
+
+  const pathOf = async (id) =>
+    JSON.parse(
+      (await db("events").where({ id }).first("hierarchy_path")).hierarchy_path
+    );
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    user = await createUser(db);
+    context = { userId: user.id };
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("event_audit_log").del();
+    await db("events").del();
+    house = await createEvent({ title: "House" });
+    kitchen = await createEvent({ title: "Kitchen", parent_id: house.id });
+    oven = await createEvent({ title: "Oven", parent_id: kitchen.id });
+    garden = await createEvent({ title: "Garden" });
+  });
+
+  it("should read a tree in one query up to a depth", async () => {
+    const tree = await EventService.getEventHierarchy(house.id);
+
+    expect(tree.children).toHaveLength(1);
+    expect(tree.children[0]).toMatchObject({ id: kitchen.id, depth: 1 });
+    expect(tree.children[0].children[0]).toMatchObject({
+      id: oven.id,
+      depth: 2,
+      children: [],
+    });
+
+    const shallow = await EventService.getEventHierarchy(house.id, {
+      depth: 1,
+    });
+    expect(shallow.children[0].children).toEqual([]);
+  });
+
+  it("should move a subtree and rewrite descendant paths", async () => {
+    const moved = await EventService.moveEvent(
+      kitchen.id,
+      { parentId: garden.id, version: 1 },
+      context
+    );
+
+    expect(moved.parent_id).toBe(garden.id);
+    expect(await pathOf(kitchen.id)).toEqual([garden.id]);
+    expect(await pathOf(oven.id)).toEqual([garden.id, kitchen.id]);
+
+    await EventService.moveEvent(kitchen.id, { parentId: null }, context);
+    expect(await pathOf(oven.id)).toEqual([kitchen.id]);
+  });
+
+  it("should reject moves into the event's own subtree", async () => {
+    await expect(
+      EventService.moveEvent(house.id, { parentId: oven.id }, context)
+    ).rejects.toMatchObject({
+      code: "BUS001",
+      details: expect.objectContaining({ rule: "HIERARCHY_CYCLE" }),
+    });
+    expect(await pathOf(oven.id)).toEqual([house.id, kitchen.id]);
+  });
+
+  it("should deep-copy a subtree under a new parent", async () => {
+    await db("events")
+      .where({ id: kitchen.id })
+      .update({ status: "completed" });
+
+    const { event, copied } = await EventService.copyEvent(
+      kitchen.id,
+      { parentId: garden.id, title: "Kitchen (copy)" },
+      context
+    );
+
+    expect(event).toMatchObject({
+      title: "Kitchen (copy)",
+      parent_id: garden.id,
+      status: "scheduled",
+    });
+    expect(copied.map((copy) => copy.source_id)).toEqual([kitchen.id, oven.id]);
+
+    const ovenCopy = copied[1].id;
+    expect(await pathOf(ovenCopy)).toEqual([garden.id, event.id]);
+    expect((await EventService.getEventById(oven.id)).parent_id).toBe(
+      kitchen.id
+    );
+  });
+
+  it("should change status across a subtree and skip what cannot move", async () => {
+    await db("events").where({ id: oven.id }).update({ status: "completed" });
+
+    const result = await EventService.updateSubtreeStatus(
+      house.id,
+      { status: "cancelled", reason: "Moving out" },
+      context
+    );
+
+    expect(result.updated).toEqual([house.id, kitchen.id]);
+    expect(result.skipped).toEqual([
+      expect.objectContaining({ id: oven.id, status: "completed" }),
+    ]);
+    expect(await EventService.getEventById(kitchen.id)).toMatchObject({
+      status: "cancelled",
+      version: 2,
+    });
+  });
+});
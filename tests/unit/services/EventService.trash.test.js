@@ -0,0 +1,122 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const { migrateEventSchema, createUser } = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+jest.mock("../../../src/services/LoggerService", () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+}));
+
+const EventService = require("../../../src/services/EventService");
+
+describe("EventService trash", () => {
+  const db = DatabaseService.getKnex();
+  let user;
+  let context;
+  let parent;
+  let child;
+
+  const createEvent = (data) =>
+    EventService.createEvent({
+      priority: 1,
+      assigned_by: user.id,
+      created_by: user.id,
+      assigned_to: user.id,
+      ...data,
+    });
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    user = await createUser(db);
+    context = { userId: user.id };
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("event_audit_log").del();
+    await db("events").del();
+    parent = await createEvent({ title: "Spring cleaning" });
+    child = await createEvent({ title: "Windows", parent_id: parent.id });
+  });
+
+  it("should trash an event with its descendants and hide them from reads", async () => {
+    const result = await EventService.deleteEvent(parent.id, {}, context);
+
+    expect(result).toEqual({
+      id: parent.id,
+      permanent: false,
+      deleted: [parent.id, child.id],
+    });
+    await expect(EventService.getEventById(child.id)).rejects.toMatchObject({
+      code: "RES001",
+    });
+    expect((await EventService.getEvents()).pagination.total).toBe(0);
+
+    const trash = await EventService.getTrash();
+    expect(trash.data).toHaveLength(1);
+    expect(trash.data[0]).toMatchObject({
+      id: parent.id,
+      deleted_by: user.id,
+      descendant_count: 1,
+    });
+  });
+
+  it("should restore the subtree but not a child whose parent is trashed", async () => {
+    await EventService.deleteEvent(parent.id, {}, context);
+
+    await expect(
+      EventService.restoreEvent(child.id, context)
+    ).rejects.toMatchObject({
+      code: "BUS001",
+      details: expect.objectContaining({ rule: "PARENT_DELETED" }),
+    });
+
+    const restored = await EventService.restoreEvent(parent.id, context);
+
+    expect(restored.deleted_at).toBeNull();
+    expect(await EventService.getEventById(child.id)).toMatchObject({
+      id: child.id,
+    });
+    expect((await EventService.getTrash()).data).toHaveLength(0);
+  });
+
+  it("should purge after the retention period unless under legal hold", async () => {
+    const held = await createEvent({ title: "Tax records", legal_hold: true });
+    await EventService.deleteEvent(parent.id, {}, context);
+    await EventService.deleteEvent(held.id, {}, context);
+
+    const soon = await EventService.purgeTrash({ now: new Date() });
+    expect(soon).toEqual({ purged: 0, held: 0, failed: 0 });
+
+    const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+    const summary = await EventService.purgeTrash({ now: later });
+
+    expect(summary).toEqual({ purged: 2, held: 1, failed: 0 });
+    expect(await db("events").pluck("id")).toEqual([held.id]);
+  });
+
+  it("should refuse to permanently delete events under legal hold", async () => {
+    await db("events").where({ id: child.id }).update({ legal_hold: true });
+
+    await expect(
+      EventService.deleteEvent(parent.id, { permanent: true }, context)
+    ).rejects.toMatchObject({
+      code: "BUS001",
+      details: expect.objectContaining({
+        rule: "LEGAL_HOLD",
+        heldIds: [child.id],
+      }),
+    });
+    expect(await db("events").count("id as total").first()).toEqual({
+      total: 2,
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+const { parseEtag, toEtag } = require("../../../src/utils/revisions");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const EventService = require("../../../src/services/EventService");
+const EventStatusService = require("../../../src/services/EventStatusService");
+const BudgetService = require("../../../src/services/BudgetService");
+
+describe("EventService versioning", () => {
+  const db = DatabaseService.getKnex();
+  let parent;
+  let otherParent;
+  let event;
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    parent = await createUser(db);
+    otherParent = await createUser(db);
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("event_audit_log").del();
+    await db("events").del();
+    event = await createEvent(db, parent, {
+      title: "Take out the bins",
+      priority: 1,
+    });
+  });
+
+  it("should bump the version and record a compact revision", async () => {
+    const updated = await EventService.updateEvent(event.id, {
+      title: "Take out the recycling",
+      priority: 1,
+      version: 1,
+      user_id: parent.id,
+    });
+
+    expect(updated.version).toBe(2);
+    expect(JSON.parse(updated.revision_history)).toEqual([
+      {
+        version: 2,
+        changed_by: parent.id,
+        changed_at: expect.any(String),
+        changes: {
+          title: { from: "Take out the bins", to: "Take out the recycling" },
+        },
+      },
+    ]);
+  });
+
+  it("should reject a stale version with what changed since", async () => {
+    // Both phones loaded version 1; the first save wins
+    await EventService.updateEvent(event.id, {
+      title: "Take out the recycling",
+      version: 1,
+    });
+
+    await expect(
+      EventService.updateEvent(event.id, {
+        title: "Take out the bins tonight",
+        priority: 3,
+        version: 1,
+        user_id: otherParent.id,
+      })
+    ).rejects.toMatchObject({
+      code: "BUS004",
+      statusCode: 409,
+      details: {
+        expectedVersion: 1,
+        currentVersion: 2,
+        changes: {
+          title: { from: "Take out the bins", to: "Take out the recycling" },
+        },
+        conflicts: ["title"],
+      },
+    });
+
+    const stored = await db("events").where({ id: event.id }).first();
+    expect(stored).toMatchObject({
+      title: "Take out the recycling",
+      priority: 1,
+      version: 2,
+    });
+
+    const retried = await EventService.updateEvent(event.id, {
+      priority: 3,
+      version: 2,
+    });
+    expect(retried).toMatchObject({ priority: 3, version: 3 });
+  });
+
+  it("should make writes from other services invalidate older versions", async () => {
+    await EventStatusService.transitionStatus(
+      event.id,
+      { status: "in-progress" },
+      { userId: parent.id }
+    );
+    await BudgetService.recordTransaction(
+      event.id,
+      { type: "allocation", amount: 20 },
+      { userId: otherParent.id }
+    );
+
+    const stored = await db("events").where({ id: event.id }).first();
+    expect(stored.version).toBe(3);
+    expect(
+      JSON.parse(stored.revision_history).map((revision) => [
+        revision.changed_by,
+        Object.keys(revision.changes),
+      ])
+    ).toEqual([
+      [parent.id, expect.arrayContaining(["status"])],
+      [otherParent.id, expect.arrayContaining(["budget_allocated"])],
+    ]);
+
+    // A client still holding version 1 cannot undo the status change
+    await expect(
+      EventService.updateEvent(event.id, { status: "scheduled", version: 1 })
+    ).rejects.toMatchObject({
+      statusCode: 409,
+      details: expect.objectContaining({ conflicts: ["status"] }),
+    });
+  });
+
+  it("should read versions from ETags", () => {
+    expect(parseEtag(toEtag(4))).toBe(4);
+    expect(parseEtag('W/"7"')).toBe(7);
+    expect(parseEtag("*")).toBeNull();
+  });
+});
@@ -0,0 +1,213 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const logger = require("../../../src/services/LoggerService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+jest.mock("../../../src/services/LoggerService", () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const EventStatusService = require("../../../src/services/EventStatusService");
+const EventService = require("../../../src/services/EventService");
+
+// Let subscribers scheduled by notify() run
+const flushSubscribers = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("EventStatusService", () => {
+  const db = DatabaseService.getKnex();
+  let user;
+  let event;
+  let context;
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    user = await createUser(db);
+    context = { userId: user.id };
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    EventStatusService.removeAllListeners();
+    EventStatusService.setMachine();
+    await db("event_audit_log").del();
+    await db("events").del();
+    event = await createEvent(db, user, { status: "scheduled" });
+  });
+
+  it("should record a transition and notify subscribers", async () => {
+    const onTransition = jest.fn();
+    const onCompleted = jest.fn();
+    EventStatusService.on("transition", onTransition);
+    EventStatusService.on("status:completed", onCompleted);
+
+    await EventStatusService.transitionStatus(
+      event.id,
+      { status: "in-progress" },
+      context
+    );
+    const updated = await EventStatusService.transitionStatus(
+      event.id,
+      { status: "completed", reason: "All done" },
+      context
+    );
+    await flushSubscribers();
+
+    expect(updated).toMatchObject({
+      status: "completed",
+      previous_status: "in-progress",
+      status_changed_by: user.id,
+    });
+    expect(updated.status_changed_at).toBeTruthy();
+
+    const status = await EventStatusService.getStatus(event.id);
+    expect(status.history).toEqual([
+      expect.objectContaining({ from: "scheduled", to: "in-progress" }),
+      expect.objectContaining({
+        from: "in-progress",
+        to: "completed",
+        reason: "All done",
+        changed_by: user.id,
+      }),
+    ]);
+    expect(status.available_transitions).toEqual([
+      { status: "scheduled", action: "reopen" },
+    ]);
+
+    expect(onTransition).toHaveBeenCalledTimes(2);
+    expect(onCompleted).toHaveBeenCalledTimes(1);
+    expect(onCompleted).toHaveBeenCalledWith(
+      expect.objectContaining({ eventId: event.id, from: "in-progress" })
+    );
+  });
+
+  it("should only leave a final status through an action", async () => {
+    await EventStatusService.transitionStatus(
+      event.id,
+      { status: "completed" },
+      context
+    );
+
+    await expect(
+      EventStatusService.transitionStatus(
+        event.id,
+        { status: "scheduled" },
+        context
+      )
+    ).rejects.toMatchObject({
+      code: "VAL004",
+      details: {
+        from: "completed",
+        to: "scheduled",
+        allowed: [{ status: "scheduled", action: "reopen" }],
+      },
+    });
+
+    const reopened = await EventStatusService.transitionStatus(
+      event.id,
+      { action: "reopen", reason: "Missed a spot" },
+      context
+    );
+    expect(reopened).toMatchObject({
+      status: "scheduled",
+      previous_status: "completed",
+    });
+
+    await expect(
+      EventStatusService.transitionStatus(
+        event.id,
+        { action: "reopen" },
+        context
+      )
+    ).rejects.toMatchObject({ code: "VAL004" });
+  });
+
+  it("should enforce transitions on event updates", async () => {
+    const onTransition = jest.fn();
+    EventStatusService.on("transition", onTransition);
+    const legacy = await createEvent(db, user);
+    expect(legacy.status).toBe("active");
+
+    const updated = await EventService.updateEvent(legacy.id, {
+      status: "cancelled",
+      user_id: user.id,
+    });
+    await flushSubscribers();
+
+    expect(updated).toMatchObject({
+      status: "cancelled",
+      previous_status: "active",
+      status_changed_by: user.id,
+    });
+    expect(onTransition).toHaveBeenCalledWith(
+      expect.objectContaining({ from: "active", to: "cancelled" })
+    );
+
+    await expect(
+      EventService.updateEvent(legacy.id, { status: "in-progress" })
+    ).rejects.toMatchObject({ code: "VAL004" });
+    expect((await db("events").where({ id: legacy.id }).first()).status).toBe(
+      "cancelled"
+    );
+  });
+
+  it("should keep transitions when a subscriber fails", async () => {
+    EventStatusService.on("transition", () => {
+      throw new Error("Subscriber exploded");
+    });
+
+    const updated = await EventStatusService.transitionStatus(
+      event.id,
+      { status: "cancelled" },
+      context
+    );
+    await flushSubscribers();
+
+    expect(updated.status).toBe("cancelled");
+    expect(logger.error).toHaveBeenCalledWith(
+      "Status transition subscriber failed",
+      expect.objectContaining({ error: "Subscriber exploded" })
+    );
+  });
+
+  it("should follow a configured machine", async () => {
+    EventStatusService.setMachine({
+      initial: "scheduled",
+      transitions: { scheduled: ["on-hold"], "on-hold": ["scheduled"] },
+      actions: {},
+    });
+
+    await expect(
+      EventStatusService.transitionStatus(
+        event.id,
+        { status: "completed" },
+        context
+      )
+    ).rejects.toMatchObject({
+      code: "VAL004",
+      details: { allowed: [{ status: "on-hold", action: null }] },
+    });
+
+    const held = await EventStatusService.transitionStatus(
+      event.id,
+      { status: "on-hold" },
+      context
+    );
+    expect(held.status).toBe("on-hold");
+  });
+});
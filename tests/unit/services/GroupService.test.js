@@ -0,0 +1,187 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const GroupService = require("../../../src/services/GroupService");
+const EventInstanceService = require("../../../src/services/EventInstanceService");
+
+describe("GroupService", () => {
+  const db = DatabaseService.getKnex();
+  const instanceId = 1;
+  let parent;
+  let alice;
+  let bob;
+  let parentContext;
+
+  const createInstance = async (event, day, overrides = {}) => {
+    const [instance] = await db("event_instances")
+      .insert({
+        event_id: event.id,
+        start_date: day,
+        end_date: day,
+        modified_history: JSON.stringify([]),
+        ...overrides,
+      })
+      .returning("*");
+    return instance;
+  };
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    parent = await createUser(db, {
+      instance_id: instanceId,
+      roles: JSON.stringify(["user", "manager"]),
+    });
+    alice = await createUser(db, { instance_id: instanceId });
+    bob = await createUser(db, { instance_id: instanceId });
+    parentContext = { userId: parent.id };
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("event_instances").del();
+    await db("events").del();
+    await db("group_members").del();
+    await db("groups").del();
+  });
+
+  it("should only let managers manage groups and their members", async () => {
+    await expect(
+      GroupService.createGroup(instanceId, { name: "Kids" }, { userId: bob.id })
+    ).rejects.toMatchObject({ code: "BUS002" });
+
+    const kids = await GroupService.createGroup(
+      instanceId,
+      { name: "Kids", memberIds: [alice.id] },
+      parentContext
+    );
+    expect(kids).toMatchObject({ name: "Kids", created_by: parent.id });
+    expect(kids.members.map((member) => member.id)).toEqual([alice.id]);
+
+    await expect(
+      GroupService.createGroup(instanceId, { name: "Kids" }, parentContext)
+    ).rejects.toMatchObject({ code: "VAL003" });
+
+    const outsider = await createUser(db, { instance_id: 2 });
+    await expect(
+      GroupService.addMembers(kids.id, instanceId, [outsider.id], parentContext)
+    ).rejects.toMatchObject({
+      code: "RES001",
+      details: expect.objectContaining({ resource: "User", id: outsider.id }),
+    });
+
+    const updated = await GroupService.addMembers(
+      kids.id,
+      instanceId,
+      [alice.id, bob.id],
+      parentContext
+    );
+    expect(updated.members.map((member) => member.id)).toEqual([
+      alice.id,
+      bob.id,
+    ]);
+
+    await GroupService.removeMember(
+      kids.id,
+      instanceId,
+      alice.id,
+      parentContext
+    );
+    const [listed] = await GroupService.getGroups(instanceId);
+    expect(listed).toMatchObject({ id: kids.id, member_count: 1 });
+    expect(await GroupService.getGroups(2)).toEqual([]);
+  });
+
+  it("should list a group's occurrences and show group work to its members", async () => {
+    const kids = await GroupService.createGroup(
+      instanceId,
+      { name: "Kids", memberIds: [alice.id, bob.id] },
+      parentContext
+    );
+    const dishes = await createEvent(db, parent, {
+      assigned_to: null,
+      assigned_group_id: kids.id,
+    });
+    const homework = await createEvent(db, parent, { assigned_to: bob.id });
+    const lawn = await createEvent(db, parent, { assigned_to: parent.id });
+
+    const openDishes = await createInstance(dishes, "2026-10-20");
+    await createInstance(dishes, "2026-10-19", {
+      completion_status: "completed",
+    });
+    const openHomework = await createInstance(homework, "2026-10-21");
+    await createInstance(lawn, "2026-10-20");
+    const rotatedLawn = await createInstance(lawn, "2026-10-27", {
+      assigned_to: alice.id,
+    });
+
+    const open = await EventInstanceService.getGroupInstances(
+      kids.id,
+      instanceId,
+      { completionStatus: "pending" }
+    );
+    expect(open.data.map((instance) => instance.id)).toEqual([
+      openDishes.id,
+      openHomework.id,
+      rotatedLawn.id,
+    ]);
+    expect(open.pagination.total).toBe(3);
+
+    const assigned = await EventInstanceService.getAssignedInstances(alice.id, {
+      completionStatus: "pending",
+    });
+    expect(assigned.data.map((instance) => instance.id)).toEqual([
+      openDishes.id,
+      rotatedLawn.id,
+    ]);
+
+    await expect(
+      EventInstanceService.getGroupInstances(kids.id, 2)
+    ).rejects.toMatchObject({
+      code: "RES001",
+      details: expect.objectContaining({ resource: "Group" }),
+    });
+  });
+
+  it("should only delete groups no live event uses", async () => {
+    const parents = await GroupService.createGroup(
+      instanceId,
+      { name: "Parents", memberIds: [parent.id] },
+      parentContext
+    );
+    const event = await createEvent(db, parent, {
+      approval_type: "any-of-group",
+      approver_group_id: parents.id,
+    });
+
+    await expect(
+      GroupService.deleteGroup(parents.id, instanceId, parentContext)
+    ).rejects.toMatchObject({
+      details: expect.objectContaining({ rule: "IN_USE", events: 1 }),
+    });
+
+    await db("events")
+      .where({ id: event.id })
+      .update({ deleted_at: new Date() });
+    await GroupService.deleteGroup(parents.id, instanceId, parentContext);
+
+    expect(
+      (await db("events").where({ id: event.id }).first()).approver_group_id
+    ).toBeNull();
+    expect(await db("group_members").where({ group_id: parents.id })).toEqual(
+      []
+    );
+  });
+});
@@ -0,0 +1,110 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const { migrateEventSchema, createUser } = require("../../utils/eventDatabase");
+const { toEtag } = require("../../../src/utils/revisions");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const InstanceService = require("../../../src/services/InstanceService");
+const {
+  requireVersion,
+} = require("../../../src/middleware/validation/versionPrecondition");
+
+describe("InstanceService versioning", () => {
+  const db = DatabaseService.getKnex();
+  const instanceService = new InstanceService();
+  const id = "8f14e45f-ceea-467f-a8f1-8b6c2a0e1d01";
+  let owner;
+  let otherOwner;
+
+  // Run requireVersion as the PUT route does and return the update it passes on
+  const withIfMatch = (etag, body) => {
+    const req = { body, get: () => etag };
+    const next = jest.fn();
+    requireVersion()(req, {}, next);
+    expect(next).toHaveBeenCalledWith();
+    return req.body;
+  };
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    owner = await createUser(db);
+    otherOwner = await createUser(db);
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("instances").del();
+    await db("instances").insert({
+      id,
+      name: "Smith household",
+      type: "household",
+      created_by: owner.id,
+    });
+  });
+
+  it("should bump the version and record a revision", async () => {
+    const updated = await instanceService.update(
+      id,
+      { name: "Smith-Jones household", version: 1 },
+      owner.id
+    );
+
+    expect(updated.version).toBe(2);
+    expect(JSON.parse(updated.revision_history)).toEqual([
+      {
+        version: 2,
+        changed_by: owner.id,
+        changed_at: expect.any(String),
+        changes: {
+          name: { from: "Smith household", to: "Smith-Jones household" },
+        },
+      },
+    ]);
+  });
+
+  it("should reject an If-Match of a stale version with 409", async () => {
+    await instanceService.update(
+      id,
+      withIfMatch(toEtag(1), { name: "Smith-Jones household" }),
+      owner.id
+    );
+
+    await expect(
+      instanceService.update(
+        id,
+        withIfMatch(toEtag(1), { name: "Jones household", status: "inactive" }),
+        otherOwner.id
+      )
+    ).rejects.toMatchObject({
+      code: "BUS004",
+      statusCode: 409,
+      details: expect.objectContaining({
+        resource: "Instance",
+        expectedVersion: 1,
+        currentVersion: 2,
+        conflicts: ["name"],
+      }),
+    });
+
+    const stored = await db("instances").where({ id }).first();
+    expect(stored).toMatchObject({
+      name: "Smith-Jones household",
+      status: "active",
+      version: 2,
+    });
+
+    const retried = await instanceService.update(
+      id,
+      withIfMatch(toEtag(2), { status: "inactive" }),
+      otherOwner.id
+    );
+    expect(retried).toMatchObject({ status: "inactive", version: 3 });
+  });
+});
@@ -0,0 +1,172 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+jest.mock("../../../src/services/LoggerService", () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+}));
+
+const LocationService = require("../../../src/services/LocationService");
+const CategoryService = require("../../../src/services/CategoryService");
+const EventService = require("../../../src/services/EventService");
+
+describe("LocationService", () => {
+  const db = DatabaseService.getKnex();
+  const instanceId = "instance-1";
+  let user;
+  let context;
+  let house;
+  let upstairs;
+  let bathroom;
+  let yard;
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    user = await createUser(db);
+    context = { userId: user.id };
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("events").del();
+    await db("locations").del();
+    await db("categories").del();
+    house = await LocationService.create(
+      instanceId,
+      { name: "House" },
+      context
+    );
+    upstairs = await LocationService.create(
+      instanceId,
+      { name: "Upstairs", parentId: house.id },
+      context
+    );
+    bathroom = await LocationService.create(
+      instanceId,
+      { name: "Bathroom", parentId: upstairs.id, radiusMeters: 20 },
+      context
+    );
+    yard = await LocationService.create(instanceId, { name: "Yard" }, context);
+  });
+
+  it("should nest locations within an instance", async () => {
+    expect(bathroom).toMatchObject({ radius_meters: 20, created_by: user.id });
+    expect(
+      (await LocationService.getById(bathroom.id, instanceId)).path
+    ).toEqual([
+      { id: house.id, name: "House" },
+      { id: upstairs.id, name: "Upstairs" },
+    ]);
+
+    const tree = await LocationService.list(instanceId, { tree: true });
+    expect(tree.map((node) => node.name)).toEqual(["House", "Yard"]);
+    expect(tree[0].children[0].children[0].id).toBe(bathroom.id);
+
+    expect(await LocationService.list("instance-2")).toEqual([]);
+    await expect(
+      LocationService.create(
+        "instance-2",
+        { name: "Shed", parentId: yard.id },
+        context
+      )
+    ).rejects.toMatchObject({
+      code: "RES001",
+      details: expect.objectContaining({ resource: "Parent Location" }),
+    });
+  });
+
+  it("should reject moves into a location's own subtree", async () => {
+    await expect(
+      LocationService.update(house.id, instanceId, { parentId: bathroom.id })
+    ).rejects.toMatchObject({
+      code: "BUS001",
+      details: expect.objectContaining({ rule: "HIERARCHY_CYCLE" }),
+    });
+
+    const moved = await LocationService.update(upstairs.id, instanceId, {
+      parentId: yard.id,
+    });
+    expect(moved.parent_id).toBe(yard.id);
+  });
+
+  it("should only delete locations without children or live events", async () => {
+    await expect(
+      LocationService.delete(upstairs.id, instanceId)
+    ).rejects.toMatchObject({
+      details: expect.objectContaining({ rule: "HAS_CHILDREN" }),
+    });
+
+    const event = await createEvent(db, user, { location_id: yard.id });
+    await expect(
+      LocationService.delete(yard.id, instanceId)
+    ).rejects.toMatchObject({
+      details: expect.objectContaining({ rule: "IN_USE", events: 1 }),
+    });
+
+    await db("events")
+      .where({ id: event.id })
+      .update({ deleted_at: new Date() });
+    await LocationService.delete(yard.id, instanceId);
+    expect(
+      (await db("events").where({ id: event.id }).first()).location_id
+    ).toBeNull();
+  });
+
+  it("should filter events by location and category including descendants", async () => {
+    const cleaning = await CategoryService.create(
+      instanceId,
+      { name: "Cleaning" },
+      context
+    );
+    const floors = await CategoryService.create(
+      instanceId,
+      { name: "Floors", parentId: cleaning.id },
+      context
+    );
+    const mop = await createEvent(db, user, {
+      location_id: bathroom.id,
+      category_id: floors.id,
+    });
+    const hallway = await createEvent(db, user, {
+      location_id: upstairs.id,
+    });
+    await createEvent(db, user, { location_id: yard.id });
+
+    const inHouse = await EventService.getEvents({ locationId: house.id });
+    expect(inHouse.data.map((event) => event.id).sort()).toEqual(
+      [mop.id, hallway.id].sort()
+    );
+    expect(inHouse.pagination.total).toBe(2);
+
+    const cleaningEvents = await EventService.getEvents({
+      categoryId: cleaning.id,
+    });
+    expect(cleaningEvents.data.map((event) => event.id)).toEqual([mop.id]);
+
+    await expect(
+      EventService.createEvent({
+        title: "Sweep",
+        priority: 1,
+        assigned_by: user.id,
+        created_by: user.id,
+        location_id: 9999,
+      })
+    ).rejects.toMatchObject({
+      code: "RES001",
+      details: expect.objectContaining({ resource: "Location" }),
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const PointsService = require("../../../src/services/PointsService");
+const ApprovalService = require("../../../src/services/ApprovalService");
+const EventInstanceService = require("../../../src/services/EventInstanceService");
+
+describe("PointsService", () => {
+  const db = DatabaseService.getKnex();
+  let parent;
+  let kid;
+  let sibling;
+
+  const createOccurrence = async (event, day = "2099-01-01") => {
+    const [instance] = await db("event_instances")
+      .insert({
+        event_id: event.id,
+        start_date: day,
+        end_date: day,
+        modified_history: JSON.stringify([]),
+      })
+      .returning("*");
+    return instance;
+  };
+
+  const balanceOf = async (user) =>
+    (await PointsService.getBalance(user.id)).balance;
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    parent = await createUser(db, { instance_id: 1 });
+    kid = await createUser(db, { instance_id: 1 });
+    sibling = await createUser(db, { instance_id: 1 });
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("points_ledger").del();
+    await db("event_approvals").del();
+    await db("event_instances").del();
+    await db("events").del();
+  });
+
+  it("should credit completions with an early bonus, and reverse them on undo", async () => {
+    const event = await createEvent(db, parent, {
+      assigned_to: kid.id,
+      points_value: 10,
+    });
+    const instance = await createOccurrence(event);
+
+    await EventInstanceService.completeInstance(
+      event.id,
+      instance.id,
+      {},
+      { userId: kid.id }
+    );
+
+    const { history } = await PointsService.getBalance(kid.id);
+    expect(history.map((entry) => [entry.entry_type, entry.points])).toEqual(
+      expect.arrayContaining([
+        ["completion", 10],
+        ["early_bonus", 2],
+      ])
+    );
+    expect(await balanceOf(kid)).toBe(12);
+
+    await EventInstanceService.undoCompletion(event.id, instance.id, {
+      userId: parent.id,
+    });
+    expect(await balanceOf(kid)).toBe(0);
+  });
+
+  it("should only credit approved completions and penalize late ones", async () => {
+    const event = await createEvent(db, parent, {
+      assigned_to: kid.id,
+      points_value: 10,
+      requires_approval: true,
+      allow_late_completion: true,
+    });
+    const instance = await createOccurrence(event, "2020-01-01");
+
+    await EventInstanceService.completeInstance(
+      event.id,
+      instance.id,
+      {},
+      { userId: kid.id }
+    );
+    expect(await balanceOf(kid)).toBe(0);
+
+    const approver = { userId: parent.id };
+    await ApprovalService.approve(event.id, instance.id, {}, approver);
+    expect(await balanceOf(kid)).toBe(5);
+  });
+
+  it("should charge skipped occurrences to the assignee", async () => {
+    const event = await createEvent(db, parent, {
+      assigned_to: kid.id,
+      points_value: 10,
+    });
+    const instance = await createOccurrence(event);
+
+    await EventInstanceService.skipInstance(
+      event.id,
+      instance.id,
+      { reason: "Forgot" },
+      { userId: kid.id }
+    );
+
+    expect(await balanceOf(kid)).toBe(-10);
+  });
+
+  it("should require a reason for manual adjustments", async () => {
+    await expect(
+      PointsService.adjustPoints(kid.id, { points: 5, reason: " " }, {})
+    ).rejects.toMatchObject({ code: "VAL001" });
+
+    const entry = await PointsService.adjustPoints(
+      kid.id,
+      { points: -3, reason: "Ice cream" },
+      { userId: parent.id }
+    );
+    expect(entry).toMatchObject({
+      entry_type: "adjustment",
+      points: -3,
+      created_by: parent.id,
+    });
+  });
+
+  it("should rank an instance's users for the week", async () => {
+    const outsider = await createUser(db, { instance_id: 2 });
+    for (const [user, points] of [
+      [kid, 30],
+      [sibling, 30],
+      [parent, 5],
+      [outsider, 100],
+    ]) {
+      await PointsService.adjustPoints(
+        user.id,
+        { points, reason: "Chores" },
+        {}
+      );
+    }
+    await db("points_ledger").insert({
+      user_id: parent.id,
+      entry_type: "adjustment",
+      points: 50,
+      reason: "Last year",
+      created_at: new Date("2020-01-01"),
+    });
+    // Spending points on a reward doesn't cost a place
+    await db("points_ledger").insert([
+      { user_id: kid.id, entry_type: "redemption", points: -25 },
+      { user_id: sibling.id, entry_type: "redemption", points: -10 },
+      { user_id: sibling.id, entry_type: "refund", points: 10 },
+    ]);
+
+    const leaderboard = await PointsService.getLeaderboard({
+      instanceId: 1,
+      period: "week",
+    });
+
+    expect(
+      leaderboard.entries.map((entry) => [entry.rank, entry.user_id])
+    ).toEqual([
+      [1, kid.id],
+      [1, sibling.id],
+      [3, parent.id],
+    ]);
+    expect(leaderboard.entries[2].points).toBe(5);
+  });
+});
@@ -0,0 +1,219 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+jest.mock("../../../src/services/LoggerService", () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const RecurrenceService = require("../../../src/services/RecurrenceService");
+const AppError = require("../../../src/utils/AppError");
+
+describe("RecurrenceService", () => {
+  const db = DatabaseService.getKnex();
+  let user;
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    user = await createUser(db);
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("instance_ranges").del();
+    await db("event_instances").del();
+    await db("events").del();
+  });
+
+  describe("getOccurrenceDates", () => {
+    const window = [new Date(2024, 0, 1), new Date(2024, 2, 31)];
+
+    it("should step weekly from the effective date", () => {
+      const dates = RecurrenceService.getOccurrenceDates(
+        { effective_date: "2024-01-03" },
+        { name: "weekly", interval_unit: "week", interval_value: 1 },
+        ...window
+      );
+
+      expect(dates.slice(0, 3)).toEqual([
+        "2024-01-03",
+        "2024-01-10",
+        "2024-01-17",
+      ]);
+      expect(dates).toHaveLength(13);
+    });
+
+    it("should not drift when stepping monthly from a month end", () => {
+      const dates = RecurrenceService.getOccurrenceDates(
+        { effective_date: "2024-01-31" },
+        { name: "monthly", interval_unit: "month", interval_value: 1 },
+        ...window
+      );
+
+      expect(dates).toEqual(["2024-01-31", "2024-02-29", "2024-03-31"]);
+    });
+
+    it("should stop at the expiration date", () => {
+      const dates = RecurrenceService.getOccurrenceDates(
+        { effective_date: "2024-01-01", expiration_date: "2024-01-05" },
+        { name: "daily", interval_unit: "day", interval_value: 1 },
+        ...window
+      );
+
+      expect(dates).toHaveLength(5);
+      expect(dates[4]).toBe("2024-01-05");
+    });
+
+    it("should prefer the event RRULE and its excluded dates", () => {
+      const dates = RecurrenceService.getOccurrenceDates(
+        {
+          effective_date: "2024-01-01",
+          recurrence_rule: "FREQ=WEEKLY;BYDAY=SA",
+          recurrence_exdates: JSON.stringify(["2024-01-13"]),
+        },
+        null,
+        new Date(2024, 0, 1),
+        new Date(2024, 0, 31)
+      );
+
+      expect(dates).toEqual(["2024-01-06", "2024-01-20", "2024-01-27"]);
+    });
+
+    it("should return a single date for one-off events", () => {
+      expect(
+        RecurrenceService.getOccurrenceDates(
+          { effective_date: "2024-02-14" },
+          null,
+          ...window
+        )
+      ).toEqual(["2024-02-14"]);
+    });
+  });
+
+  describe("generateInstances", () => {
+    it("should write occurrences and record the run", async () => {
+      const event = await createEvent(db, user, {
+        frequency_id: 2,
+        effective_date: "2024-01-01",
+        time_preference: "08:30:00",
+      });
+
+      const { range, instances } = await RecurrenceService.generateInstances(
+        event.id,
+        { from: new Date(2024, 0, 1), to: new Date(2024, 0, 31) }
+      );
+
+      expect(instances.map((i) => i.start_date)).toEqual([
+        "2024-01-01",
+        "2024-01-08",
+        "2024-01-15",
+        "2024-01-22",
+        "2024-01-29",
+      ]);
+      expect(instances[0].start_time).toBe("08:30:00");
+      expect(range.generated_count).toBe(5);
+      expect(range.generated_by).toBe(user.id);
+    });
+
+    it("should be idempotent across overlapping runs", async () => {
+      const event = await createEvent(db, user, {
+        frequency_id: 1,
+        effective_date: "2024-01-01",
+      });
+
+      await RecurrenceService.generateInstances(event.id, {
+        from: new Date(2024, 0, 1),
+        to: new Date(2024, 0, 10),
+      });
+      const second = await RecurrenceService.generateInstances(event.id, {
+        from: new Date(2024, 0, 5),
+        to: new Date(2024, 0, 15),
+      });
+
+      expect(second.instances).toHaveLength(5);
+      expect(
+        await db("event_instances")
+          .where({ event_id: event.id })
+          .count("* as c")
+      ).toEqual([{ c: 15 }]);
+      expect(await db("instance_ranges").count("* as c")).toEqual([{ c: 2 }]);
+    });
+
+    it("should reject unknown events", async () => {
+      await expect(
+        RecurrenceService.generateInstances(9999, {
+          from: new Date(2024, 0, 1),
+        })
+      ).rejects.toThrow(AppError);
+    });
+
+    it("should reject templates", async () => {
+      const event = await createEvent(db, user, {
+        frequency_id: 1,
+        is_template: true,
+      });
+
+      await expect(
+        RecurrenceService.generateInstances(event.id)
+      ).rejects.toMatchObject({ code: "BUS001" });
+    });
+  });
+
+  describe("generateAll", () => {
+    it("should process active recurring events only", async () => {
+      await createEvent(db, user, {
+        frequency_id: 1,
+        effective_date: "2024-01-01",
+      });
+      await createEvent(db, user, {
+        frequency_id: 1,
+        effective_date: "2024-01-01",
+        is_active: false,
+      });
+
+      const summary = await RecurrenceService.generateAll({
+        now: new Date(2024, 0, 1),
+        windowDays: 6,
+      });
+
+      expect(summary).toEqual({ events: 1, generated: 7, failed: 0 });
+    });
+
+    it("should record failures without stopping the run", async () => {
+      await createEvent(db, user, {
+        frequency_id: 99,
+        effective_date: "2024-01-01",
+      });
+      await createEvent(db, user, {
+        frequency_id: 1,
+        effective_date: "2024-01-01",
+      });
+
+      const summary = await RecurrenceService.generateAll({
+        now: new Date(2024, 0, 1),
+        windowDays: 1,
+      });
+
+      expect(summary).toEqual({ events: 2, generated: 2, failed: 1 });
+      const failed = await db("instance_ranges")
+        .where({ status: "failed" })
+        .first();
+      expect(JSON.parse(failed.error_log).code).toBe("RES001");
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const { migrateEventSchema, createUser } = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const RewardService = require("../../../src/services/RewardService");
+const PointsService = require("../../../src/services/PointsService");
+
+describe("RewardService", () => {
+  const db = DatabaseService.getKnex();
+  let parent;
+  let kid;
+  let kidContext;
+  let parentContext;
+
+  const balanceOf = async (user) =>
+    (await PointsService.getBalance(user.id)).balance;
+
+  const createReward = (data) =>
+    RewardService.createReward(
+      { name: "Cinema trip", cost: 50, ...data },
+      parentContext
+    );
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    parent = await createUser(db, {
+      instance_id: 1,
+      roles: JSON.stringify(["user", "manager"]),
+    });
+    kid = await createUser(db, { instance_id: 1 });
+    parentContext = { userId: parent.id };
+    kidContext = { userId: kid.id };
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("reward_redemptions").del();
+    await db("rewards").del();
+    await db("points_ledger").del();
+    await PointsService.adjustPoints(
+      kid.id,
+      { points: 60, reason: "Chores" },
+      parentContext
+    );
+  });
+
+  it("should only let managers add rewards to their instance", async () => {
+    await expect(
+      RewardService.createReward({ name: "Sweets", cost: 5 }, kidContext)
+    ).rejects.toMatchObject({ code: "BUS002" });
+
+    const reward = await createReward({ stock: 2 });
+    expect(reward).toMatchObject({ created_by: parent.id, stock: 2 });
+    expect(await RewardService.getRewards(1)).toHaveLength(1);
+  });
+
+  it("should debit the ledger and the stock when redeeming", async () => {
+    const reward = await createReward({ stock: 1 });
+
+    const redemption = await RewardService.redeemReward(
+      reward.id,
+      {},
+      kidContext
+    );
+
+    expect(redemption).toMatchObject({ status: "approved", cost: 50 });
+    expect(await balanceOf(kid)).toBe(10);
+    expect((await db("rewards").where({ id: reward.id }).first()).stock).toBe(
+      0
+    );
+
+    await PointsService.adjustPoints(
+      kid.id,
+      { points: 100, reason: "Chores" },
+      parentContext
+    );
+    await expect(
+      RewardService.redeemReward(reward.id, {}, kidContext)
+    ).rejects.toMatchObject({
+      code: "BUS001",
+      details: expect.objectContaining({ rule: "OUT_OF_STOCK" }),
+    });
+  });
+
+  it("should reject redemptions the balance cannot cover and leave no trace", async () => {
+    const reward = await createReward({ cost: 100, stock: 3 });
+
+    await expect(
+      RewardService.redeemReward(reward.id, {}, kidContext)
+    ).rejects.toMatchObject({
+      code: "BUS001",
+      details: expect.objectContaining({
+        rule: "INSUFFICIENT_POINTS",
+        balance: 60,
+        required: 100,
+      }),
+    });
+
+    expect(await balanceOf(kid)).toBe(60);
+    expect((await db("rewards").where({ id: reward.id }).first()).stock).toBe(
+      3
+    );
+    expect(await db("reward_redemptions")).toHaveLength(0);
+  });
+
+  it("should hold redemptions for approval and refund rejected ones", async () => {
+    const reward = await createReward({ stock: 5, requiresApproval: true });
+
+    const first = await RewardService.redeemReward(reward.id, {}, kidContext);
+    expect(first.status).toBe("pending");
+    expect(await balanceOf(kid)).toBe(10);
+
+    await expect(
+      RewardService.approveRedemption(first.id, {}, kidContext)
+    ).rejects.toMatchObject({ code: "BUS002" });
+
+    const rejected = await RewardService.rejectRedemption(
+      first.id,
+      { notes: "Not this week" },
+      parentContext
+    );
+    expect(rejected).toMatchObject({
+      status: "rejected",
+      reviewed_by: parent.id,
+    });
+    expect(await balanceOf(kid)).toBe(60);
+    expect((await db("rewards").where({ id: reward.id }).first()).stock).toBe(
+      5
+    );
+
+    const second = await RewardService.redeemReward(reward.id, {}, kidContext);
+    const approved = await RewardService.approveRedemption(
+      second.id,
+      {},
+      parentContext
+    );
+    expect(approved.status).toBe("approved");
+    expect(await balanceOf(kid)).toBe(10);
+
+    await expect(
+      RewardService.rejectRedemption(second.id, {}, parentContext)
+    ).rejects.toMatchObject({ code: "VAL004" });
+  });
+});
@@ -0,0 +1,154 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const RiskService = require("../../../src/services/RiskService");
+const EventService = require("../../../src/services/EventService");
+const { defaultModel } = require("../../../src/config/risk");
+
+describe("RiskService", () => {
+  const db = DatabaseService.getKnex();
+  let user;
+  let event;
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    user = await createUser(db);
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    RiskService.setModel();
+    await db("event_risk_history").del();
+    await db("events").del();
+    event = await createEvent(db, user, { title: "Clean roof gutters" });
+  });
+
+  describe("calculateRisk", () => {
+    it("should add up weighted factors and band the score", () => {
+      expect(
+        RiskService.calculateRisk([
+          { name: "height", likelihood: 3, impact: 5 },
+          { name: "weather", likelihood: 2, impact: 2 },
+        ])
+      ).toMatchObject({
+        score: 49,
+        level: "high",
+        factors: [
+          { name: "height", weight: 3, score: 45 },
+          { name: "weather", weight: 1, score: 4 },
+        ],
+      });
+      expect(
+        RiskService.calculateRisk([{ name: "dust", likelihood: 2, impact: 2 }])
+      ).toMatchObject({ score: 4, level: "low" });
+      expect(
+        RiskService.calculateRisk([
+          { name: "height", likelihood: 5, impact: 5 },
+          { name: "electrical", likelihood: 5, impact: 5 },
+        ])
+      ).toMatchObject({ score: 100, level: "critical" });
+    });
+
+    it("should use the configured model", () => {
+      RiskService.setModel({
+        ...defaultModel,
+        weights: { ladder: 4 },
+        bands: [
+          { level: "low", min: 0 },
+          { level: "high", min: 10 },
+        ],
+      });
+
+      expect(
+        RiskService.calculateRisk([
+          { name: "ladder", likelihood: 1, impact: 3 },
+        ])
+      ).toMatchObject({ score: 12, level: "high" });
+    });
+
+    it("should reject factors rated twice", () => {
+      expect(() =>
+        RiskService.calculateRisk([
+          { name: "height", likelihood: 1, impact: 1 },
+          { name: "height", likelihood: 2, impact: 2 },
+        ])
+      ).toThrow(expect.objectContaining({ code: "VAL001" }));
+    });
+  });
+
+  it("should update the event and keep each assessment", async () => {
+    await RiskService.assessRisk(
+      event.id,
+      {
+        factors: [{ name: "height", likelihood: 3, impact: 5 }],
+        mitigationPlan: "Use the stabilizer and have a spotter",
+      },
+      { userId: user.id }
+    );
+    const second = await RiskService.assessRisk(
+      event.id,
+      {
+        factors: [{ name: "height", likelihood: 1, impact: 5 }],
+        notes: "Gutter guards installed",
+      },
+      { userId: user.id }
+    );
+
+    expect(second.event).toMatchObject({
+      risk_level: "low",
+      risk_score: 15,
+      risk_mitigation_plan: "Use the stabilizer and have a spotter",
+    });
+
+    const assessment = await RiskService.getRiskAssessment(event.id);
+    expect(assessment.risk_factors).toEqual([
+      { name: "height", likelihood: 1, impact: 5, weight: 3, score: 15 },
+    ]);
+    expect(
+      assessment.history.map((entry) => [
+        entry.risk_level,
+        entry.risk_score,
+        entry.assessed_by,
+      ])
+    ).toEqual([
+      ["low", 15, user.id],
+      ["high", 45, user.id],
+    ]);
+    expect(assessment.history[1].mitigation_updates).toEqual({
+      plan: "Use the stabilizer and have a spotter",
+    });
+  });
+
+  it("should let events be filtered by risk level", async () => {
+    const ladder = await createEvent(db, user, { title: "Change bulbs" });
+    await createEvent(db, user, { title: "Water plants" });
+    await RiskService.assessRisk(event.id, {
+      factors: [{ name: "height", likelihood: 5, impact: 5 }],
+    });
+    await RiskService.assessRisk(ladder.id, {
+      factors: [{ name: "height", likelihood: 4, impact: 4 }],
+    });
+
+    const { data } = await EventService.getEvents({
+      riskLevel: "high,critical",
+    });
+
+    expect(data.map((row) => row.title).sort()).toEqual([
+      "Change bulbs",
+      "Clean roof gutters",
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+const SchedulerService = require("../../../src/services/SchedulerService");
+
+jest.mock("../../../src/services/LoggerService", () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe("SchedulerService", () => {
+  const fixedNow = new Date("2024-06-01T09:00:00Z");
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    SchedulerService.setClock(() => fixedNow);
+  });
+
+  afterEach(() => {
+    SchedulerService.stop();
+    for (const { name } of SchedulerService.getStatus()) {
+      SchedulerService.unregister(name);
+    }
+    SchedulerService.setClock();
+    jest.useRealTimers();
+  });
+
+  it("should run registered jobs on their interval with the injected clock", async () => {
+    const handler = jest.fn().mockResolvedValue("done");
+    SchedulerService.register("test", 1000, handler);
+    SchedulerService.start();
+
+    await jest.advanceTimersByTimeAsync(3000);
+
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(handler).toHaveBeenCalledWith(fixedNow);
+    expect(SchedulerService.getStatus()[0]).toMatchObject({
+      name: "test",
+      isScheduled: true,
+      lastRunAt: fixedNow,
+      lastError: null,
+    });
+  });
+
+  it("should stop running jobs after stop()", async () => {
+    const handler = jest.fn().mockResolvedValue();
+    SchedulerService.register("test", 1000, handler);
+    SchedulerService.start();
+    SchedulerService.stop();
+
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it("should capture handler failures", async () => {
+    SchedulerService.register(
+      "failing",
+      1000,
+      jest.fn().mockRejectedValue(new Error("boom"))
+    );
+
+    await expect(SchedulerService.runJob("failing")).resolves.toBeNull();
+    expect(SchedulerService.getStatus()[0].lastError).toBe("boom");
+  });
+
+  it("should skip overlapping runs of the same job", async () => {
+    let release;
+    const handler = jest.fn(
+      () => new Promise((resolve) => (release = resolve))
+    );
+    SchedulerService.register("slow", 1000, handler);
+
+    const first = SchedulerService.runJob("slow");
+    await expect(SchedulerService.runJob("slow")).resolves.toBeNull();
+    release("ok");
+
+    await expect(first).resolves.toBe("ok");
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("should reject unknown jobs", async () => {
+    await expect(SchedulerService.runJob("missing")).rejects.toThrow(
+      "Unknown background job: missing"
+    );
+  });
+});
@@ -0,0 +1,247 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const TemplateService = require("../../../src/services/TemplateService");
+
+describe("TemplateService", () => {
+  const db = DatabaseService.getKnex();
+  let parent;
+  let other;
+  let stranger;
+  let event;
+  let prerequisite;
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    const household = "8f14e45f-ceea-467f-a8f1-8b6c2a0e1d02";
+    parent = await createUser(db, { instance_id: household });
+    other = await createUser(db, { instance_id: household });
+    stranger = await createUser(db, {
+      instance_id: "8f14e45f-ceea-467f-a8f1-8b6c2a0e1d03",
+    });
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("events").update({ template_id: null });
+    await db("event_templates").del();
+    await db("event_validation_rules").del();
+    await db("event_dependencies").del();
+    await db("event_checklists").del();
+    await db("events").del();
+
+    prerequisite = await createEvent(db, parent, { title: "Buy supplies" });
+    event = await createEvent(db, parent, {
+      title: "Pack school bag",
+      assigned_to: other.id,
+      effective_date: "2024-09-01",
+      recurrence_rule: "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR",
+      points_value: 5,
+      metadata: JSON.stringify({ room: "hallway" }),
+    });
+    await db("event_checklists").insert({
+      event_id: event.id,
+      title: "Bag",
+      checklist_items: JSON.stringify([
+        { id: "lunch", title: "Lunch box" },
+        { id: "books", title: "Books" },
+      ]),
+    });
+    await db("event_dependencies").insert({
+      event_id: prerequisite.id,
+      dependent_event_id: event.id,
+    });
+    await db("event_validation_rules").insert({
+      event_id: event.id,
+      rule_type: "required_field",
+      rule_name: "Photo of the bag",
+      rule_configuration: JSON.stringify({ field: "photo" }),
+    });
+  });
+
+  const saveTemplate = (data = {}, context = { userId: parent.id }) =>
+    TemplateService.createTemplate(
+      { eventId: event.id, name: "School morning", ...data },
+      context
+    );
+
+  it("should snapshot an event with its checklists, prerequisites and rules", async () => {
+    const template = await saveTemplate();
+
+    expect(template).toMatchObject({
+      name: "School morning",
+      version: 1,
+      is_shared: false,
+      source_event_id: event.id,
+    });
+    expect(template.template_data.event).toMatchObject({
+      title: "Pack school bag",
+      points_value: 5,
+      metadata: { room: "hallway" },
+    });
+    expect(template.template_data.event).not.toHaveProperty("assigned_to");
+    expect(template.template_data.checklists).toEqual([
+      expect.objectContaining({
+        title: "Bag",
+        checklist_items: [
+          { id: "lunch", title: "Lunch box" },
+          { id: "books", title: "Books" },
+        ],
+      }),
+    ]);
+    expect(template.template_data.dependencies).toEqual([
+      expect.objectContaining({ event_id: prerequisite.id }),
+    ]);
+    expect(template.template_data.validation_rules).toEqual([
+      expect.objectContaining({
+        rule_name: "Photo of the bag",
+        rule_configuration: { field: "photo" },
+      }),
+    ]);
+  });
+
+  it("should create events from a template with overrides", async () => {
+    const template = await saveTemplate();
+
+    const created = await TemplateService.instantiateTemplate(
+      template.id,
+      {
+        title: "Pack Sam's bag",
+        assignedTo: other.id,
+        effectiveDate: "2025-09-01",
+      },
+      { userId: parent.id }
+    );
+
+    expect(created).toMatchObject({
+      title: "Pack Sam's bag",
+      assigned_to: other.id,
+      created_by: parent.id,
+      effective_date: "2025-09-01",
+      recurrence_rule: "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR",
+      points_value: 5,
+      template_id: template.id,
+      template_version: 1,
+      status: "scheduled",
+    });
+    expect(JSON.parse(created.metadata)).toEqual({ room: "hallway" });
+    expect(
+      await db("event_audit_log")
+        .where({ event_id: created.id })
+        .pluck("action")
+    ).toEqual(["CREATE"]);
+    expect(
+      await db("event_checklists").where({ event_id: created.id })
+    ).toHaveLength(1);
+    expect(
+      await db("event_dependencies")
+        .where({ dependent_event_id: created.id })
+        .pluck("event_id")
+    ).toEqual([prerequisite.id]);
+    expect(
+      await db("event_validation_rules")
+        .where({ event_id: created.id })
+        .pluck("rule_name")
+    ).toEqual(["Photo of the bag"]);
+  });
+
+  it("should flag events created from an older version", async () => {
+    const template = await saveTemplate();
+    const created = await TemplateService.instantiateTemplate(
+      template.id,
+      {},
+      { userId: parent.id }
+    );
+
+    await db("events").where({ id: event.id }).update({ points_value: 10 });
+    const updated = await TemplateService.updateTemplate(
+      template.id,
+      { eventId: event.id },
+      { userId: parent.id }
+    );
+
+    expect(updated.version).toBe(2);
+    expect(updated.template_data.event.points_value).toBe(10);
+    expect(updated.metadata.versions).toHaveLength(2);
+    expect(
+      await TemplateService.getEventTemplateStatus(created.id)
+    ).toMatchObject({
+      template_id: template.id,
+      template_version: 1,
+      latest_version: 2,
+      is_outdated: true,
+    });
+
+    const latest = await TemplateService.instantiateTemplate(
+      template.id,
+      {},
+      { userId: parent.id }
+    );
+    expect(
+      await TemplateService.getTemplateEvents(template.id, {
+        userId: parent.id,
+      })
+    ).toEqual([
+      expect.objectContaining({ id: created.id, is_outdated: true }),
+      expect.objectContaining({ id: latest.id, is_outdated: false }),
+    ]);
+  });
+
+  it("should keep templates to their creator unless shared in the instance", async () => {
+    const template = await saveTemplate();
+
+    await expect(
+      TemplateService.getTemplateById(template.id, { userId: other.id })
+    ).rejects.toMatchObject({ code: "RES001" });
+    expect(await TemplateService.getTemplates({ userId: other.id })).toEqual(
+      []
+    );
+
+    await TemplateService.updateTemplate(
+      template.id,
+      { isShared: true },
+      { userId: parent.id }
+    );
+
+    expect(
+      (await TemplateService.getTemplates({ userId: other.id })).map(
+        (row) => row.id
+      )
+    ).toEqual([template.id]);
+    expect(await TemplateService.getTemplates({ userId: stranger.id })).toEqual(
+      []
+    );
+    await expect(
+      TemplateService.instantiateTemplate(
+        template.id,
+        {},
+        { userId: stranger.id }
+      )
+    ).rejects.toMatchObject({ code: "RES001" });
+    await expect(
+      TemplateService.updateTemplate(
+        template.id,
+        { name: "Mine now" },
+        { userId: other.id }
+      )
+    ).rejects.toMatchObject({ code: "BUS002" });
+
+    await TemplateService.deleteTemplate(template.id, { userId: parent.id });
+    expect(await TemplateService.getTemplates({ userId: parent.id })).toEqual(
+      []
+    );
+  });
+});
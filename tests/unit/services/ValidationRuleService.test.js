@@ -0,0 +1,310 @@
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+jest.mock("../../../src/services/LoggerService", () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const logger = require("../../../src/services/LoggerService");
+const ValidationRuleService = require("../../../src/services/ValidationRuleService");
+const EventService = require("../../../src/services/EventService");
+const EventInstanceService = require("../../../src/services/EventInstanceService");
+
+describe("ValidationRuleService", () => {
+  const db = DatabaseService.getKnex();
+  let user;
+  let event;
+  let instance;
+  let context;
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    user = await createUser(db);
+    context = { userId: user.id };
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+  });
+
+  beforeEach(async () => {
+    await db("event_acceptance_results").del();
+    await db("event_validation_rules").del();
+    await db("event_audit_log").del();
+    await db("event_instances").del();
+    await db("events").del();
+    event = await createEvent(db, user, {
+      title: "Mow the lawn",
+      priority: 2,
+      estimated_duration: 30,
+    });
+    [instance] = await db("event_instances")
+      .insert({
+        event_id: event.id,
+        start_date: "2099-01-01",
+        end_date: "2099-01-01",
+        modified_history: JSON.stringify([]),
+      })
+      .returning("*");
+  });
+
+  const evaluateRule = async (rule, instanceData = null) => {
+    const [result] = await ValidationRuleService.evaluate(
+      db,
+      { ...event, id: undefined, validation_rules: JSON.stringify([rule]) },
+      "complete",
+      instanceData
+    );
+    return result;
+  };
+
+  describe("rule types", () => {
+    it("should check required fields, numeric ranges and patterns", async () => {
+      const required = await evaluateRule({
+        rule_type: "required_field",
+        rule_configuration: { field: "instance.completion_notes" },
+      });
+      expect(required).toMatchObject({ passed: false, actual: undefined });
+
+      const range = await evaluateRule({
+        rule_type: "numeric_range",
+        rule_configuration: { field: "event.priority", min: 1, max: 3 },
+      });
+      expect(range).toMatchObject({ passed: true, actual: 2 });
+
+      const regex = await evaluateRule({
+        rule_type: "regex",
+        rule_configuration: {
+          field: "event.title",
+          pattern: "^mow",
+          flags: "i",
+        },
+      });
+      expect(regex.passed).toBe(true);
+    });
+
+    it("should check date windows against fields and evaluate expressions", async () => {
+      const window = await evaluateRule(
+        {
+          rule_type: "date_window",
+          rule_configuration: {
+            field: "instance.completed_at",
+            after: "$instance.start_date",
+            before: "2099-01-02",
+          },
+        },
+        { start_date: "2099-01-01", completed_at: "2099-01-03T10:00:00Z" }
+      );
+      expect(window.passed).toBe(false);
+
+      const expression = await evaluateRule(
+        {
+          rule_type: "expression",
+          rule_configuration: {
+            expression:
+              "instance.actual_duration <= event.estimated_duration * 2 && !(event.priority > 3)",
+          },
+        },
+        { actual_duration: 45 }
+      );
+      expect(expression.passed).toBe(true);
+    });
+
+    it("should reject invalid rule definitions", async () => {
+      await expect(
+        ValidationRuleService.createRule(event.id, {
+          ruleType: "expression",
+          ruleName: "Broken",
+          configuration: { expression: "event.priority >" },
+        })
+      ).rejects.toMatchObject({
+        code: "VAL001",
+        details: {
+          invalid: [
+            {
+              index: 0,
+              rule_name: "Broken",
+              reason: "Unexpected end of expression",
+            },
+          ],
+        },
+      });
+
+      await expect(
+        ValidationRuleService.createRule(event.id, {
+          ruleType: "regex",
+          ruleName: "No pattern",
+          configuration: { field: "event.title" },
+        })
+      ).rejects.toMatchObject({ code: "VAL001" });
+    });
+  });
+
+  describe("event lifecycle", () => {
+    it("should reject creating an event that fails its inline rules", async () => {
+      await expect(
+        EventService.createEvent({
+          title: "Untimed chore",
+          assigned_by: user.id,
+          created_by: user.id,
+          assigned_to: user.id,
+          validation_rules: [
+            {
+              rule_type: "required_field",
+              rule_name: "Needs an estimate",
+              rule_configuration: { field: "event.estimated_duration" },
+              error_message: "Estimate how long this takes",
+            },
+          ],
+        })
+      ).rejects.toMatchObject({
+        code: "VAL001",
+        details: {
+          phase: "create",
+          failures: [
+            expect.objectContaining({
+              rule_name: "Needs an estimate",
+              message: "Estimate how long this takes",
+            }),
+          ],
+        },
+      });
+      expect(await db("events").where({ title: "Untimed chore" })).toHaveLength(
+        0
+      );
+    });
+
+    it("should run stored rules in order on update, limited by phase", async () => {
+      await ValidationRuleService.createRule(event.id, {
+        ruleType: "numeric_range",
+        ruleName: "Priority cap",
+        configuration: { field: "event.priority", max: 3 },
+        order: 2,
+      });
+      await ValidationRuleService.createRule(event.id, {
+        ruleType: "required_field",
+        ruleName: "Notes on completion",
+        configuration: { field: "instance.completion_notes", on: ["complete"] },
+        order: 1,
+      });
+
+      const rules = await ValidationRuleService.getRules(event.id);
+      expect(rules.map((rule) => rule.rule_name)).toEqual([
+        "Notes on completion",
+        "Priority cap",
+      ]);
+
+      await expect(
+        EventService.updateEvent(event.id, { priority: 5 })
+      ).rejects.toMatchObject({
+        code: "VAL001",
+        details: {
+          phase: "update",
+          failures: [expect.objectContaining({ rule_name: "Priority cap" })],
+        },
+      });
+    });
+  });
+
+  describe("completion", () => {
+    beforeEach(async () => {
+      await db("events")
+        .where({ id: event.id })
+        .update({
+          acceptance_criteria: JSON.stringify([
+            {
+              rule_type: "required_field",
+              rule_name: "Photo note",
+              rule_configuration: { field: "instance.completion_notes" },
+            },
+          ]),
+        });
+    });
+
+    it("should block completion and record the failed results", async () => {
+      await expect(
+        EventInstanceService.completeInstance(
+          event.id,
+          instance.id,
+          {},
+          context
+        )
+      ).rejects.toMatchObject({
+        code: "VAL001",
+        details: {
+          violations: [
+            expect.objectContaining({
+              rule: "validation_rules",
+              failures: [expect.objectContaining({ rule_name: "Photo note" })],
+            }),
+          ],
+        },
+      });
+
+      const results = await ValidationRuleService.getResults(event.id, {
+        instanceId: instance.id,
+      });
+      expect(results).toHaveLength(1);
+      expect(Boolean(results[0].passed)).toBe(false);
+
+      const unchanged = await db("event_instances")
+        .where({ id: instance.id })
+        .first();
+      expect(unchanged.completed_at).toBeNull();
+    });
+
+    it("should report the violations when their results cannot be recorded", async () => {
+      jest
+        .spyOn(ValidationRuleService, "recordResults")
+        .mockRejectedValueOnce(new Error("database is locked"));
+
+      await expect(
+        EventInstanceService.completeInstance(
+          event.id,
+          instance.id,
+          {},
+          context
+        )
+      ).rejects.toMatchObject({
+        code: "VAL001",
+        details: {
+          violations: [expect.objectContaining({ rule: "validation_rules" })],
+        },
+      });
+      expect(logger.error).toHaveBeenCalledWith(
+        "Failed to record validation results",
+        expect.objectContaining({
+          instanceId: instance.id,
+          error: "database is locked",
+        })
+      );
+    });
+
+    it("should complete and record passing results", async () => {
+      const completed = await EventInstanceService.completeInstance(
+        event.id,
+        instance.id,
+        { notes: "Stripes look great" },
+        context
+      );
+      expect(completed.completed_at).toBeTruthy();
+
+      const results = await ValidationRuleService.getResults(event.id);
+      expect(results).toHaveLength(1);
+      expect(Boolean(results[0].passed)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,363 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const DatabaseService = require("../../../src/services/DatabaseService");
+const {
+  migrateEventSchema,
+  createUser,
+  createEvent,
+} = require("../../utils/eventDatabase");
+
+jest.mock("../../../src/services/DatabaseService", () => {
+  const { createTestKnex } = require("../../utils/eventDatabase");
+  const db = createTestKnex();
+  return { getKnex: () => db };
+});
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "verifications-"));
+process.env.VERIFICATION_UPLOAD_DIR = uploadDir;
+
+const VerificationService = require("../../../src/services/VerificationService");
+const EventInstanceService = require("../../../src/services/EventInstanceService");
+
+/**
+ * Build a minimal JPEG whose EXIF block holds DateTimeOriginal and GPS tags
+ */
+const jpegWithExif = ({ takenAt, latitude, longitude }) => {
+  const tiff = Buffer.alloc(178);
+  const entry = (offset, tag, type, count, value) => {
+    tiff.writeUInt16LE(tag, offset);
+    tiff.writeUInt16LE(type, offset + 2);
+    tiff.writeUInt32LE(count, offset + 4);
+    if (Buffer.isBuffer(value)) {
+      value.copy(tiff, offset + 8);
+    } else {
+      tiff.writeUInt32LE(value, offset + 8);
+    }
+  };
+  const rationals = (offset, degrees) => {
+    const abs = Math.abs(degrees);
+    const minutes = (abs % 1) * 60;
+    [
+      [Math.floor(abs), 1],
+      [Math.floor(minutes), 1],
+      [Math.round((minutes % 1) * 60000), 1000],
+    ].forEach(([numerator, denominator], i) => {
+      tiff.writeUInt32LE(numerator, offset + i * 8);
+      tiff.writeUInt32LE(denominator, offset + i * 8 + 4);
+    });
+  };
+
+  tiff.write("II", 0, "ascii");
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+  // IFD0: pointers to the Exif and GPS IFDs
+  tiff.writeUInt16LE(2, 8);
+  entry(10, 0x8769, 4, 1, 38);
+  entry(22, 0x8825, 4, 1, 76);
+  // Exif IFD: DateTimeOriginal
+  tiff.writeUInt16LE(1, 38);
+  entry(40, 0x9003, 2, 20, 56);
+  tiff.write(`${takenAt}\0`, 56, "ascii");
+  // GPS IFD
+  tiff.writeUInt16LE(4, 76);
+  entry(78, 0x0001, 2, 2, Buffer.from(latitude >= 0 ? "N\0" : "S\0"));
+  entry(90, 0x0002, 5, 3, 130);
+  entry(102, 0x0003, 2, 2, Buffer.from(longitude >= 0 ? "E\0" : "W\0"));
+  entry(114, 0x0004, 5, 3, 154);
+  rationals(130, latitude);
+  rationals(154, longitude);
+
+  const app1 = Buffer.concat([Buffer.from("Exif\0\0", "ascii"), tiff]);
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(app1.length + 2);
+
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8, 0xff, 0xe1]),
+    length,
+    app1,
+    Buffer.from([0xff, 0xd9]),
+  ]);
+};
+
+const photoFile = (options) => {
+  const buffer = jpegWithExif(options);
+  return {
+    buffer,
+    // The stored extension comes from the mimetype, not the client's name
+    originalname: "room.html",
+    mimetype: "image/jpeg",
+    size: buffer.length,
+  };
+};
+
+describe("VerificationService", () => {
+  const db = DatabaseService.getKnex();
+  const home = { latitude: 40.7128, longitude: -74.006 };
+  let parent;
+  let kid;
+  let location;
+
+  const contextFor = (user) => ({
+    userId: user.id,
+    ipAddress: "10.0.0.2",
+    userAgent: "jest",
+  });
+
+  const createChore = async (eventOverrides = {}) => {
+    const event = await createEvent(db, parent, {
+      assigned_to: kid.id,
+      location_id: location.id,
+      ...eventOverrides,
+    });
+    const [instance] = await db("event_instances")
+      .insert({
+        event_id: event.id,
+        start_date: "2099-01-01",
+        end_date: "2099-01-01",
+        modified_history: JSON.stringify([]),
+      })
+      .returning("*");
+    return { event, instance };
+  };
+
+  beforeAll(async () => {
+    await migrateEventSchema(db);
+    parent = await createUser(db);
+    kid = await createUser(db);
+    [location] = await db("locations")
+      .insert({ name: "Kitchen", radius_meters: 50, ...home })
+      .returning("*");
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await db("event_verifications").del();
+    await db("event_instances").del();
+    await db("events").del();
+  });
+
+  describe("submitVerification", () => {
+    it("should store the photo with its hash, EXIF timestamp and location check", async () => {
+      const { event, instance } = await createChore({
+        requires_photo_verification: true,
+        requires_location_verification: true,
+      });
+
+      const verification = await VerificationService.submitVerification(
+        event.id,
+        instance.id,
+        { latitude: 40.7129, longitude: -74.0061, notes: "All clean" },
+        photoFile({ takenAt: "2024:01:01 11:30:00", ...home }),
+        contextFor(kid)
+      );
+
+      expect(verification).toMatchObject({
+        status: "pending",
+        submitted_by: kid.id,
+        notes: "All clean",
+        photo_data: {
+          mime_type: "image/jpeg",
+          exif_timestamp: new Date(2024, 0, 1, 11, 30).toISOString(),
+        },
+        location_data: {
+          location_id: location.id,
+          within_geofence: true,
+        },
+      });
+      expect(verification.photo_data.sha256).toHaveLength(64);
+      expect(verification.photo_data.file_name).toBe(
+        `${verification.photo_data.sha256}.jpg`
+      );
+      expect(
+        fs.existsSync(path.join(uploadDir, verification.photo_data.file_name))
+      ).toBe(true);
+    });
+
+    it("should not leave a photo behind when the submission fails", async () => {
+      const { event, instance } = await createChore({
+        requires_photo_verification: true,
+      });
+      const stored = fs.readdirSync(uploadDir);
+      jest
+        .spyOn(VerificationService, "_appendHistory")
+        .mockRejectedValueOnce(new Error("database is locked"));
+
+      await expect(
+        VerificationService.submitVerification(
+          event.id,
+          instance.id,
+          {},
+          photoFile({ takenAt: "2024:02:02 09:15:00", ...home }),
+          contextFor(kid)
+        )
+      ).rejects.toThrow("database is locked");
+
+      expect(fs.readdirSync(uploadDir)).toEqual(stored);
+      expect(await db("event_verifications")).toEqual([]);
+    });
+
+    it("should fall back to the photo's GPS tags and reject coordinates outside the geofence", async () => {
+      const { event, instance } = await createChore({
+        requires_location_verification: true,
+      });
+
+      await expect(
+        VerificationService.submitVerification(
+          event.id,
+          instance.id,
+          {},
+          photoFile({
+            takenAt: "2024:01:01 11:30:00",
+            latitude: 40.73,
+            longitude: -74.006,
+          }),
+          contextFor(kid)
+        )
+      ).rejects.toMatchObject({
+        code: "VAL001",
+        details: {
+          violations: [expect.objectContaining({ rule: "geofence" })],
+        },
+      });
+    });
+
+    it("should require a photo when the event asks for one", async () => {
+      const { event, instance } = await createChore({
+        requires_photo_verification: true,
+      });
+
+      await expect(
+        VerificationService.submitVerification(
+          event.id,
+          instance.id,
+          { notes: "Trust me" },
+          null,
+          contextFor(kid)
+        )
+      ).rejects.toMatchObject({
+        details: {
+          violations: [
+            expect.objectContaining({ rule: "requires_photo_verification" }),
+          ],
+        },
+      });
+    });
+  });
+
+  describe("reviewVerification", () => {
+    it("should gate completion on an accepted verification", async () => {
+      const { event, instance } = await createChore({
+        requires_photo_verification: true,
+      });
+      const verification = await VerificationService.submitVerification(
+        event.id,
+        instance.id,
+        {},
+        photoFile({ takenAt: "2024:01:01 11:30:00", ...home }),
+        contextFor(kid)
+      );
+
+      await expect(
+        EventInstanceService.completeInstance(
+          event.id,
+          instance.id,
+          {},
+          contextFor(kid)
+        )
+      ).rejects.toMatchObject({
+        details: {
+          violations: [
+            expect.objectContaining({ rule: "requires_verification" }),
+          ],
+        },
+      });
+
+      const reviewed = await VerificationService.reviewVerification(
+        event.id,
+        instance.id,
+        verification.id,
+        "accepted",
+        { notes: "Spotless" },
+        contextFor(parent)
+      );
+      expect(reviewed).toMatchObject({
+        status: "accepted",
+        verified_by: parent.id,
+        verification_metadata: { review_notes: "Spotless" },
+      });
+
+      const completed = await EventInstanceService.completeInstance(
+        event.id,
+        instance.id,
+        {},
+        contextFor(kid)
+      );
+      expect(completed).toMatchObject({
+        completion_status: "completed",
+        verified_by: parent.id,
+      });
+    });
+
+    it("should not let users review their own submission", async () => {
+      const { event, instance } = await createChore();
+      const verification = await VerificationService.submitVerification(
+        event.id,
+        instance.id,
+        { notes: "Done" },
+        null,
+        contextFor(kid)
+      );
+
+      await expect(
+        VerificationService.reviewVerification(
+          event.id,
+          instance.id,
+          verification.id,
+          "accepted",
+          {},
+          contextFor(kid)
+        )
+      ).rejects.toMatchObject({ code: "BUS002" });
+    });
+
+    it("should not mark the occurrence verified when rejected", async () => {
+      const { event, instance } = await createChore();
+      const verification = await VerificationService.submitVerification(
+        event.id,
+        instance.id,
+        { notes: "Done" },
+        null,
+        contextFor(kid)
+      );
+
+      await VerificationService.reviewVerification(
+        event.id,
+        instance.id,
+        verification.id,
+        "rejected",
+        { notes: "Photo is blurry" },
+        contextFor(parent)
+      );
+
+      const updated = await db("event_instances")
+        .where({ id: instance.id })
+        .first();
+      expect(updated.verified_at).toBeNull();
+      await expect(
+        VerificationService.reviewVerification(
+          event.id,
+          instance.id,
+          verification.id,
+          "accepted",
+          {},
+          contextFor(parent)
+        )
+      ).rejects.toMatchObject({ code: "VAL004" });
+    });
+  });
+});
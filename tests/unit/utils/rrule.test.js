@@ -0,0 +1,128 @@
+const {
+  parseRRule,
+  normalizeRRule,
+  expandRRule,
+} = require("../../../src/utils/rrule");
+const { toDateString } = require("../../../src/utils/dateHelpers");
+
+const expand = (rule, dtstart, options) =>
+  expandRRule(rule, dtstart, options).map(toDateString);
+
+describe("rrule", () => {
+  describe("parseRRule", () => {
+    it("should parse a rule with an RRULE: prefix", () => {
+      const rule = parseRRule("RRULE:freq=monthly;interval=2;byday=2TU");
+
+      expect(rule).toMatchObject({
+        freq: "MONTHLY",
+        interval: 2,
+        byDay: [{ weekday: 2, ordinal: 2 }],
+      });
+    });
+
+    it.each([
+      ["INTERVAL=2", "FREQ must be one of"],
+      ["FREQ=HOURLY", "FREQ must be one of"],
+      ["FREQ=DAILY;COUNT=3;UNTIL=20240101", "cannot be combined"],
+      ["FREQ=DAILY;BYHOUR=9", "BYHOUR is not supported"],
+      ["FREQ=WEEKLY;BYDAY=2TU", "ordinals are only allowed"],
+      ["FREQ=MONTHLY;BYMONTHDAY=32", "out of range"],
+      ["FREQ=MONTHLY;BYDAY=XX", "is invalid"],
+      ["FREQ=DAILY;INTERVAL=0", "positive integer"],
+      ["FREQ=DAILY;UNTIL=tomorrow", "not a valid date"],
+    ])("should reject %s", (rule, message) => {
+      expect(() => parseRRule(rule)).toThrow(message);
+    });
+
+    it("should normalize rules to their stored form", () => {
+      expect(normalizeRRule(" rrule:freq=weekly;byday=sa ")).toBe(
+        "FREQ=WEEKLY;BYDAY=SA"
+      );
+    });
+  });
+
+  describe("expandRRule", () => {
+    it("should expand every 2nd Tuesday of the month", () => {
+      expect(
+        expand("FREQ=MONTHLY;BYDAY=2TU", "2024-01-01", { to: "2024-04-30" })
+      ).toEqual(["2024-01-09", "2024-02-13", "2024-03-12", "2024-04-09"]);
+    });
+
+    it("should expand weekdays only", () => {
+      expect(
+        expand("FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR", "2024-01-04", {
+          to: "2024-01-10",
+        })
+      ).toEqual([
+        "2024-01-04",
+        "2024-01-05",
+        "2024-01-08",
+        "2024-01-09",
+        "2024-01-10",
+      ]);
+    });
+
+    it("should expand the last day of each month", () => {
+      expect(
+        expand("FREQ=MONTHLY;BYMONTHDAY=-1", "2024-01-15", {
+          to: "2024-04-30",
+        })
+      ).toEqual(["2024-01-31", "2024-02-29", "2024-03-31", "2024-04-30"]);
+    });
+
+    it("should expand every other Saturday from April to October", () => {
+      const dates = expand(
+        "FREQ=WEEKLY;INTERVAL=2;BYDAY=SA;BYMONTH=4,5,6,7,8,9,10",
+        "2024-03-23",
+        { to: "2024-12-31" }
+      );
+
+      expect(dates[0]).toBe("2024-04-06");
+      expect(dates[1]).toBe("2024-04-20");
+      expect(dates[dates.length - 1]).toBe("2024-10-19");
+      expect(dates.every((date) => date >= "2024-04" && date < "2024-11")).toBe(
+        true
+      );
+    });
+
+    it("should honour COUNT from dtstart and apply EXDATE afterwards", () => {
+      expect(
+        expand("FREQ=DAILY;COUNT=5", "2024-01-01", {
+          from: "2024-01-02",
+          to: "2024-12-31",
+          exdates: ["2024-01-03"],
+        })
+      ).toEqual(["2024-01-02", "2024-01-04", "2024-01-05"]);
+    });
+
+    it("should stop at UNTIL inclusively", () => {
+      expect(
+        expand("FREQ=WEEKLY;UNTIL=20240115", "2024-01-01", {
+          to: "2024-12-31",
+        })
+      ).toEqual(["2024-01-01", "2024-01-08", "2024-01-15"]);
+    });
+
+    it("should pick the last weekday of a month with BYSETPOS", () => {
+      expect(
+        expand("FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1", "2024-01-01", {
+          to: "2024-03-31",
+        })
+      ).toEqual(["2024-01-31", "2024-02-29", "2024-03-29"]);
+    });
+
+    it("should expand yearly rules within listed months", () => {
+      expect(
+        expand("FREQ=YEARLY;BYMONTH=11;BYDAY=4TH", "2024-01-01", {
+          to: "2026-12-31",
+        })
+      ).toEqual(["2024-11-28", "2025-11-27", "2026-11-26"]);
+    });
+
+    it("should skip months without the anchor day", () => {
+      expect(
+        expand("FREQ=MONTHLY", "2024-01-31", { to: "2024-05-31" })
+      ).toEqual(["2024-01-31", "2024-03-31", "2024-05-31"]);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+// tests/utils/eventDatabase.js
+// In-memory SQLite database with the event system schema, for service tests
+// that exercise real queries instead of a mocked query builder.
+const knex = require("knex");
+
+const MIGRATIONS = [
+  "20251211_002_create_users_table",
+  "20251211_001_create_instances_table",
+  "20251211_001_create_events_system",
+  "20251213_001_add_event_relationships_and_audit",
+  "20261019_001_create_frequency_types",
+  "20261019_002_add_event_recurrence_rules",
+  "20261019_003_add_event_approval_workflow",
+  "20261019_004_add_event_verification_evidence",
+  "20261019_005_create_instance_checklist_items",
+  "20261019_006_add_event_assignment_rotation",
+  "20261019_007_add_event_template_versioning",
+  "20261019_008_add_budget_transaction_dates",
+  "20261019_009_add_instance_versioning",
+  "20261019_010_create_points_ledger",
+  "20261019_011_create_rewards",
+  "20261019_012_create_user_badges",
+  "20261019_013_add_location_and_category_hierarchy",
+  "20261019_014_add_event_group_assignment",
+];
+
+// SQLite stand-ins for migrations that only run on PostgreSQL. The instances
+// table generates its ids with gen_random_uuid() and stores tags as text[].
+const SQLITE_MIGRATIONS = {
+  "20251211_001_create_instances_table": (db) =>
+    db.schema.createTable("instances", (table) => {
+      table.uuid("id").primary();
+      table.string("name").notNullable();
+      table.text("description");
+      table.string("type").notNullable();
+      table.string("status").defaultTo("active");
+      table.uuid("parent_id").references("id").inTable("instances");
+      table.json("settings").defaultTo("{}");
+      table.json("metadata").defaultTo("{}");
+      table.timestamp("start_date");
+      table.timestamp("end_date");
+      table.json("tags").defaultTo("[]");
+      table.integer("created_by").references("id").inTable("users");
+      table.timestamp("created_at").defaultTo(db.fn.now());
+      table.timestamp("updated_at").defaultTo(db.fn.now());
+      table.timestamp("archived_at");
+    }),
+};
+
+// Dates created inside jest's sandbox fail the sqlite3 driver's instanceof
+// check and would be stored as "[object Object]". Bind them as epoch
+// milliseconds, which is what the driver does outside jest.
+class TestSQLiteClient extends require("knex/lib/dialects/sqlite3") {
+  _query(connection, obj) {
+    if (obj.bindings) {
+      obj.bindings = obj.bindings.map((binding) =>
+        Object.prototype.toString.call(binding) === "[object Date]"
+          ? binding.getTime()
+          : binding
+      );
+    }
+    return super._query(connection, obj);
+  }
+}
+
+const createTestKnex = () =>
+  knex({
+    client: TestSQLiteClient,
+    connection: { filename: ":memory:" },
+    useNullAsDefault: true,
+  });
+
+const migrateEventSchema = async (db) => {
+  for (const name of MIGRATIONS) {
+    const up =
+      SQLITE_MIGRATIONS[name] || require(`../../src/migrations/${name}`).up;
+    await up(db);
+  }
+};
+
+const createUser = async (db, overrides = {}) => {
+  const [user] = await db("users")
+    .insert({
+      email: `user-${Math.random()}@example.com`,
+      password: "$2a$10$testHashedPassword",
+      ...overrides,
+    })
+    .returning("*");
+  return user;
+};
+
+const createEvent = async (db, user, overrides = {}) => {
+  const [event] = await db("events")
+    .insert({
+      title: `Test Event ${Math.random()}`,
+      assigned_by: user.id,
+      created_by: user.id,
+      assigned_to: user.id,
+      hierarchy_path: JSON.stringify([]),
+      ...overrides,
+    })
+    .returning("*");
+  return event;
+};
+
+module.exports = {
+  createTestKnex,
+  migrateEventSchema,
+  createUser,
+  createEvent,
+};